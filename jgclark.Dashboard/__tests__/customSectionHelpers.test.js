@@ -0,0 +1,109 @@
+/* global describe, expect, test, beforeAll */
+// @flow
+import { getDueDateStrForItem, parseCustomSectionQuery, resolveQueryDateStr } from '../src/customSectionHelpers'
+import { getCustomSectionDetails } from '../src/react/components/Section/sectionHelpers'
+import { Calendar, Clipboard, CommandBar, DataStore, Editor, NotePlan } from '@mocks/index'
+
+beforeAll(() => {
+  global.Calendar = Calendar
+  global.Clipboard = Clipboard
+  global.CommandBar = CommandBar
+  global.DataStore = DataStore
+  global.Editor = Editor
+  global.NotePlan = NotePlan
+  DataStore.settings['_logLevel'] = 'none' //change this to DEBUG to get more logging
+})
+
+const today = '2024-08-02'
+
+describe('customSectionHelpers', () => {
+  describe('resolveQueryDateStr()', () => {
+    test('empty -> empty', () => {
+      expect(resolveQueryDateStr('', today)).toEqual('')
+    })
+    test('today', () => {
+      expect(resolveQueryDateStr('today', today)).toEqual(today)
+    })
+    test('ISO date', () => {
+      expect(resolveQueryDateStr('2024-09-30', today)).toEqual('2024-09-30')
+    })
+    test('+7d', () => {
+      expect(resolveQueryDateStr('+7d', today)).toEqual('2024-08-09')
+    })
+    test('-1w', () => {
+      expect(resolveQueryDateStr('-1w', today)).toEqual('2024-07-26')
+    })
+    test('invalid -> empty', () => {
+      expect(resolveQueryDateStr('next tuesday', today)).toEqual('')
+    })
+  })
+
+  describe('parseCustomSectionQuery()', () => {
+    test('just search terms', () => {
+      const result = parseCustomSectionQuery('#project -#waiting', today)
+      expect(result.searchTerms.map((t) => t.termRep)).toEqual(['#project', '-#waiting'])
+      expect(result.folders).toEqual([])
+      expect(result.minPriority).toEqual(0)
+      expect(result.dueFromDateStr).toEqual('')
+      expect(result.dueToDateStr).toEqual('')
+    })
+    test('folders, including quoted and trailing slash', () => {
+      const result = parseCustomSectionQuery('@bob folder:Work/ folder:"Home Projects"', today)
+      expect(result.folders).toEqual(['Work', 'Home Projects'])
+      expect(result.searchTerms.map((t) => t.term)).toEqual(['@bob'])
+    })
+    test('priority', () => {
+      const result = parseCustomSectionQuery('priority:2 #next', today)
+      expect(result.minPriority).toEqual(2)
+    })
+    test('due range with open start', () => {
+      const result = parseCustomSectionQuery('#next due:..+7d', today)
+      expect(result.dueFromDateStr).toEqual('')
+      expect(result.dueToDateStr).toEqual('2024-08-09')
+    })
+    test('due range', () => {
+      const result = parseCustomSectionQuery('due:today..2024-08-31', today)
+      expect(result.dueFromDateStr).toEqual(today)
+      expect(result.dueToDateStr).toEqual('2024-08-31')
+    })
+    test('due single date', () => {
+      const result = parseCustomSectionQuery('due:2024-08-05', today)
+      expect(result.dueFromDateStr).toEqual('2024-08-05')
+      expect(result.dueToDateStr).toEqual('2024-08-05')
+    })
+    test('only operators -> no search terms', () => {
+      const result = parseCustomSectionQuery('folder:Work priority:1', today)
+      expect(result.searchTerms).toEqual([])
+    })
+  })
+
+  describe('getDueDateStrForItem()', () => {
+    test('scheduled date', () => {
+      expect(getDueDateStrForItem('do this >2024-08-10 and >2024-08-11', 'Work/Project.md', today)).toEqual('2024-08-10')
+    })
+    test('>today', () => {
+      expect(getDueDateStrForItem('do this >today', 'Work/Project.md', today)).toEqual(today)
+    })
+    test('daily note date', () => {
+      expect(getDueDateStrForItem('do this', '20240801.md', today)).toEqual('2024-08-01')
+    })
+    test('no date', () => {
+      expect(getDueDateStrForItem('do this', 'Work/Project.md', today)).toEqual('')
+    })
+  })
+
+  describe('getCustomSectionDetails()', () => {
+    test('empty setting', () => {
+      // $FlowIgnore[prop-missing]
+      expect(getCustomSectionDetails({ customSectionsToShow: '' })).toEqual([])
+    })
+    test('named and unnamed queries', () => {
+      // $FlowIgnore[prop-missing]
+      const result = getCustomSectionDetails({ customSectionsToShow: '[Urgent] priority:3 -#waiting | #next' })
+      expect(result).toEqual([
+        { sectionCode: 'SEARCH', sectionName: 'Urgent', showSettingName: 'showSearchSection_Urgent', sectionQuery: 'priority:3 -#waiting' },
+        { sectionCode: 'SEARCH', sectionName: '#next', showSettingName: 'showSearchSection_#next', sectionQuery: '#next' },
+      ])
+    })
+  })
+})
@@ -0,0 +1,46 @@
+/* global describe, expect, test, beforeAll */
+// @flow
+import { findTimeBlockForScheduledPara, getLinkedNoteTitles } from '../src/focusHelpers'
+import { Calendar, DataStore, Paragraph } from '@mocks/index'
+
+beforeAll(() => {
+  global.Calendar = Calendar
+  global.DataStore = DataStore
+  DataStore.settings['_logLevel'] = 'none' //change this to DEBUG to get more logging
+})
+
+const blocks = [
+  { start: '09:00', end: '10:30', linkedTitles: ['Project A'] },
+  { start: '14:00', end: '15:00', linkedTitles: ['Project B'] },
+]
+
+describe('focusHelpers', () => {
+  describe('getLinkedNoteTitles()', () => {
+    test('no links', () => {
+      expect(getLinkedNoteTitles([new Paragraph({ content: '9:00-10:00 Deep work' })])).toEqual([])
+    })
+    test('links across several lines, without headings or duplicates', () => {
+      const paras = [new Paragraph({ content: '9:00-10:00 Work on [[Project A]]' }), new Paragraph({ content: 'see [[Project B#Actions]] and [[Project A]]' })]
+      expect(getLinkedNoteTitles(paras)).toEqual(['Project A', 'Project B'])
+    })
+  })
+
+  describe('findTimeBlockForScheduledPara()', () => {
+    test('an item whose time falls in a time block', () => {
+      const para = new Paragraph({ type: 'open', content: '2:30pm call Bob >today', note: { title: 'Other' } })
+      expect(findTimeBlockForScheduledPara(para, blocks)).toEqual(1)
+    })
+    test('an item without a time in a note linked from a time block', () => {
+      const para = new Paragraph({ type: 'open', content: 'draft plan >today', note: { title: 'Project A' } })
+      expect(findTimeBlockForScheduledPara(para, blocks)).toEqual(0)
+    })
+    test('an item whose time is outside every time block, but whose note is linked from one', () => {
+      const para = new Paragraph({ type: 'open', content: '5:00pm review >today', note: { title: 'Project B' } })
+      expect(findTimeBlockForScheduledPara(para, blocks)).toEqual(1)
+    })
+    test('an item without a time in a note not linked from any time block', () => {
+      const para = new Paragraph({ type: 'open', content: 'something >today', note: { title: 'Other' } })
+      expect(findTimeBlockForScheduledPara(para, blocks)).toEqual(-1)
+    })
+  })
+})
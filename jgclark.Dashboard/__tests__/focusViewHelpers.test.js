@@ -0,0 +1,65 @@
+/* global describe, expect, test */
+// @flow
+import { formatCountdown, getCurrentAndNextTimeBlocks, timeStrToMins } from '../src/react/components/Focus/focusViewHelpers'
+import type { TFocusTimeBlock } from '../src/types'
+
+const makeBlock = (start: string, end: string, content: string = ''): TFocusTimeBlock => ({ content, timeBlockStr: `${start}-${end}`, start, end, items: [] })
+
+const blocks = [makeBlock('09:00', '10:30', 'Deep work'), makeBlock('10:00', '11:00', 'Call'), makeBlock('14:00', '15:00', 'Admin')]
+
+describe('focusViewHelpers', () => {
+  describe('timeStrToMins()', () => {
+    test('00:00', () => {
+      expect(timeStrToMins('00:00')).toEqual(0)
+    })
+    test('09:30', () => {
+      expect(timeStrToMins('09:30')).toEqual(570)
+    })
+    test('24:00', () => {
+      expect(timeStrToMins('24:00')).toEqual(1440)
+    })
+  })
+
+  describe('getCurrentAndNextTimeBlocks()', () => {
+    test('before all blocks', () => {
+      const [current, next] = getCurrentAndNextTimeBlocks(blocks, timeStrToMins('08:00'))
+      expect(current).toBeNull()
+      expect(next?.content).toEqual('Deep work')
+    })
+    test('in first block', () => {
+      const [current, next] = getCurrentAndNextTimeBlocks(blocks, timeStrToMins('09:15'))
+      expect(current?.content).toEqual('Deep work')
+      expect(next?.content).toEqual('Call')
+    })
+    test('overlapping blocks -> most recently started', () => {
+      const [current, next] = getCurrentAndNextTimeBlocks(blocks, timeStrToMins('10:15'))
+      expect(current?.content).toEqual('Call')
+      expect(next?.content).toEqual('Admin')
+    })
+    test('block end is exclusive', () => {
+      const [current, next] = getCurrentAndNextTimeBlocks(blocks, timeStrToMins('11:00'))
+      expect(current).toBeNull()
+      expect(next?.content).toEqual('Admin')
+    })
+    test('in last block', () => {
+      const [current, next] = getCurrentAndNextTimeBlocks(blocks, timeStrToMins('14:59') + 0.5)
+      expect(current?.content).toEqual('Admin')
+      expect(next).toBeNull()
+    })
+    test('no blocks', () => {
+      expect(getCurrentAndNextTimeBlocks([], 600)).toEqual([null, null])
+    })
+  })
+
+  describe('formatCountdown()', () => {
+    test('less than a minute', () => {
+      expect(formatCountdown(0.4)).toEqual('<1m')
+    })
+    test('minutes only', () => {
+      expect(formatCountdown(25.7)).toEqual('25m')
+    })
+    test('hours and minutes', () => {
+      expect(formatCountdown(65)).toEqual('1h 05m')
+    })
+  })
+})
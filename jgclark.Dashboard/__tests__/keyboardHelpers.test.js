@@ -0,0 +1,138 @@
+/* global describe, expect, test */
+// @flow
+import {
+  findItemByID,
+  getAdjacentItemID,
+  getCommandForKey,
+  getItemActionType,
+  getKeyDisplayName,
+  getKeyName,
+  getPaletteCommands,
+  keyCommands,
+} from '../src/react/components/Keyboard/keyboardHelpers'
+
+const getCommand = (id: string): any => keyCommands.find((kc) => kc.id === id)
+
+const keyEvent = (key: string, modifiers: { metaKey?: boolean, ctrlKey?: boolean, altKey?: boolean } = {}): any => ({
+  key,
+  metaKey: modifiers.metaKey ?? false,
+  ctrlKey: modifiers.ctrlKey ?? false,
+  altKey: modifiers.altKey ?? false,
+})
+
+describe('keyboardHelpers', () => {
+  describe('getKeyName()', () => {
+    test('plain key', () => {
+      expect(getKeyName(keyEvent('j'))).toEqual('j')
+    })
+    test('cmd-K', () => {
+      expect(getKeyName(keyEvent('K', { metaKey: true }))).toEqual('Meta+k')
+    })
+    test('ctrl and alt combinations are ignored', () => {
+      expect(getKeyName(keyEvent('j', { ctrlKey: true }))).toBeNull()
+      expect(getKeyName(keyEvent('j', { altKey: true }))).toBeNull()
+    })
+  })
+
+  describe('getKeyDisplayName()', () => {
+    test('arrow key', () => {
+      expect(getKeyDisplayName(getCommand('nextItem'))).toEqual('↓')
+    })
+    test('letter key', () => {
+      expect(getKeyDisplayName(getCommand('complete'))).toEqual('c')
+    })
+  })
+
+  describe('getCommandForKey()', () => {
+    test('j and ArrowDown both go to next item', () => {
+      expect(getCommandForKey('j', true)?.id).toEqual('nextItem')
+      expect(getCommandForKey('ArrowDown', true)?.id).toEqual('nextItem')
+    })
+    test('unknown key', () => {
+      expect(getCommandForKey('q', true)).toBeUndefined()
+    })
+    test('desktop-only command not available on mobile', () => {
+      expect(getCommandForKey('m', true)?.id).toEqual('moveToNote')
+      expect(getCommandForKey('m', false)).toBeUndefined()
+    })
+  })
+
+  describe('getPaletteCommands()', () => {
+    test('no filter, no item: only non-item commands', () => {
+      const ids = getPaletteCommands('', false, true).map((kc) => kc.id)
+      expect(ids).toEqual(['undo', 'refresh', 'toggleFocusMode'])
+    })
+    test('navigation commands are never listed', () => {
+      const ids = getPaletteCommands('', true, true).map((kc) => kc.id)
+      expect(ids).not.toContain('nextItem')
+      expect(ids).not.toContain('openCommandPalette')
+      expect(ids).toContain('complete')
+    })
+    test('every filter word must match, in any order', () => {
+      const ids = getPaletteCommands('PRIORITY item', true, true).map((kc) => kc.id)
+      expect(ids).toEqual(['priorityUp', 'priorityDown'])
+    })
+    test('no matches', () => {
+      expect(getPaletteCommands('xyzzy', true, true)).toEqual([])
+    })
+  })
+
+  describe('getAdjacentItemID()', () => {
+    const ids = ['a', 'b', 'c']
+    test('next and previous', () => {
+      expect(getAdjacentItemID(ids, 'b', 1)).toEqual('c')
+      expect(getAdjacentItemID(ids, 'b', -1)).toEqual('a')
+    })
+    test('stops at the ends', () => {
+      expect(getAdjacentItemID(ids, 'c', 1)).toEqual('c')
+      expect(getAdjacentItemID(ids, 'a', -1)).toEqual('a')
+    })
+    test('no current item starts at first or last', () => {
+      expect(getAdjacentItemID(ids, '', 1)).toEqual('a')
+      expect(getAdjacentItemID(ids, 'gone', -1)).toEqual('c')
+    })
+    test('no items', () => {
+      expect(getAdjacentItemID([], 'a', 1)).toBeNull()
+    })
+  })
+
+  describe('findItemByID()', () => {
+    const todayItem = { ID: '0-0', itemType: 'open' }
+    const focusItem = { ID: 'FOCUS-0-0', itemType: 'checklist' }
+    const pluginData: any = {
+      sections: [
+        { sectionCode: 'DT', sectionItems: [todayItem] },
+        { sectionCode: 'W', sectionItems: [{ ID: '3-0', itemType: 'open' }] },
+      ],
+      focusData: { dateStr: '20240805', filename: '20240805.md', timeBlocks: [{ items: [focusItem] }] },
+    }
+    test('item in a section', () => {
+      expect(findItemByID(pluginData, '3-0')?.sectionCode).toEqual('W')
+    })
+    test('item in the Focus view', () => {
+      expect(findItemByID(pluginData, 'FOCUS-0-0')).toEqual({ item: focusItem, sectionCode: 'DT' })
+    })
+    test('unknown item', () => {
+      expect(findItemByID(pluginData, '9-9')).toBeNull()
+    })
+  })
+
+  describe('getItemActionType()', () => {
+    const task: any = { ID: '0-0', itemType: 'open', para: { noteType: 'Notes' } }
+    const calChecklist: any = { ID: '0-1', itemType: 'checklist', para: { noteType: 'Calendar' } }
+    test('complete and cancel depend on item type', () => {
+      expect(getItemActionType(getCommand('complete'), task, false)).toEqual('completeTask')
+      expect(getItemActionType(getCommand('complete'), calChecklist, false)).toEqual('completeChecklist')
+      expect(getItemActionType(getCommand('cancel'), calChecklist, false)).toEqual('cancelChecklist')
+    })
+    test('date changes move calendar items, unless rescheduling', () => {
+      expect(getItemActionType(getCommand('moveToToday'), task, false)).toEqual('updateTaskDate')
+      expect(getItemActionType(getCommand('moveToToday'), calChecklist, false)).toEqual('moveFromCalToCal')
+      expect(getItemActionType(getCommand('moveToToday'), calChecklist, true)).toEqual('updateTaskDate')
+    })
+    test('other actions are unchanged', () => {
+      expect(getItemActionType(getCommand('priorityUp'), task, false)).toEqual('cyclePriorityStateUp')
+      expect(getItemActionType(getCommand('openItemDialog'), task, false)).toBeUndefined()
+    })
+  })
+})
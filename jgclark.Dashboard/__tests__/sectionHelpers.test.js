@@ -0,0 +1,53 @@
+/* global describe, expect, test */
+// @flow
+import { reconcileItemSelection } from '../src/react/components/Section/sectionHelpers'
+
+const makeItem = (ID: string, content: string, filename: string = '20240805.md'): Object => ({
+  ID,
+  itemType: 'open',
+  para: { filename, noteType: 'Calendar', type: 'open', content, rawContent: `* ${content}`, priority: 0 },
+})
+
+const makeSection = (sectionCode: string, sectionItems: Array<Object>): Object => ({ ID: sectionCode, name: sectionCode, sectionCode, sectionItems })
+
+describe('sectionHelpers', () => {
+  describe('reconcileItemSelection()', () => {
+    test('returns the same selection if every selected item is unchanged', () => {
+      const a = makeItem('0-0', 'task A')
+      const selection = { items: [a], sectionCodes: ['DT'], lastSelectedID: '0-0' }
+      expect(reconcileItemSelection(selection, [makeSection('DT', [a])])).toBe(selection)
+    })
+
+    test('swaps selected items for their refreshed versions', () => {
+      const selection = { items: [makeItem('0-0', 'task A')], sectionCodes: ['DT'], lastSelectedID: '0-0' }
+      const freshA = makeItem('0-0', 'task A')
+      const result = reconcileItemSelection(selection, [makeSection('DT', [freshA])])
+      expect(result.items[0]).toBe(freshA)
+      expect(result.lastSelectedID).toEqual('0-0')
+    })
+
+    test('drops selected items that are no longer in any section', () => {
+      const a = makeItem('0-0', 'task A')
+      const b = makeItem('0-1', 'task B')
+      const selection = { items: [a, b], sectionCodes: ['DT'], lastSelectedID: '0-1' }
+      const result = reconcileItemSelection(selection, [makeSection('DT', [a])])
+      expect(result.items).toEqual([a])
+      expect(result.sectionCodes).toEqual(['DT'])
+      expect(result.lastSelectedID).toBeUndefined()
+    })
+
+    test('drops a selected item whose ID now belongs to a different line', () => {
+      const selection = { items: [makeItem('0-1', 'task B')], sectionCodes: ['DT'], lastSelectedID: '0-1' }
+      const result = reconcileItemSelection(selection, [makeSection('DT', [makeItem('0-0', 'task A'), makeItem('0-1', 'task C')])])
+      expect(result).toEqual({ items: [], sectionCodes: [] })
+    })
+
+    test('only keeps the codes of sections that still hold selected items', () => {
+      const a = makeItem('0-0', 'task A')
+      const selection = { items: [a, makeItem('1-0', 'task W', '2024-W32.md')], sectionCodes: ['DT', 'W'], lastSelectedID: '0-0' }
+      const result = reconcileItemSelection(selection, [makeSection('DT', [a]), makeSection('W', [])])
+      expect(result.items).toEqual([a])
+      expect(result.sectionCodes).toEqual(['DT'])
+    })
+  })
+})
@@ -0,0 +1,67 @@
+/* global describe, expect, test, beforeEach, jest */
+// @flow
+import { doUndoLastActions } from '../src/undoClickHandlers'
+import { setPluginData } from '../src/dashboardHelpers'
+import { getGlobalSharedData } from '@helpers/HTMLView'
+import { getNoteByFilename } from '@helpers/note'
+import { showMessage } from '@helpers/userInput'
+
+jest.mock('../src/dashboardHelpers', () => ({
+  handlerResult: (success, actionsOnSuccess = []) => ({ success, actionsOnSuccess }),
+  setPluginData: jest.fn(),
+}))
+jest.mock('@helpers/HTMLView', () => ({ getGlobalSharedData: jest.fn() }))
+jest.mock('@helpers/note', () => ({ getNoteByFilename: jest.fn() }))
+jest.mock('@helpers/NPParagraph', () => ({ findParaFromStringAndFilename: jest.fn() }))
+jest.mock('@helpers/userInput', () => ({ showMessage: jest.fn() }))
+
+const lineState = (filename: string, rawContent: string) => ({ filename, lineIndex: 1, rawContent, content: rawContent.slice(2), type: 'open', hasChildren: false })
+
+const makeNote = (filename: string, rawContents: Array<string>) => ({
+  filename,
+  paragraphs: rawContents.map((rawContent, lineIndex) => ({ rawContent, content: rawContent.slice(2), type: 'open', lineIndex })),
+  updateParagraph: jest.fn<[TParagraph], void>(),
+})
+
+describe('undoClickHandlers', () => {
+  beforeEach(() => {
+    jest.clearAllMocks()
+    global.DataStore = { updateCache: jest.fn() }
+  })
+
+  describe('doUndoLastActions()', () => {
+    test('undoes the most recent action and saves the rest of the stack', async () => {
+      const note = makeNote('a.md', ['# A', '* [x] done'])
+      // $FlowIgnore[prop-missing]
+      getNoteByFilename.mockReturnValue(note)
+      const olderEntry = { actionType: 'completeTask', before: lineState('a.md', '* older'), after: lineState('a.md', '* [x] older') }
+      const entry = { actionType: 'completeTask', before: lineState('a.md', '* done'), after: lineState('a.md', '* [x] done') }
+      // $FlowIgnore[prop-missing]
+      getGlobalSharedData.mockResolvedValue({ pluginData: { undoStack: [olderEntry, entry] } })
+
+      const result = await doUndoLastActions({ actionType: 'undoLastActions', undoCount: 1 })
+
+      expect(result.success).toEqual(true)
+      expect(note.updateParagraph).toHaveBeenCalledTimes(1)
+      expect(setPluginData).toHaveBeenCalledWith({ undoStack: [olderEntry] }, 'Undid 1 actions')
+    })
+
+    test('still saves the stack when undoing an entry throws, so undone entries are not undone again', async () => {
+      const note = makeNote('a.md', ['# A', '* [x] done'])
+      // $FlowIgnore[prop-missing]
+      getNoteByFilename.mockImplementation((filename: string) => (filename === 'a.md' ? note : null))
+      const oldestEntry = { actionType: 'completeTask', before: lineState('a.md', '* oldest'), after: lineState('a.md', '* [x] oldest') }
+      const missingNoteEntry = { actionType: 'completeTask', before: lineState('gone.md', '* gone'), after: lineState('gone.md', '* [x] gone') }
+      const entry = { actionType: 'completeTask', before: lineState('a.md', '* done'), after: lineState('a.md', '* [x] done') }
+      // $FlowIgnore[prop-missing]
+      getGlobalSharedData.mockResolvedValue({ pluginData: { undoStack: [oldestEntry, missingNoteEntry, entry] } })
+
+      const result = await doUndoLastActions({ actionType: 'undoLastActions', undoCount: 3 })
+
+      expect(result.success).toEqual(true)
+      expect(note.updateParagraph).toHaveBeenCalledTimes(1)
+      expect(setPluginData).toHaveBeenCalledWith({ undoStack: [oldestEntry] }, 'Undid 1 actions')
+      expect(showMessage).toHaveBeenCalledWith(expect.stringContaining("Can't find note 'gone.md'"))
+    })
+  })
+})
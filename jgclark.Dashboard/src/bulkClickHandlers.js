@@ -0,0 +1,159 @@
+// @flow
+//-----------------------------------------------------------------------------
+// Dashboard plugin handler for actions on several selected items at once
+// The routing is in pluginToHTMLBridge.js/bridgeClickDashboardItem()
+// Last updated 2024-08-04 for v2.1.0 by @jgclark
+//-----------------------------------------------------------------------------
+
+import {
+  doCancelChecklist,
+  doCancelTask,
+  doCompleteChecklist,
+  doCompleteTask,
+  doCyclePriorityStateDown,
+  doCyclePriorityStateUp,
+  doUpdateTaskDate,
+} from './clickHandlers'
+import { getDashboardSettings, handlerResult, moveItemToRegularNote } from './dashboardHelpers'
+import { doMoveFromCalToCal } from './moveClickHandlers'
+import type { MessageDataObject, TActionOnReturn, TActionType, TBridgeClickHandlerResult, TSectionItem, TUndoEntry } from './types'
+import { addToUndoStack, getUndoLineState, makeUndoEntry } from './undoClickHandlers'
+import { JSP, logError, logInfo, logWarn } from '@helpers/dev'
+import { getNoteByFilename } from '@helpers/note'
+import { chooseHeading, chooseNote } from '@helpers/userInput'
+
+//-----------------------------------------------------------------
+// constants
+
+// The actions that can be applied to several items at once
+const allowedBulkActionTypes: Array<TActionType> = ['completeTask', 'cancelTask', 'updateTaskDate', 'moveToNote', 'cyclePriorityStateUp', 'cyclePriorityStateDown']
+
+// Bulk actions that can change which sections the items should appear in, and so need all sections refreshing
+const bulkActionTypesNeedingFullRefresh: Array<TActionType> = ['updateTaskDate', 'moveToNote']
+
+//-----------------------------------------------------------------
+
+/**
+ * Apply one action to each of the selected items (in data.items), and then return a single instruction to refresh the display.
+ * The action is given by data.bulkActionType, and its detail (e.g. the date to reschedule to) in data.controlStr.
+ * Items that are checklists get the checklist version of complete and cancel.
+ * Rescheduling follows the same logic as the item dialog: items in calendar notes are moved to the new calendar note, unless the 'rescheduleNotMove' setting is on.
+ * Moving to a note only asks the user once for the note and heading to move all the items to.
+ * @param {MessageDataObject} data with items, bulkActionType, controlStr and sectionCodes
+ * @returns {TBridgeClickHandlerResult}
+ */
+export async function doBulkAction(data: MessageDataObject): Promise<TBridgeClickHandlerResult> {
+  try {
+    const { items, bulkActionType, controlStr, sectionCodes } = data
+    if (!items || items.length === 0) throw new Error('No items provided')
+    if (!bulkActionType || !allowedBulkActionTypes.includes(bulkActionType)) throw new Error(`Can't do bulk action '${String(bulkActionType)}'`)
+    logInfo('doBulkAction', `Starting '${bulkActionType}' ${controlStr ? `(${controlStr}) ` : ''}for ${items.length} items`)
+    const config = await getDashboardSettings()
+
+    // For moves to a regular note, ask the user just once where to move them all to
+    let destNote: ?TNote
+    let destHeading: string = ''
+    if (bulkActionType === 'moveToNote') {
+      destNote = await chooseNote(true, false, [], `Choose Note to Move ${items.length} items to`, false, true)
+      if (!destNote) {
+        logInfo('doBulkAction', `User cancelled choice of note to move to`)
+        return handlerResult(false)
+      }
+      destHeading = await chooseHeading(destNote, true, true, false)
+    }
+
+    let successCount = 0
+    const undoEntries: Array<TUndoEntry> = []
+    for (const item of items) {
+      const itemData: MessageDataObject = { actionType: bulkActionType, item: item, controlStr: controlStr, sectionCodes: sectionCodes }
+      const undoEntry = await doBulkActionForItem(bulkActionType, itemData, item, config.rescheduleNotMove, destNote, destHeading)
+      if (undoEntry !== false) {
+        successCount++
+        if (undoEntry) undoEntries.push(undoEntry)
+      } else {
+        logWarn('doBulkAction', `- failed for {${item.para?.content ?? item.ID}}`)
+      }
+    }
+    logInfo('doBulkAction', `-> '${bulkActionType}' succeeded for ${successCount} of ${items.length} items`)
+    // Record each item's action separately, so they can be undone one by one
+    await addToUndoStack(undoEntries)
+
+    // Return a single refresh instruction, rather than one per item
+    const actionsOnSuccess: Array<TActionOnReturn> = bulkActionTypesNeedingFullRefresh.includes(bulkActionType)
+      ? ['REFRESH_ALL_SECTIONS', 'START_DELAYED_REFRESH_TIMER']
+      : ['REFRESH_SECTION_IN_JSON', 'START_DELAYED_REFRESH_TIMER']
+    return handlerResult(successCount > 0, actionsOnSuccess, { sectionCodes: sectionCodes })
+  } catch (error) {
+    logError('doBulkAction', error.message)
+    return handlerResult(false)
+  }
+}
+
+/**
+ * Apply the bulk action to a single item, using the same handler functions as for single-item actions (but ignoring their display instructions)
+ * @param {TActionType} bulkActionType
+ * @param {MessageDataObject} itemData
+ * @param {TSectionItem} item
+ * @param {boolean} rescheduleNotMove setting
+ * @param {TNote?} destNote for 'moveToNote'
+ * @param {string} destHeading for 'moveToNote'
+ * @returns {Promise<?TUndoEntry | false>} false on failure, otherwise the entry to add to the undo stack (or null if it can't be undone)
+ */
+async function doBulkActionForItem(
+  bulkActionType: TActionType,
+  itemData: MessageDataObject,
+  item: TSectionItem,
+  rescheduleNotMove: boolean,
+  destNote: ?TNote,
+  destHeading: string,
+): Promise<?TUndoEntry | false> {
+  try {
+    const isChecklist = item.itemType === 'checklist'
+    const undoBefore = item.para ? getUndoLineState(item.para.filename, item.para.content) : null
+    // The single-item action actually used for this item (so the right sort of undo entry can be made)
+    let itemActionType: TActionType = bulkActionType
+    let result: TBridgeClickHandlerResult = handlerResult(false)
+    switch (bulkActionType) {
+      case 'completeTask': {
+        itemActionType = isChecklist ? 'completeChecklist' : 'completeTask'
+        result = isChecklist ? doCompleteChecklist(itemData) : doCompleteTask(itemData)
+        break
+      }
+      case 'cancelTask': {
+        itemActionType = isChecklist ? 'cancelChecklist' : 'cancelTask'
+        result = isChecklist ? doCancelChecklist(itemData) : doCancelTask(itemData)
+        break
+      }
+      case 'updateTaskDate': {
+        itemActionType = item.para?.noteType === 'Calendar' && !rescheduleNotMove ? 'moveFromCalToCal' : 'updateTaskDate'
+        result = itemActionType === 'moveFromCalToCal' ? await doMoveFromCalToCal(itemData) : await doUpdateTaskDate(itemData)
+        break
+      }
+      case 'cyclePriorityStateUp': {
+        result = doCyclePriorityStateUp(itemData)
+        break
+      }
+      case 'cyclePriorityStateDown': {
+        result = doCyclePriorityStateDown(itemData)
+        break
+      }
+      case 'moveToNote': {
+        if (!destNote || !item.para) return false
+        const content = item.para.content
+        const newNote = await moveItemToRegularNote(item.para.filename, content, item.itemType, destNote, destHeading)
+        result = handlerResult(Boolean(newNote), [], { updatedParagraph: newNote?.paragraphs.find((p) => p.content === content) })
+        break
+      }
+    }
+
+    // Make sure the cache is up to date for this note, as we're not asking for each line to be updated
+    if (result.success && item.para?.filename) {
+      const thisNote = getNoteByFilename(item.para.filename)
+      if (thisNote) DataStore.updateCache(thisNote, false)
+    }
+    return result.success ? makeUndoEntry(itemActionType, undoBefore, result) : false
+  } catch (error) {
+    logError('doBulkActionForItem', `${error.message} for ${JSP(item)}`)
+    return false
+  }
+}
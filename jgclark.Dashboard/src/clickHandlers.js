@@ -3,7 +3,7 @@
 // clickHandlers.js
 // Handler functions for dashboard clicks that come over the bridge
 // The routing is in pluginToHTMLBridge.js/bridgeClickDashboardItem()
-// Last updated 2024-07-14 for v2.0.1 by @jgclark
+// Last updated 2024-08-05 for v2.1.0 by @jgclark
 //-----------------------------------------------------------------------------
 import {
   addChecklistToNoteHeading,
@@ -31,6 +31,7 @@ import {
   type TPluginData,
 } from "./types"
 import { getAllSectionsData, getSomeSectionsData } from "./dataGeneration"
+import { getFocusData } from "./focusHelpers"
 import { validateAndFlattenMessageObject } from "./shared"
 import {
   cancelItem,
@@ -194,6 +195,17 @@ export async function refreshSomeSections(data: MessageDataObject, calledByTrigg
   return handlerResult(true)
 }
 
+/**
+ * Re-generate the time block data for the Focus view, and send it to the React window
+ * @param {MessageDataObject} _data (not used)
+ * @returns {TBridgeClickHandlerResult}
+ */
+export async function doRefreshFocusData(_data: MessageDataObject): Promise<TBridgeClickHandlerResult> {
+  const focusData = getFocusData()
+  await setPluginData({ focusData: focusData }, `Refreshed Focus data: ${focusData.timeBlocks.length} time blocks`)
+  return handlerResult(true)
+}
+
 /**
  * Prepend an open task to 'calNoteFilename' calendar note, using text we prompt the user for.
  * Note: It only writes to Calendar notes, as that's only what Dashboard needs.
@@ -325,7 +337,8 @@ export async function doDeleteItem(data: MessageDataObject): Promise<TBridgeClic
   const updatedParagraph = findParaFromStringAndFilename(filename, content)
   const res = await deleteItem(filename, content)
   logDebug('doDeleteItem', `-> ${String(res)}`)
-  return handlerResult(true, ['REMOVE_LINE_FROM_JSON', 'START_DELAYED_REFRESH_TIMER'], { updatedParagraph })
+  // Note: res is false if the user chose not to delete it, which mustn't be recorded as a deletion (e.g. for undo)
+  return handlerResult(res, ['REMOVE_LINE_FROM_JSON', 'START_DELAYED_REFRESH_TIMER'], { updatedParagraph })
 }
 
 /** 
@@ -1,7 +1,7 @@
 // @flow
 //-----------------------------------------------------------------------------
 // Constants for Dashboard code
-// Last updated 2024-07-24 for v2.0.4 by @jgclark
+// Last updated 2024-08-02 for v2.1.0 by @jgclark
 //-----------------------------------------------------------------------------
 import pluginJson from '../plugin.json'
 import type { TSectionDetails, TSectionCode } from "./types"
@@ -21,6 +21,9 @@ export const allSectionDetails: Array<TSectionDetails> = [
   // TAG types are treated specially (one for each tag a user wants to see). 
   // Use getTagSectionDetails() to get them
   { sectionCode: 'TAG', sectionName: '', showSettingName: `showTagSection` }, // sectionName set later to reflect the tagsToShow setting
+  // SEARCH types are also treated specially (one for each saved search query a user sets up).
+  // Use getCustomSectionDetails() to get them
+  { sectionCode: 'SEARCH', sectionName: '', showSettingName: `showSearchSection` }, // sectionName set later to reflect the customSectionsToShow setting
   { sectionCode: 'PROJ', sectionName: 'Projects', showSettingName: 'showProjectSection' },
   // these at the end becasue they take the longest to load
   { sectionCode: 'PRIORITY', sectionName: 'Priority', showSettingName: 'showPrioritySection' },
@@ -31,6 +34,6 @@ export const allSectionCodes: Array<TSectionCode> = allSectionDetails.map(s => s
 
 export const allCalendarSectionCodes = ['DT', 'DY', 'DO', 'W', 'M', 'Q']
 
-export const sectionDisplayOrder = ['DT', 'DY', 'DO', 'W', 'M', 'Q', 'TAG', 'OVERDUE', 'PRIORITY', 'PROJ']
+export const sectionDisplayOrder = ['DT', 'DY', 'DO', 'W', 'M', 'Q', 'TAG', 'SEARCH', 'OVERDUE', 'PRIORITY', 'PROJ']
 
-export const sectionPriority = ['TAG', 'DT', 'DY', 'DO', 'W', 'M', 'Q', 'PRIORITY', 'OVERDUE'] // change this order to change which duplicate gets kept - the first on the list
+export const sectionPriority = ['TAG', 'SEARCH', 'DT', 'DY', 'DO', 'W', 'M', 'Q', 'PRIORITY', 'OVERDUE'] // change this order to change which duplicate gets kept - the first on the list
@@ -0,0 +1,231 @@
+// @flow
+//-----------------------------------------------------------------------------
+// Helpers for user-defined 'custom' sections, driven by saved search queries
+// Last updated 2024-08-02 for v2.1.0 by @jgclark
+//-----------------------------------------------------------------------------
+
+import {
+  applySearchOperators,
+  type noteAndLine,
+  type resultObjectTypeV3,
+  type typedSearchTerm,
+  validateAndTypeSearchTerms,
+} from '../../jgclark.SearchExtensions/src/searchHelpers.js'
+import type { TDashboardSettings } from './types'
+import {
+  calcOffsetDateStr,
+  getISODateStringFromYYYYMMDD,
+  getTodaysDateHyphenated,
+  RE_DATE,
+  RE_DATE_INTERVAL,
+} from '@helpers/dateTime'
+import { logDebug, logWarn } from '@helpers/dev'
+import { getFolderFromFilename } from '@helpers/folders'
+import { projectNotesFromFilteredFolders } from '@helpers/note'
+import { getNumericPriorityFromPara } from '@helpers/sorting'
+import { isOpen, isOpenTask } from '@helpers/utils'
+
+//-----------------------------------------------------------------
+// Types
+
+// The parsed form of a custom section's query string
+export type TCustomSectionQuery = {
+  searchTerms: Array<typedSearchTerm>, // the #tag, @mention and free text terms, typed by SearchExtensions
+  folders: Array<string>, // only include items from regular notes in these folders (and their sub-folders)
+  minPriority: number, // 0 = no restriction
+  dueFromDateStr: string, // ISO date, or '' for no lower limit
+  dueToDateStr: string, // ISO date, or '' for no upper limit
+}
+
+//-----------------------------------------------------------------
+// Constants
+
+// Operators that can be used in a query alongside the normal search terms.
+// Values may be double-quoted, to allow for spaces (e.g. folder:"Work Projects")
+const RE_QUERY_OPERATOR = /(?:^|\s)(folder|priority|due):(?:"([^"]*)"|(\S*))/g
+
+//-----------------------------------------------------------------
+
+/**
+ * Resolve a date given in a custom section query to an ISO date string.
+ * Accepts 'today', an ISO date (YYYY-MM-DD), or a date interval relative to today (e.g. '+7d', '-2w').
+ * @param {string} dateIn
+ * @param {string} todayISO (default: today's date)
+ * @returns {string} ISO date, or '' if it can't be understood
+ * @tests in jest file
+ */
+export function resolveQueryDateStr(dateIn: string, todayISO: string = getTodaysDateHyphenated()): string {
+  const dateStr = dateIn.trim()
+  if (dateStr === '') return ''
+  if (dateStr === 'today') return todayISO
+  if (new RegExp(`^${RE_DATE}$`).test(dateStr)) return dateStr
+  if (new RegExp(`^${RE_DATE_INTERVAL}$`).test(dateStr)) {
+    return calcOffsetDateStr(todayISO, dateStr.startsWith('+') || dateStr.startsWith('-') ? dateStr : `+${dateStr}`)
+  }
+  logWarn('resolveQueryDateStr', `Can't understand date '${dateStr}' in query, so will ignore it`)
+  return ''
+}
+
+/**
+ * Parse a custom section's query string into its parts.
+ * The query uses the same syntax as the Search Extensions plugin (with its +must, -not-line and !not-note operators), plus these optional operators:
+ * - folder:<name> (can be repeated)
+ * - priority:<n> to only include items with at least this priority (1-4)
+ * - due:<from>..<to> to only include items due in this range (either end can be left out), or due:<date> for a single date. Dates can be 'today', YYYY-MM-DD or an interval like '+7d'.
+ * @example '#project @bob folder:Work priority:2 due:..+7d -#waiting'
+ * @param {string} query
+ * @param {string} todayISO (default: today's date)
+ * @returns {TCustomSectionQuery}
+ * @tests in jest file
+ */
+export function parseCustomSectionQuery(query: string, todayISO: string = getTodaysDateHyphenated()): TCustomSectionQuery {
+  const folders: Array<string> = []
+  let minPriority = 0
+  let dueFromDateStr = ''
+  let dueToDateStr = ''
+
+  // Pull out the operators, leaving the rest for normal search term processing
+  const operatorMatches = Array.from(query.matchAll(RE_QUERY_OPERATOR))
+  for (const m of operatorMatches) {
+    const operator = m[1]
+    const value = m[2] ?? m[3] ?? ''
+    switch (operator) {
+      case 'folder': {
+        if (value !== '') folders.push(value.replace(/\/$/, ''))
+        break
+      }
+      case 'priority': {
+        const num = Number(value)
+        if (Number.isNaN(num)) {
+          logWarn('parseCustomSectionQuery', `Ignoring invalid priority '${value}'`)
+        } else {
+          minPriority = num
+        }
+        break
+      }
+      case 'due': {
+        if (value.includes('..')) {
+          const [fromPart, toPart] = value.split('..')
+          dueFromDateStr = resolveQueryDateStr(fromPart, todayISO)
+          dueToDateStr = resolveQueryDateStr(toPart, todayISO)
+        } else {
+          dueFromDateStr = resolveQueryDateStr(value, todayISO)
+          dueToDateStr = dueFromDateStr
+        }
+        break
+      }
+    }
+  }
+  const remainingQuery = query.replace(RE_QUERY_OPERATOR, ' ').replace(/\s{2,}/g, ' ').trim()
+
+  // Type the remaining search terms (allowing them to be only negative)
+  const searchTerms = remainingQuery !== '' ? validateAndTypeSearchTerms(remainingQuery, true) : []
+  logDebug('parseCustomSectionQuery', `'${query}' -> ${searchTerms.length} terms, folders [${String(folders)}], minPriority ${minPriority}, due ${dueFromDateStr}..${dueToDateStr}`)
+
+  return { searchTerms, folders, minPriority, dueFromDateStr, dueToDateStr }
+}
+
+/**
+ * Get the ISO date an item is due, from its first >YYYY-MM-DD (or >today) date, or failing that the date of the daily note it is in.
+ * Note: Week, month and quarter scheduling is not (yet) considered.
+ * @param {string} content
+ * @param {string} filename
+ * @param {string} todayISO (default: today's date)
+ * @returns {string} ISO date or ''
+ * @tests in jest file
+ */
+export function getDueDateStrForItem(content: string, filename: string, todayISO: string = getTodaysDateHyphenated()): string {
+  const scheduledDateMatch = content.match(new RegExp(`>(${RE_DATE})`))
+  if (scheduledDateMatch) return scheduledDateMatch[1]
+  if (content.includes('>today')) return todayISO
+  const dailyNoteMatch = filename.match(/^(\d{8})\.(md|txt)$/)
+  if (dailyNoteMatch) return getISODateStringFromYYYYMMDD(dailyNoteMatch[1])
+  return ''
+}
+
+/**
+ * Does a para satisfy the non-search-term parts of the query (i.e. priority and due date range)?
+ * @param {TParagraph} p
+ * @param {TCustomSectionQuery} query
+ * @param {string} todayISO
+ * @returns {boolean}
+ */
+function paraMatchesQueryLimits(p: TParagraph, query: TCustomSectionQuery, todayISO: string): boolean {
+  if (query.minPriority > 0 && getNumericPriorityFromPara(p) < query.minPriority) return false
+  if (query.dueFromDateStr !== '' || query.dueToDateStr !== '') {
+    const dueDateStr = getDueDateStrForItem(p.content, p.note?.filename ?? '', todayISO)
+    if (dueDateStr === '') return false
+    if (query.dueFromDateStr !== '' && dueDateStr < query.dueFromDateStr) return false
+    if (query.dueToDateStr !== '' && dueDateStr > query.dueToDateStr) return false
+  }
+  return true
+}
+
+/**
+ * Make the noteAndLine object used by the Search Extensions plugin to record a search match
+ * @param {TParagraph} p
+ * @returns {noteAndLine}
+ */
+function makeNoteAndLine(p: TParagraph): noteAndLine {
+  return { noteFilename: p.note?.filename ?? '', line: p.rawContent, index: p.lineIndex }
+}
+
+/**
+ * Find all open items that match a custom section's query.
+ * This gathers the open items from the relevant notes, and then applies each search term to them, before using applySearchOperators() from the Search Extensions plugin to combine the results. This means the query syntax is the same as for the search commands.
+ * @param {TCustomSectionQuery} query
+ * @param {TDashboardSettings} config
+ * @returns {Array<TParagraph>}
+ */
+export function getCustomSectionParas(query: TCustomSectionQuery, config: TDashboardSettings): Array<TParagraph> {
+  const todayISO = getTodaysDateHyphenated()
+
+  // Get the notes to look in: regular notes (excluding 'ignoreFolders'), and calendar notes unless we've been given folders to look in
+  const ignoreFolders = config.ignoreFolders ? config.ignoreFolders.split(',').map((folder) => folder.trim()) : []
+  let notesToCheck: Array<TNote> = projectNotesFromFilteredFolders(ignoreFolders, true)
+  if (query.folders.length > 0) {
+    notesToCheck = notesToCheck.filter((n) => {
+      const thisFolder = getFolderFromFilename(n.filename)
+      return query.folders.some((f) => thisFolder === f || thisFolder.startsWith(`${f}/`))
+    })
+  } else {
+    notesToCheck = notesToCheck.concat(DataStore.calendarNotes.slice())
+  }
+
+  // Get all the candidate open items, keyed by filename and line index so they can be found again after applying search operators
+  const isWantedType = config.ignoreChecklistItems ? isOpenTask : isOpen
+  const candidateParas: Map<string, TParagraph> = new Map()
+  for (const n of notesToCheck) {
+    for (const p of n.paragraphs) {
+      if (isWantedType(p) && paraMatchesQueryLimits(p, query, todayISO)) {
+        candidateParas.set(`${p.note?.filename ?? ''}:${String(p.lineIndex)}`, p)
+      }
+    }
+  }
+  logDebug('getCustomSectionParas', `- ${candidateParas.size} candidate open items from ${notesToCheck.length} notes`)
+
+  // Find the candidates that match each search term, and then combine using the search operators.
+  // Note: 'not-note' terms need to look at every line in the notes, not just the open items.
+  const termsResults: Array<resultObjectTypeV3> = query.searchTerms.map((st) => {
+    const termLC = st.term.toLowerCase()
+    const parasToSearch: Array<TParagraph> = st.type === 'not-note' ? notesToCheck.map((n) => n.paragraphs).flat() : Array.from(candidateParas.values())
+    const resultNoteAndLineArr: Array<noteAndLine> = parasToSearch
+      .filter((p) => p.content.toLowerCase().includes(termLC))
+      .map((p) => makeNoteAndLine(p))
+    return { searchTerm: st, resultNoteAndLineArr: resultNoteAndLineArr, resultCount: resultNoteAndLineArr.length }
+  })
+
+  // If there are no positive search terms (e.g. the query only has 'folder:' or 'not' terms), then start from all the candidates
+  if (!query.searchTerms.some((st) => st.type === 'must' || st.type === 'may')) {
+    const allNALs = Array.from(candidateParas.values()).map((p) => makeNoteAndLine(p))
+    termsResults.unshift({ searchTerm: { term: '', type: 'may', termRep: '<all>' }, resultNoteAndLineArr: allNALs, resultCount: allNALs.length })
+  }
+  const combinedResults = applySearchOperators(termsResults, 0)
+
+  const matchingParas: Array<TParagraph> = []
+  for (const nal of combinedResults.resultNoteAndLineArr) {
+    const p = candidateParas.get(`${nal.noteFilename}:${String(nal.index)}`)
+    if (p) matchingParas.push(p)
+  }
+  return matchingParas
+}
@@ -1,7 +1,7 @@
 // @flow
 //-----------------------------------------------------------------------------
 // Dashboard plugin helper functions
-// Last updated 2024-07-24 for v2.0.4 by @jgclark
+// Last updated 2024-08-03 for v2.1.0 by @jgclark
 //-----------------------------------------------------------------------------
 
 import moment from 'moment/min/moment-with-locales'
@@ -803,12 +803,15 @@ export async function moveItemBetweenCalendarNotes(NPFromDateStr: string, NPToDa
 
 /**
  * Note: has to be on the Plugin side, as it makes calls to the NP API.
+ * If destNoteIn and headingIn are given (e.g. when moving several items at once), then the user isn't asked for them.
  * @param {string} filename line is currently in
  * @param {string} content of line
  * @param {TItemType} itemType of line
+ * @param {TNote?} destNoteIn (optional) note to move to
+ * @param {string?} headingIn (optional) heading to move under
  * @returns {TNote} returns new note the line was moved to
  */
-export async function moveItemToRegularNote(filename: string, content: string, itemType: TItemType): Promise<TNote | null> {
+export async function moveItemToRegularNote(filename: string, content: string, itemType: TItemType, destNoteIn?: TNote, headingIn?: string): Promise<TNote | null> {
   try {
     // const { filename, content } = validateAndFlattenMessageObject(data)
     logDebug('moveItemToRegularNote', `Starting with {${content}} in ${filename}`)
@@ -822,14 +825,14 @@ export async function moveItemToRegularNote(filename: string, content: string, i
     // const itemType = data.itemType
     logDebug('moveItemToRegularNote', `- itemType: ${itemType}`)
 
-    // Ask user for destination project note
+    // Ask user for destination project note (unless we've been given it)
     const typeToDisplayToUser = itemType === 'checklist' ? 'Checklist' : 'Task'
-    const destNote = await chooseNote(true, false, [], `Choose Note to Move ${typeToDisplayToUser} to`, false, true)
+    const destNote = destNoteIn ?? await chooseNote(true, false, [], `Choose Note to Move ${typeToDisplayToUser} to`, false, true)
     logDebug('moveItemToRegularNote', `- Moving to note '${displayTitle(destNote)}'`)
     if (!destNote) return null
 
-    // Ask to which heading to add the selectedParas
-    const headingToFind = await chooseHeading(destNote, true, true, false)
+    // Ask to which heading to add the selectedParas (unless we've been given it)
+    const headingToFind = headingIn ?? await chooseHeading(destNote, true, true, false)
     logDebug('moveItemToRegularNote', `- Moving to note '${displayTitle(destNote)}' under heading: '${headingToFind}'`)
 
     // Add text to the new location in destination note
@@ -1,7 +1,7 @@
 // @flow
 //-----------------------------------------------------------------------------
 // Settings for the dashboard - loaded/set in React Window
-// Last updated 2024-07-20 for v2.0.3 by @jgclark
+// Last updated 2024-08-02 for v2.1.0 by @jgclark
 //-----------------------------------------------------------------------------
 
 import type { TSettingItem } from "./types.js"
@@ -146,6 +146,20 @@ export const dashboardSettingDefs: Array<TSettingItem> = [
   {
     type: 'separator',
   },
+  {
+    type: 'heading',
+    label: "Custom (Saved Search) sections",
+  },
+  {
+    key: "customSectionsToShow",
+    label: "Saved search queries to show",
+    description: "Each query here is shown as its own section of open items. Queries use the same syntax as the Search Extensions plugin (e.g. '#project +@bob -#waiting'), and can also use 'folder:Work', 'priority:2' (minimum priority), and 'due:today..+7d' (either end can be left out; dates can be YYYY-MM-DD, 'today' or an interval like '+2w'). Give each query a name by putting it in square brackets before the query, and separate queries with a '|'. For example: '[This week's work] folder:Work due:..+7d | [Urgent] priority:3'.",
+    type: 'input',
+    default: "",
+  },
+  {
+    type: 'separator',
+  },
   {
     type: 'heading',
     label: "Automatic Refresh"
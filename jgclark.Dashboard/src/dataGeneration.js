@@ -1,7 +1,7 @@
 // @flow
 //-----------------------------------------------------------------------------
 // Dashboard plugin main function to generate data
-// Last updated 2024-07-24 for v2.0.4 by @jgclark
+// Last updated 2024-08-02 for v2.1.0 by @jgclark
 //-----------------------------------------------------------------------------
 
 import moment from 'moment/min/moment-with-locales'
@@ -13,7 +13,8 @@ import type {
   TSectionCode, TSection, TSectionItem, TSectionDetails
 } from './types'
 import { allSectionCodes } from "./constants.js"
-import { getTagSectionDetails } from './react/components/Section/sectionHelpers.js'
+import { getCustomSectionDetails, getTagSectionDetails } from './react/components/Section/sectionHelpers.js'
+import { getCustomSectionParas, parseCustomSectionQuery } from './customSectionHelpers'
 import { getNumCompletedTasksTodayFromNote } from './countDoneTasks'
 import {
   // extendParasToAddStartTimes,
@@ -100,6 +101,7 @@ export async function getAllSectionsData(useDemoData: boolean = false, forceLoad
     if (forceLoadAll || config.showMonthSection) sections.push(...getThisMonthSectionData(config, useDemoData, useEditorWherePossible))
     if (forceLoadAll || config.showQuarterSection) sections.push(...getThisQuarterSectionData(config, useDemoData, useEditorWherePossible))
     if (forceLoadAll || config.tagsToShow) sections = sections.concat(getTaggedSections(config, useDemoData))
+    if (forceLoadAll || config.customSectionsToShow) sections = sections.concat(getCustomSections(config, useDemoData))
     if (forceLoadAll || config.showOverdueSection) sections.push(await getOverdueSectionData(config, useDemoData))
     if (forceLoadAll || config.showPrioritySection) sections.push(await getPrioritySectionData(config, useDemoData))
     sections.push(await getProjectSectionData(config, useDemoData))
@@ -135,6 +137,7 @@ export async function getSomeSectionsData(
     if (sectionCodesToGet.includes('M') && config.showMonthSection) sections.push(...getThisMonthSectionData(config, useDemoData, useEditorWherePossible))
     if (sectionCodesToGet.includes('Q') && config.showQuarterSection) sections.push(...getThisQuarterSectionData(config, useDemoData, useEditorWherePossible))
     if (sectionCodesToGet.includes('TAG') && config.tagsToShow) sections = sections.concat(getTaggedSections(config, useDemoData))
+    if (sectionCodesToGet.includes('SEARCH') && config.customSectionsToShow) sections = sections.concat(getCustomSections(config, useDemoData))
     if (sectionCodesToGet.includes('PROJ') && config.showProjectSection) sections.push(await getProjectSectionData(config, useDemoData))
     if (sectionCodesToGet.includes('OVERDUE') && config.showOverdueSection) sections.push(await getOverdueSectionData(config, useDemoData))
     if (sectionCodesToGet.includes('PRIORITY') && config.showPrioritySection) sections.push(await getPrioritySectionData(config, useDemoData))
@@ -1199,6 +1202,109 @@ export function getTaggedSectionData(config: TDashboardSettings, useDemoData: bo
   return section
 }
 
+/**
+ * Get the custom sections for each saved search query - they will all be sectionCode=SEARCH
+ * sectionName will be the name given to the query, and showSettingName will be unique for this query
+ * @param {TDashboardSettings} config
+ * @param {boolean} [useDemoData=false]
+ * @returns {Array<TSection>}
+ */
+export function getCustomSections(config: TDashboardSettings, useDemoData: boolean = false): Array<TSection> {
+  const startTime = new Date()
+  const customSections = getCustomSectionDetails(config)
+
+  const output = customSections.reduce((acc: Array<TSection>, sectionDetail: TSectionDetails, index: number) => {
+    const showSettingForSection = config[sectionDetail.showSettingName]
+    if (typeof showSettingForSection === 'undefined' || showSettingForSection) acc.push(getCustomSectionData(config, useDemoData, sectionDetail, index))
+    return acc
+  }, [])
+  logTimer('getCustomSections', startTime, `at end`, 1500)
+  return output
+}
+
+/**
+ * Generate data for a custom section, from the open items that match its saved search query.
+ * Unless the query has a 'due:' range, items scheduled in the future are left out, as for the Tag/Mention sections.
+ * @param {TDashboardSettings} config
+ * @param {boolean} useDemoData?
+ * @param {TSectionDetails} sectionDetail
+ * @param {number} index of this custom section
+ * @returns {TSection}
+ */
+export function getCustomSectionData(config: TDashboardSettings, useDemoData: boolean = false, sectionDetail: TSectionDetails, index: number): TSection {
+  const thisStartTime = new Date()
+  const sectionNum = `16-${index}`
+  const thisSectionCode = 'SEARCH'
+  const maxInSection = config.maxItemsToShowInSection ?? 30
+  logInfo('getCustomSectionData', `------- Gathering Custom items for section #${String(sectionNum)}: ${sectionDetail.sectionName} --------`)
+  let itemCount = 0
+  const items: Array<TSectionItem> = []
+
+  if (useDemoData) {
+    tagParasFromNote.map((item) => {
+      const thisID = `${sectionNum}-${itemCount}`
+      items.push({ ID: thisID, ...item })
+      itemCount++
+    })
+  } else {
+    const query = parseCustomSectionQuery(sectionDetail.sectionQuery ?? '')
+    let matchingParas = getCustomSectionParas(query, config)
+    logTimer('getCustomSectionData', thisStartTime, `to find ${matchingParas.length} paras matching '${sectionDetail.sectionQuery ?? ''}'`)
+
+    // filter out paras in the future, unless the query says which dates it wants
+    if (query.dueFromDateStr === '' && query.dueToDateStr === '') {
+      const dateToUseUnhyphenated = config.showTomorrowSection ? new moment().add(1, 'days').format("YYYYMMDD") : new moment().format("YYYYMMDD")
+      matchingParas = matchingParas.filter(p => !filenameIsInFuture(p.filename || '', dateToUseUnhyphenated))
+      const dateToUseHyphenated = config.showTomorrowSection ? new moment().add(1, 'days').format("YYYY-MM-DD") : new moment().format("YYYY-MM-DD")
+      matchingParas = matchingParas.filter(p => !includesScheduledFutureDate(p.content, dateToUseHyphenated))
+    }
+
+    if (matchingParas.length > 0) {
+      // Remove possible dupes from sync'd lines, and cut down to just what the Dashboard needs
+      matchingParas = eliminateDuplicateSyncedParagraphs(matchingParas)
+      const dashboardParas = makeDashboardParas(matchingParas)
+
+      // Sort paragraphs in the same way as the Tag/Mention sections
+      const sortOrder =
+        config.overdueSortOrder === 'priority'
+          ? ['-priority', '-changedDate']
+          : config.overdueSortOrder === 'earliest'
+          ? ['changedDate', 'priority']
+          : ['-changedDate', 'priority'] // 'most recent'
+      const sortedParas = sortListBy(dashboardParas, sortOrder)
+
+      // Apply limit to set of ordered results
+      const sortedParasLimited = sortedParas.length > maxInSection ? sortedParas.slice(0, maxInSection) : sortedParas
+      logDebug('getCustomSectionData', `- after applying [${maxInSection}] limit, now ${sortedParasLimited.length} items to show for ${sectionDetail.sectionName}`)
+      for (const p of sortedParasLimited) {
+        const thisID = `${sectionNum}.${itemCount}`
+        // $FlowIgnore[incompatible-call]
+        items.push(getSectionItemObject(thisID, p))
+        itemCount++
+      }
+    } else {
+      logDebug('getCustomSectionData', `- no items to show for ${sectionDetail.sectionName}`)
+    }
+  }
+
+  // Return section details, even if no items found
+  const section: TSection = {
+    ID: sectionNum,
+    name: sectionDetail.sectionName,
+    showSettingName: sectionDetail.showSettingName,
+    sectionCode: thisSectionCode,
+    description: `{count} item{s} ordered by ${config.overdueSortOrder}`,
+    FAIconClass: 'fa-light fa-magnifying-glass',
+    sectionTitleClass: 'sidebarSearch',
+    sectionFilename: '',
+    sectionItems: items,
+    generatedDate: new Date(),
+    actionButtons: [],
+  }
+  logTimer('getCustomSectionData', thisStartTime, `to find ${itemCount} ${sectionDetail.sectionName} items`, 1000)
+  return section
+}
+
 // ----------------------------------------------------------
 /**
  * Generate data for a section for Overdue tasks
@@ -0,0 +1,149 @@
+// @flow
+//-----------------------------------------------------------------------------
+// Helpers for the Dashboard's 'Focus' mode, which shows the current and next time blocks from today's note, with the items in or scheduled into them
+// Last updated 2024-08-05 for v2.1.0 by @jgclark
+//-----------------------------------------------------------------------------
+
+import moment from 'moment/min/moment-with-locales'
+import { makeDashboardParas } from './dashboardHelpers'
+import type { TFocusData, TFocusTimeBlock, TSectionItem } from './types'
+import { logDebug, logError, logWarn } from '@helpers/dev'
+import { getReferencedParagraphs } from '@helpers/NPnote'
+import { getParagraphBlock } from '@helpers/NPParagraph'
+import { RE_NOTELINK_CAPTURE_TITLE_G } from '@helpers/regex'
+import { getTimeBlockString, isTimeBlockPara } from '@helpers/timeblocks'
+import { isOpen } from '@helpers/utils'
+
+//-----------------------------------------------------------------
+// Constants
+
+// How long to treat a time block as lasting if it only has a start time (e.g. 'at 5pm')
+const defaultTimeBlockDurationMins = 60
+
+//-----------------------------------------------------------------
+
+/**
+ * Get the start and end times (as 24-hour 'HH:MM' strings) from a time block string, using NP's own date text parser.
+ * If there is no end time, then the block is treated as lasting for 'defaultTimeBlockDurationMins'.
+ * @param {string} timeBlockStr e.g. '9:00-10:30' or 'at 5pm'
+ * @returns {?[string, string]} [start, end], or null if it can't be parsed
+ */
+export function getTimeBlockTimes(timeBlockStr: string): ?[string, string] {
+  try {
+    const parsedRanges = Calendar.parseDateText(timeBlockStr)
+    if (!parsedRanges || parsedRanges.length === 0) {
+      throw new Error(`Couldn't find any time ranges`)
+    }
+    const start = moment(parsedRanges[0].start)
+    let end = moment(parsedRanges[0].end)
+    if (!end.isAfter(start)) {
+      end = start.clone().add(defaultTimeBlockDurationMins, 'minutes')
+    }
+    // Don't let blocks run over into tomorrow
+    const endStr = end.isSame(start, 'day') ? end.format('HH:mm') : '24:00'
+    return [start.format('HH:mm'), endStr]
+  } catch (error) {
+    logWarn('getTimeBlockTimes', `${error.message} from time block '${timeBlockStr}'`)
+    return null
+  }
+}
+
+/**
+ * Get the titles of the notes linked (as [[title]] or [[title#heading]]) from any of the given paragraphs.
+ * @param {Array<TParagraph>} paras
+ * @returns {Array<string>}
+ * @tests in jest file
+ */
+export function getLinkedNoteTitles(paras: $ReadOnlyArray<TParagraph>): Array<string> {
+  const titles: Array<string> = []
+  paras.forEach((p) => {
+    for (const match of p.content.matchAll(RE_NOTELINK_CAPTURE_TITLE_G)) {
+      const title = match[1].split(/[#^]/)[0].trim()
+      if (title !== '' && !titles.includes(title)) titles.push(title)
+    }
+  })
+  return titles
+}
+
+/**
+ * Find which time block an open item from another note, that is scheduled to today, belongs in: the block its own time falls in, or failing that the first block that links to its note.
+ * @param {TParagraph} para
+ * @param {Array<{start: string, end: string, linkedTitles: Array<string>}>} timeBlocks, sorted by start time
+ * @returns {number} index of the time block, or -1 if it doesn't belong in any
+ * @tests in jest file
+ */
+export function findTimeBlockForScheduledPara(para: TParagraph, timeBlocks: $ReadOnlyArray<{ start: string, end: string, linkedTitles: Array<string>, ... }>): number {
+  if (isTimeBlockPara(para)) {
+    const times = getTimeBlockTimes(getTimeBlockString(para.content))
+    if (times) {
+      const startIndex = timeBlocks.findIndex((tb) => tb.start <= times[0] && times[0] < tb.end)
+      if (startIndex >= 0) return startIndex
+    }
+  }
+  const noteTitle = para.note?.title ?? ''
+  return noteTitle !== '' ? timeBlocks.findIndex((tb) => tb.linkedTitles.includes(noteTitle)) : -1
+}
+
+/**
+ * Get the time blocks in today's note, with the open items that go with each one:
+ * - the time block line itself if it's an open item, and any open items in its block (i.e. its indented children, or the section below it if it's a heading)
+ * - open items in other notes scheduled to today (with >date or >today) whose own time falls in the time block, or whose note is linked from the time block.
+ * @returns {TFocusData}
+ */
+export function getFocusData(): TFocusData {
+  const dateStr = moment().format('YYYYMMDD') // use Moment so we can work on local time and ignore TZs
+  const todaysNote = DataStore.calendarNoteByDateString(dateStr)
+  try {
+    if (!todaysNote) {
+      logDebug('getFocusData', `No note for today, so no time blocks`)
+      return { dateStr, filename: '', timeBlocks: [] }
+    }
+
+    const blocksInProgress: Array<{ tbPara: TParagraph, timeBlockStr: string, start: string, end: string, linkedTitles: Array<string>, openParas: Array<TParagraph> }> = []
+    const timeBlockParas = todaysNote.paragraphs.filter((p) => isTimeBlockPara(p))
+    timeBlockParas.forEach((tbPara) => {
+      const timeBlockStr = getTimeBlockString(tbPara.content)
+      const times = getTimeBlockTimes(timeBlockStr)
+      if (!times) return
+
+      // Get the open items that belong to this time block
+      const blockParas = getParagraphBlock(todaysNote, tbPara.lineIndex, false, true)
+      blocksInProgress.push({
+        tbPara: tbPara,
+        timeBlockStr: timeBlockStr,
+        start: times[0],
+        end: times[1],
+        linkedTitles: getLinkedNoteTitles(blockParas),
+        openParas: blockParas.filter((p) => isOpen(p)),
+      })
+    })
+    blocksInProgress.sort((a, b) => (a.start < b.start ? -1 : a.start > b.start ? 1 : 0))
+
+    // Add open items from other notes that are scheduled into a time block
+    const scheduledParas = getReferencedParagraphs(todaysNote, false).filter((p) => isOpen(p))
+    scheduledParas.forEach((p) => {
+      const blockIndex = findTimeBlockForScheduledPara(p, blocksInProgress)
+      if (blockIndex >= 0) blocksInProgress[blockIndex].openParas.push(p)
+    })
+
+    const timeBlocks: Array<TFocusTimeBlock> = blocksInProgress.map((bip, blockIndex) => {
+      const items: Array<TSectionItem> = makeDashboardParas(bip.openParas).map((dp, itemIndex) => ({
+        ID: `FOCUS-${blockIndex}-${itemIndex}`,
+        itemType: dp.type === 'checklist' ? 'checklist' : 'open',
+        para: dp,
+      }))
+      return {
+        content: bip.tbPara.content.replace(bip.timeBlockStr, '').replace(/\s{2,}/g, ' ').trim(),
+        timeBlockStr: bip.timeBlockStr,
+        start: bip.start,
+        end: bip.end,
+        items: items,
+      }
+    })
+    logDebug('getFocusData', `Found ${timeBlocks.length} time blocks in today's note, and ${scheduledParas.length} open items scheduled to today from other notes`)
+    return { dateStr, filename: todaysNote.filename, timeBlocks }
+  } catch (error) {
+    logError('getFocusData', error.message)
+    return { dateStr, filename: todaysNote?.filename ?? '', timeBlocks: [] }
+  }
+}
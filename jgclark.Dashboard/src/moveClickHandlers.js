@@ -1,7 +1,7 @@
 // @flow
 //-----------------------------------------------------------------------------
 // Dashboard plugin helper functions that need to refresh Dashboard
-// Last updated 2024-07-29 for v2.0.5 by @dwertheimer
+// Last updated 2024-08-04 for v2.1.0 by @jgclark
 //-----------------------------------------------------------------------------
 
 import moment from 'moment/min/moment-with-locales'
@@ -28,6 +28,7 @@ import {
   RE_DATE,
   RE_DATE_INTERVAL,
   RE_NP_WEEK_SPEC,
+  removeDateTagsAndToday,
   replaceArrowDatesInString
 } from '@helpers/dateTime'
 import { getGlobalSharedData, sendToHTMLWindow } from '@helpers/HTMLView'
@@ -92,8 +93,11 @@ export async function doMoveFromCalToCal(data: MessageDataObject): Promise<TBrid
 
   if (res) {
     logDebug('moveFromCalToCal', `-> appeared to move item succesfully`)
+    // Find the moved line in its new note (which has had its scheduled date removed), so the move can be undone later
+    const movedContent = removeDateTagsAndToday(content, true)
+    const updatedParagraph = res.paragraphs.find((p) => p.content === movedContent)
     // Send a message to update all the calendar sections (as its too hard to work out which of the sections to update)
-    return handlerResult(true, ['REFRESH_ALL_CALENDAR_SECTIONS', 'START_DELAYED_REFRESH_TIMER'])
+    return handlerResult(true, ['REFRESH_ALL_CALENDAR_SECTIONS', 'START_DELAYED_REFRESH_TIMER'], { updatedParagraph })
   } else {
     logWarn('moveFromCalToCal', `-> moveFromCalToCal to ${newDateStr} not successful`)
     return handlerResult(false)
@@ -1,7 +1,7 @@
 // @flow
 //-----------------------------------------------------------------------------
 // Bridging functions for Dashboard plugin
-// Last updated 2024-07-14 for v2.0.1 by @jgclark
+// Last updated 2024-08-05 for v2.1.0 by @jgclark
 //-----------------------------------------------------------------------------
 
 import pluginJson from '../plugin.json'
@@ -18,6 +18,7 @@ import {
   doCyclePriorityStateUp,
   doDeleteItem,
   doMoveToNote,
+  doRefreshFocusData,
   doSettingsChanged,
   doShowNoteInEditorFromFilename,
   doShowNoteInEditorFromTitle,
@@ -31,6 +32,7 @@ import {
   refreshSomeSections,
   incrementallyRefreshSections,
 } from './clickHandlers'
+import { doBulkAction } from './bulkClickHandlers'
 import {
   doAddProgressUpdate,
   doCancelProject,
@@ -48,6 +50,13 @@ import {
   scheduleAllYesterdayOpenToToday,
 } from './moveClickHandlers'
 import { getDashboardSettings, makeDashboardParas } from './dashboardHelpers'
+import {
+  addToUndoStack,
+  doUndoLastActions,
+  getUndoLineState,
+  makeUndoEntry,
+  undoableActionTypes,
+} from './undoClickHandlers'
 import { showDashboardReact } from './reactMain' // TODO: fix circ dep here
 import {
   copyUpdatedSectionItemData, findSectionItems,
@@ -102,6 +111,9 @@ export async function bridgeClickDashboardItem(data: MessageDataObject) {
     // clo(data.item, 'bridgeClickDashboardItem received data object; data.item=')
     if (!actionType === 'refresh' && (!content || !filename)) throw new Error('No content or filename provided for refresh')
 
+    // Record the state of the line before any changes, so that the action can be undone later
+    const undoBefore = undoableActionTypes.includes(actionType) ? getUndoLineState(filename, content) : null
+
     // Allow for a combination of button click and a content update
     if (updatedContent && data.actionType !== 'updateItemContent') {
       logDebug('bCDI', `content updated with another button press; need to update content first; new content: "${updatedContent}"`)
@@ -255,6 +267,10 @@ export async function bridgeClickDashboardItem(data: MessageDataObject) {
         result = await refreshSomeSections(data)
         break
       }
+      case 'refreshFocusData': {
+        result = await doRefreshFocusData(data)
+        break
+      }
       case 'incrementallyRefreshSections': {
         result = await incrementallyRefreshSections(data)
         break
@@ -279,12 +295,22 @@ export async function bridgeClickDashboardItem(data: MessageDataObject) {
         result = await scheduleAllOverdueOpenToToday(data)
         break
       }
+      case 'bulkAction': {
+        result = await doBulkAction(data)
+        break
+      }
+      case 'undoLastActions': {
+        result = await doUndoLastActions(data)
+        break
+      }
       default: {
         logWarn('bridgeClickDashboardItem', `bridgeClickDashboardItem: can't yet handle type ${actionType}`)
       }
     }
 
     if (result) {
+      const undoEntry = makeUndoEntry(actionType, undoBefore, result)
+      if (undoEntry) await addToUndoStack([undoEntry])
       await processActionOnReturn(result, data) // process all actions based on result of handler
       // await sendToHTMLWindow(WEBVIEW_WINDOW_ID, 'SHOW_BANNER', {msg:"Action processed\n\n\n\n\nYASSSSS" })
     } else {
@@ -44,7 +44,7 @@ const defaultContextValue: AppContextType = {
   reactSettings: {}, // Initial empty reactSettings local
   setReactSettings: () => {},
   updatePluginData: () => {}, // Placeholder function, actual implementation below.
-  dashboardSettings: {},
+  dashboardSettings: { customSectionsToShow: '' },
   setDashboardSettings: () => { },
 }
 
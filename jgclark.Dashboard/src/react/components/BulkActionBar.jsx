@@ -0,0 +1,85 @@
+// @flow
+//--------------------------------------------------------------------------
+// Dashboard React component to show the bar of actions that can be applied to all the currently-selected items.
+// Items are selected by shift- or cmd-clicking them (see ItemGrid).
+// Called by Dashboard component.
+// Last updated 2024-08-03 for v2.1.0 by @jgclark
+//--------------------------------------------------------------------------
+import React from 'react'
+import type { MessageDataObject, TActionType, TControlString } from '../../types.js'
+import { useAppContext } from './AppContext.jsx'
+import CalendarPicker from './CalendarPicker.jsx'
+import { hyphenatedDateString } from '@helpers/dateTime'
+import { logDebug } from '@helpers/react/reactDev.js'
+
+type TBulkButton = {
+  label: string,
+  bulkActionType: TActionType,
+  controlStr?: TControlString,
+  icon?: string,
+  desktopOnly?: boolean,
+}
+
+const bulkButtons: Array<TBulkButton> = [
+  { label: 'Complete', bulkActionType: 'completeTask', icon: 'fa-regular fa-circle-check' },
+  { label: 'Cancel', bulkActionType: 'cancelTask', icon: 'fa-regular fa-circle-xmark' },
+  { label: 'today', bulkActionType: 'updateTaskDate', controlStr: 't' },
+  { label: '+1d', bulkActionType: 'updateTaskDate', controlStr: '+1d' },
+  { label: '+1w', bulkActionType: 'updateTaskDate', controlStr: '+1w' },
+  // Note: Can't currently be shown on iOS/iPadOS as the CommandBar is not available while the window is open
+  { label: 'Move to', bulkActionType: 'moveToNote', controlStr: 'movetonote', icon: 'fa-regular fa-file-lines', desktopOnly: true },
+  { label: 'Priority', bulkActionType: 'cyclePriorityStateUp', controlStr: 'priup', icon: 'fa-regular fa-arrow-up' },
+  { label: 'Priority', bulkActionType: 'cyclePriorityStateDown', controlStr: 'pridown', icon: 'fa-regular fa-arrow-down' },
+]
+
+const BulkActionBar = (): React$Node => {
+  const { sendActionToPlugin, reactSettings, setReactSettings, pluginData } = useAppContext()
+  const isDesktop = pluginData.platform === 'macOS'
+  const selection = reactSettings?.itemSelection
+  const numSelected = selection?.items.length ?? 0
+  if (!selection || numSelected === 0) return null
+
+  const clearSelection = () => {
+    setReactSettings((prev) => ({ ...prev, itemSelection: { items: [], sectionCodes: [] }, lastChange: `_BulkActionBar-SelectionCleared` }))
+  }
+
+  const sendBulkAction = (bulkActionType: TActionType, controlStr?: string) => {
+    const dataToSend: MessageDataObject = {
+      actionType: 'bulkAction',
+      bulkActionType: bulkActionType,
+      // $FlowIgnore[incompatible-type] -- controlStr can also be an ISO date from the date picker
+      controlStr: controlStr,
+      items: selection.items,
+      sectionCodes: selection.sectionCodes,
+    }
+    logDebug('BulkActionBar', `requesting '${bulkActionType}' ${controlStr ?? ''} for ${numSelected} items`)
+    sendActionToPlugin('bulkAction', dataToSend, `Bulk ${bulkActionType} for ${numSelected} items`, true)
+    clearSelection()
+  }
+
+  // Handle the date selected from CalendarPicker
+  const handleDateSelect = (date: Date) => {
+    if (!date) return
+    sendBulkAction('updateTaskDate', hyphenatedDateString(date)) // to avoid TZ issues
+  }
+
+  return (
+    <div className="bulkActionBar">
+      <span className="bulkActionCount">{numSelected} selected:</span>
+      {bulkButtons
+        .filter((button) => isDesktop || !button.desktopOnly)
+        .map((button, index) => (
+          <button key={index} className="PCButton" onClick={() => sendBulkAction(button.bulkActionType, button.controlStr)}>
+            {button.icon ? <i className={`${button.icon} pad-right`}></i> : null}
+            {button.label}
+          </button>
+        ))}
+      <CalendarPicker onSelectDate={handleDateSelect} />
+      <button className="PCButton" onClick={clearSelection} title="Clear selection">
+        <i className="fa-solid fa-xmark"></i>
+      </button>
+    </div>
+  )
+}
+
+export default BulkActionBar
@@ -2,7 +2,7 @@
 //--------------------------------------------------------------------------
 // Dashboard React component to aggregate data and layout for the dashboard
 // Called by parent component.
-// Last updated 2024-07-25 for v2.0.4 by @jgclark
+// Last updated 2024-08-05 for v2.1.0 by @jgclark
 //--------------------------------------------------------------------------
 
 //--------------------------------------------------------------------------
@@ -13,10 +13,14 @@ import { findSectionItems, copyUpdatedSectionItemData } from '../../dataGenerati
 import { allSectionDetails, sectionDisplayOrder, sectionPriority } from "../../constants.js"
 import useWatchForResizes from '../customHooks/useWatchForResizes.jsx'
 import useRefreshTimer from '../customHooks/useRefreshTimer.jsx'
-import { getSectionsWithoutDuplicateLines, countTotalSectionItems, countTotalVisibleSectionItems, sortSections } from './Section/sectionHelpers.js'
+import useKeyboardNavigation from '../customHooks/useKeyboardNavigation.jsx'
+import { getSectionsWithoutDuplicateLines, countTotalSectionItems, countTotalVisibleSectionItems, reconcileItemSelection, sortSections } from './Section/sectionHelpers.js'
 // import { type TActionButton } from '../../types.js'
 import Header from './Header'
 import Section from './Section/Section.jsx'
+import BulkActionBar from './BulkActionBar.jsx'
+import FocusView from './Focus/FocusView.jsx'
+import CommandPalette from './Keyboard/CommandPalette.jsx'
 import Dialog from './Dialog.jsx'
 import IdleTimer from './IdleTimer.jsx'
 import { useAppContext } from './AppContext.jsx'
@@ -55,6 +59,7 @@ const Dashboard = ({ pluginData }: Props): React$Node => {
   // 5s hack timer to work around cache not being reliable (only runs for users, not DEVs)
   const shortDelayTimerIsOn = logSettings._logLevel !== "DEV"
   const { refreshTimer } = useRefreshTimer({ maxDelay: 5000, enabled: shortDelayTimerIsOn })
+  const { runCommand, closeCommandPalette } = useKeyboardNavigation()
 
   //----------------------------------------------------------------------
   // Refs
@@ -231,7 +236,18 @@ const Dashboard = ({ pluginData }: Props): React$Node => {
     }
   }, [pluginData, setReactSettings, reactSettings?.dialogData])
 
-  // 
+  // Keep the bulk-action selection in step with the section data, as a refresh can remove selected items or give their IDs to other lines
+  useEffect(() => {
+    const selection = reactSettings?.itemSelection
+    if (!selection || selection.items.length === 0) return
+    const reconciledSelection = reconcileItemSelection(selection, sections)
+    if (reconciledSelection !== selection) {
+      logDebug('Dashboard', `${selection.items.length - reconciledSelection.items.length} selected items are no longer shown after section refresh`)
+      setReactSettings((prev) => ({ ...prev, itemSelection: reconciledSelection, lastChange: `_Dashboard-SelectionReconciled` }))
+    }
+  }, [pluginData.sections])
+
+  //
   useEffect(() => {
     if (pluginData.startDelayedRefreshTimer) {
       logDebug('Dashboard', `plugin sent pluginData.startDelayedRefreshTimer=true, setting up delayed timer.`)
@@ -283,15 +299,19 @@ const Dashboard = ({ pluginData }: Props): React$Node => {
       {/* Note: this is where I might want to put further periodic data generation functions: completed task counter etc. */}
       <div className="dashboard">
         <Header lastFullRefresh={lastFullRefresh} />
-        {sections.map((section, index) => (
-          <Section key={index} section={section} onButtonClick={handleCommandButtonClick} />
-        ))}
+        <BulkActionBar />
+        {reactSettings?.focusMode
+          ? <FocusView />
+          : sections.map((section, index) => (
+            <Section key={index} section={section} onButtonClick={handleCommandButtonClick} />
+          ))}
         <Dialog
           onClose={handleDialogClose}
           isOpen={reactSettings?.dialogData?.isOpen ?? false}
           isTask={reactSettings?.dialogData?.isTask ?? false}
           details={reactSettings?.dialogData?.details ?? {}}
         />
+        {reactSettings?.commandPaletteOpen && <CommandPalette onRunCommand={runCommand} onClose={closeCommandPalette} />}
       </div>
       <div id="tooltip-portal"></div>
     </div>
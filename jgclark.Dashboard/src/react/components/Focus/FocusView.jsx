@@ -0,0 +1,124 @@
+// @flow
+//--------------------------------------------------------------------------
+// Dashboard React component to show the 'Focus' view: the current and next time blocks from today's note, with their open items and a countdown.
+// Shown instead of the sections when Focus mode is turned on in the Header.
+// Called by Dashboard component.
+// Last updated 2024-08-05 for v2.1.0 by @jgclark
+//--------------------------------------------------------------------------
+
+import React, { useEffect, useState } from 'react'
+import type { TFocusTimeBlock, TSection } from '../../../types.js'
+import { useAppContext } from '../AppContext.jsx'
+import ItemGrid from '../ItemGrid.jsx'
+import { formatCountdown, getCurrentAndNextTimeBlocks, timeStrToMins } from './focusViewHelpers.js'
+import { hyphenatedDateString } from '@helpers/dateTime'
+import { logDebug } from '@helpers/react/reactDev.js'
+
+// How often to update the countdown (and check whether to switch to the next time block)
+const tickIntervalMs = 15000
+
+type BlockProps = {
+  timeBlock: TFocusTimeBlock,
+  label: string,
+  countdownText: string,
+  filename: string,
+}
+
+/**
+ * Show one time block, laid out like a normal section, with its open items.
+ * Actions on the items refresh the Today section, as that's where they come from.
+ */
+const FocusTimeBlock = ({ timeBlock, label, countdownText, filename }: BlockProps): React$Node => {
+  const thisSection: TSection = {
+    ID: `FOCUS-${timeBlock.start}`,
+    name: `${label}: ${timeBlock.start}–${timeBlock.end}`,
+    showSettingName: '',
+    sectionCode: 'DT',
+    description: '',
+    sectionItems: timeBlock.items,
+    FAIconClass: 'fa-light fa-clock',
+    sectionTitleClass: 'sidebarDaily',
+    sectionFilename: filename,
+  }
+  return (
+    <div className="section focusTimeBlock">
+      <div className="sectionInfo">
+        <div className={`${thisSection.sectionTitleClass} sectionName`}>
+          <i className={`sectionIcon ${thisSection.FAIconClass ?? ''}`}></i>
+          {thisSection.name}
+        </div>
+        <div className="sectionDescription">
+          <span className="focusTimeBlockContent">{timeBlock.content}</span>
+          <span className="focusCountdown">{countdownText}</span>
+        </div>
+      </div>
+      {timeBlock.items.length > 0
+        ? <ItemGrid thisSection={thisSection} items={timeBlock.items} />
+        : <div className="sectionItemsGrid focusNoItems">No open items in this time block</div>}
+    </div>
+  )
+}
+
+/**
+ * Show the current and next time blocks from today's note.
+ * The time block data is requested from the plugin when the view is shown, and again whenever the Today section changes (e.g. after completing an item) or the day changes.
+ * The countdown ticks over every few seconds, which also switches to the next time block when it's time.
+ */
+const FocusView = (): React$Node => {
+  const { pluginData, sendActionToPlugin } = useAppContext()
+  const focusData = pluginData.focusData
+  const [now, setNow] = useState(new Date())
+
+  // Tick the clock
+  useEffect(() => {
+    const intervalID = setInterval(() => setNow(new Date()), tickIntervalMs)
+    return () => clearInterval(intervalID)
+  }, [])
+
+  // Ask for fresh time block data when first shown, when the data is refreshed or today's items change, and when the day changes.
+  // Note: these are compared as strings, as every update from the plugin makes new objects.
+  const todayDateStr = hyphenatedDateString(now)
+  const todaySectionItemsStr = JSON.stringify(pluginData.sections.find((s) => s.sectionCode === 'DT')?.sectionItems.map((si) => si.para?.rawContent ?? '') ?? [])
+  const lastRefreshStr = String(pluginData.lastFullRefresh)
+  useEffect(() => {
+    logDebug('FocusView', `requesting Focus data for ${todayDateStr}`)
+    sendActionToPlugin('refreshFocusData', { actionType: 'refreshFocusData' }, 'Focus view needs time block data', true)
+  }, [todaySectionItemsStr, lastRefreshStr, todayDateStr])
+
+  if (!focusData) {
+    return <div className="focusView focusMessage">Finding time blocks in today&apos;s note ...</div>
+  }
+  if (focusData.timeBlocks.length === 0) {
+    return <div className="focusView focusMessage">There are no time blocks in today&apos;s note.</div>
+  }
+
+  const nowMins = now.getHours() * 60 + now.getMinutes() + now.getSeconds() / 60
+  const [currentBlock, nextBlock] = getCurrentAndNextTimeBlocks(focusData.timeBlocks, nowMins)
+
+  return (
+    <div className="focusView">
+      {currentBlock ? (
+        <FocusTimeBlock
+          timeBlock={currentBlock}
+          label="Now"
+          countdownText={`ends in ${formatCountdown(timeStrToMins(currentBlock.end) - nowMins)}`}
+          filename={focusData.filename}
+        />
+      ) : (
+        <div className="focusMessage">No current time block.</div>
+      )}
+      {nextBlock ? (
+        <FocusTimeBlock
+          timeBlock={nextBlock}
+          label="Next"
+          countdownText={`starts in ${formatCountdown(timeStrToMins(nextBlock.start) - nowMins)}`}
+          filename={focusData.filename}
+        />
+      ) : (
+        <div className="focusMessage">No more time blocks today.</div>
+      )}
+    </div>
+  )
+}
+
+export default FocusView
@@ -0,0 +1,45 @@
+// @flow
+//--------------------------------------------------------------------------
+// Helpers for the FocusView component.
+// Last updated 2024-08-05 for v2.1.0 by @jgclark
+//--------------------------------------------------------------------------
+
+import type { TFocusTimeBlock } from '../../../types.js'
+
+/**
+ * Convert a 24-hour 'HH:MM' time string to minutes since midnight.
+ * @param {string} timeStr
+ * @returns {number}
+ * @tests in jest file
+ */
+export function timeStrToMins(timeStr: string): number {
+  const [hours, mins] = timeStr.split(':').map(Number)
+  return hours * 60 + mins
+}
+
+/**
+ * Get the current time block (the one that started most recently and hasn't yet ended), and the next one to start.
+ * @param {Array<TFocusTimeBlock>} timeBlocks, sorted by start time
+ * @param {number} nowMins minutes since midnight
+ * @returns {[?TFocusTimeBlock, ?TFocusTimeBlock]} [current, next]
+ * @tests in jest file
+ */
+export function getCurrentAndNextTimeBlocks(timeBlocks: Array<TFocusTimeBlock>, nowMins: number): [?TFocusTimeBlock, ?TFocusTimeBlock] {
+  const currentBlocks = timeBlocks.filter((tb) => timeStrToMins(tb.start) <= nowMins && nowMins < timeStrToMins(tb.end))
+  const current = currentBlocks.length > 0 ? currentBlocks[currentBlocks.length - 1] : null
+  const next = timeBlocks.find((tb) => timeStrToMins(tb.start) > nowMins) ?? null
+  return [current, next]
+}
+
+/**
+ * Format a number of minutes as a short countdown string, e.g. '1h 05m' or '25m'.
+ * @param {number} mins
+ * @returns {string}
+ * @tests in jest file
+ */
+export function formatCountdown(mins: number): string {
+  if (mins < 1) return '<1m'
+  const hours = Math.floor(mins / 60)
+  const remainingMins = Math.floor(mins % 60)
+  return hours > 0 ? `${hours}h ${String(remainingMins).padStart(2, '0')}m` : `${remainingMins}m`
+}
@@ -2,7 +2,7 @@
 //--------------------------------------------------------------------------
 // Dashboard React component to show the Header at the top of the Dashboard window.
 // Called by Dashboard component.
-// Last updated 2024-07-19 for v2.0.3 by @jgclark
+// Last updated 2024-08-05 for v2.1.0 by @jgclark
 //--------------------------------------------------------------------------
 
 //--------------------------------------------------------------------------
@@ -14,6 +14,7 @@ import { useSettingsDialogHandler } from '../../customHooks/useSettingsDialogHan
 import DropdownMenu from '../DropdownMenu.jsx'
 import SettingsDialog from '../SettingsDialog.jsx'
 import RefreshControl from '../RefreshControl.jsx'
+import UndoControl from '../UndoControl.jsx'
 import { useAppContext } from '../AppContext.jsx'
 import DoneCounts from './DoneCounts.jsx'
 import { createFeatureFlagItems } from './featureFlagItems.js'
@@ -53,7 +54,7 @@ const Header = ({ lastFullRefresh }: Props): React$Node => {
   //----------------------------------------------------------------------
   // Context
   //----------------------------------------------------------------------
-  const { dashboardSettings, setDashboardSettings, sendActionToPlugin, pluginData } = useAppContext()
+  const { dashboardSettings, setDashboardSettings, sendActionToPlugin, pluginData, reactSettings, setReactSettings } = useAppContext()
 
   //----------------------------------------------------------------------
   // Hooks
@@ -81,6 +82,7 @@ const Header = ({ lastFullRefresh }: Props): React$Node => {
   const featureFlagItems = createFeatureFlagItems(dashboardSettings)
 
   const isDevMode = logSettings._logLevel === 'DEV'
+  const isFocusMode = reactSettings?.focusMode ?? false
   const showHardRefreshButton = isDevMode && dashboardSettings?.FFlag_HardRefreshButton
 
   //----------------------------------------------------------------------
@@ -90,6 +92,11 @@ const Header = ({ lastFullRefresh }: Props): React$Node => {
   const updatedText = "Updated"
   const timeAgoText = isDesktop ? timeAgo : timeAgo.replace(" mins", "m").replace(" min", "m")
 
+  const handleFocusModeClick = () => {
+    logDebug('Header', `turning Focus mode ${isFocusMode ? 'off' : 'on'}`)
+    setReactSettings((prev) => ({ ...prev, focusMode: !isFocusMode, lastChange: `_Header-FocusModeToggled` }))
+  }
+
   return (
     <div className="header">
       <div className="lastFullRefresh">
@@ -110,6 +117,10 @@ const Header = ({ lastFullRefresh }: Props): React$Node => {
             <span className="pad-left">{isDesktop ? "Hard Refresh" : " HR "}</span>
           </button>
         )}
+        <UndoControl
+          undoStack={pluginData.undoStack ?? []}
+          sendActionToPlugin={sendActionToPlugin}
+        />
       </div>
 
       <div className="totalCounts">
@@ -164,6 +175,15 @@ const Header = ({ lastFullRefresh }: Props): React$Node => {
           toggleMenu={() => handleToggleDropdownMenu('filter')}
           labelPosition="left"
         />
+        {/* Icon for switching between Focus mode and the sections */}
+        <div>
+          <i
+            className={isFocusMode ? "fa-solid fa-bullseye-arrow" : "fa-regular fa-bullseye-arrow"}
+            onClick={handleFocusModeClick}
+            title={isFocusMode ? "Show all sections" : "Focus on current time block"}
+            style={{ cursor: 'pointer' }}
+          ></i>
+        </div>
         {/* Cog Icon for opening the settings dialog */}
         <div>
           <i
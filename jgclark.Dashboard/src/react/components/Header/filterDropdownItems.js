@@ -1,10 +1,10 @@
 // @flow
-// Last updated 2024-07-10 for v2.0.1 by @jgclark
+// Last updated 2024-08-02 for v2.1.0 by @jgclark
 
 import { allSectionDetails } from "../../../constants.js"
 import type { TDashboardSettings, TSettingItem } from "../../../types.js"
 import { dashboardFilterDefs } from "../../../dashboardSettings.js"
-import { getTagSectionDetails } from "../Section/sectionHelpers.js"
+import { getCustomSectionDetails, getTagSectionDetails } from "../Section/sectionHelpers.js"
 import { clo } from '@helpers/react/reactDev.js'
 
 /**
@@ -16,9 +16,10 @@ import { clo } from '@helpers/react/reactDev.js'
 export const createFilterDropdownItems = (
   dashboardSettings: TDashboardSettings,
 ): [Array<TSettingItem>, Array<TSettingItem>] => {
-  const sectionsWithoutTags = allSectionDetails.filter(s => s.sectionCode !== 'TAG')
+  const sectionsWithoutTags = allSectionDetails.filter(s => s.sectionCode !== 'TAG' && s.sectionCode !== 'SEARCH')
   const tagSections = getTagSectionDetails(dashboardSettings)
-  const allSections = [...sectionsWithoutTags, ...tagSections]
+  const customSections = getCustomSectionDetails(dashboardSettings)
+  const allSections = [...sectionsWithoutTags, ...tagSections, ...customSections]
   const sectionDropbownItems: Array<TSettingItem> = allSections.filter(s => s.showSettingName !== '').map((s) => ({
     label: `Show ${s.sectionName}`,
     description: `Show or hide items in section ${s.sectionName}`,
@@ -2,10 +2,11 @@
 // @flow
 /**
  * A grid layout for items within a section.
+ * Also handles selecting items for bulk actions: cmd-click toggles an item in the selection, and shift-click selects the range of items from the last selected one.
  */
 
 import React from 'react'
-import type { TSectionItem, TSection } from '../../types.js'
+import type { TSectionItem, TSection, TItemSelection } from '../../types.js'
 import ItemRow from './ItemRow.jsx'
 import { useAppContext } from './AppContext.jsx'
 import { logDebug } from '@helpers/react/reactDev.js'
@@ -16,13 +17,49 @@ type Props = {
 };
 
 function ItemGrid({ items, thisSection }: Props): React$Node {
-  const { dashboardSettings /*, reactSettings, setReactSettings, sendActionToPlugin */ } = useAppContext()
+  const { dashboardSettings, reactSettings, setReactSettings /*, sendActionToPlugin */ } = useAppContext()
 
   const tasksToShow = (dashboardSettings && dashboardSettings.ignoreChecklistItems && items.length) 
   ? items.filter(si => !(si.para?.type === "checklist")) 
   : items
 
-  const visibleItems = tasksToShow.map((item) => <ItemRow key={item.ID} item={item} thisSection={thisSection} />)
+  const selectedIDs = (reactSettings?.itemSelection?.items ?? []).map((si) => si.ID)
+
+  /**
+   * Add to or remove from the selection of items for bulk actions
+   * @param {TSectionItem} item that was clicked
+   * @param {boolean} selectRange whether to select the range of items from the last selected item (i.e. shift-click)
+   */
+  const handleItemSelect = (item: TSectionItem, selectRange: boolean) => {
+    setReactSettings((prev) => {
+      const prevSelection: TItemSelection = prev?.itemSelection ?? { items: [], sectionCodes: [] }
+      let newItems = [...prevSelection.items]
+      const anchorIndex = tasksToShow.findIndex((si) => si.ID === prevSelection.lastSelectedID)
+      const thisIndex = tasksToShow.findIndex((si) => si.ID === item.ID)
+
+      if (selectRange && anchorIndex >= 0 && thisIndex >= 0) {
+        // add all items between the last selected item and this one
+        const [start, end] = anchorIndex < thisIndex ? [anchorIndex, thisIndex] : [thisIndex, anchorIndex]
+        const itemsInRange = tasksToShow.slice(start, end + 1).filter((si) => !newItems.some((ni) => ni.ID === si.ID))
+        newItems = newItems.concat(itemsInRange)
+      } else if (newItems.some((si) => si.ID === item.ID)) {
+        newItems = newItems.filter((si) => si.ID !== item.ID)
+      } else {
+        newItems.push(item)
+      }
+      const newSectionCodes = prevSelection.sectionCodes.includes(thisSection.sectionCode) ? prevSelection.sectionCodes : [...prevSelection.sectionCodes, thisSection.sectionCode]
+      logDebug('ItemGrid/handleItemSelect', `${newItems.length} items now selected`)
+      return {
+        ...prev,
+        itemSelection: { items: newItems, sectionCodes: newItems.length ? newSectionCodes : [], lastSelectedID: item.ID },
+        lastChange: `_ItemGrid-SelectionChanged`,
+      }
+    })
+  }
+
+  const visibleItems = tasksToShow.map((item) => (
+    <ItemRow key={item.ID} item={item} thisSection={thisSection} isSelected={selectedIDs.includes(item.ID)} onSelect={handleItemSelect} />
+  ))
 
   return (
     <div className="sectionItemsGrid" id={`${thisSection.ID}-Section`}>
@@ -32,4 +69,3 @@ function ItemGrid({ items, thisSection }: Props): React$Node {
 }
 
 export default ItemGrid
- 
\ No newline at end of file
@@ -2,7 +2,7 @@
 //--------------------------------------------------------------------------
 // Represents a row item within a section.
 // Could be: Task, Review Item, Filtered Indicator, or No Tasks Left
-// Last updated 2024-07-03 for v2.0.1 by @jgclark
+// Last updated 2024-08-03 for v2.1.0 by @jgclark
 //--------------------------------------------------------------------------
 
 import * as React from 'react'
@@ -16,13 +16,15 @@ import { logDebug, logInfo } from '@helpers/react/reactDev'
 type Props = {
   item: TSectionItem,
   thisSection: TSection,
+  isSelected?: boolean,
+  onSelect?: (item: TSectionItem, selectRange: boolean) => void,
 }
 
 /**
  * Represents a row item within a section.
  * Loads the proper Component depending on itemType
  */
-function ItemRow({ item, thisSection }: Props): React.Node {
+function ItemRow({ item, thisSection, isSelected = false, onSelect }: Props): React.Node {
   const { itemType } = item
 
   return (
@@ -34,7 +36,7 @@ function ItemRow({ item, thisSection }: Props): React.Node {
       ) : itemType === 'congrats' ? (
         <NoTasks />
       ) : (
-              <TaskItem item={item} thisSection={thisSection} />
+        <TaskItem item={item} thisSection={thisSection} isSelected={isSelected} onSelect={onSelect} />
       )}
     </>
   )
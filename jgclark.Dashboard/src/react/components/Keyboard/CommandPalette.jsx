@@ -0,0 +1,95 @@
+// @flow
+//--------------------------------------------------------------------------
+// Dashboard React component to show the Command Palette: a filterable list of the keyboard commands, opened with '/' or cmd-K.
+// Item commands act on the item highlighted by keyboard navigation, and are only listed when there is one.
+// Called by Dashboard component.
+// Last updated 2024-08-05 for v2.1.0 by @jgclark
+//--------------------------------------------------------------------------
+
+import React, { useEffect, useRef, useState } from 'react'
+import { useAppContext } from '../AppContext.jsx'
+import Modal from '../Modal'
+import { findItemByID, getKeyDisplayName, getPaletteCommands, type TKeyCommand } from './keyboardHelpers.js'
+
+type Props = {
+  onRunCommand: (command: TKeyCommand) => void,
+  onClose: () => void,
+}
+
+const CommandPalette = ({ onRunCommand, onClose }: Props): React$Node => {
+  const { reactSettings, pluginData } = useAppContext()
+  const [filterText, setFilterText] = useState('')
+  const [activeIndex, setActiveIndex] = useState(0)
+  const inputRef = useRef<?HTMLInputElement>(null)
+
+  const highlightedItem = findItemByID(pluginData, reactSettings?.keyboardItemID ?? '')?.item
+  const commands = getPaletteCommands(filterText, !!highlightedItem, pluginData.platform === 'macOS')
+
+  useEffect(() => {
+    inputRef.current?.focus()
+  }, [])
+
+  const handleFilterChange = (e: SyntheticInputEvent<HTMLInputElement>) => {
+    setFilterText(e.target.value)
+    setActiveIndex(0)
+  }
+
+  const runCommand = (command: ?TKeyCommand) => {
+    if (!command) return
+    onClose()
+    onRunCommand(command)
+  }
+
+  const handleKeyDown = (e: SyntheticKeyboardEvent<HTMLInputElement>) => {
+    switch (e.key) {
+      case 'ArrowDown':
+        e.preventDefault()
+        setActiveIndex((prev) => Math.min(prev + 1, commands.length - 1))
+        break
+      case 'ArrowUp':
+        e.preventDefault()
+        setActiveIndex((prev) => Math.max(prev - 1, 0))
+        break
+      case 'Enter':
+        e.preventDefault()
+        runCommand(commands[activeIndex])
+        break
+      case 'Escape':
+        e.preventDefault()
+        onClose()
+        break
+    }
+  }
+
+  return (
+    <Modal onClose={onClose}>
+      <div className="commandPalette">
+        <input
+          ref={inputRef}
+          className="commandPaletteFilter"
+          type="text"
+          placeholder={highlightedItem ? `Command for '${highlightedItem.para?.content ?? ''}' ...` : 'Command ...'}
+          value={filterText}
+          onChange={handleFilterChange}
+          onKeyDown={handleKeyDown}
+        />
+        <div className="commandPaletteList">
+          {commands.length === 0 && <div className="commandPaletteEmpty">No matching commands</div>}
+          {commands.map((command, index) => (
+            <div
+              key={command.id}
+              className={`commandPaletteItem${index === activeIndex ? ' active' : ''}`}
+              onClick={() => runCommand(command)}
+              onMouseEnter={() => setActiveIndex(index)}
+            >
+              <span>{command.label}</span>
+              <kbd className="commandPaletteKey">{getKeyDisplayName(command)}</kbd>
+            </div>
+          ))}
+        </div>
+      </div>
+    </Modal>
+  )
+}
+
+export default CommandPalette
@@ -0,0 +1,161 @@
+// @flow
+//--------------------------------------------------------------------------
+// Helpers for keyboard navigation and the Command Palette.
+// Last updated 2024-08-05 for v2.1.0 by @jgclark
+//--------------------------------------------------------------------------
+
+import type { TActionType, TControlString, TPluginData, TSectionCode, TSectionItem } from '../../../types.js'
+
+export type TKeyCommand = {
+  id: string,
+  label: string,
+  keys: Array<string>, /* key names as returned by getKeyName(), first one is shown in the Command Palette */
+  actionType?: TActionType, /* for item actions: the action to send to the plugin (adjusted by getItemActionType) */
+  controlStr?: TControlString,
+  needsItem?: boolean, /* only available when an item is highlighted */
+  removesItem?: boolean, /* the item will disappear from its section after the action */
+  desktopOnly?: boolean, /* not available on iOS/iPadOS as the CommandBar can't be shown while the window is open */
+  notInPalette?: boolean,
+}
+
+// Note: the order here is the order shown in the Command Palette
+export const keyCommands: Array<TKeyCommand> = [
+  { id: 'nextItem', label: 'Next item', keys: ['ArrowDown', 'j'], notInPalette: true },
+  { id: 'previousItem', label: 'Previous item', keys: ['ArrowUp', 'k'], notInPalette: true },
+  { id: 'complete', label: 'Complete item', keys: ['c'], actionType: 'completeTask', needsItem: true, removesItem: true },
+  { id: 'cancel', label: 'Cancel item', keys: ['x'], actionType: 'cancelTask', needsItem: true, removesItem: true },
+  { id: 'moveToToday', label: 'Move item to today', keys: ['t'], actionType: 'updateTaskDate', controlStr: 't', needsItem: true, removesItem: true },
+  { id: 'moveToTomorrow', label: 'Move item to tomorrow (+1d)', keys: ['d'], actionType: 'updateTaskDate', controlStr: '+1d', needsItem: true, removesItem: true },
+  { id: 'moveToNextWeek', label: 'Move item to next week (+1w)', keys: ['w'], actionType: 'updateTaskDate', controlStr: '+1w', needsItem: true, removesItem: true },
+  { id: 'moveToNote', label: 'Move item to note ...', keys: ['m'], actionType: 'moveToNote', controlStr: 'movetonote', needsItem: true, removesItem: true, desktopOnly: true },
+  { id: 'priorityUp', label: 'Increase item priority', keys: ['+', '='], actionType: 'cyclePriorityStateUp', controlStr: 'priup', needsItem: true },
+  { id: 'priorityDown', label: 'Decrease item priority', keys: ['-'], actionType: 'cyclePriorityStateDown', controlStr: 'pridown', needsItem: true },
+  { id: 'openItemDialog', label: 'Edit item ...', keys: ['Enter', 'e'], needsItem: true },
+  { id: 'showInEditor', label: 'Show item in editor', keys: ['o'], actionType: 'showLineInEditorFromFilename', needsItem: true },
+  { id: 'undo', label: 'Undo last action', keys: ['u'] },
+  { id: 'refresh', label: 'Refresh Dashboard', keys: ['r'] },
+  { id: 'toggleFocusMode', label: 'Toggle Focus mode', keys: ['f'] },
+  { id: 'openCommandPalette', label: 'Command Palette', keys: ['/', 'Meta+k'], notInPalette: true },
+  { id: 'clearHighlight', label: 'Clear highlight', keys: ['Escape'], notInPalette: true },
+]
+
+const keyDisplayNames = {
+  ArrowDown: '↓',
+  ArrowUp: '↑',
+  Enter: '↩',
+  Escape: 'esc',
+  'Meta+k': '⌘K',
+}
+
+/**
+ * Get the name of the key pressed, as used in keyCommands. Only the Meta (cmd) modifier is included, as Shift is already reflected in the key itself (e.g. '+').
+ * @param {KeyboardEvent} event
+ * @returns {?string} null if Ctrl or Alt are pressed, as those combinations are left to NotePlan
+ * @tests in jest file
+ */
+export function getKeyName(event: KeyboardEvent): ?string {
+  if (event.ctrlKey || event.altKey) return null
+  return event.metaKey ? `Meta+${event.key.toLowerCase()}` : event.key
+}
+
+/**
+ * Get the display form of a command's (first) key, e.g. '↓' or '⌘K'
+ * @param {TKeyCommand} command
+ * @returns {string}
+ * @tests in jest file
+ */
+export function getKeyDisplayName(command: TKeyCommand): string {
+  const key = command.keys[0] ?? ''
+  return keyDisplayNames[key] ?? key
+}
+
+/**
+ * Find the command (if any) for a key, ignoring those not available on this platform.
+ * @param {string} keyName from getKeyName()
+ * @param {boolean} isDesktop
+ * @returns {?TKeyCommand}
+ * @tests in jest file
+ */
+export function getCommandForKey(keyName: string, isDesktop: boolean): ?TKeyCommand {
+  return keyCommands.find((kc) => kc.keys.includes(keyName) && (isDesktop || !kc.desktopOnly))
+}
+
+/**
+ * Get the commands to list in the Command Palette, matching every word of the filter text (in any order, case-insensitive).
+ * @param {string} filterText
+ * @param {boolean} haveItem whether an item is highlighted, so item actions can be offered
+ * @param {boolean} isDesktop
+ * @returns {Array<TKeyCommand>}
+ * @tests in jest file
+ */
+export function getPaletteCommands(filterText: string, haveItem: boolean, isDesktop: boolean): Array<TKeyCommand> {
+  const filterWords = filterText.toLowerCase().split(' ').filter(Boolean)
+  return keyCommands.filter(
+    (kc) =>
+      !kc.notInPalette &&
+      (haveItem || !kc.needsItem) &&
+      (isDesktop || !kc.desktopOnly) &&
+      filterWords.every((word) => kc.label.toLowerCase().includes(word)),
+  )
+}
+
+/**
+ * Get the ID of the item before or after the current one. If there is no current item (or it's gone), start at the first (or last) item. Stops at the ends of the list.
+ * @param {Array<string>} itemIDs in display order
+ * @param {?string} currentID
+ * @param {number} step +1 for next, -1 for previous
+ * @returns {?string} null if there are no items
+ * @tests in jest file
+ */
+export function getAdjacentItemID(itemIDs: Array<string>, currentID: ?string, step: number): ?string {
+  if (itemIDs.length === 0) return null
+  const currentIndex = currentID ? itemIDs.indexOf(currentID) : -1
+  if (currentIndex === -1) {
+    return step > 0 ? itemIDs[0] : itemIDs[itemIDs.length - 1]
+  }
+  const newIndex = Math.min(Math.max(currentIndex + step, 0), itemIDs.length - 1)
+  return itemIDs[newIndex]
+}
+
+/**
+ * Find an item shown in the Dashboard from its ID, in either the sections or the Focus view.
+ * @param {TPluginData} pluginData
+ * @param {string} itemID
+ * @returns {?{item: TSectionItem, sectionCode: TSectionCode}}
+ * @tests in jest file
+ */
+export function findItemByID(pluginData: TPluginData, itemID: string): ?{ item: TSectionItem, sectionCode: TSectionCode } {
+  for (const section of pluginData.sections) {
+    const item = section.sectionItems.find((si) => si.ID === itemID)
+    if (item) return { item, sectionCode: section.sectionCode }
+  }
+  // Items in the Focus view all come from today's note
+  for (const timeBlock of pluginData.focusData?.timeBlocks ?? []) {
+    const item = timeBlock.items.find((si) => si.ID === itemID)
+    if (item) return { item, sectionCode: 'DT' }
+  }
+  return null
+}
+
+/**
+ * Get the action to send to the plugin for an item command, taking into account the item's type and where it lives, in the same way as the item dialog does.
+ * @param {TKeyCommand} command
+ * @param {TSectionItem} item
+ * @param {boolean} rescheduleNotMove the user's setting
+ * @returns {?TActionType}
+ * @tests in jest file
+ */
+export function getItemActionType(command: TKeyCommand, item: TSectionItem, rescheduleNotMove: boolean): ?TActionType {
+  const isChecklist = item.itemType === 'checklist'
+  switch (command.actionType) {
+    case 'completeTask':
+      return isChecklist ? 'completeChecklist' : 'completeTask'
+    case 'cancelTask':
+      return isChecklist ? 'cancelChecklist' : 'cancelTask'
+    case 'updateTaskDate':
+      // Items in calendar notes are moved to the new date's note, unless the user prefers to reschedule
+      return item.para?.noteType === 'Calendar' && !rescheduleNotMove ? 'moveFromCalToCal' : 'updateTaskDate'
+    default:
+      return command.actionType
+  }
+}
@@ -1,14 +1,15 @@
 // @flow
 //--------------------------------------------------------------------------
 // Helpers for the Section component.
-// Last updated 2024-07-14 for v2.0.1 by @jgclark
+// Last updated 2024-08-02 for v2.1.0 by @jgclark
 //--------------------------------------------------------------------------
 
-import type { TSection, TDashboardSettings, TSectionCode, TSectionDetails } from '../../../types.js'
+import type { TSection, TDashboardSettings, TItemSelection, TSectionCode, TSectionDetails, TSectionItem } from '../../../types.js'
 import { allSectionDetails } from "../../../constants.js"
 import { clo, clof, logDebug, logError, logInfo, timer } from '@helpers/react/reactDev.js'
 
 const sectionWithTag = allSectionDetails.filter(s => s.sectionCode === 'TAG')[0]
+const sectionWithSearch = allSectionDetails.filter(s => s.sectionCode === 'SEARCH')[0]
 
 /**
  * Get a consistent showSettingName for a given tag.
@@ -20,6 +21,16 @@ export function getShowTagSettingName(tag: string): string {
   return `${showSetting}_${tag}`
 }
 
+/**
+ * Get a consistent showSettingName for a given custom (saved search) section name.
+ * @param {string} name
+ * @returns {string} The setting name.
+ */
+export function getShowSearchSettingName(name: string): string {
+  const showSetting = sectionWithSearch.showSettingName
+  return `${showSetting}_${name}`
+}
+
 /**
  * Gets the visibility setting for a given section code.
  * 
@@ -208,6 +219,23 @@ export function getTagSectionDetails(dashboardSettings: TDashboardSettings /*, p
   return tags.map(t => ({ sectionCode: "TAG", sectionName: t, showSettingName:getShowTagSettingName(t) }))
 }
 
+/**
+ * Get Section Details for all custom (saved search) sections in settings.
+ * The 'customSectionsToShow' setting is a list of queries separated by '|', each optionally preceded by a name in square brackets, e.g. '[Waiting] #waiting | [Bob's urgent] @bob priority:2'. If a query has no name, the query itself is used as the name.
+ * @param {TDashboardSettings} dashboardSettings
+ * @returns {Array<TSectionDetails>} {sectionCode, sectionName, showSettingName, sectionQuery}
+ * @tests in jest file
+ */
+export function getCustomSectionDetails(dashboardSettings: TDashboardSettings): Array<TSectionDetails> {
+  const customSectionStrings = (dashboardSettings.customSectionsToShow ?? '').split('|').map(s => s.trim()).filter(s => s !== '')
+  return customSectionStrings.map(s => {
+    const nameMatch = s.match(/^\[([^\]]+)\]\s*(.*)$/)
+    const sectionName = nameMatch ? nameMatch[1].trim() : s
+    const sectionQuery = nameMatch ? nameMatch[2].trim() : s
+    return { sectionCode: "SEARCH", sectionName: sectionName, showSettingName: getShowSearchSettingName(sectionName), sectionQuery: sectionQuery }
+  })
+}
+
 /**
  * Sorts the sections array by sectionCode based on a predefined order and then by sectionName alphabetically.
  * @param {Array<TSection>} sections - The array of sections to be sorted.
@@ -232,4 +260,45 @@ export function sortSections(sections:Array<TSection>, order:Array<string>):Arra
 
     return -(a.name.localeCompare(b.name))
   })
-}
\ No newline at end of file
+}
+
+/**
+ * Whether two section items refer to the same line (or project note).
+ * Item IDs are only positional within their section, so after a refresh the same ID can belong to a different line.
+ * @param {TSectionItem} a
+ * @param {TSectionItem} b
+ * @returns {boolean}
+ */
+function isSameSectionItem(a: TSectionItem, b: TSectionItem): boolean {
+  if (a.ID !== b.ID || a.itemType !== b.itemType) return false
+  if (a.project || b.project) return a.project?.filename === b.project?.filename
+  return a.para?.filename === b.para?.filename && a.para?.content === b.para?.content
+}
+
+/**
+ * Reconcile the bulk-action selection with freshly-refreshed section data: drop selected items that are no longer shown, and swap the rest for their refreshed versions.
+ * Returns the original selection object if nothing needed to change.
+ * @param {TItemSelection} selection
+ * @param {Array<TSection>} sections - the refreshed sections
+ * @returns {TItemSelection}
+ */
+export function reconcileItemSelection(selection: TItemSelection, sections: Array<TSection>): TItemSelection {
+  const newItems: Array<TSectionItem> = []
+  const newSectionCodes: Array<TSectionCode> = []
+  let changed = false
+  for (const selectedItem of selection.items) {
+    const section = sections.find((s) => s.sectionItems.some((si) => isSameSectionItem(si, selectedItem)))
+    const freshItem = section?.sectionItems.find((si) => isSameSectionItem(si, selectedItem))
+    if (!section || !freshItem) {
+      changed = true
+      continue
+    }
+    if (freshItem !== selectedItem) changed = true
+    newItems.push(freshItem)
+    if (!newSectionCodes.includes(section.sectionCode)) newSectionCodes.push(section.sectionCode)
+  }
+  if (!changed) return selection
+
+  const lastSelectedID = newItems.some((si) => si.ID === selection.lastSelectedID) ? selection.lastSelectedID : undefined
+  return newItems.length ? { items: newItems, sectionCodes: newSectionCodes, lastSelectedID } : { items: [], sectionCodes: [] }
+}
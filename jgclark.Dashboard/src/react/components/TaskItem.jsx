@@ -3,7 +3,7 @@
 // Dashboard React component to create a full content line for a Task item: 
 // icon, content, noteLink and the fa-edit icon at the end.
 // 
-// Last updated 2.6.2024 for v2.0.0 by @dbw
+// Last updated 2024-08-05 for v2.1.0 by @jgclark
 //--------------------------------------------------------------------------
 // @flow
 import React, { useState } from 'react'
@@ -14,16 +14,20 @@ import ItemContent from './ItemContent.jsx'
 import ItemNoteLink from './ItemNoteLink.jsx'
 import StatusIcon from './StatusIcon.jsx'
 import { clo, JSP, logDebug } from '@helpers/react/reactDev.js'
+import { extractModifierKeys } from '@helpers/react/reactMouseKeyboard.js'
 
 type Props = {
   item: TSectionItem,
   thisSection: TSection,
+  isSelected?: boolean,
+  onSelect?: (item: TSectionItem, selectRange: boolean) => void,
 };
 
-function TaskItem({ item, thisSection }: Props): Node {
-  const { setReactSettings, dashboardSettings } = useAppContext()
+function TaskItem({ item, thisSection, isSelected = false, onSelect }: Props): Node {
+  const { reactSettings, setReactSettings, dashboardSettings } = useAppContext()
 
   const [visible, setVisible] = useState(true)
+  const isKeyboardHighlighted = reactSettings?.keyboardItemID === item.ID
 
   const messageObject: MessageDataObject = {
     item: item,
@@ -68,9 +72,19 @@ function TaskItem({ item, thisSection }: Props): Node {
     }))
   }
 
+  // Handle shift- or cmd-click anywhere on the row (apart from the note link) by selecting the item for bulk actions, rather than its normal action
+  const handleRowClickCapture = (e: MouseEvent): void => {
+    const { metaKey, shiftKey } = extractModifierKeys(e)
+    if (!onSelect || !(metaKey || shiftKey)) return
+    if (e.target instanceof Element && e.target.closest('.noteTitle')) return
+    e.preventDefault()
+    e.stopPropagation()
+    onSelect(item, shiftKey)
+  }
+
   return (
     visible ? (
-      <div className="sectionItemRow" id={item.ID}>
+      <div className={`sectionItemRow${isSelected ? ' selectedItem' : ''}${isKeyboardHighlighted ? ' keyboardHighlighted' : ''}`} id={item.ID} onClickCapture={handleRowClickCapture}>
         {/* before StatusIcon */}
         <StatusIcon
           item={item}
@@ -0,0 +1,77 @@
+// @flow
+
+// UndoControl.jsx
+// renders an Undo button (and a choice of how many actions to undo) when there are actions on the undo stack
+// Last updated 2024-08-04 for v2.1.0 by @jgclark
+
+import React, { useState } from 'react'
+import type { TActionType, TUndoEntry } from '../../types.js'
+import { logDebug } from '@helpers/react/reactDev.js'
+
+type Props = {
+  undoStack: Array<TUndoEntry>,
+  sendActionToPlugin: Function,
+};
+
+// How to describe each sort of action in the button's tooltip
+const actionDescriptions: { [TActionType]: string } = {
+  cancelChecklist: 'Cancel',
+  cancelTask: 'Cancel',
+  completeChecklist: 'Complete',
+  completeTask: 'Complete',
+  completeTaskThen: 'Complete',
+  cyclePriorityStateDown: 'Lower priority',
+  cyclePriorityStateUp: 'Raise priority',
+  deleteItem: 'Delete',
+  moveFromCalToCal: 'Move',
+  moveToNote: 'Move',
+  toggleType: 'Change type',
+  unscheduleItem: 'Unschedule',
+  updateItemContent: 'Edit',
+  updateTaskDate: 'Reschedule',
+}
+
+/**
+ * Displays an Undo button when there are actions that can be undone, along with a selector for how many of the most recent actions to undo.
+ * The button's tooltip lists the actions that will be undone.
+ * @param {Props} props
+ * @returns {React$Node}
+ */
+const UndoControl = (props: Props): React$Node => {
+  const { undoStack, sendActionToPlugin } = props
+  const [undoCount, setUndoCount] = useState(1)
+  if (undoStack.length === 0) return null
+
+  const numToUndo = Math.min(undoCount, undoStack.length)
+  const tooltip = undoStack
+    .slice(-numToUndo)
+    .reverse()
+    .map((entry) => `${actionDescriptions[entry.actionType] ?? entry.actionType}: ${entry.before.content}`)
+    .join('\n')
+
+  const handleUndoClick = () => {
+    logDebug('UndoControl', `requesting undo of last ${numToUndo} actions`)
+    sendActionToPlugin('undoLastActions', { actionType: 'undoLastActions', undoCount: numToUndo }, `Undo last ${numToUndo} actions`, true)
+    setUndoCount(1)
+  }
+
+  return (
+    <>
+      <button onClick={handleUndoClick} className="HAButton undoButton" title={tooltip}>
+        <i className="fa-regular fa-rotate-left"></i>
+        <span className="pad-left">Undo</span>
+      </button>
+      {undoStack.length > 1 && (
+        <select className="undoCount" value={numToUndo} onChange={(e) => setUndoCount(Number(e.target.value))} title="How many of the most recent actions to undo">
+          {undoStack.map((_entry, index) => (
+            <option key={index} value={index + 1}>
+              {`last ${index + 1}`}
+            </option>
+          ))}
+        </select>
+      )}
+    </>
+  )
+}
+
+export default UndoControl
@@ -0,0 +1,168 @@
+// @flow
+//--------------------------------------------------------------------------
+// Custom hook to drive the Dashboard from the keyboard: moving between items (arrow keys or j/k), single-key actions on the highlighted item, and opening the Command Palette.
+// The keys are defined in keyCommands in Keyboard/keyboardHelpers.js.
+// Last updated 2024-08-05 for v2.1.0 by @jgclark
+//--------------------------------------------------------------------------
+
+import { useEffect, useRef } from 'react'
+import type { MessageDataObject } from '../../types'
+import { useAppContext } from '../components/AppContext.jsx'
+import { findItemByID, getAdjacentItemID, getCommandForKey, getItemActionType, getKeyName, type TKeyCommand } from '../components/Keyboard/keyboardHelpers.js'
+import { logDebug } from '@helpers/react/reactDev'
+
+type KeyboardNavigationReturnType = {
+  runCommand: (command: TKeyCommand) => void,
+  closeCommandPalette: () => void,
+}
+
+/**
+ * Is the user typing somewhere (or in a dialog), where single-key commands mustn't fire?
+ * @param {KeyboardEvent} event
+ * @returns {boolean}
+ */
+function isTypingOrInDialog(event: KeyboardEvent): boolean {
+  const target = event.target
+  if (target instanceof HTMLElement && (['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName) || target.isContentEditable)) return true
+  // The Settings dialog is only rendered when it is open
+  return document.querySelector('.settings-dialog') !== null
+}
+
+/**
+ * Custom hook to listen for keyboard commands.
+ * @returns {KeyboardNavigationReturnType} runCommand (also used by the Command Palette), and closeCommandPalette
+ * @usage const { runCommand, closeCommandPalette } = useKeyboardNavigation()
+ */
+export default function useKeyboardNavigation(): KeyboardNavigationReturnType {
+  const { reactSettings, setReactSettings, sendActionToPlugin, pluginData, dashboardSettings } = useAppContext()
+  const isDesktop = pluginData.platform === 'macOS'
+  const highlightedID = reactSettings?.keyboardItemID ?? ''
+
+  /**
+   * Get the IDs of the task items currently shown, in display order.
+   * Note: reads these from the page, as that reflects sorting, de-duplication, filtering and Focus mode.
+   */
+  const getShownItemIDs = (): Array<string> =>
+    Array.from(document.querySelectorAll('.sectionItemRow'))
+      .filter((element) => element.id && !element.classList.contains('fadeOutAndHide'))
+      .map((element) => element.id)
+      .filter((id) => ['open', 'checklist'].includes(findItemByID(pluginData, id)?.item.itemType))
+
+  const setHighlightedID = (itemID: ?string) => {
+    setReactSettings((prev) => ({ ...prev, keyboardItemID: itemID ?? '', lastChange: `_KeyboardNavigation-ItemHighlighted` }))
+  }
+
+  const closeCommandPalette = () => {
+    setReactSettings((prev) => ({ ...prev, commandPaletteOpen: false, lastChange: `_KeyboardNavigation-CommandPaletteClosed` }))
+  }
+
+  const runItemCommand = (command: TKeyCommand) => {
+    const found = findItemByID(pluginData, highlightedID)
+    if (!found) {
+      logDebug('useKeyboardNavigation', `no highlighted item for '${command.id}'`)
+      return
+    }
+    const { item, sectionCode } = found
+    const messageObject: MessageDataObject = {
+      actionType: '(not yet set)',
+      item,
+      sectionCodes: [sectionCode],
+    }
+
+    if (command.id === 'openItemDialog') {
+      // Open the dialog next to the item, as if its edit icon had been clicked
+      const bounds = document.getElementById(item.ID)?.getBoundingClientRect()
+      const clickPosition = { clientY: bounds?.bottom ?? 0, clientX: bounds?.left ?? 0 }
+      setReactSettings((prev) => ({
+        ...prev,
+        lastChange: `_Dashboard-TaskDialogOpen`,
+        dialogData: { isOpen: true, isTask: true, details: messageObject, clickPosition },
+      }))
+      return
+    }
+
+    const rescheduleNotMove = dashboardSettings?.rescheduleNotMove || pluginData?.dashboardSettings.rescheduleNotMove || false
+    const actionType = getItemActionType(command, item, rescheduleNotMove)
+    if (!actionType) return
+    if (command.removesItem) {
+      // Fade out the item (as when its icon is clicked), and highlight the one after it (or before it, if it was the last)
+      const shownIDs = getShownItemIDs()
+      const nextID = getAdjacentItemID(shownIDs, item.ID, 1)
+      setHighlightedID(nextID !== item.ID ? nextID : getAdjacentItemID(shownIDs, item.ID, -1))
+      document.getElementById(item.ID)?.classList.add('fadeOutAndHide')
+    }
+    logDebug('useKeyboardNavigation', `'${command.id}' -> ${actionType} for ${item.ID}`)
+    sendActionToPlugin(actionType, { ...messageObject, actionType, controlStr: command.controlStr }, `Keyboard '${command.label}' on ${item.ID}`, true)
+  }
+
+  /**
+   * Run a command, from either a key press or the Command Palette
+   * @param {TKeyCommand} command
+   */
+  const runCommand = (command: TKeyCommand) => {
+    switch (command.id) {
+      case 'nextItem':
+      case 'previousItem': {
+        setHighlightedID(getAdjacentItemID(getShownItemIDs(), highlightedID, command.id === 'nextItem' ? 1 : -1))
+        break
+      }
+      case 'clearHighlight': {
+        setHighlightedID('')
+        break
+      }
+      case 'openCommandPalette': {
+        setReactSettings((prev) => ({ ...prev, commandPaletteOpen: true, lastChange: `_KeyboardNavigation-CommandPaletteOpened` }))
+        break
+      }
+      case 'undo': {
+        sendActionToPlugin('undoLastActions', { actionType: 'undoLastActions', undoCount: 1 }, 'Undo from keyboard', true)
+        break
+      }
+      case 'refresh': {
+        sendActionToPlugin('refresh', { actionType: 'refresh' }, 'Refresh from keyboard', true)
+        break
+      }
+      case 'toggleFocusMode': {
+        setReactSettings((prev) => ({ ...prev, focusMode: !prev?.focusMode, lastChange: `_KeyboardNavigation-FocusModeToggled` }))
+        break
+      }
+      default: {
+        if (command.needsItem) runItemCommand(command)
+      }
+    }
+  }
+
+  const handleKeyDown = (event: KeyboardEvent) => {
+    // The Command Palette and item dialog handle their own keys
+    if (reactSettings?.commandPaletteOpen || reactSettings?.dialogData?.isOpen || isTypingOrInDialog(event)) return
+    const keyName = getKeyName(event)
+    const command = keyName ? getCommandForKey(keyName, isDesktop) : null
+    if (!command || (command.needsItem && !highlightedID)) return
+    event.preventDefault()
+    runCommand(command)
+  }
+
+  // The listener is only added once, so it calls the latest handler through a ref
+  const handleKeyDownRef = useRef<(event: KeyboardEvent) => void>(handleKeyDown)
+  handleKeyDownRef.current = handleKeyDown
+
+  useEffect(() => {
+    const listener = (event: KeyboardEvent) => handleKeyDownRef.current(event)
+    document.addEventListener('keydown', listener)
+    return () => {
+      document.removeEventListener('keydown', listener)
+    }
+  }, [])
+
+  // Keep the highlighted item in view
+  useEffect(() => {
+    if (highlightedID) {
+      document.getElementById(highlightedID)?.scrollIntoView({ block: 'nearest' })
+    }
+  }, [highlightedID])
+
+  return {
+    runCommand,
+    closeCommandPalette,
+  }
+}
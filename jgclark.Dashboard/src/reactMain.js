@@ -171,28 +171,34 @@ export async function makeSettingsAsCallback(): Promise<void> {
 async function updateSectionFlagsToShowOnly(limitToSections: string): Promise<void> {
   if (!limitToSections) return
   const dashboardSettings = (await getDashboardSettings()) || {}
+  // collect the show* flags separately, as they are all booleans, unlike the rest of the settings
+  const showFlags: { [string]: boolean } = {}
   // set everything to off to begin with
   const keys = Object.keys(dashboardSettings).filter((key) => key.startsWith('show'))
   allSectionDetails.forEach((section) => {
     const key = section.showSettingName
-    if (key) dashboardSettings[key] = false
+    if (key) showFlags[key] = false
   })
   // also turn off the specific tag sections (e.g. "showTagSection_@home")
-  keys.forEach((key) => dashboardSettings[key] = false)
+  keys.forEach((key) => showFlags[key] = false)
   const sectionsToShow = limitToSections.split(',')
   sectionsToShow.forEach((sectionCode) => {
     const showSectionKey = allSectionDetails.find((section) => section.sectionCode === sectionCode)?.showSettingName
     if (showSectionKey) {
-      dashboardSettings[showSectionKey] = true
+      showFlags[showSectionKey] = true
+      // SEARCH turns on all the custom (saved search) sections (e.g. "showSearchSection_Waiting")
+      if (sectionCode === 'SEARCH') {
+        keys.filter((key) => key.startsWith(`${showSectionKey}_`)).forEach((key) => showFlags[key] = true)
+      }
     } else {
       if (sectionCode.startsWith("@") || sectionCode.startsWith("#")) {
-        dashboardSettings[`showTagSection_${sectionCode}`] = true
+        showFlags[`showTagSection_${sectionCode}`] = true
       } else {
         logError(pluginJson, `updateSectionFlagsToShowOnly: sectionCode '${sectionCode}' not found in allSectionDetails`)
       }
     }
   })
-  DataStore.settings = { ...DataStore.settings, dashboardSettings: JSON.stringify(dashboardSettings) }
+  DataStore.settings = { ...DataStore.settings, dashboardSettings: JSON.stringify({ ...dashboardSettings, ...showFlags }) }
 }
 
 /**
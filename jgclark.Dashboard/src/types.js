@@ -1,7 +1,7 @@
 // @flow
 //-----------------------------------------------------------------------------
 // Types for Dashboard code
-// Last updated 2024-07-29 for v2.0.5 by @jgclark
+// Last updated 2024-08-05 for v2.1.0 by @jgclark
 //-----------------------------------------------------------------------------
 // Types for Settings
 
@@ -47,6 +47,7 @@ export type TDashboardSettings = {
   tagsToShow: string,
   ignoreTagMentionsWithPhrase: string,
   updateTagMentionsOnTrigger: boolean,
+  customSectionsToShow: string,
   useTodayDate: boolean,
   FFlag_ForceInitialLoadForBrowserDebugging: boolean, // to 
   lookBackDaysForOverdue: number,
@@ -69,9 +70,9 @@ export type TDashboardPluginSettings = {
 //-----------------------------------------------------------------------------
 // Other types
 
-export type TSectionCode = 'DT' | 'DY' | 'DO' | 'W' | 'M' | 'Q' | 'PRIORITY' | 'OVERDUE' | 'TAG' | 'PROJ' // where DT = today, DY = yesterday, TAG = Tag, PROJ = Projects section
+export type TSectionCode = 'DT' | 'DY' | 'DO' | 'W' | 'M' | 'Q' | 'PRIORITY' | 'OVERDUE' | 'TAG' | 'SEARCH' | 'PROJ' // where DT = today, DY = yesterday, TAG = Tag, SEARCH = custom (saved search) section, PROJ = Projects section
 
-export type TSectionDetails = { sectionCode: TSectionCode, sectionName: string, showSettingName: string }
+export type TSectionDetails = { sectionCode: TSectionCode, sectionName: string, showSettingName: string, sectionQuery?: string /* only for SEARCH sections */ }
 
 // details for a section
 export type TSection = {
@@ -144,6 +145,7 @@ export type TActionType =
   | 'addChecklist'
   | 'addProgress'
   | 'addTask'
+  | 'bulkAction'
   | 'cancelProject'
   | 'cancelTask'
   | 'completeProject'
@@ -161,6 +163,7 @@ export type TActionType =
   | 'onClickDashboardItem'
   // | 'reactSettingsChanged'
   | 'refresh'
+  | 'refreshFocusData'
   | 'refreshSomeSections'
   | 'setNextReviewDate'
   | 'reviewFinished'
@@ -176,6 +179,7 @@ export type TActionType =
   | '(not yet set)'
   | 'toggleType'
   | 'togglePauseProject'
+  | 'undoLastActions'
   | 'unknown'
   | 'unscheduleItem'
   | 'updateItemContent'
@@ -223,6 +227,9 @@ export type MessageDataObject = {
   settings?: TAnyObject,
   filename?: string, /* only used when actionType = 'showNoteInEditorFromFilename', otherwise filename comes from the item */
   logMessage?: string,
+  items?: Array<TSectionItem>, // only used when actionType = 'bulkAction'
+  bulkActionType?: TActionType, // the action to apply to each of the items when actionType = 'bulkAction'
+  undoCount?: number, // how many actions to undo when actionType = 'undoLastActions'
 }
 
 /**
@@ -255,6 +262,10 @@ export type TReactSettings = {
   lastChange?: string /* settings will be sent to plugin for saving unless lastChange starts with underscore */,
   dialogData?: TDialogData,
   interactiveProcessing?: TInteractiveProcessing,
+  itemSelection?: TItemSelection,
+  focusMode?: boolean, /* show the Focus view instead of the sections */
+  keyboardItemID?: string, /* ID of the item currently highlighted by keyboard navigation */
+  commandPaletteOpen?: boolean,
 }
 
 export type TPluginData = {
@@ -269,6 +280,39 @@ export type TPluginData = {
   demoMode: boolean, /* use fake content for demo purposes */
   totalDoneCounts?: TDoneCount,
   startDelayedRefreshTimer?: boolean, /* start the delayed refresh timer hack set in post processing commands*/
+  undoStack?: Array<TUndoEntry>, /* the most recent actions that can be undone, oldest first */
+  focusData?: TFocusData, /* the time blocks in today's note, for the Focus view */
+}
+
+// a time block from today's note, with its open items, for the Focus view
+export type TFocusTimeBlock = {
+  content: string, /* the time block line, without the time part */
+  timeBlockStr: string, /* the time part, as written */
+  start: string, /* 'HH:MM' (24-hour) */
+  end: string, /* 'HH:MM' (24-hour) */
+  items: Array<TSectionItem>,
+}
+
+export type TFocusData = {
+  dateStr: string, /* YYYYMMDD the data was generated for */
+  filename: string, /* of today's note */
+  timeBlocks: Array<TFocusTimeBlock>, /* sorted by start time */
+}
+
+// the state of a line, recorded so that an action on it can be undone
+export type TUndoLineState = {
+  filename: string,
+  lineIndex: number,
+  rawContent: string, /* used to check the line hasn't been changed since */
+  content: string,
+  type: ParagraphType,
+  hasChildren: boolean,
+}
+
+export type TUndoEntry = {
+  actionType: TActionType,
+  before: TUndoLineState,
+  after: ?TUndoLineState, /* null if the line was deleted */
 }
 
 export type TSettingItemType = 'switch' | 'input' | 'combo' | 'number' | 'text' | 'separator' | 'heading' | 'header' 
@@ -293,6 +337,13 @@ export type TPluginCommandSimplified = {
   commandArgs: $ReadOnlyArray<mixed>,
 }
 
+// the items currently selected (by shift- or cmd-clicking) for bulk actions
+export type TItemSelection = {
+  items: Array<TSectionItem>,
+  sectionCodes: Array<TSectionCode>, // the sections the items were selected from
+  lastSelectedID?: string, // the starting point for shift-click selection of a range of items
+}
+
 export type TInteractiveProcessing = {
   sectionName: string,
   currentIPIndex: number,
@@ -0,0 +1,239 @@
+// @flow
+//-----------------------------------------------------------------------------
+// Dashboard plugin functions to record actions on items, and to undo them again
+// The routing is in pluginToHTMLBridge.js/bridgeClickDashboardItem()
+// Last updated 2024-08-04 for v2.1.0 by @jgclark
+//-----------------------------------------------------------------------------
+
+import { WEBVIEW_WINDOW_ID } from './constants'
+import { handlerResult, setPluginData } from './dashboardHelpers'
+import type { MessageDataObject, TActionType, TBridgeClickHandlerResult, TUndoEntry, TUndoLineState } from './types'
+import { getParaAndAllChildren } from '@helpers/blocks'
+import { clo, logDebug, logError, logInfo, logWarn } from '@helpers/dev'
+import { getGlobalSharedData } from '@helpers/HTMLView'
+import { getNoteByFilename } from '@helpers/note'
+import { findParaFromStringAndFilename } from '@helpers/NPParagraph'
+import { showMessage } from '@helpers/userInput'
+
+//-----------------------------------------------------------------
+// constants
+
+// Actions that change a line in place, and so can be undone by putting the line back as it was
+const inPlaceActionTypes: Array<TActionType> = [
+  'cancelChecklist',
+  'cancelTask',
+  'completeChecklist',
+  'completeTask',
+  'completeTaskThen',
+  'cyclePriorityStateDown',
+  'cyclePriorityStateUp',
+  'toggleType',
+  'unscheduleItem',
+  'updateItemContent',
+  'updateTaskDate',
+]
+
+// Actions that move a line to a different note, and so can be undone by moving it back
+const moveActionTypes: Array<TActionType> = ['moveFromCalToCal', 'moveToNote']
+
+export const undoableActionTypes: Array<TActionType> = [...inPlaceActionTypes, ...moveActionTypes, 'deleteItem']
+
+// How many actions to remember
+const maxUndoStackSize = 20
+
+//-----------------------------------------------------------------
+// Recording actions
+
+/**
+ * Get the state of a line that is needed to be able to put it back later.
+ * Note: this re-reads the line from the note, as a TParagraph's rawContent isn't updated when its content is changed.
+ * @param {TNote} note
+ * @param {number} lineIndex
+ * @returns {?TUndoLineState}
+ */
+function getLineStateFromNote(note: TNote, lineIndex: number): ?TUndoLineState {
+  const para = note.paragraphs[lineIndex]
+  if (!para) return null
+  return {
+    filename: note.filename,
+    lineIndex: lineIndex,
+    rawContent: para.rawContent,
+    content: para.content,
+    type: para.type,
+    hasChildren: getParaAndAllChildren(para).length > 1,
+  }
+}
+
+/**
+ * Get the state of an item's line before an action is performed on it
+ * @param {string} filename of the item
+ * @param {string} content of the item
+ * @returns {?TUndoLineState} or null if the line can't be found
+ */
+export function getUndoLineState(filename: string, content: string): ?TUndoLineState {
+  const para = findParaFromStringAndFilename(filename, content)
+  if (!para || !para.note) return null
+  return getLineStateFromNote(para.note, para.lineIndex)
+}
+
+/**
+ * Make an entry for the undo stack from the state of the line before an action, and the handler's result.
+ * Returns null where the action can't be undone (e.g. it failed, or moved sub-items too).
+ * @param {TActionType} actionType
+ * @param {?TUndoLineState} before state of the line before the action
+ * @param {TBridgeClickHandlerResult} result of the action
+ * @returns {?TUndoEntry}
+ */
+export function makeUndoEntry(actionType: TActionType, before: ?TUndoLineState, result: TBridgeClickHandlerResult): ?TUndoEntry {
+  if (!undoableActionTypes.includes(actionType) || !before || !result.success) return null
+
+  let after: ?TUndoLineState = null
+  if (inPlaceActionTypes.includes(actionType)) {
+    const note = getNoteByFilename(before.filename)
+    after = note ? getLineStateFromNote(note, before.lineIndex) : null
+  } else if (moveActionTypes.includes(actionType)) {
+    if (before.hasChildren) {
+      logInfo('makeUndoEntry', `Can't undo '${actionType}' for {${before.content}}, as it moved sub-items as well`)
+      return null
+    }
+    const movedPara = result.updatedParagraph
+    after = movedPara?.note ? getLineStateFromNote(movedPara.note, movedPara.lineIndex) : null
+  }
+  if (actionType !== 'deleteItem' && !after) {
+    logWarn('makeUndoEntry', `Can't find the line after '${actionType}' for {${before.content}}, so it can't be undone`)
+    return null
+  }
+  return { actionType, before, after }
+}
+
+/**
+ * Add entries to the undo stack (kept in pluginData, so React can show how many actions can be undone).
+ * @param {Array<TUndoEntry>} entries
+ */
+export async function addToUndoStack(entries: Array<TUndoEntry>): Promise<void> {
+  if (entries.length === 0) return
+  const reactWindowData = await getGlobalSharedData(WEBVIEW_WINDOW_ID)
+  const undoStack: Array<TUndoEntry> = reactWindowData.pluginData.undoStack ?? []
+  const newUndoStack = undoStack.concat(entries).slice(-maxUndoStackSize)
+  logDebug('addToUndoStack', `Added ${entries.length} entries -> ${newUndoStack.length} actions can be undone`)
+  await setPluginData({ undoStack: newUndoStack }, `Added ${entries.length} entries to undo stack`)
+}
+
+//-----------------------------------------------------------------
+// Undoing actions
+
+/**
+ * Find the paragraph that matches a recorded line state, as long as it hasn't been edited since.
+ * Allows for the line having moved because of lines being added or removed above it, as long as there's only one line with that exact content.
+ * @param {TNote} note
+ * @param {TUndoLineState} lineState
+ * @returns {?TParagraph}
+ */
+function findUnchangedPara(note: TNote, lineState: TUndoLineState): ?TParagraph {
+  const paraAtIndex = note.paragraphs[lineState.lineIndex]
+  if (paraAtIndex && paraAtIndex.rawContent === lineState.rawContent) return paraAtIndex
+  const matchingParas = note.paragraphs.filter((p) => p.rawContent === lineState.rawContent)
+  return matchingParas.length === 1 ? matchingParas[0] : null
+}
+
+/**
+ * Put a line back into its original note at (or as near as possible to) its original position.
+ * Note: inserting it as 'text' gets NP to work out its type and indentation from the raw content.
+ * @param {TUndoLineState} before
+ * @returns {boolean} success?
+ */
+function reinsertLine(before: TUndoLineState): boolean {
+  const note = getNoteByFilename(before.filename)
+  if (!note) throw new Error(`Can't find original note '${before.filename}'`)
+  if (note.paragraphs.some((p) => p.rawContent === before.rawContent)) {
+    logWarn('reinsertLine', `{${before.rawContent}} is already in note '${before.filename}', so won't add it again`)
+    return false
+  }
+  const insertionIndex = Math.min(before.lineIndex, note.paragraphs.length)
+  note.insertParagraph(before.rawContent, insertionIndex, 'text')
+  DataStore.updateCache(note, false)
+  return true
+}
+
+/**
+ * Undo a single recorded action, after checking that the line hasn't been edited since.
+ * @param {TUndoEntry} entry
+ * @returns {boolean} success?
+ */
+function undoEntry(entry: TUndoEntry): boolean {
+  const { actionType, before, after } = entry
+
+  // A deleted line just needs putting back
+  if (!after) {
+    return reinsertLine(before)
+  }
+
+  const afterNote = getNoteByFilename(after.filename)
+  if (!afterNote) throw new Error(`Can't find note '${after.filename}'`)
+  const para = findUnchangedPara(afterNote, after)
+  if (!para) {
+    logWarn('undoEntry', `Won't undo '${actionType}', as {${after.rawContent}} has been changed since in note '${after.filename}'`)
+    return false
+  }
+
+  if (after.filename === before.filename) {
+    // Put the line back as it was
+    para.type = before.type
+    para.content = before.content
+    afterNote.updateParagraph(para)
+    DataStore.updateCache(afterNote, false)
+    return true
+  } else {
+    // Move the line back to where it was
+    afterNote.removeParagraph(para)
+    DataStore.updateCache(afterNote, false)
+    return reinsertLine(before)
+  }
+}
+
+/**
+ * Undo the last N actions recorded on the undo stack (N given by data.undoCount, default 1), most recent first.
+ * Stops at the first action that can't safely be undone (e.g. because its line has been edited since, or its note can't be found), and removes it from the stack.
+ * The rest of the stack is always saved, so that actions already undone can't be undone a second time.
+ * @param {MessageDataObject} data
+ * @returns {TBridgeClickHandlerResult}
+ */
+export async function doUndoLastActions(data: MessageDataObject): Promise<TBridgeClickHandlerResult> {
+  try {
+    const reactWindowData = await getGlobalSharedData(WEBVIEW_WINDOW_ID)
+    const undoStack: Array<TUndoEntry> = (reactWindowData.pluginData.undoStack ?? []).slice()
+    const numToUndo = Math.min(data.undoCount ?? 1, undoStack.length)
+    logInfo('doUndoLastActions', `Starting to undo ${numToUndo} of ${undoStack.length} actions`)
+
+    let undoneCount = 0
+    let failedEntry: ?TUndoEntry = null
+    let failureReason = 'the line has been changed since'
+    while (undoneCount < numToUndo) {
+      const entry = undoStack.pop()
+      if (!entry) break
+      let wasUndone = false
+      try {
+        wasUndone = undoEntry(entry)
+      } catch (error) {
+        logError('doUndoLastActions', `Error undoing '${entry.actionType}' for {${entry.before.content}}: ${error.message}`)
+        failureReason = error.message
+      }
+      if (!wasUndone) {
+        failedEntry = entry
+        break
+      }
+      undoneCount++
+    }
+    await setPluginData({ undoStack: undoStack }, `Undid ${undoneCount} actions`)
+
+    if (failedEntry) {
+      clo(failedEntry, 'doUndoLastActions: failed to undo entry:')
+      await showMessage(`Sorry, I couldn't undo '${failedEntry.actionType}' for "${failedEntry.before.content}": ${failureReason}. ${undoneCount > 0 ? `(${undoneCount} later action(s) were undone.)` : ''}`)
+    }
+    logInfo('doUndoLastActions', `-> undid ${undoneCount} actions`)
+    return handlerResult(undoneCount > 0, ['REFRESH_ALL_SECTIONS', 'START_DELAYED_REFRESH_TIMER'])
+  } catch (error) {
+    logError('doUndoLastActions', error.message)
+    return handlerResult(false)
+  }
+}
@@ -0,0 +1,96 @@
+/* global describe, expect, test, beforeAll */
+// @flow
+import { calcProjectedCompletionDate, calcProjectProgressHistory } from '../src/projectCharts'
+import type { ProjectProgressPoint } from '../src/projectCharts'
+import { Calendar, DataStore, Editor, NotePlan } from '@mocks/index'
+
+beforeAll(() => {
+  global.Calendar = Calendar
+  global.DataStore = DataStore
+  global.Editor = Editor
+  global.NotePlan = NotePlan
+  DataStore.settings['_logLevel'] = 'none' //change this to DEBUG to get more logging
+})
+
+// A Project-like object with just what calcProjectProgressHistory() uses
+const makeProject = (lines: Array<[string, string]>, counts: { completedTasks: number, openTasks: number, futureTasks?: number }, dates: Object = {}): Object => ({
+  title: 'Test Project',
+  note: {
+    type: 'Notes',
+    paragraphs: lines.map(([type, content], lineIndex) => ({ type, content, lineIndex, headingLevel: type === 'title' ? 1 : 0 })),
+  },
+  completedTasks: counts.completedTasks,
+  openTasks: counts.openTasks,
+  futureTasks: counts.futureTasks ?? 0,
+  startDate: dates.startDate,
+  completedDate: dates.completedDate,
+  cancelledDate: dates.cancelledDate,
+})
+
+const point = (dateStr: string, completed: number, open: number, progress: ?number = null): ProjectProgressPoint => ({ dateStr, completed, open, progress })
+
+describe('projectCharts', () => {
+  describe('calcProjectProgressHistory()', () => {
+    test('counts completed items by their @done() dates, and undated ones from the start', () => {
+      const project = makeProject(
+        [
+          ['title', 'Test Project'],
+          ['done', 'first @done(2024-08-01 10:00)'],
+          ['done', 'second @done(2024-08-03)'],
+          ['done', 'no date'],
+          ['open', 'still to do'],
+        ],
+        { completedTasks: 3, openTasks: 1 },
+        { startDate: new Date(2024, 6, 30), completedDate: new Date(2024, 7, 5) },
+      )
+      expect(calcProjectProgressHistory(project)).toEqual([
+        point('2024-07-30', 1, 3),
+        point('2024-08-01', 2, 2),
+        point('2024-08-03', 3, 1),
+        point('2024-08-05', 3, 1),
+      ])
+    })
+
+    test('includes the stated progress from Progress: lines', () => {
+      const project = makeProject(
+        [
+          ['title', 'Test Project'],
+          ['text', 'Progress: 10@2024-08-01: started'],
+          ['text', 'Progress: 40@2024-08-04: going well'],
+          ['open', 'still to do'],
+        ],
+        { completedTasks: 0, openTasks: 1 },
+        { completedDate: new Date(2024, 7, 6) },
+      )
+      expect(calcProjectProgressHistory(project)).toEqual([
+        point('2024-08-01', 0, 1, 10),
+        point('2024-08-04', 0, 1, 40),
+        point('2024-08-06', 0, 1),
+      ])
+    })
+  })
+
+  describe('calcProjectedCompletionDate()', () => {
+    test('continues the task completion rate', () => {
+      // 4 tasks in 4 days = 1 a day, with 3 left
+      expect(calcProjectedCompletionDate([point('2024-08-01', 0, 7), point('2024-08-05', 4, 3)])).toEqual('2024-08-08')
+    })
+
+    test('uses the rate of stated progress if no tasks have been completed', () => {
+      // 30% in 3 days = 10% a day, with 60% left
+      expect(calcProjectedCompletionDate([point('2024-08-01', 0, 5, 10), point('2024-08-04', 0, 5, 40), point('2024-08-05', 0, 5)])).toEqual('2024-08-10')
+    })
+
+    test('returns null if there is nothing left to do', () => {
+      expect(calcProjectedCompletionDate([point('2024-08-01', 0, 2), point('2024-08-05', 2, 0)])).toBeNull()
+    })
+
+    test('returns null if there is no completion or progress rate', () => {
+      expect(calcProjectedCompletionDate([point('2024-08-01', 0, 2, 20), point('2024-08-05', 0, 2)])).toBeNull()
+    })
+
+    test('returns null with fewer than 2 points', () => {
+      expect(calcProjectedCompletionDate([point('2024-08-01', 0, 2)])).toBeNull()
+    })
+  })
+})
@@ -55,6 +55,7 @@ function showProjectControlDialog(dataObject) {
     { controlStr: 'nr+1m', handlingFunction: 'setNextReviewDate' },
     { controlStr: 'nr+1q', handlingFunction: 'setNextReviewDate' },
     { controlStr: 'progress', handlingFunction: 'addProgress' },
+    { controlStr: 'chart', handlingFunction: 'showProgressChart' },
     { controlStr: 'pause', handlingFunction: 'togglePause' },
     { controlStr: 'complete', handlingFunction: 'completeProject' },
     { controlStr: 'cancel', handlingFunction: 'cancelProject' },
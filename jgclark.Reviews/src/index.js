@@ -3,7 +3,7 @@
 //-----------------------------------------------------------------------------
 // Index for Reviews plugin
 // Jonathan Clark
-// Last updated 6.4.2024 for v0.14.0, @jgclark
+// Last updated 2024-08-05 for v0.15.0, @jgclark
 //-----------------------------------------------------------------------------
 
 // allow changes in plugin.json to trigger recompilation
@@ -39,6 +39,8 @@ export {
   cancelProject,
   togglePauseProject
 } from './projects'
+export { showReviewHistory } from './reviewHistory'
+export { showProjectProgressChart } from './projectCharts'
 export {
   generateCSSFromTheme
 } from '@helpers/NPThemeToCSS'
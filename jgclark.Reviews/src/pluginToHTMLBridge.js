@@ -1,7 +1,7 @@
 // @flow
 //-----------------------------------------------------------------------------
 // Bridging functions for Projects plugin
-// Last updated 2024-07-12 for v0.14.0 by @jgclark
+// Last updated 2024-08-05 for v0.15.0 by @jgclark
 //-----------------------------------------------------------------------------
 
 import pluginJson from '../plugin.json'
@@ -18,6 +18,7 @@ import {
   completeProject,
   togglePauseProject,
 } from './projects'
+import { showProjectProgressChart } from './projectCharts'
 // import { getReviewSettings } from './reviewHelpers'
 import { clo, logDebug, logError, logInfo, logWarn, JSP } from '@helpers/dev'
 // import { displayTitle } from '@helpers/general'
@@ -228,6 +229,12 @@ export async function bridgeClickProjectListItem(data: MessageDataObject) {
         }
         break
       }
+      case 'showProgressChart': {
+        // Mimic the /project progress chart command for the note in question
+        logDebug('bCPLI / showProgressChart', `-> showProjectProgressChart on filename ${filename} (ID ${ID})`)
+        await showProjectProgressChart(filename)
+        break
+      }
       case 'windowResized': {
         logDebug('bCPLI / windowResized', `windowResized triggered on plugin side (hopefully for '${windowCustomId}')`)
         const thisWin = getWindowFromCustomId(windowCustomId)
@@ -0,0 +1,244 @@
+// @flow
+//-----------------------------------------------------------------------------
+// Progress (burndown) chart for a single Project note, shown in an HTML window.
+// Uses the same approach as the charts in the Summaries plugin: gather stats by ISO date, and then chart them using AnyChart.
+// Last updated 2024-08-05 for v0.15.0
+//-----------------------------------------------------------------------------
+
+import pluginJson from '../plugin.json'
+import {
+  getFieldParagraphsFromNote,
+  getReviewSettings,
+  parseProgressParagraph,
+  Project,
+} from './reviewHelpers'
+import {
+  calcOffsetDateStr,
+  daysBetween,
+  RE_DONE_DATE_OR_DATE_TIME_DATE_CAPTURE,
+  todaysDateISOString,
+  toISODateString,
+} from '@helpers/dateTime'
+import { clo, logDebug, logError, logInfo, logWarn } from '@helpers/dev'
+import { showHTMLV2 } from '@helpers/HTMLView'
+import { showMessage } from '@helpers/userInput'
+import { isDone } from '@helpers/utils'
+
+//-----------------------------------------------------------------------------
+
+export type ProjectProgressPoint = {
+  dateStr: string, // YYYY-MM-DD
+  completed: number, // tasks completed by this date
+  open: number, // tasks still to do at this date
+  progress: ?number, // % from a 'Progress:' line on this date (if any)
+}
+
+//-----------------------------------------------------------------------------
+
+/**
+ * Calculate the history of a project's progress, from the '@done(...)' dates of its tasks and checklists, and its 'Progress:' lines.
+ * Note: NotePlan doesn't record when tasks are added, so the open count on each date is the current total less those completed by then. Completed items without a @done() date are counted from the start.
+ * @param {Project} project
+ * @returns {Array<ProjectProgressPoint>} one point per date of interest, oldest first
+ */
+export function calcProjectProgressHistory(project: Project): Array<ProjectProgressPoint> {
+  const paras = project.note.paragraphs
+  // Use the same total as the Project's % complete, so ignoring open tasks scheduled for the future
+  const totalTasks = project.completedTasks + project.openTasks - project.futureTasks
+
+  // Get done dates (where available)
+  const doneDateStrs: Array<string> = []
+  let undatedDone = 0
+  for (const p of paras.filter(isDone)) {
+    const doneDateMatches = p.content.match(RE_DONE_DATE_OR_DATE_TIME_DATE_CAPTURE)
+    if (doneDateMatches) {
+      doneDateStrs.push(doneDateMatches[1])
+    } else {
+      undatedDone++
+    }
+  }
+
+  // Get the dated progress lines
+  const progressMap: Map<string, number> = new Map()
+  for (const pp of getFieldParagraphsFromNote(project.note, 'progress')) {
+    const progress = parseProgressParagraph(pp)
+    if (progress.date.getFullYear() > 1 && !isNaN(progress.percentComplete)) {
+      progressMap.set(toISODateString(progress.date), progress.percentComplete)
+    }
+  }
+
+  // Work out the dates of interest: start, each completion and progress update, and then today (or when finished)
+  const endDate = project.completedDate ?? project.cancelledDate
+  const endDateStr = endDate ? toISODateString(endDate) : todaysDateISOString
+  const dateStrs = new Set([...doneDateStrs, ...progressMap.keys(), endDateStr])
+  if (project.startDate) {
+    dateStrs.add(toISODateString(project.startDate))
+  }
+  const sortedDateStrs = [...dateStrs].sort()
+
+  const output: Array<ProjectProgressPoint> = []
+  for (const dateStr of sortedDateStrs) {
+    const completed = undatedDone + doneDateStrs.filter((d) => d <= dateStr).length
+    output.push({
+      dateStr: dateStr,
+      completed: completed,
+      open: Math.max(totalTasks - completed, 0),
+      progress: progressMap.get(dateStr) ?? null,
+    })
+  }
+  logDebug('calcProjectProgressHistory', `-> ${output.length} points for '${project.title}' from ${doneDateStrs.length} dated completions and ${progressMap.size} progress lines`)
+  return output
+}
+
+/**
+ * Project a completion date, by continuing the rate at which tasks have been completed (from the first to last point). If no tasks have been completed over that time, then use the rate of change of the stated progress % instead.
+ * @param {Array<ProjectProgressPoint>} points oldest first
+ * @returns {?string} YYYY-MM-DD, or null if it can't be projected, or there's nothing left to do
+ */
+export function calcProjectedCompletionDate(points: Array<ProjectProgressPoint>): ?string {
+  if (points.length < 2) return null
+  const first = points[0]
+  const last = points[points.length - 1]
+  if (last.open === 0) return null
+
+  // First try task completion rate
+  const days = daysBetween(first.dateStr, last.dateStr)
+  const tasksPerDay = days > 0 ? (last.completed - first.completed) / days : 0
+  if (tasksPerDay > 0) {
+    return calcOffsetDateStr(last.dateStr, `${Math.ceil(last.open / tasksPerDay)}d`)
+  }
+
+  // Otherwise try stated progress rate
+  const progressPoints = points.filter((p) => p.progress != null)
+  if (progressPoints.length >= 2) {
+    const firstProgress = progressPoints[0]
+    const lastProgress = progressPoints[progressPoints.length - 1]
+    const progressDays = daysBetween(firstProgress.dateStr, lastProgress.dateStr)
+    // $FlowIgnore[unsafe-arithmetic] progress is a number from filter above
+    const percentPerDay = progressDays > 0 ? (lastProgress.progress - firstProgress.progress) / progressDays : 0
+    if (percentPerDay > 0) {
+      // $FlowIgnore[unsafe-arithmetic]
+      return calcOffsetDateStr(lastProgress.dateStr, `${Math.ceil((100 - lastProgress.progress) / percentPerDay)}d`)
+    }
+  }
+  return null
+}
+
+/**
+ * Show a chart of completed vs. open tasks, and stated progress %, over the life of a project, with a projected completion date.
+ * Plugin entrypoint for command: "/project progress chart"
+ * @param {string?} filenameArg of the project note; if not given, uses the note in the Editor
+ */
+export async function showProjectProgressChart(filenameArg: string = ''): Promise<void> {
+  try {
+    // Need the settings to be loaded before making a Project
+    const config = await getReviewSettings()
+    if (!config) throw new Error('No config found. Stopping.')
+
+    const note: ?TNote = filenameArg !== '' ? DataStore.projectNoteByFilename(filenameArg) : Editor.note
+    if (!note || note.type === 'Calendar' || note.paragraphs.length < 2) {
+      logWarn('showProjectProgressChart', `Not in (or passed) a Project note (at least 2 lines long).`)
+      await showMessage('Please open a Project note to chart its progress.', 'OK', 'Project Progress Chart')
+      return
+    }
+
+    const thisProject = new Project(note, '', false)
+    const points = calcProjectProgressHistory(thisProject)
+    if (points.every((p) => p.completed === 0) && points.every((p) => p.progress == null)) {
+      logInfo('showProjectProgressChart', `No completed tasks or progress lines found in '${thisProject.title}'`)
+      await showMessage(`There are no completed tasks or 'Progress:' lines in '${thisProject.title}' to chart yet.`, 'OK', 'Project Progress Chart')
+      return
+    }
+    const projectedDateStr = calcProjectedCompletionDate(points)
+    await generateProjectProgressChart(thisProject.title, points, projectedDateStr)
+  } catch (error) {
+    logError('showProjectProgressChart', error.message)
+  }
+}
+
+/**
+ * Show the chart in an HTML window, using AnyChart line series on a date-time scale.
+ * Note: Using trial (and watermarked) version of Anychart, as in the Summaries plugin.
+ * @param {string} projectTitle
+ * @param {Array<ProjectProgressPoint>} points oldest first
+ * @param {?string} projectedDateStr YYYY-MM-DD
+ */
+async function generateProjectProgressChart(projectTitle: string, points: Array<ProjectProgressPoint>, projectedDateStr: ?string): Promise<void> {
+  // Munge data into rows of [date, completed, open, progress]. AnyChart skips null values.
+  const dataToPass = points.map((p) => [p.dateStr, p.completed, p.open, p.progress])
+  const last = points[points.length - 1]
+  const projectionToPass = projectedDateStr ? [[last.dateStr, last.open], [projectedDateStr, 0]] : []
+  const chartTitle = projectedDateStr ? `${projectTitle}: projected completion ${projectedDateStr}` : projectTitle
+  // clo(dataToPass, 'generateProjectProgressChart data')
+
+  const chartCSS = `html, body, #container {
+    width: 100%;
+    height: 100%;
+    margin: 0px;
+    padding: 0px;
+  }
+  `
+  const preScript = `<script src="https://cdn.anychart.com/releases/8.7.1/js/anychart-core.min.js"></script>
+  <script src="https://cdn.anychart.com/releases/8.7.1/js/anychart-cartesian.min.js"></script>
+`
+  const body = `
+  <div id="container"></div>
+  <script>
+    anychart.onDocumentReady(function () {
+      var dataSet = anychart.data.set(${JSON.stringify(dataToPass)});
+      var chart = anychart.line();
+      chart.title(${JSON.stringify(chartTitle)});
+      chart.xScale(anychart.scales.dateTime());
+      chart.xAxis().labels().format(function () {
+        return anychart.format.dateTime(this.value, 'yyyy-MM-dd');
+      });
+      chart.yAxis(0).title('Tasks');
+
+      var completedSeries = chart.stepLine(dataSet.mapAs({ x: 0, value: 1 }));
+      completedSeries.name('Completed');
+      completedSeries.stroke('#10B010', 2);
+      var openSeries = chart.stepLine(dataSet.mapAs({ x: 0, value: 2 }));
+      openSeries.name('Open');
+      openSeries.stroke('#E05050', 2);
+
+      // Progress % uses its own scale on the right
+      var percentScale = anychart.scales.linear();
+      percentScale.minimum(0).maximum(100);
+      chart.yAxis(1).orientation('right').scale(percentScale).title('Progress %');
+      var progressSeries = chart.line(dataSet.mapAs({ x: 0, value: 3 }));
+      progressSeries.name('Progress %');
+      progressSeries.yScale(percentScale);
+      progressSeries.connectMissingPoints(true);
+      progressSeries.markers(true);
+
+      var projection = ${JSON.stringify(projectionToPass)};
+      if (projection.length > 0) {
+        var projectionSeries = chart.line(projection);
+        projectionSeries.name('Projected');
+        projectionSeries.stroke({ color: '#888888', dash: '5 5', thickness: 2 });
+      }
+
+      chart.tooltip().displayMode('union');
+      chart.legend(true);
+      chart.container('container');
+      chart.draw();
+    });
+  </script>
+`
+  const winOpts = {
+    windowTitle: `Progress chart for '${projectTitle}'`,
+    width: 700,
+    height: 400,
+    generalCSSIn: '', // i.e. generate from theme
+    specificCSS: chartCSS,
+    preBodyScript: preScript,
+    postBodyScript: '',
+    customId: `${pluginJson['plugin.id']}.progress-chart`,
+    savedFilename: 'project-progress-chart.html',
+    makeModal: false,
+    reuseUsersWindowRect: true,
+    shouldFocus: true,
+  }
+  await showHTMLV2(body, winOpts)
+  logInfo('generateProjectProgressChart', `Shown progress chart for '${projectTitle}' with ${points.length} points`)
+}
@@ -3,7 +3,7 @@
 //-----------------------------------------------------------------------------
 // Commands for working with Project and Area notes, seen in NotePlan notes.
 // by @jgclark
-// Last updated 30.3.2024 for v0.14.0, @jgclark
+// Last updated 2024-08-05 for v0.15.0, @jgclark
 //-----------------------------------------------------------------------------
 
 //-----------------------------------------------------------------------------
@@ -16,11 +16,13 @@ import {
   updateReviewListAfterChange
 } from './reviews'
 import {
+  getOrMakeMetadataLine,
   getReviewSettings,
   Project,
-  type ReviewConfig
+  type ReviewConfig,
+  updateMetadataInNote
 } from './reviewHelpers'
-import { hyphenatedDateString } from '@helpers/dateTime'
+import { hyphenatedDateString, todaysDateISOString } from '@helpers/dateTime'
 import { clo, logDebug, logInfo, logWarn, logError } from '@helpers/dev'
 import { showMessageYesNo } from '@helpers/userInput'
 
@@ -61,6 +63,7 @@ export async function addProgressUpdate(noteArg?: TNote): Promise<void> {
  * - add '#archive' flag to metadata line
  * - remove from this plugin's review list
  * - add to a yearly 'Completed Projects' list in the Summaries folder (if present)
+ * - unblock any projects that were blocked by this one, and flag them for review
  * - offer to move it to the @Archive
  * @author @jgclark
  * @param {TNote?} noteArg 
@@ -100,6 +103,9 @@ export async function completeProject(noteArg?: TNote): Promise<void> {
           await updateReviewListAfterChange(note.title ?? '<error>', false, config, newMSL)
         }
 
+        // Unblock any projects waiting on this one
+        await unblockProjectsBlockedBy(note.title ?? '', config)
+
         // re-render the outputs (but don't focus)
         await renderProjectLists(config, false)
 
@@ -138,6 +144,42 @@ export async function completeProject(noteArg?: TNote): Promise<void> {
   }
 }
 
+/**
+ * Unblock all project notes that were blocked by the project 'title', by removing their '@blockedBy([[title]])' mention, and flagging them for review today with '@nextReview(today)'.
+ * @author @jgclark
+ * @param {string} title of the project just completed
+ * @param {ReviewConfig} config
+ */
+async function unblockProjectsBlockedBy(title: string, config: ReviewConfig): Promise<void> {
+  try {
+    if (title === '') return
+    const blockedByMention = `${config.blockedByMentionStr ?? '@blockedBy'}([[${title}]])`
+    const blockedNotes = DataStore.projectNotes.filter((n) => n.paragraphs.some((p) => p.content.includes(blockedByMention)))
+    logDebug('project/unblockProjectsBlockedBy', `Found ${blockedNotes.length} notes blocked by '${title}'`)
+
+    for (const blockedNote of blockedNotes) {
+      const metadataPara = blockedNote.paragraphs[getOrMakeMetadataLine(blockedNote)]
+      if (!metadataPara || !metadataPara.content.includes(blockedByMention)) {
+        logWarn('project/unblockProjectsBlockedBy', `'${blockedByMention}' isn't in the metadata line of '${blockedNote.title ?? blockedNote.filename}', so won't unblock it`)
+        continue
+      }
+      // Remove the mention, and flag for review today (replacing any existing @nextReview(...))
+      metadataPara.content = metadataPara.content.replace(blockedByMention, '').replace(/\s{2,}/g, ' ').trim()
+      blockedNote.updateParagraph(metadataPara)
+      updateMetadataInNote(blockedNote, [`${config.nextReviewMentionStr}(${todaysDateISOString})`])
+      DataStore.updateCache(blockedNote, true)
+
+      // Update the full-review-list for this project
+      const unblockedProject = new Project(blockedNote, '', false)
+      await updateReviewListAfterChange(blockedNote.title ?? '<error>', false, config, unblockedProject.machineSummaryLine())
+      logInfo('project/unblockProjectsBlockedBy', `- unblocked '${blockedNote.title ?? blockedNote.filename}' and flagged it for review`)
+    }
+  }
+  catch (error) {
+    logError('project/unblockProjectsBlockedBy', error.message)
+  }
+}
+
 /**
  * Bridge function, may be useful for Dashboard
  * @param {string} filename 
@@ -2,7 +2,7 @@
 //-----------------------------------------------------------------------------
 // Helper functions for Review plugin
 // @jgclark
-// Last updated 2024-07-13 for v0.14.0, @jgclark
+// Last updated 2024-08-05 for v0.15.0, @jgclark
 //-----------------------------------------------------------------------------
 
 //-----------------------------------------------------------------------------
@@ -66,6 +66,7 @@ export type ReviewConfig = {
   reviewIntervalMentionStr: string,
   reviewedMentionStr: string,
   nextReviewMentionStr: string,
+  blockedByMentionStr: string,
   width: number,
   height: number,
   archiveUsingFolderStructure: boolean,
@@ -98,6 +99,8 @@ export async function getReviewSettings(): Promise<?ReviewConfig> {
     DataStore.setPreference('reviewIntervalMentionStr', config.reviewIntervalMentionStr)
     DataStore.setPreference('reviewedMentionStr', config.reviewedMentionStr)
     DataStore.setPreference('nextReviewMentionStr', config.nextReviewMentionStr)
+    // Note: added in v0.15.0, so may not be in existing settings
+    DataStore.setPreference('blockedByMentionStr', config.blockedByMentionStr ?? '@blockedBy')
 
     // TODO(later): remove this when checkboxes do work
     DataStore.setPreference('Reviews-DisplayOnlyDue', config.displayOnlyDue)
@@ -215,6 +218,40 @@ export type Progress = {
   comment: string
 }
 
+/**
+ * Parse a 'Progress: N@YYYY-MM-DD: comment' line (or YYYYMMDD date) into a Progress object.
+ * If there's no date, it uses 0001-01-01; if there's no percentage, it uses NaN.
+ * @param {TParagraph} progressPara
+ * @returns {Progress}
+ */
+export function parseProgressParagraph(progressPara: TParagraph): Progress {
+  const progressLine = progressPara.content
+  // logDebug('parseProgressParagraph', progressLine)
+  const thisDate: Date = (new RegExp(RE_ISO_DATE).test(progressLine))
+    // $FlowIgnore
+    ? getDateObjFromDateString(progressLine.match(RE_ISO_DATE)[0])
+    : (new RegExp(RE_YYYYMMDD_DATE).test(progressLine))
+      // $FlowIgnore
+      ? getDateFromUnhyphenatedDateString(progressLine.match(RE_YYYYMMDD_DATE)[0])
+      : new Date('0001-01-01')
+  const tempSplitParts = progressLine.split(/[:@]/)
+  // logDebug('parseProgressParagraph', `tempSplitParts: ${String(tempSplitParts)}`)
+  const comment = tempSplitParts[3] ?? ''
+
+  const tempNumberMatches = progressLine.match(/(\d{1,2})@/)
+  // logDebug('parseProgressParagraph', `tempNumberMatches: ${String(tempNumberMatches)}`)
+  const percent: number = (tempNumberMatches && tempNumberMatches.length > 0)
+    ? Number(tempNumberMatches[1])
+    : NaN
+
+  return {
+    lineIndex: progressPara.lineIndex,
+    percentComplete: percent,
+    date: thisDate,
+    comment: comment
+  }
+}
+
 /**
  * Return the (paragraph index of) the most recent progress line from the array, based upon the most recent YYYYMMDD or YYYY-MM-DD date found. If it can't find any it default to the first paragraph.
  * @param {Array<TParagraph>} progressParas
@@ -223,8 +260,6 @@ export type Progress = {
 function mostRecentProgressParagraph(progressParas: Array<TParagraph>): Progress {
   try {
     let lastDate = new Date('0000-01-01') // earliest possible YYYY-MM-DD date
-    // let lastIndex = 0 // Default to returning first line
-    // let i = 0
     let outputProgress: Progress = {
       lineIndex: 1,
       percentComplete: NaN,
@@ -232,42 +267,12 @@ function mostRecentProgressParagraph(progressParas: Array<TParagraph>): Progress
       comment: '(no comment found)'
     }
     for (const progressPara of progressParas) {
-      // const progressParaParts = progressPara.content.split(/[:@]/)
-      // if (progressParaParts.length >= 1) {
-      // const thisDatePart = progressParaParts[1]
-      const progressLine = progressPara.content
-      // logDebug('mostRecentProgressParagraph', progressLine)
-      const thisDate: Date = (new RegExp(RE_ISO_DATE).test(progressLine))
-        // $FlowIgnore
-        ? getDateObjFromDateString(progressLine.match(RE_ISO_DATE)[0])
-        : (new RegExp(RE_YYYYMMDD_DATE).test(progressLine))
-          // $FlowIgnore
-          ? getDateFromUnhyphenatedDateString(progressLine.match(RE_YYYYMMDD_DATE)[0])
-          : new Date('0001-01-01')
-      const tempSplitParts = progressLine.split(/[:@]/)
-      // logDebug('mostRecentProgressParagraph', `tempSplitParts: ${String(tempSplitParts)}`)
-      const comment = tempSplitParts[3] ?? ''
-
-      const tempNumberMatches = progressLine.match(/(\d{1,2})@/)
-      // logDebug('mostRecentProgressParagraph', `tempNumberMatches: ${String(tempNumberMatches)}`)
-      const percent: number = (tempNumberMatches && tempNumberMatches.length > 0)
-        ? Number(tempNumberMatches[1])
-        : NaN
-
-      if (thisDate > lastDate) {
-        // lastIndex = i // progressPara.lineIndex
+      const thisProgress = parseProgressParagraph(progressPara)
+      if (thisProgress.date > lastDate) {
         // logDebug('Project::mostRecentProgressParagraph', `Found latest datePart ${thisDatePart}`)
-        outputProgress = {
-          lineIndex: progressPara.lineIndex,
-          percentComplete: percent,
-          date: thisDate,
-          comment: comment
-        }
+        outputProgress = thisProgress
       }
-      lastDate = thisDate
-
-      // }
-      // i++
+      lastDate = thisProgress.date
     }
     // clo(outputProgress, 'mostRecentProgressParagraph ->')
     return outputProgress
@@ -346,6 +351,70 @@ export function getOrMakeMetadataLine(note: TNote, metadataLinePlaceholder: stri
 }
 
 
+/**
+ * Get a mention string stored by getReviewSettings(), or the given default if it hasn't been stored yet (e.g. settings added since the last time it ran).
+ * @param {string} prefName
+ * @param {string} defaultStr
+ * @returns {string}
+ */
+function preferenceOrDefault(prefName: string, defaultStr: string): string {
+  const pref = DataStore.preference(prefName)
+  return typeof pref === 'string' && pref !== '' ? pref : defaultStr
+}
+
+/**
+ * Escape a string (e.g. a note title) for use as text in HTML
+ * @param {string} str
+ * @returns {string}
+ */
+function escapeHTML(str: string): string {
+  return str.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;').replace(/'/g, '&#39;')
+}
+
+/**
+ * Get the titles of the projects this one is blocked by, from any '@blockedBy([[Title]])' mentions in the given line.
+ * Note: parsed from the line itself, as note.mentions (and the fallback of splitting on spaces) don't handle titles containing spaces.
+ * @author @jgclark
+ * @param {string} line (normally the metadata line)
+ * @param {string} blockedByMentionStr (normally '@blockedBy')
+ * @returns {Array<string>} titles, in the order found
+ */
+export function getBlockedByTitlesFromLine(line: string, blockedByMentionStr: string): Array<string> {
+  const RE = new RegExp(`${blockedByMentionStr}\\(\\[\\[(.+?)\\]\\]\\)`, 'g')
+  return Array.from(line.matchAll(RE)).map((m) => m[1])
+}
+
+/**
+ * Is this project note finished (i.e. completed or cancelled)?
+ * Note: only looks at the metadata line, and doesn't create a Project instance, so that blocking projects that block each other don't cause a loop.
+ * @author @jgclark
+ * @param {TNote} note
+ * @returns {boolean}
+ */
+export function isProjectNoteFinished(note: TNote): boolean {
+  const finishedMentions = [`${preferenceOrDefault('completedMentionStr', '@completed')}(`, `${preferenceOrDefault('cancelledMentionStr', '@cancelled')}(`]
+  const reviewMentions = [preferenceOrDefault('reviewIntervalMentionStr', '@review'), preferenceOrDefault('reviewedMentionStr', '@reviewed')]
+  const lines = note.paragraphs?.map((p) => p.content) ?? []
+  const metadataLine =
+    lines.find((line, i) => i > 0 && (line.match(/^project:/i) || line.match(/^metadata:/i) || line.match(/^#[\w]/) || reviewMentions.some((m) => line.includes(`${m}(`)))) ?? ''
+  return finishedMentions.some((m) => metadataLine.includes(m))
+}
+
+/**
+ * Is a project with this title still blocking others? It is if it exists and isn't yet finished.
+ * @author @jgclark
+ * @param {string} title of the blocking project
+ * @returns {boolean}
+ */
+export function isBlockingProjectOpen(title: string): boolean {
+  const notes = DataStore.projectNoteByTitle(title) ?? []
+  if (notes.length === 0) {
+    logWarn('isBlockingProjectOpen', `Can't find blocking project '${title}', so will ignore it`)
+    return false
+  }
+  return !isProjectNoteFinished(notes[0])
+}
+
 //-----------------------------------------------------------------------------
 
 /**
@@ -383,6 +452,8 @@ export class Project {
   futureTasks: number
   isCancelled: boolean = false
   isPaused: boolean = false
+  blockedBy: Array<string> = [] // titles of projects this one is waiting on, from '@blockedBy([[title]])'
+  isBlocked: boolean = false // if any of the blockedBy projects are still open
   folder: string
   percentComplete: number = NaN
   lastProgressComment: string = '' // e.g. "Progress: 60@20220809: comment
@@ -521,6 +592,9 @@ export class Project {
         this.isPaused = true
         this.nextReviewDays = NaN
       }
+      // make project blocked if any of its @blockedBy([[...]]) projects are still open
+      this.blockedBy = getBlockedByTitlesFromLine(metadataLine, preferenceOrDefault('blockedByMentionStr', '@blockedBy'))
+      this.isBlocked = this.blockedBy.some((title) => isBlockingProjectOpen(title))
 
       // calculate the durations from these dates
       this.calcDurations()
@@ -541,13 +615,13 @@ export class Project {
 
   /**
    * Is this project ready for review?
-   * Return true if review is due and not archived or completed
+   * Return true if review is due and not archived, completed, paused or blocked
    * @return {boolean}
    */
   get isReadyForReview(): boolean {
     // logDebug(pluginJson, `isReadyForReview: ${this.title}:  ${String(this.nextReviewDays)} ${String(this.isPaused)}`)
     // $FlowFixMe[invalid-compare]
-    return !this.isPaused && this.nextReviewDays != null && !isNaN(this.nextReviewDays) && this.nextReviewDays <= 0
+    return !this.isPaused && !this.isBlocked && this.nextReviewDays != null && !isNaN(this.nextReviewDays) && this.nextReviewDays <= 0
   }
 
   /**
@@ -852,6 +926,7 @@ export class Project {
     output += this.completedDate && this.completedDate !== undefined ? `${checkString(DataStore.preference('completedMentionStr'))}(${toISODateString(this.completedDate)}) ` : ''
     // $FlowIgnore[incompatible-call]
     output += this.cancelledDate && this.cancelledDate !== undefined ? `${checkString(DataStore.preference('cancelledMentionStr'))}(${toISODateString(this.cancelledDate)}) ` : ''
+    output += this.blockedBy.map((title) => `${preferenceOrDefault('blockedByMentionStr', '@blockedBy')}([[${title}]]) `).join('')
 
     return output
   }
@@ -863,7 +938,7 @@ export class Project {
   machineSummaryLine(): string {
     try {
       // next review in days
-      let output = (!this.isPaused && this.nextReviewDays != null && !isNaN(this.nextReviewDays)) ? String(this.nextReviewDays) : 'NaN'
+      let output = (!this.isPaused && !this.isBlocked && this.nextReviewDays != null && !isNaN(this.nextReviewDays)) ? String(this.nextReviewDays) : 'NaN'
       output += '\t'
       // due date in days
       output += (!this.isPaused && this.dueDays != null && !isNaN(this.dueDays)) ? String(this.dueDays) : 'NaN'
@@ -874,6 +949,7 @@ export class Project {
       // note type, then other pseudo-tags
       output += (this.noteType) ? `${this.noteType} ` : ''
       output += this.isPaused ? '#paused' : ''
+      output += this.isBlocked ? (this.isPaused ? ' #blocked' : '#blocked') : ''
       output += '\t'
       output += (this.isCompleted)
         ? 'finished'
@@ -889,7 +965,7 @@ export class Project {
   }
 
   /**
-   * Returns title of note as folder name + link, also showing complete or cancelled where relevant.
+   * Returns title of note as folder name + link, also showing complete, cancelled, paused or blocked where relevant.
    * Supports 'Markdown' or 'HTML' styling or simpler 'list' styling
    * @param {string} style 'Markdown' or 'HTML' or 'list'
    * @param {boolean} includeFolderName whether to include folder name at the start of the entry.
@@ -906,7 +982,7 @@ export class Project {
         // const noteOpenActionURL = createOpenOrDeleteNoteCallbackUrl(this.title, "title", "", "splitView", false)
         // Method 1b: x-callback using filename
         const noteOpenActionURL = createOpenOrDeleteNoteCallbackUrl(this.filename, "filename", "", null, false)
-        const noteTitleWithOpenAction = `<span class="noteTitle"><a href="${noteOpenActionURL}"><i class="fa-regular fa-file-lines pad-right"></i> ${folderNamePart}${titlePart}</a></span>`
+        const noteTitleWithOpenAction = `<span class="noteTitle"><a href="${noteOpenActionURL}"><i class="fa-regular fa-file-lines pad-right"></i> ${escapeHTML(folderNamePart + titlePart)}</a></span>`
         // TODO: if possible change to use internal links: see method in Dashboard
         // see discussion at https://discord.com/channels/763107030223290449/1007295214102269982/1016443125302034452
         // const noteTitleWithOpenAction = `<button onclick=openNote()>${folderNamePart}${titlePart}</button>`
@@ -917,6 +993,8 @@ export class Project {
           return `<span class="cancelled">${noteTitleWithOpenAction}</span>`
         } else if (this.isPaused) {
           return `<span class="paused">Paused: ${noteTitleWithOpenAction}</span>`
+        } else if (this.isBlocked) {
+          return `<span class="blocked">Blocked: ${noteTitleWithOpenAction}</span> <span class="blockedBy">by ${this.blockedBy.map((title) => escapeHTML(title)).join(', ')}</span>`
         } else {
           return `${noteTitleWithOpenAction}`
         }
@@ -929,6 +1007,8 @@ export class Project {
           return `[-] ${folderNamePart}[[${titlePart}]]`
         } else if (this.isPaused) {
           return `⏸ **Paused**: ${folderNamePart}[[${titlePart}]]`
+        } else if (this.isBlocked) {
+          return `⛔️ **Blocked**: ${folderNamePart}[[${titlePart}]] by ${this.blockedBy.map((title) => `[[${title}]]`).join(', ')}`
         } else {
           return `${folderNamePart}[[${titlePart}]]` // if this has a [ ] prefix then it of course turns it into a task, which is probably not what we want.
         }
@@ -941,6 +1021,8 @@ export class Project {
           return `~~${folderNamePart}[[${titlePart}]]~~`
         } else if (this.isPaused) {
           return `⏸ **Paused**: ${folderNamePart}[[${titlePart}]]`
+        } else if (this.isBlocked) {
+          return `⛔️ **Blocked**: ${folderNamePart}[[${titlePart}]] by ${this.blockedBy.map((title) => `[[${title}]]`).join(', ')}`
         } else {
           return `${folderNamePart}[[${titlePart}]]` // if this has a [ ] prefix then it of course turns it into a task, which is probably not what we want.
         }
@@ -980,6 +1062,9 @@ export class Project {
       else if (this.isPaused) {
         output += `<td class="first-col-indicator">${this.addFAIcon("fa-solid fa-circle-pause", "#888888")}</td>`
       }
+      else if (this.isBlocked) {
+        output += `<td class="first-col-indicator">${this.addFAIcon('fa-solid fa-ban', '#888888')}</td>`
+      }
       else if (isNaN(this.percentComplete)) {
         output += `<td class="first-col-indicator">${this.addFAIcon('fa-solid fa-circle', '#888888')}</td>`
       }
@@ -992,7 +1077,7 @@ export class Project {
 
       // Column 2a: Project name / link / edit dialog trigger button
       const editButton = `          <a class="dialogTrigger" onclick="showProjectControlDialog({encodedFilename: '${encodeRFC3986URIComponent(this.filename)}'})"><i class="fa-light fa-edit pad-left"></i></a>\n`
-      if (this.isCompleted || this.isCancelled || this.isPaused) {
+      if (this.isCompleted || this.isCancelled || this.isPaused || this.isBlocked) {
         output += `<td>${this.decoratedProjectTitle(style, includeFolderName)}&nbsp;${editButton}`
       }
       else if (this.percentComplete === 0 || isNaN(this.percentComplete)) {
@@ -0,0 +1,235 @@
+// @flow
+//-----------------------------------------------------------------------------
+// Review history log, and analytics on how consistently projects are reviewed.
+// Every finished or skipped review is appended to a persistent log in the plugin's data folder.
+// by @jgclark
+// Last updated 2024-08-05 for v0.15.0, @jgclark
+//-----------------------------------------------------------------------------
+
+import pluginJson from '../plugin.json'
+import {
+  calcNextReviewDate,
+  getReviewSettings,
+  type Project,
+  type ReviewConfig,
+} from './reviewHelpers'
+import { daysBetween, getTodaysDateHyphenated, toISODateString } from '@helpers/dateTime'
+import { nowLocaleShortDateTime } from '@helpers/NPdateTime'
+import { logDebug, logError, logInfo, logWarn } from '@helpers/dev'
+import { createRunPluginCallbackUrl } from '@helpers/general'
+import { getOrMakeNote } from '@helpers/note'
+import { noteOpenInEditor } from '@helpers/NPWindows'
+import { showMessage } from '@helpers/userInput'
+
+//-----------------------------------------------------------------------------
+
+const reviewLogFilename = `../${pluginJson['plugin.id']}/review-log.json`
+const reviewHistoryNoteTitle = 'Review History'
+// Number of skips in a row (without a finished review) for a project to count as 'chronically skipped'
+const chronicSkipThreshold = 3
+
+export type ReviewLogAction = 'finished' | 'skipped'
+
+export type ReviewLogEntry = {
+  date: string, // YYYY-MM-DD
+  title: string,
+  filename: string,
+  action: ReviewLogAction,
+  progress: ?number, // % complete at the time, if known
+  interval: ?string, // the @review() interval at the time
+  dueDate: ?string, // YYYY-MM-DD the review was due: the @nextReview() date if set, otherwise from the previous @reviewed() date and the interval
+  skippedTo?: string, // YYYY-MM-DD for skipped reviews
+}
+
+export type ProjectReviewStats = {
+  title: string,
+  filename: string,
+  numFinished: number,
+  numSkipped: number,
+  numOnTime: number, // finished on or before the due date
+  adherencePercent: number, // % of finished reviews (with a known due date) done on time; NaN if none
+  averageLatenessDays: number, // average days after the due date (negative if early); NaN if none
+  skipsInARow: number, // since the last finished review
+  lastReviewedDate: ?string,
+}
+
+//-----------------------------------------------------------------------------
+
+/**
+ * Read the review log.
+ * @returns {Array<ReviewLogEntry>} oldest first
+ */
+export function loadReviewLog(): Array<ReviewLogEntry> {
+  const data = DataStore.loadJSON(reviewLogFilename)
+  return Array.isArray(data?.entries) ? data.entries : []
+}
+
+/**
+ * Append a finished or skipped review to the review log.
+ * The review was due on its @nextReview() date if it has one (e.g. after a skip, or when unblocked), otherwise on the date worked out from its previous @reviewed() date and @review() interval.
+ * Note: must be called before the Project's review dates are updated, so the due date comes from the previous dates.
+ * @author @jgclark
+ * @param {Project} project being reviewed
+ * @param {ReviewLogAction} action
+ * @param {string?} skippedToDateStr YYYY-MM-DD, for skipped reviews
+ */
+export function addReviewLogEntry(project: Project, action: ReviewLogAction, skippedToDateStr: string = ''): void {
+  try {
+    const dueDate = project.nextReviewDateStr
+      ?? (project.reviewedDate && project.reviewInterval ? toISODateString(calcNextReviewDate(project.reviewedDate, project.reviewInterval)) : null)
+    const entry: ReviewLogEntry = {
+      date: getTodaysDateHyphenated(),
+      title: project.title,
+      filename: project.filename,
+      action: action,
+      progress: isNaN(project.percentComplete) ? null : project.percentComplete,
+      interval: project.reviewInterval ?? null,
+      dueDate: dueDate,
+    }
+    if (skippedToDateStr !== '') entry.skippedTo = skippedToDateStr
+
+    const entries = loadReviewLog()
+    entries.push(entry)
+    if (!DataStore.saveJSON({ entries: entries }, reviewLogFilename)) {
+      throw new Error(`Couldn't save to ${reviewLogFilename}`)
+    }
+    logDebug('addReviewLogEntry', `- logged '${action}' for '${project.title}' (${entries.length} entries)`)
+  } catch (error) {
+    logError('addReviewLogEntry', error.message)
+  }
+}
+
+/**
+ * Calculate per-project review statistics from the review log.
+ * Projects are identified by filename, using the most recent title logged.
+ * @author @jgclark
+ * @param {Array<ReviewLogEntry>} entries oldest first
+ * @returns {Array<ProjectReviewStats>} sorted by worst adherence first, then title
+ */
+export function calcReviewStats(entries: Array<ReviewLogEntry>): Array<ProjectReviewStats> {
+  const statsMap: Map<string, ProjectReviewStats> = new Map()
+  const latenessMap: Map<string, Array<number>> = new Map()
+
+  for (const entry of entries) {
+    const stats: ProjectReviewStats = statsMap.get(entry.filename) ?? {
+      title: entry.title,
+      filename: entry.filename,
+      numFinished: 0,
+      numSkipped: 0,
+      numOnTime: 0,
+      adherencePercent: NaN,
+      averageLatenessDays: NaN,
+      skipsInARow: 0,
+      lastReviewedDate: null,
+    }
+    stats.title = entry.title
+    if (entry.action === 'skipped') {
+      stats.numSkipped++
+      stats.skipsInARow++
+    } else {
+      stats.numFinished++
+      stats.skipsInARow = 0
+      stats.lastReviewedDate = entry.date
+      if (entry.dueDate) {
+        const lateness = daysBetween(entry.dueDate, entry.date)
+        const latenesses = latenessMap.get(entry.filename) ?? []
+        latenesses.push(lateness)
+        latenessMap.set(entry.filename, latenesses)
+        if (lateness <= 0) stats.numOnTime++
+      }
+    }
+    statsMap.set(entry.filename, stats)
+  }
+
+  const allStats = Array.from(statsMap.values())
+  for (const stats of allStats) {
+    const latenesses = latenessMap.get(stats.filename) ?? []
+    if (latenesses.length > 0) {
+      stats.adherencePercent = Math.round((stats.numOnTime / latenesses.length) * 100)
+      stats.averageLatenessDays = Math.round((latenesses.reduce((a, b) => a + b, 0) / latenesses.length) * 10) / 10
+    }
+  }
+  // Put projects with no adherence figure at the end
+  return allStats.sort((a, b) => {
+    const aAdherence = isNaN(a.adherencePercent) ? 101 : a.adherencePercent
+    const bAdherence = isNaN(b.adherencePercent) ? 101 : b.adherencePercent
+    return aAdherence !== bAdherence ? aAdherence - bAdherence : a.title.localeCompare(b.title)
+  })
+}
+
+/**
+ * Get the projects whose most recent reviews have all been skipped, at least 'chronicSkipThreshold' times.
+ * @param {Array<ProjectReviewStats>} allStats
+ * @returns {Array<ProjectReviewStats>} most skipped first
+ */
+export function getChronicallySkippedProjects(allStats: Array<ProjectReviewStats>): Array<ProjectReviewStats> {
+  return allStats.filter((s) => s.skipsInARow >= chronicSkipThreshold).sort((a, b) => b.skipsInARow - a.skipsInARow)
+}
+
+/**
+ * Make the markdown lines for the review history note.
+ * @param {Array<ReviewLogEntry>} entries
+ * @returns {Array<string>}
+ */
+function makeReviewHistoryLines(entries: Array<ReviewLogEntry>): Array<string> {
+  const allStats = calcReviewStats(entries)
+  const refreshXCallbackURL = createRunPluginCallbackUrl(pluginJson['plugin.id'], 'review history', '')
+  const outputArray = [
+    `# ${reviewHistoryNoteTitle}`,
+    `Based on ${entries.length} reviews logged since ${entries[0].date}. Last updated: ${nowLocaleShortDateTime()} [🔄 Refresh](${refreshXCallbackURL})`,
+  ]
+
+  const chronicallySkipped = getChronicallySkippedProjects(allStats)
+  outputArray.push(`## Chronically skipped projects`)
+  if (chronicallySkipped.length > 0) {
+    for (const s of chronicallySkipped) {
+      outputArray.push(`- [[${s.title}]]: skipped ${s.skipsInARow} times in a row${s.lastReviewedDate ? ` (last reviewed ${s.lastReviewedDate})` : ' (never reviewed since logging started)'}`)
+    }
+  } else {
+    outputArray.push(`No projects have been skipped ${chronicSkipThreshold} or more times in a row. 🎉`)
+  }
+
+  outputArray.push(`## Review adherence by project`)
+  outputArray.push(`On time = finished on or before the date it was due: its @nextReview() date if set, otherwise from its previous review date and @review() interval. Lateness is the average number of days after that date (negative if early).`)
+  outputArray.push(`| Project | Reviews | Skips | On time | Avg. lateness (days) | Last reviewed |`)
+  outputArray.push(`| --- | --- | --- | --- | --- | --- |`)
+  for (const s of allStats) {
+    const adherenceStr = isNaN(s.adherencePercent) ? '-' : `${s.adherencePercent}%`
+    const latenessStr = isNaN(s.averageLatenessDays) ? '-' : String(s.averageLatenessDays)
+    outputArray.push(`| [[${s.title}]] | ${s.numFinished} | ${s.numSkipped} | ${adherenceStr} | ${latenessStr} | ${s.lastReviewedDate ?? '-'} |`)
+  }
+  return outputArray
+}
+
+/**
+ * Show review adherence, average lateness and chronically skipped projects, calculated from the review log, in a note in the config.folderToStore folder.
+ * Plugin entrypoint for command: "/review history"
+ * @author @jgclark
+ */
+export async function showReviewHistory(): Promise<void> {
+  try {
+    const config: ?ReviewConfig = await getReviewSettings()
+    if (!config) throw new Error('No config found. Stopping.')
+
+    const entries = loadReviewLog()
+    if (entries.length === 0) {
+      logInfo('showReviewHistory', `No reviews logged yet`)
+      await showMessage(`No reviews have been logged yet. Each time you finish or skip a project review it will be added to the history.`, 'OK', 'Review History')
+      return
+    }
+
+    const note: ?TNote = await getOrMakeNote(reviewHistoryNoteTitle, config.folderToStore)
+    if (!note) {
+      logWarn('showReviewHistory', `Couldn't find or make note '${reviewHistoryNoteTitle}'`)
+      await showMessage('Oops: failed to find or make review history note', 'OK')
+      return
+    }
+    note.content = makeReviewHistoryLines(entries).join('\n')
+    logInfo('showReviewHistory', `- written review history for ${entries.length} log entries to note '${reviewHistoryNoteTitle}'`)
+    if (!noteOpenInEditor(note.filename)) {
+      await Editor.openNoteByFilename(note.filename, true, 0, 0, false, false)
+    }
+  } catch (error) {
+    logError('showReviewHistory', error.message)
+  }
+}
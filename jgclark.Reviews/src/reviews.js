@@ -10,7 +10,7 @@
 // It draws its data from an intermediate 'full review list' CSV file, which is (re)computed as necessary.
 //
 // by @jgclark
-// Last updated 2024-07-13 for v0.14.0, @jgclark
+// Last updated 2024-08-05 for v0.15.0, @jgclark
 //-----------------------------------------------------------------------------
 
 import moment from 'moment/min/moment-with-locales'
@@ -28,6 +28,7 @@ import {
   updateMetadataInEditor,
   updateMetadataInNote,
 } from './reviewHelpers'
+import { addReviewLogEntry } from './reviewHistory'
 import { checkString } from '@helpers/checkType'
 import {
   calcOffsetDateStr, getDateObjFromDateString,
@@ -552,6 +553,7 @@ export async function renderProjectListsHTML(
         <div>Actions</div>
         <div>
           <button data-control-str="progress"><i class="fa-solid fa-comment-lines"></i> Add Progress</button>
+          <button data-control-str="chart"><i class="fa-solid fa-chart-line"></i> Progress Chart</button>
           <button data-control-str="pause">Toggle <i class="fa-solid fa-circle-pause"></i> Pause</button>
           <button data-control-str="complete"><i class="fa-solid fa-circle-check"></i> Complete</button>
           <button data-control-str="cancel"><i class="fa-solid fa-circle-xmark"></i> Cancel</button>
@@ -841,7 +843,7 @@ function generateReviewSummaryLines(noteTag: string, style: string, config: any)
       const out = thisProject.detailedSummaryLine(style, false, config.displayDates, config.displayProgress)
 
       // Add to number of notes to review (if appropriate)
-      if (!thisProject.isPaused && thisProject.nextReviewDays != null && !isNaN(thisProject.nextReviewDays) && thisProject.nextReviewDays <= 0) {
+      if (thisProject.isReadyForReview) {
         due += 1
       }
 
@@ -1149,6 +1151,9 @@ export async function finishReview(): Promise<void> {
 
       // Note: I haven't tried loading a new Project instance here
 
+      // Log the review (before its dates are updated)
+      addReviewLogEntry(thisNoteAsProject, 'finished')
+
       // Then update the Project instance
       thisNoteAsProject.reviewedDate = new moment().toDate() // use moment instead of `new Date` to ensure we get a date in the local timezone
       thisNoteAsProject.calcNextReviewDate()
@@ -1197,6 +1202,9 @@ export async function finishReviewForNote(noteToUse: TNote): Promise<void> {
 
       // Note: I haven't tried loading a new Project instance here
 
+      // Log the review (before its dates are updated)
+      addReviewLogEntry(thisNoteAsProject, 'finished')
+
       // Then update the Project instance
       thisNoteAsProject.reviewedDate = new moment().toDate() // use moment instead of `new Date` to ensure we get a date in the local timezone
       thisNoteAsProject.calcNextReviewDate()
@@ -1292,6 +1300,9 @@ export async function skipReview(): Promise<void> {
     const nextReviewMetadataStr = `${config.nextReviewMentionStr}(${newDateStr})`
     logDebug('skipReview', `- nextReviewDate: ${String(nextReviewDate)} / nextReviewMetadataStr: ${nextReviewMetadataStr}`)
 
+    // Log the skipped review (before its dates are updated)
+    addReviewLogEntry(thisNoteAsProject, 'skipped', newDateStr)
+
     // Update metadata in the current open note
     const res = await updateMetadataInEditor([nextReviewMetadataStr])
 
@@ -1366,6 +1377,9 @@ export async function skipReviewForNote(note: TNote, skipIntervalOrDate: string)
     const nextReviewMetadataStr = `${config.nextReviewMentionStr}(${newDateStr})`
     logDebug('skipReviewForNote', `- nextReviewDate: ${String(nextReviewDate)} / nextReviewMetadataStr: ${nextReviewMetadataStr}`)
 
+    // Log the skipped review (before its dates are updated)
+    addReviewLogEntry(thisNoteAsProject, 'skipped', newDateStr)
+
     // Update metadata in that note
     await updateMetadataInNote(note, [nextReviewMetadataStr])
 
@@ -0,0 +1,51 @@
+/* global describe, expect, test, beforeAll */
+// @flow
+
+import { sumDailyValuesByPeriod } from '../src/forHeatmaps'
+
+beforeAll(() => {
+  // Weeks start on Monday (NotePlan's Sunday = 1 ... Saturday = 7)
+  global.DataStore = { preference: (key) => (key === 'firstDayOfWeek' ? 2 : undefined), settings: { _logLevel: 'none' } }
+})
+
+describe('jgclark.Summaries forHeatmaps', () => {
+  describe('sumDailyValuesByPeriod()', () => {
+    const dailyMap: Map<string, number> = new Map([
+      ['2024-02-26', 1], // Monday
+      ['2024-02-29', 2], // Thursday
+      ['2024-03-03', 3], // Sunday
+      ['2024-03-04', 4], // Monday
+      ['2024-03-05', NaN],
+      ['2024-03-12', NaN],
+    ])
+
+    test('weeks are keyed by the date they start, and add up their days', () => {
+      const result = sumDailyValuesByPeriod(dailyMap, 'week')
+      expect([...result.keys()]).toEqual(['2024-02-26', '2024-03-04', '2024-03-11'])
+      expect(result.get('2024-02-26')).toEqual(6)
+      expect(result.get('2024-03-04')).toEqual(4)
+    })
+
+    test('a week with no data is NaN', () => {
+      expect(sumDailyValuesByPeriod(dailyMap, 'week').get('2024-03-11')).toBeNaN()
+    })
+
+    test('months are keyed by their first day, and add up their days', () => {
+      const result = sumDailyValuesByPeriod(dailyMap, 'month')
+      expect([...result.entries()]).toEqual([
+        ['2024-02-01', 3],
+        ['2024-03-01', 7],
+      ])
+    })
+
+    test('a month with no data is NaN', () => {
+      const result = sumDailyValuesByPeriod(new Map([['2024-04-02', NaN], ['2024-05-31', 5]]), 'month')
+      expect(result.get('2024-04-01')).toBeNaN()
+      expect(result.get('2024-05-01')).toEqual(5)
+    })
+
+    test('an empty Map gives an empty Map', () => {
+      expect(sumDailyValuesByPeriod(new Map(), 'week').size).toEqual(0)
+    })
+  })
+})
@@ -0,0 +1,94 @@
+/* global describe, expect, test, beforeAll */
+// @flow
+
+import { calcGoalHistoryFromDateStr, calcGoalResults, calcGoalStreaks, parseProgressGoal } from '../src/summaryHelpers'
+
+// Daily values keyed by YYYY-MM-DD, as held by TMOccurrences
+const makeOcc = (type: string, values: { [string]: number }): any => ({ type, valuesMap: new Map(Object.entries(values)) })
+
+const result = (status: 'pass' | 'fail' | 'inProgress') => ({ fromDateStr: '', toDateStr: '', value: 0, status })
+
+beforeAll(() => {
+  // Weeks start on Monday (NotePlan's Sunday = 1 ... Saturday = 7)
+  global.DataStore = { preference: (key) => (key === 'firstDayOfWeek' ? 2 : undefined), settings: { _logLevel: 'none' } }
+})
+
+describe('jgclark.Summaries goals', () => {
+  describe('parseProgressGoal()', () => {
+    test('count per week, by default', () => {
+      expect(parseProgressGoal('#run 3')).toEqual({ term: '#run', measure: 'count', comparison: '>=', target: 3, period: 'week' })
+    })
+    test('average per day', () => {
+      expect(parseProgressGoal('@sleep avg >= 7.5/day')).toEqual({ term: '@sleep', measure: 'average', comparison: '>=', target: 7.5, period: 'day' })
+    })
+    test('a limit per month', () => {
+      expect(parseProgressGoal('  #alcohol total < 10 per month ')).toEqual({ term: '#alcohol', measure: 'total', comparison: '<', target: 10, period: 'month' })
+    })
+    test('not a goal', () => {
+      expect(parseProgressGoal('run three times')).toBeNull()
+      expect(parseProgressGoal('#run >= 3/fortnight')).toBeNull()
+    })
+  })
+
+  describe('calcGoalResults()', () => {
+    const occ = makeOcc('count', {
+      '2024-03-04': 1, // Monday
+      '2024-03-06': 1,
+      '2024-03-08': 1,
+      '2024-03-12': 1,
+      '2024-03-13': NaN,
+    })
+
+    test('each week that overlaps the dates, counting days found', () => {
+      const goal = parseProgressGoal('#run >= 3/week')
+      if (!goal) throw new Error('goal not parsed')
+      expect(calcGoalResults(goal, occ, '2024-03-06', '2024-03-17')).toEqual([
+        { fromDateStr: '2024-03-04', toDateStr: '2024-03-10', value: 3, status: 'pass' },
+        { fromDateStr: '2024-03-11', toDateStr: '2024-03-17', value: 1, status: 'fail' },
+      ])
+    })
+
+    test('averages and limits', () => {
+      const sleep = makeOcc('average', { '2024-03-04': 6, '2024-03-05': 8, '2024-03-06': 9 })
+      const avgGoal = parseProgressGoal('@sleep avg >= 7.5/week')
+      const limitGoal = parseProgressGoal('@sleep total < 20/week')
+      if (!avgGoal || !limitGoal) throw new Error('goal not parsed')
+      expect(calcGoalResults(avgGoal, sleep, '2024-03-04', '2024-03-10')[0]).toMatchObject({ value: 23 / 3, status: 'pass' })
+      expect(calcGoalResults(limitGoal, sleep, '2024-03-04', '2024-03-10')[0]).toMatchObject({ value: 23, status: 'fail' })
+    })
+
+    test('yes/no items ignore days without the item', () => {
+      const yesno = makeOcc('yesno', { '2024-03-04': 1, '2024-03-05': 0, '2024-03-06': 1 })
+      const goal = parseProgressGoal('#gym >= 2/week')
+      if (!goal) throw new Error('goal not parsed')
+      expect(calcGoalResults(goal, yesno, '2024-03-04', '2024-03-10')[0].value).toEqual(2)
+    })
+  })
+
+  describe('calcGoalStreaks()', () => {
+    test('current and longest', () => {
+      expect(calcGoalStreaks(['pass', 'pass', 'pass', 'fail', 'pass', 'pass'].map(result))).toEqual({ current: 2, longest: 3 })
+    })
+    test('a period in progress does not break the current streak', () => {
+      expect(calcGoalStreaks(['fail', 'pass', 'inProgress'].map(result))).toEqual({ current: 1, longest: 1 })
+    })
+    test('no results', () => {
+      expect(calcGoalStreaks([])).toEqual({ current: 0, longest: 0 })
+    })
+  })
+
+  describe('calcGoalHistoryFromDateStr()', () => {
+    test('without streaks, just the start of the first period', () => {
+      const goal = parseProgressGoal('#run >= 3/week')
+      if (!goal) throw new Error('goal not parsed')
+      expect(calcGoalHistoryFromDateStr(goal, '2024-03-06', '2024-03-17', false)).toEqual('2024-03-04')
+    })
+    test('with streaks, the start of the period about a year before', () => {
+      const weekly = parseProgressGoal('#run >= 3/week')
+      const monthly = parseProgressGoal('#run >= 12/month')
+      if (!weekly || !monthly) throw new Error('goal not parsed')
+      expect(calcGoalHistoryFromDateStr(weekly, '2024-03-06', '2024-03-17', true)).toEqual('2023-03-20')
+      expect(calcGoalHistoryFromDateStr(monthly, '2024-03-06', '2024-03-17', true)).toEqual('2023-04-01')
+    })
+  })
+})
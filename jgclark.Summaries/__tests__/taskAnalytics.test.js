@@ -0,0 +1,86 @@
+/* global describe, expect, test, beforeAll */
+// @flow
+
+import { calcGroupStats, calcTaskHistory, makeTaskAnalyticsCSV, taskKey } from '../src/taskAnalytics'
+import type { CompletedTaskInfo } from '../src/taskAnalytics'
+
+const makeTask = (fields: Partial<CompletedTaskInfo>): CompletedTaskInfo => ({
+  content: 'a task',
+  filename: 'Projects/A.md',
+  noteTitle: 'A',
+  folder: 'Projects',
+  doneDateStr: '2024-08-05',
+  doneHour: null,
+  firstDateStr: '',
+  leadTimeDays: null,
+  numReschedules: 0,
+  priority: 0,
+  tags: [],
+  ...fields,
+})
+
+beforeAll(() => {
+  global.DataStore = { preference: () => undefined, settings: { _logLevel: 'none' } }
+})
+
+describe('taskAnalytics', () => {
+  describe('taskKey()', () => {
+    test('removes the done date and calendar note links', () => {
+      expect(taskKey('call Bob >2024-08-01 <2024-07-30 @done(2024-08-05 10:00 AM)')).toEqual('call Bob')
+    })
+    test('matches a copy left behind when rescheduled', () => {
+      expect(taskKey('call Bob >2024-08-03')).toEqual(taskKey('call Bob >today @done(2024-08-05)'))
+    })
+    test('keeps other text', () => {
+      expect(taskKey('read chapter 2 #reading  >2024-W32')).toEqual('read chapter 2 #reading')
+    })
+  })
+
+  describe('calcTaskHistory()', () => {
+    test('lead time from the calendar note the task is in', () => {
+      expect(calcTaskHistory('call Bob @done(2024-08-05)', '2024-08-01', '2024-08-05', [])).toEqual({ firstDateStr: '2024-08-01', leadTimeDays: 4, numReschedules: 0 })
+    })
+    test('lead time from the first date it was scheduled to, for a project note task', () => {
+      expect(calcTaskHistory('call Bob >2024-08-02 >2024-08-04 @done(2024-08-05)', '', '2024-08-05', [])).toEqual({ firstDateStr: '2024-08-02', leadTimeDays: 3, numReschedules: 1 })
+    })
+    test('lead time from where it was moved from', () => {
+      expect(calcTaskHistory('call Bob <2024-07-29 @done(2024-08-05)', '2024-08-05', '2024-08-05', [])).toEqual({ firstDateStr: '2024-07-29', leadTimeDays: 7, numReschedules: 0 })
+    })
+    test('counts copies left behind when rescheduled, and uses them for the lead time', () => {
+      expect(calcTaskHistory('call Bob @done(2024-08-05)', '2024-08-04', '2024-08-05', ['2024-07-31', '2024-08-02'])).toEqual({ firstDateStr: '2024-07-31', leadTimeDays: 5, numReschedules: 2 })
+    })
+    test('ignores dates after it was done', () => {
+      expect(calcTaskHistory('call Bob >2024-08-09 @done(2024-08-05)', '', '2024-08-05', ['2024-08-07'])).toEqual({ firstDateStr: '', leadTimeDays: null, numReschedules: 0 })
+    })
+  })
+
+  describe('calcGroupStats()', () => {
+    test('completion rate, average lead time (of those known) and reschedules per group, most done first', () => {
+      const tasks = [
+        makeTask({ folder: 'Work', leadTimeDays: 2, numReschedules: 1 }),
+        makeTask({ folder: 'Work', leadTimeDays: null, numReschedules: 0 }),
+        makeTask({ folder: 'Work', leadTimeDays: 4, numReschedules: 2 }),
+        makeTask({ folder: 'Home', leadTimeDays: 1 }),
+      ]
+      const openTasks: Array<{ folder: string, tags: Array<string>, priority: number }> = [{ folder: 'Work', tags: [], priority: 0 }, { folder: 'Garden', tags: [], priority: 0 }]
+      expect(calcGroupStats(tasks, openTasks, (t) => [t.folder])).toEqual([
+        { name: 'Work', done: 3, open: 1, rate: 75, avgLeadTimeDays: 3, avgReschedules: 1 },
+        { name: 'Home', done: 1, open: 0, rate: 100, avgLeadTimeDays: 1, avgReschedules: 0 },
+        { name: 'Garden', done: 0, open: 1, rate: 0, avgLeadTimeDays: null, avgReschedules: 0 },
+      ])
+    })
+  })
+
+  describe('makeTaskAnalyticsCSV()', () => {
+    test('header, and lines in done date order', () => {
+      const lines = makeTaskAnalyticsCSV([makeTask({ doneDateStr: '2024-08-06', content: 'second' }), makeTask({ doneDateStr: '2024-08-05', content: 'first', leadTimeDays: 3, firstDateStr: '2024-08-02', doneHour: 9 })])
+      expect(lines[0]).toEqual('doneDate,doneDayOfWeek,doneHour,firstDate,leadTimeDays,numReschedules,priority,folder,tags,noteTitle,task')
+      expect(lines[1]).toEqual('2024-08-05,Mon,9,2024-08-02,3,0,0,Projects,,A,first')
+      expect(lines[2]).toEqual('2024-08-06,Tue,,,,0,0,Projects,,A,second')
+    })
+    test('quotes values with commas, quotes or newlines', () => {
+      const lines = makeTaskAnalyticsCSV([makeTask({ content: 'buy eggs, milk and "good" bread', noteTitle: 'Shopping, weekly', tags: ['#home', '#food'] })])
+      expect(lines[1]).toEqual('2024-08-05,Mon,,,,0,0,Projects,#home #food,"Shopping, weekly","buy eggs, milk and ""good"" bread"')
+    })
+  })
+})
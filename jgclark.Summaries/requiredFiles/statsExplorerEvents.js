@@ -0,0 +1,121 @@
+/**
+ * statsExplorerEvents.js - in the Stats Explorer HTML window: draws the chart, and handles data and events to/from the plugin
+ * This file is loaded by the browser via <script> tag in the HTML file
+ * IMPORTANT NOTE: you can use flow and eslint to give you feedback but DO NOT put any type annotations in the actual code:
+ * the file will fail silently and you will be scratching your head for why it doesn't work!
+ */
+
+/* global anychart, sendMessageToPlugin */
+/* eslint-disable no-console */
+/* eslint-disable no-unused-vars */
+
+// The stats currently shown, so that clicks on the chart can be matched to their periods
+let currentStats = null
+// The AnyChart chart currently shown, so it can be removed before drawing the next
+let chart = null
+
+/**
+ * Routes the data returned from the plugin (a 'type' and 'data' object).
+ * This function is just a switch/router. Based on the type, call a function to process the data.
+ * @param {string} type
+ * @param {any} data
+ */
+function onMessageFromPlugin(type, data) {
+  console.log(`onMessageFromPlugin: starting with type ${type}`)
+  switch (type) {
+    case 'showStats':
+      showStats(data)
+      break
+    case 'showLines':
+      showLines(data)
+      break
+    default:
+      console.log(`- unknown type: ${type}`)
+  }
+}
+
+/**
+ * Set the controls to match the stats, and draw them as a line or bar (column) chart
+ * @param { { terms: Array<string>, fromDateStr: string, toDateStr: string, intervalType: string, chartType: string, series: Array<any> } } stats
+ */
+function showStats(stats) {
+  currentStats = stats
+  document.getElementById('terms').value = stats.terms.join(', ')
+  document.getElementById('fromDate').value = stats.fromDateStr
+  document.getElementById('toDate').value = stats.toDateStr
+  document.getElementById('intervalType').value = stats.intervalType
+  document.getElementById('chartType').value = stats.chartType
+  document.getElementById('status').textContent = ''
+
+  anychart.onDocumentReady(function () {
+    if (chart) {
+      chart.dispose()
+    }
+    const isBar = stats.chartType === 'bar'
+    chart = isBar ? anychart.column() : anychart.line()
+    stats.series.forEach((series, seriesIndex) => {
+      // Keep which series and period each point is, so a click can be matched back to them
+      const data = series.periods.map((p, periodIndex) => ({ x: p.label, value: p.value, seriesIndex, periodIndex }))
+      const chartSeries = isBar ? chart.column(data) : chart.line(data)
+      chartSeries.name(series.term)
+      if (!isBar) {
+        chartSeries.markers(true)
+      }
+    })
+    chart.background().enabled(false)
+    chart.tooltip().displayMode('union')
+    chart.legend(true)
+    chart.listen('pointClick', onClickChart)
+    chart.container('chart')
+    chart.draw()
+  })
+}
+
+/**
+ * Ask the plugin for the lines that a clicked point comes from
+ * @param {any} event from AnyChart
+ */
+function onClickChart(event) {
+  const series = currentStats.series[event.point.get('seriesIndex')]
+  const period = series.periods[event.point.get('periodIndex')]
+  console.log(`onClickChart: ${series.term} for ${period.label}`)
+  sendMessageToPlugin('showContributingLines', { term: series.term, label: period.label, fromDateStr: period.fromDateStr, toDateStr: period.toDateStr })
+}
+
+/**
+ * List the lines that a clicked point comes from. Clicking on a line opens it in the editor.
+ * @param { { term: string, label: string, lines: Array<{ dateStr: string, filename: string, lineIndex: number, content: string }> } } data
+ */
+function showLines(data) {
+  const linesDiv = document.getElementById('lines')
+  linesDiv.innerHTML = ''
+  const heading = document.createElement('h3')
+  heading.textContent = `${data.term}: ${data.label} (${data.lines.length} ${data.lines.length === 1 ? 'line' : 'lines'})`
+  linesDiv.appendChild(heading)
+  const list = document.createElement('ul')
+  for (const line of data.lines) {
+    const item = document.createElement('li')
+    const dateSpan = document.createElement('span')
+    dateSpan.className = 'lineDate'
+    dateSpan.textContent = line.dateStr
+    item.appendChild(dateSpan)
+    item.appendChild(document.createTextNode(line.content))
+    item.onclick = () => sendMessageToPlugin('showLineInEditor', { filename: line.filename, content: line.content })
+    list.appendChild(item)
+  }
+  linesDiv.appendChild(list)
+}
+
+/**
+ * Ask the plugin for stats for the tags/mentions, dates, interval and chart type in the controls
+ */
+function requestStats() {
+  document.getElementById('status').textContent = 'Calculating ...'
+  sendMessageToPlugin('updateStats', {
+    terms: document.getElementById('terms').value.split(','),
+    fromDateStr: document.getElementById('fromDate').value,
+    toDateStr: document.getElementById('toDate').value,
+    intervalType: document.getElementById('intervalType').value,
+    chartType: document.getElementById('chartType').value,
+  })
+}
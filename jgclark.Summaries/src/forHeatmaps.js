@@ -10,6 +10,7 @@ import pluginJson from '../plugin.json'
 import {
   // calcHashtagStatsPeriod,
   // calcMentionStatsPeriod,
+  calcPeriodStartDateStr,
   gatherOccurrences,
   // generateProgressUpdate,
   getSummariesSettings,
@@ -222,64 +223,63 @@ export async function showTagHeatmap(heatmapDefArg: HeatmapDefinition | string =
 
 /**
  * Get Map of data for tagName (hashtags or mentions) from daily notes over given date range.
+ * For 'week' and 'month' intervals, the values for each day are added up, and the Map's keys are the dates each week or month starts.
+ * (Weeks start on the user's first day of the week.) Days or periods without any data have value NaN.
  * @author @jgclark
  * @param {string} tagName
- * @param {'day' | 'week'} intervalType
+ * @param {'day' | 'week' | 'month'} intervalType
  * @param {string} fromDateStr
  * @param {string} toDateStr
  * @return {Map<string, number>>}
  */
 export async function calcTagStatsMap(
   tagName: string,
-  intervalType: 'day' | 'week',
+  intervalType: 'day' | 'week' | 'month',
   fromDateStr: string,
   toDateStr: string
 ): Promise<Map<string, number>> {
   try {
     logDebug(pluginJson, `calcTagStatsMap: starting for '${tagName}' for interval ${intervalType} ...`)
 
-    if (intervalType === 'day') {
-      // const fromDateMoment = moment(fromDateStr, 'YYYY-MM-DD')
-      // const toDateMoment = moment(toDateStr, 'YYYY-MM-DD')
-      // const daysInInterval = toDateMoment.diff(fromDateStr, 'day')
-
-      // start a timer and spinner
-      CommandBar.showLoading(true, `Generating ${tagName} stats ...`)
-      const startTime = new Date()
-      await CommandBar.onAsyncThread()
-
-      // Gather data for the tagName of interest
-      // dateCounterMap.set(key, value)
-      const occConfig: OccurrencesToLookFor = {
-        GOYesNo: [],
-        GOHashtagsCount: [],
-        GOHashtagsAverage: [],
-        GOHashtagsTotal: tagName.startsWith('#') ? [tagName] : [],
-        GOHashtagsExclude: [],
-        GOMentionsCount: [],
-        GOMentionsAverage: [],
-        GOMentionsTotal: tagName.startsWith('@') ? [tagName] : [],
-        GOMentionsExclude: [],
-        GOChecklistRefNote: "",
-      }
-      const tagOccurrences: Array<TMOccurrences> = gatherOccurrences('day ?', fromDateStr, toDateStr, occConfig)
-      const thisTagOcc = tagOccurrences[0]
+    // start a timer and spinner
+    CommandBar.showLoading(true, `Generating ${tagName} stats ...`)
+    const startTime = new Date()
+    await CommandBar.onAsyncThread()
 
-      // end timer & spinner
-      await CommandBar.onMainThread()
-      CommandBar.showLoading(false)
-      logDebug('generateTaskCompletionStats', `Duration: ${timer(startTime)}`)
-      // thisTagOcc.logValuesMap()
+    // Gather data for the tagName of interest
+    // dateCounterMap.set(key, value)
+    const occConfig: OccurrencesToLookFor = {
+      GOYesNo: [],
+      GOHashtagsCount: [],
+      GOHashtagsAverage: [],
+      GOHashtagsTotal: tagName.startsWith('#') ? [tagName] : [],
+      GOHashtagsExclude: [],
+      GOMentionsCount: [],
+      GOMentionsAverage: [],
+      GOMentionsTotal: tagName.startsWith('@') ? [tagName] : [],
+      GOMentionsExclude: [],
+      GOChecklistRefNote: "",
+    }
+    const tagOccurrences: Array<TMOccurrences> = gatherOccurrences('day ?', fromDateStr, toDateStr, occConfig)
+    const thisTagOcc = tagOccurrences[0]
 
-      // Copying the existing object, which is the easiest way to re-order by date
-      const outputMap = new Map([...thisTagOcc.valuesMap].sort())
-      logInfo('calcTagStatsMap', `-> ${outputMap.size} statsMap items.`)
+    // end timer & spinner
+    await CommandBar.onMainThread()
+    CommandBar.showLoading(false)
+    logDebug('generateTaskCompletionStats', `Duration: ${timer(startTime)}`)
+    // thisTagOcc.logValuesMap()
 
-      return outputMap
-    } else {
-      throw new Error(`Unsupported interval type: ${intervalType}`)
+    // Copying the existing object, which is the easiest way to re-order by date
+    const dailyMap = new Map([...thisTagOcc.valuesMap].sort())
+    if (intervalType === 'day') {
+      logInfo('calcTagStatsMap', `-> ${dailyMap.size} statsMap items.`)
+      return dailyMap
     }
 
+    const outputMap = sumDailyValuesByPeriod(dailyMap, intervalType)
+    logInfo('calcTagStatsMap', `-> ${outputMap.size} statsMap items for ${intervalType}s.`)
+    return outputMap
+
     // // Calc total completed in period
     // let total = 0
     // for (let item of statsMap) {
@@ -297,6 +297,28 @@ export async function calcTagStatsMap(
   }
 }
 
+/**
+ * Add up the daily values in each week or month.
+ * The returned Map's keys are the dates each week or month starts. Periods without any data have value NaN.
+ * @tests in jest file
+ * @param {Map<string, number>} dailyMap values keyed by ISO date, in date order
+ * @param {'week' | 'month'} intervalType
+ * @return {Map<string, number>}
+ */
+export function sumDailyValuesByPeriod(dailyMap: Map<string, number>, intervalType: 'week' | 'month'): Map<string, number> {
+  const outputMap: Map<string, number> = new Map()
+  for (const [isoDate, value] of dailyMap) {
+    const periodStartStr = calcPeriodStartDateStr(isoDate, intervalType)
+    const prevValue = outputMap.get(periodStartStr) ?? NaN
+    if (isNaN(value)) {
+      outputMap.set(periodStartStr, prevValue)
+    } else {
+      outputMap.set(periodStartStr, (isNaN(prevValue) ? 0 : prevValue) + value)
+    }
+  }
+  return outputMap
+}
+
 /**
  * Create a heatmap for the specified time period, using data returned from the specified function. Covers all notes, other than in @special folders and any in foldersToExclude.
  * Incorporating heatmap charting from AnyChart demo (details at https://www.anychart.com/blog/2020/02/26/heat-map-chart-create-javascript/) with addition of
@@ -30,6 +30,18 @@ export {
   todayProgressFromTemplate
 } from './todayProgress'
 export { statsPeriod } from './stats'
+export {
+  makePeriodComparison,
+  periodComparison
+} from './periodComparison'
+export {
+  onMessageFromHTMLView,
+  showStatsExplorer
+} from './statsExplorer'
+export {
+  showTaskCompletionAnalytics,
+  taskCompletionAnalyticsCSV
+} from './taskAnalytics'
 
 // allow changes in plugin.json to trigger recompilation
 import pluginJson from '../plugin.json'
@@ -54,6 +66,9 @@ export function init(): void {
     DataStore.installOrUpdatePluginsByID([pluginJson['plugin.id']], false, false, false).then((r) =>
       pluginUpdated(pluginJson, r),
     )
+
+    // Check that np.Shared plugin is installed (needed by the Stats Explorer window), and if not, then install it. Do this in the background (asynchronously).
+    DataStore.installOrUpdatePluginsByID(['np.Shared'], false, false, false)
   } catch (error) {
     logError(pluginJson, JSP(error))
   }
@@ -0,0 +1,258 @@
+/* eslint-disable max-len */
+// @flow
+//-----------------------------------------------------------------------------
+// Compare stats for hashtags and mentions between two periods
+// Last updated 19.10.2026 for v0.23.0
+//-----------------------------------------------------------------------------
+
+import moment from 'moment/min/moment-with-locales'
+import pluginJson from '../plugin.json'
+import {
+  calcPeriodStartDateStr,
+  gatherOccurrences,
+  getSummariesSettings,
+  type OccurrencesToLookFor,
+  TMOccurrences,
+} from './summaryHelpers'
+import { clo, logDebug, logError, logInfo, logWarn, overrideSettingsWithEncodedTypedArgs, timer } from '@helpers/dev'
+import { createPrettyRunPluginLink, getTagParamsFromString } from '@helpers/general'
+import { replaceSection } from '@helpers/note'
+import { getNPWeekData } from '@helpers/NPdateTime'
+import { chooseOption, showMessage } from '@helpers/userInput'
+
+//-------------------------------------------------------------------------------
+
+export type ComparisonPeriod = {
+  fromDateStr: string, // YYYY-MM-DD
+  toDateStr: string, // YYYY-MM-DD
+  label: string, // e.g. '2024-W23', 'June 2024', '2024 Q2' or '2024'
+}
+
+export type ComparisonPeriods = {
+  current: ComparisonPeriod,
+  previous: ComparisonPeriod,
+  numDays: number, // days covered in each period
+  isPartial: boolean, // true if the current period isn't over yet, and so only the same number of days of the previous one are used
+}
+
+// The choices offered by the '/compare periods' command
+const comparisonOptions = [
+  { label: 'This week vs last week', value: '{"period":"week","offset":0,"compareWith":"previous"}' },
+  { label: 'Last week vs the week before', value: '{"period":"week","offset":1,"compareWith":"previous"}' },
+  { label: 'This month vs last month', value: '{"period":"month","offset":0,"compareWith":"previous"}' },
+  { label: 'This month vs same month last year', value: '{"period":"month","offset":0,"compareWith":"lastYear"}' },
+  { label: 'Last month vs the month before', value: '{"period":"month","offset":1,"compareWith":"previous"}' },
+  { label: 'This quarter vs last quarter', value: '{"period":"quarter","offset":0,"compareWith":"previous"}' },
+  { label: 'Last quarter vs the quarter before', value: '{"period":"quarter","offset":1,"compareWith":"previous"}' },
+  { label: 'This year vs last year', value: '{"period":"year","offset":0,"compareWith":"previous"}' },
+]
+
+/**
+ * This is the entry point for template or callback use of makePeriodComparison().
+ * It works out if it's a template (by object passed) or a callback (by string passed).
+ * @param {any?} params as JS object or JSON string
+ * @param {string?} sourceIn 'template' | 'callback' | empty
+ * @returns {string} - returns string
+ */
+export async function periodComparison(params: any = '', sourceIn: string = ''): Promise<string> {
+  try {
+    logDebug(pluginJson, `periodComparison (from template or callback): Starting with params '${params}' (type: ${typeof params}) and source '${sourceIn}'`)
+    const source = (sourceIn !== '') ? sourceIn
+      : (typeof params === 'string')
+        ? 'callback'
+        : (typeof params === 'object')
+          ? 'template'
+          : ''
+    return await makePeriodComparison(params, source) ?? '<error>'
+  }
+  catch (err) {
+    logError(pluginJson, `${err.message} in periodComparison (for template)`)
+    return '❗️ Error: please open Plugin Console and re-run to see more details.' // for completeness
+  }
+}
+
+/**
+ * Work out the dates of the two periods to compare.
+ * If the current period isn't over yet, then only the same number of days at the start of the previous period are used, to make the comparison fair.
+ * @param {string} period 'week', 'month', 'quarter' or 'year'
+ * @param {number} offset how many periods back the current period is (0 = this one, 1 = the last one, etc.)
+ * @param {string} compareWith 'previous' (the period before) or 'lastYear' (the same period a year earlier)
+ * @param {boolean} excludeToday
+ * @param {string?} todayStr YYYY-MM-DD (defaults to today)
+ * @returns {ComparisonPeriods}
+ */
+export function calcComparisonPeriods(period: string, offset: number, compareWith: string, excludeToday: boolean, todayStr: string = moment().format('YYYY-MM-DD')): ComparisonPeriods {
+  if (!['week', 'month', 'quarter', 'year'].includes(period)) {
+    throw new Error(`period '${period}' isn't one of 'week', 'month', 'quarter' or 'year'`)
+  }
+  const startOfPeriod = (period === 'week') ? calcPeriodStartDateStr(todayStr, 'week') : moment(todayStr, 'YYYY-MM-DD').startOf(period).format('YYYY-MM-DD')
+  const currentFromMom = moment(startOfPeriod, 'YYYY-MM-DD').subtract(offset, period)
+  const previousFromMom = (compareWith === 'lastYear')
+    ? (period === 'week') ? currentFromMom.clone().subtract(52, 'weeks') : currentFromMom.clone().subtract(1, 'year')
+    : currentFromMom.clone().subtract(1, period)
+
+  // Cut short the current period if it isn't over yet
+  const lastDayMom = excludeToday ? moment(todayStr, 'YYYY-MM-DD').subtract(1, 'day') : moment(todayStr, 'YYYY-MM-DD')
+  const currentEndMom = currentFromMom.clone().add(1, period).subtract(1, 'day')
+  const isPartial = currentEndMom.isAfter(lastDayMom)
+  const currentToMom = isPartial ? lastDayMom : currentEndMom
+  if (currentToMom.isBefore(currentFromMom)) {
+    throw new Error(`there's no data yet for this ${period} to compare`)
+  }
+  const numDays = currentToMom.diff(currentFromMom, 'days') + 1
+  const previousToMom = isPartial
+    ? previousFromMom.clone().add(numDays - 1, 'days')
+    : previousFromMom.clone().add(1, period).subtract(1, 'day')
+
+  const labelFor = (fromMom: any): string => {
+    switch (period) {
+      case 'week': {
+        return getNPWeekData(fromMom.format('YYYY-MM-DD'))?.weekString ?? fromMom.format('YYYY-MM-DD')
+      }
+      case 'month': {
+        return fromMom.format('MMMM YYYY')
+      }
+      case 'quarter': {
+        return fromMom.format('YYYY [Q]Q')
+      }
+      default: {
+        return fromMom.format('YYYY')
+      }
+    }
+  }
+  return {
+    current: { fromDateStr: currentFromMom.format('YYYY-MM-DD'), toDateStr: currentToMom.format('YYYY-MM-DD'), label: labelFor(currentFromMom) },
+    previous: { fromDateStr: previousFromMom.format('YYYY-MM-DD'), toDateStr: previousToMom.format('YYYY-MM-DD'), label: labelFor(previousFromMom) },
+    numDays,
+    isPartial,
+  }
+}
+
+/**
+ * Generate output lines comparing each term between two periods: its value, the change (as a number and percentage), and a trend arrow.
+ * e.g. '**run**: 12 ↑ +3 (+33%) from 9'
+ * @param {Array<TMOccurrences>} currentOccs for the current period
+ * @param {Array<TMOccurrences>} previousOccs for the previous period
+ * @param {string} previousLabel e.g. 'May 2024'
+ * @returns {Array<string>} sorted by term
+ */
+export function generateComparison(currentOccs: Array<TMOccurrences>, previousOccs: Array<TMOccurrences>, previousLabel: string): Array<string> {
+  const formatNumber = (n: number): string => n.toLocaleString([], { maximumSignificantDigits: 3 })
+  const outputArray: Array<string> = []
+  // Include terms only found in one of the periods (e.g. if there are no notes in the other)
+  const allOccs = currentOccs.concat(previousOccs.filter((p) => !currentOccs.some((c) => c.term === p.term && c.type === p.type)))
+  for (const occ of allOccs) {
+    const currentOcc = currentOccs.find((o) => o.term === occ.term && o.type === occ.type)
+    const previousOcc = previousOccs.find((o) => o.term === occ.term && o.type === occ.type)
+    const currentValue = currentOcc ? currentOcc.getSummaryValue() : NaN
+    const previousValue = previousOcc ? previousOcc.getSummaryValue() : NaN
+    const prefix = (occ.type === 'average') ? 'avg ' : (occ.type === 'total') ? 'total ' : ''
+    let thisOutput = `**${occ.getTerm()}**: ${isNaN(currentValue) ? 'none' : prefix + formatNumber(currentValue)}`
+    if (isNaN(previousValue)) {
+      thisOutput += ` (none in ${previousLabel})`
+    } else if (isNaN(currentValue)) {
+      thisOutput += ` ↓ from ${formatNumber(previousValue)}`
+    } else {
+      const delta = currentValue - previousValue
+      const arrow = (delta > 0) ? '↑' : (delta < 0) ? '↓' : '→'
+      const deltaStr = (delta > 0) ? `+${formatNumber(delta)}` : formatNumber(delta)
+      const percentStr = (previousValue !== 0) ? ` (${delta > 0 ? '+' : ''}${Math.round((delta / previousValue) * 100)}%)` : ''
+      thisOutput += ` ${arrow} ${deltaStr}${percentStr} from ${formatNumber(previousValue)}`
+    }
+    outputArray.push(thisOutput)
+  }
+  // sort using locale-aware sorting
+  return outputArray.sort((a, b) => a.localeCompare(b))
+}
+
+/**
+ * Compare the stats of interest (using the 'periodStats' settings for which hashtags and mentions to include) between two periods, e.g. this week vs last week, or this month vs the same month last year.
+ * Parameters (all optional):
+ * - period: 'week' | 'month' (default) | 'quarter' | 'year'
+ * - offset: how many periods back the current period is (default 0 = this period to date)
+ * - compareWith: 'previous' (default) or 'lastYear'
+ * Any settings can also be overridden by parameters, as for progressUpdate.
+ *
+ * @param {any?} paramsIn - can pass parameter string (in JSON format) e.g. '{"period": "month", "compareWith": "lastYear"}' or as a JS object. If not given (from the command) the user is asked which periods to compare.
+ * @param {string?} source of this call: 'callback', 'template' or 'command' (the default)
+ * @returns {string|void} - either return string to Template, or void to plugin
+ */
+export async function makePeriodComparison(paramsIn: any = '', source: string = 'command'): Promise<string | void> {
+  try {
+    let config = await getSummariesSettings()
+    logDebug(pluginJson, `makePeriodComparison: Starting with params '${paramsIn}' (type: ${typeof paramsIn}) from source '${source}'`)
+
+    // If an object param has been passed, then we've been called by a template (including refreshes), and so turned into JSON string
+    let params = (paramsIn)
+      ? (typeof paramsIn === 'object')
+        ? JSON.stringify(paramsIn)
+        : paramsIn
+      : ''
+    if (params === '' && source === 'command') {
+      const chosen = await chooseOption('Compare stats for which periods?', comparisonOptions, comparisonOptions[0].value)
+      if (!chosen) {
+        logInfo('makePeriodComparison', `User cancelled`)
+        return
+      }
+      params = chosen
+    }
+    if (params !== '') {
+      config = overrideSettingsWithEncodedTypedArgs(config, params)
+      clo(config, `- config after overriding with params '${params}'`)
+    }
+    const period = await getTagParamsFromString(params, 'period', 'month')
+    const offset = Number(await getTagParamsFromString(params, 'offset', 0))
+    const compareWith = await getTagParamsFromString(params, 'compareWith', 'previous')
+
+    const periods = calcComparisonPeriods(period, isNaN(offset) ? 0 : offset, compareWith, config.excludeToday)
+    clo(periods, 'makePeriodComparison: periods')
+
+    const startTime = new Date()
+    CommandBar.showLoading(true, `Comparing ${periods.current.label} with ${periods.previous.label}`)
+    await CommandBar.onAsyncThread()
+
+    // Main work: calculate the occurrences for both periods, using the same settings as periodStats
+    const settingsForGO: OccurrencesToLookFor = {
+      GOYesNo: config.periodStatsYesNo,
+      GOHashtagsCount: config.includeHashtags,
+      GOHashtagsExclude: [],
+      GOHashtagsAverage: config.periodStatsHashtagsAverage,
+      GOHashtagsTotal: config.periodStatsHashtagsTotal,
+      GOMentionsCount: config.periodStatsMentions,
+      GOMentionsExclude: [],
+      GOMentionsAverage: config.periodStatsMentionsAverage,
+      GOMentionsTotal: config.periodStatsMentionsTotal,
+      GOChecklistRefNote: config.progressChecklistReferenceNote,
+    }
+    const currentOccs = gatherOccurrences(periods.current.label, periods.current.fromDateStr, periods.current.toDateStr, settingsForGO)
+    const previousOccs = gatherOccurrences(periods.previous.label, periods.previous.fromDateStr, periods.previous.toDateStr, settingsForGO)
+    CommandBar.showLoading(false)
+    await CommandBar.onMainThread()
+
+    const outputLines = generateComparison(currentOccs, previousOccs, periods.previous.label)
+    if (periods.isPartial) {
+      outputLines.unshift(`_Comparing the first ${periods.numDays} ${periods.numDays === 1 ? 'day' : 'days'} of each ${period}_`)
+    }
+    const output = outputLines.join('\n')
+    logInfo('makePeriodComparison', `Compared ${periods.current.label} with ${periods.previous.label} in ${timer(startTime)}`)
+
+    const thisHeading = `${config.statsHeading}: ${periods.current.label} vs ${periods.previous.label}`
+    if (source === 'template') {
+      return `${'#'.repeat(config.headingLevel)} ${thisHeading}\n${output}`
+    }
+
+    // Otherwise write to the current note, with a refresh button
+    const xCallbackMD = createPrettyRunPluginLink('🔄 Refresh', 'jgclark.Summaries', 'periodComparison', params)
+    const currentNote = Editor.note
+    if (currentNote == null) {
+      logWarn('makePeriodComparison', `No note is open in the Editor, so I can't write to it.`)
+      await showMessage(`No note is open in the Editor, so I can't write to it.`)
+    } else {
+      replaceSection(currentNote, thisHeading, `${thisHeading} ${xCallbackMD}`, config.headingLevel, output)
+      logInfo('makePeriodComparison', `Written comparison of ${periods.current.label} with ${periods.previous.label} to current note`)
+    }
+  } catch (error) {
+    logError('makePeriodComparison', error.message)
+    await showMessage(error.message)
+  }
+}
@@ -0,0 +1,282 @@
+// @flow
+//-----------------------------------------------------------------------------
+// Interactive stats explorer for tags/mentions, shown in an NP HTML window.
+// Last updated 19.10.2026 for v0.23.0
+//-----------------------------------------------------------------------------
+
+import moment from 'moment/min/moment-with-locales'
+import pluginJson from '../plugin.json'
+import { calcTagStatsMap } from './forHeatmaps'
+import { getFirstDateForWeeklyStats } from './forCharts'
+import { getSummariesSettings } from './summaryHelpers'
+import {
+  getDateStringFromCalendarFilename,
+  getISODateStringFromYYYYMMDD,
+  isDailyNote,
+  todaysDateISOString, // const
+  unhyphenateString,
+  withinDateRange,
+} from '@helpers/dateTime'
+import { clo, JSP, logDebug, logError, logInfo, logWarn } from '@helpers/dev'
+import { sendToHTMLWindow, showHTMLV2 } from '@helpers/HTMLView'
+import { getNPWeekData } from '@helpers/NPdateTime'
+import { highlightParagraphInEditor } from '@helpers/NPParagraph'
+import { escapeRegExp } from '@helpers/regex'
+
+//-----------------------------------------------------------------------------
+// Data types + constants
+
+type StatsExplorerDefinition = {
+  terms: Array<string>, // hashtags and/or mentions (with # or @)
+  fromDateStr: string, // YYYY-MM-DD
+  toDateStr: string, // YYYY-MM-DD
+  intervalType: 'day' | 'week' | 'month',
+  chartType: 'line' | 'bar',
+}
+
+type StatsExplorerPeriod = {
+  label: string, // e.g. '2024-06-03', '2024-W23' or '2024-06'
+  fromDateStr: string, // YYYY-MM-DD
+  toDateStr: string, // YYYY-MM-DD
+  value: ?number, // null if no data
+}
+
+type StatsExplorerSeries = {
+  term: string,
+  periods: Array<StatsExplorerPeriod>,
+}
+
+type ContributingLine = {
+  dateStr: string, // YYYY-MM-DD
+  filename: string,
+  lineIndex: number,
+  content: string,
+}
+
+const pluginID = 'jgclark.Summaries'
+const windowCustomId = `${pluginID}.stats-explorer`
+
+//-----------------------------------------------------------------------------
+
+/**
+ * Show an HTML window to explore the stats of any tags/mentions: choose the tags/mentions, dates, interval and chart type, and click on a point to see the lines in calendar notes that it comes from.
+ * Can pass a {StatsExplorerDefinition} object, or a stringified version of one (e.g. from an x-callback). If none given, the 'Items to Chart' setting and the weekly stats dates are used.
+ * @param {StatsExplorerDefinition | string} explorerDefArg (optional)
+ */
+export async function showStatsExplorer(explorerDefArg: StatsExplorerDefinition | string = ''): Promise<void> {
+  try {
+    const config = await getSummariesSettings()
+    const [fromDateStrDefault, _numWeeksDefault] = getFirstDateForWeeklyStats(config.weeklyStatsDuration, config.weeklyStatsIncludeCurrentWeek)
+    const defaultDef: StatsExplorerDefinition = {
+      terms: config.weeklyStatsItems ?? [],
+      fromDateStr: fromDateStrDefault,
+      toDateStr: todaysDateISOString,
+      intervalType: 'week',
+      chartType: 'line',
+    }
+    // Note: parameter can come as string (from callback) or object (from other functions)
+    const explorerDef = (typeof explorerDefArg === 'string' && explorerDefArg !== '')
+      ? validateExplorerDefinition(JSON.parse(decodeURIComponent(explorerDefArg)), defaultDef)
+      : (typeof explorerDefArg === 'object')
+        ? validateExplorerDefinition(explorerDefArg, defaultDef)
+        : defaultDef
+    clo(explorerDef, 'showStatsExplorer: explorerDef')
+
+    const series = await calcExplorerSeries(explorerDef)
+    const initialStats = { ...explorerDef, series }
+
+    const specificCSS = `
+  .explorer-controls { display: flex; flex-wrap: wrap; gap: 0.5rem 1rem; align-items: center; padding: 0.5rem; }
+  .explorer-controls input[type=text] { min-width: 14rem; }
+  #chart { width: 100%; height: 360px; }
+  #lines { padding: 0 0.5rem; }
+  #lines li { cursor: pointer; padding: 0.1rem 0; }
+  #lines li:hover { text-decoration: underline; }
+  .lineDate { color: var(--tint-color); margin-right: 0.5rem; }
+`
+    const body = `
+  <div class="explorer-controls">
+    <label>Tags/mentions <input id="terms" type="text" /></label>
+    <label>From <input id="fromDate" type="date" /></label>
+    <label>To <input id="toDate" type="date" /></label>
+    <label>Interval <select id="intervalType">
+      <option value="day">day</option>
+      <option value="week">week</option>
+      <option value="month">month</option>
+    </select></label>
+    <label>Chart <select id="chartType">
+      <option value="line">line</option>
+      <option value="bar">bar</option>
+    </select></label>
+    <button onclick="requestStats()">Update</button>
+    <span id="status"></span>
+  </div>
+  <div id="chart"></div>
+  <div id="lines"><p>Click on a point in the chart to see the lines it comes from.</p></div>
+`
+    const preScript = `<script src="https://cdn.anychart.com/releases/8.7.1/js/anychart-core.min.js"></script>
+  <script src="https://cdn.anychart.com/releases/8.7.1/js/anychart-cartesian.min.js"></script>
+`
+    const postScript = `
+<script type="text/javascript">
+  const initialStats = ${JSON.stringify(initialStats)};
+</script>
+<script type="text/javascript" src="./statsExplorerEvents.js"></script>
+<!-- commsBridge scripts -->
+<script type="text/javascript" src="../np.Shared/pluginToHTMLErrorBridge.js"></script>
+<script>
+  /* you must set this before you import the CommsBridge file */
+  const receivingPluginID = "${pluginID}";
+</script>
+<script type="text/javascript" src="../np.Shared/pluginToHTMLCommsBridge.js"></script>
+<script type="text/javascript">
+  showStats(initialStats);
+</script>
+`
+    const winOpts = {
+      windowTitle: 'Stats Explorer',
+      width: 800,
+      height: 700,
+      generalCSSIn: '', // i.e. generate from theme
+      specificCSS: specificCSS,
+      preBodyScript: preScript,
+      postBodyScript: postScript,
+      customId: windowCustomId,
+      savedFilename: 'stats-explorer.html',
+      makeModal: false,
+      reuseUsersWindowRect: true,
+      shouldFocus: true,
+    }
+    await showHTMLV2(body, winOpts)
+    logInfo('showStatsExplorer', `Shown window for ${String(explorerDef.terms)}`)
+  } catch (error) {
+    logError(pluginJson, `showStatsExplorer: ${error.message}`)
+  }
+}
+
+/**
+ * Callback function to receive async messages from the Stats Explorer HTML window.
+ * Plugin entrypoint for command: "/onMessageFromHTMLView" (called from the window by sendMessageToPlugin)
+ * @param {string} type - the type of action the HTML view wants the plugin to perform
+ * @param {any} data - the data that the HTML view sent to the plugin
+ */
+export async function onMessageFromHTMLView(type: string, data: any): any {
+  try {
+    logDebug(pluginJson, `onMessageFromHTMLView dispatching data to ${type}:`)
+    switch (type) {
+      case 'updateStats': {
+        const config = await getSummariesSettings()
+        const [fromDateStrDefault, _numWeeksDefault] = getFirstDateForWeeklyStats(config.weeklyStatsDuration, config.weeklyStatsIncludeCurrentWeek)
+        const explorerDef = validateExplorerDefinition(data, { terms: [], fromDateStr: fromDateStrDefault, toDateStr: todaysDateISOString, intervalType: 'week', chartType: 'line' })
+        const series = await calcExplorerSeries(explorerDef)
+        await sendToHTMLWindow(windowCustomId, 'showStats', { ...explorerDef, series })
+        break
+      }
+      case 'showContributingLines': {
+        const lines = getContributingLines(data.term, data.fromDateStr, data.toDateStr)
+        await sendToHTMLWindow(windowCustomId, 'showLines', { term: data.term, label: data.label, lines })
+        break
+      }
+      case 'showLineInEditor': {
+        const note = await Editor.openNoteByFilename(data.filename)
+        if (note) {
+          highlightParagraphInEditor({ filename: data.filename, content: data.content }, true)
+        } else {
+          logWarn('onMessageFromHTMLView', `-> unsuccessful call to open filename ${data.filename} in Editor`)
+        }
+        break
+      }
+      default:
+        logError(pluginJson, `onMessageFromHTMLView(): unknown ${type} cannot be dispatched`)
+        break
+    }
+    return {} // any function called by invoke... should return something (anything) to keep NP from reporting an error in the console
+  } catch (error) {
+    logError(pluginJson, JSP(error))
+  }
+}
+
+/**
+ * Make a complete and valid definition from what's been passed, using the defaults for anything missing or invalid.
+ * @param {any} defIn
+ * @param {StatsExplorerDefinition} defaultDef
+ * @returns {StatsExplorerDefinition}
+ */
+function validateExplorerDefinition(defIn: any, defaultDef: StatsExplorerDefinition): StatsExplorerDefinition {
+  const termsIn = Array.isArray(defIn?.terms) ? defIn.terms : typeof defIn?.terms === 'string' ? defIn.terms.split(',') : defaultDef.terms
+  const terms = termsIn.map((t) => String(t).trim()).filter((t) => t !== '')
+  const invalidTerms = terms.filter((t) => !/^[#@]/.test(t))
+  if (invalidTerms.length > 0) {
+    logWarn('validateExplorerDefinition', `Ignoring ${String(invalidTerms)} as they don't start with # or @`)
+  }
+  const isISODate = (str: mixed): boolean => typeof str === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(str)
+  return {
+    terms: terms.filter((t) => /^[#@]/.test(t)),
+    fromDateStr: isISODate(defIn?.fromDateStr) ? defIn.fromDateStr : defaultDef.fromDateStr,
+    toDateStr: isISODate(defIn?.toDateStr) ? defIn.toDateStr : defaultDef.toDateStr,
+    intervalType: defIn?.intervalType === 'day' ? 'day' : defIn?.intervalType === 'month' ? 'month' : defIn?.intervalType === 'week' ? 'week' : defaultDef.intervalType,
+    chartType: defIn?.chartType === 'bar' ? 'bar' : defIn?.chartType === 'line' ? 'line' : defaultDef.chartType,
+  }
+}
+
+/**
+ * Calculate each term's values for each day, week or month, using calcTagStatsMap().
+ * The first and last periods are cut down to the dates asked for.
+ * @param {StatsExplorerDefinition} explorerDef
+ * @returns {Array<StatsExplorerSeries>}
+ */
+async function calcExplorerSeries(explorerDef: StatsExplorerDefinition): Promise<Array<StatsExplorerSeries>> {
+  const { terms, fromDateStr, toDateStr, intervalType } = explorerDef
+  const seriesArr: Array<StatsExplorerSeries> = []
+  for (const term of terms) {
+    const statsMap = await calcTagStatsMap(term, intervalType, fromDateStr, toDateStr)
+    const periods: Array<StatsExplorerPeriod> = []
+    for (const [periodStartStr, value] of statsMap) {
+      const periodEndStr = moment(periodStartStr, 'YYYY-MM-DD').add(1, intervalType).subtract(1, 'day').format('YYYY-MM-DD')
+      const label = intervalType === 'week'
+        ? getNPWeekData(periodStartStr)?.weekString ?? periodStartStr
+        : intervalType === 'month'
+          ? periodStartStr.slice(0, 7)
+          : periodStartStr
+      periods.push({
+        label,
+        fromDateStr: periodStartStr < fromDateStr ? fromDateStr : periodStartStr,
+        toDateStr: periodEndStr > toDateStr ? toDateStr : periodEndStr,
+        value: isNaN(value) ? null : value,
+      })
+    }
+    seriesArr.push({ term, periods })
+  }
+  logDebug('calcExplorerSeries', `-> ${seriesArr.length} series for ${intervalType}s from ${fromDateStr} to ${toDateStr}`)
+  return seriesArr
+}
+
+/**
+ * Find the lines in daily notes between the dates that include a given tag/mention (including with a value, e.g. '#run/5' or '@sleep(7)').
+ * @param {string} term hashtag or mention (with # or @)
+ * @param {string} fromDateStr YYYY-MM-DD
+ * @param {string} toDateStr YYYY-MM-DD
+ * @returns {Array<ContributingLine>} in date order
+ */
+export function getContributingLines(term: string, fromDateStr: string, toDateStr: string): Array<ContributingLine> {
+  try {
+    const termRE = new RegExp(`(?:^|[\\s(\\[])${escapeRegExp(term)}(?=$|[\\s/(),.;:!?\\]])`, 'i')
+    const calendarNotesInPeriod = DataStore.calendarNotes.filter(
+      (n) => isDailyNote(n) && withinDateRange(getDateStringFromCalendarFilename(n.filename), unhyphenateString(fromDateStr), unhyphenateString(toDateStr)))
+    const lines: Array<ContributingLine> = []
+    for (const n of calendarNotesInPeriod) {
+      const dateStr = getISODateStringFromYYYYMMDD(getDateStringFromCalendarFilename(n.filename))
+      for (const para of n.paragraphs) {
+        if (termRE.test(para.content)) {
+          lines.push({ dateStr, filename: n.filename, lineIndex: para.lineIndex, content: para.content })
+        }
+      }
+    }
+    lines.sort((a, b) => a.dateStr.localeCompare(b.dateStr) || a.lineIndex - b.lineIndex)
+    logDebug('getContributingLines', `-> ${lines.length} lines for ${term} from ${fromDateStr} to ${toDateStr}`)
+    return lines
+  } catch (error) {
+    logError('getContributingLines', error.message)
+    return []
+  }
+}
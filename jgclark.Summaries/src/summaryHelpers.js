@@ -25,6 +25,7 @@ import {
   CaseInsensitiveMap,
   type headingLevelType,
 } from '@helpers/general'
+import { getUsersFirstDayOfWeekUTC } from '@helpers/NPdateTime'
 import {
   caseInsensitiveMatch,
   caseInsensitiveStartsWith,
@@ -91,6 +92,8 @@ export type SummariesConfig = {
   progressMentionsTotal: Array<string>,
   progressYesNo: Array<string>,
   periodStatsShowSparklines: boolean,
+  progressGoals: Array<string>,
+  progressGoalStreaks: boolean,
   // for todayProgress ...
   todayProgressHeading: string,
   todayProgressItems: Array<string>,
@@ -361,6 +364,25 @@ export class TMOccurrences {
     return output
   }
 
+  /**
+   * Get the single number that best summarises this term over the current period, depending on its 'type' (as for style 'single' in getSummaryForPeriod):
+   * count for 'yesno' (and simple counts), total for 'total', and average per item for 'average'.
+   * @returns {number} NaN if there's no average to give
+   */
+  getSummaryValue(): number {
+    switch (this.type) {
+      case 'total': {
+        return this.total
+      }
+      case 'average': {
+        return (this.count > 0) ? this.total / this.count : NaN
+      }
+      default: {
+        return this.count
+      }
+    }
+  }
+
   /**
    * Get stats for a particular term, over the current period, in a specified style.
    * Currently the only available styles are:
@@ -732,8 +754,233 @@ function gatherCompletedChecklistItems(calendarNotesInPeriod: Array<TNote>, from
   }
 }
 
+//------------------------------------------------------------------------------
+// Goals for progress items, and streaks of meeting them
+
+export type ProgressGoal = {
+  term: string, // mention or hashtag (with @ or #)
+  measure: 'count' | 'average' | 'total', // 'count' is the number of days the term is found on
+  comparison: '>=' | '<=' | '>' | '<',
+  target: number,
+  period: 'day' | 'week' | 'month',
+}
+
+export type GoalPeriodResult = {
+  fromDateStr: string, // YYYY-MM-DD
+  toDateStr: string, // YYYY-MM-DD
+  value: number,
+  status: 'pass' | 'fail' | 'inProgress',
+}
+
+// How many days, weeks or months back to look for streaks (i.e. about a year)
+const GOAL_STREAK_HISTORY_PERIODS = { day: 365, week: 52, month: 12 }
+
+// e.g. '#run >= 3/week', '@sleep avg >= 7/day', '@work total >= 40 per week', '#alcohol <= 2'
+const RE_PROGRESS_GOAL = /^([#@][^\s]+)\s+(?:(count|avg|average|total)\s*)?(>=|<=|>|<)?\s*(\d+(?:\.\d+)?)\s*[x×]?\s*(?:(?:\/|per\s+)(day|week|month))?$/i
+
+/**
+ * Parse a goal setting, of the form '<term> [count|avg|total] [>=|<=|>|<] <target>[/day|/week|/month]'.
+ * The defaults are 'count', '>=' and '/week'.
+ * @param {string} goalStr e.g. '#run >= 3/week' or '@sleep avg >= 7'
+ * @returns {?ProgressGoal} or null if it can't be understood
+ */
+export function parseProgressGoal(goalStr: string): ?ProgressGoal {
+  const match = goalStr.trim().match(RE_PROGRESS_GOAL)
+  if (!match) {
+    logWarn('parseProgressGoal', `Ignoring goal '${goalStr}' as it isn't in a form like '#run >= 3/week' or '@sleep avg >= 7/day'`)
+    return null
+  }
+  const measureStr = (match[2] ?? 'count').toLowerCase()
+  const periodStr = (match[5] ?? 'week').toLowerCase()
+  return {
+    term: match[1],
+    measure: measureStr === 'count' ? 'count' : measureStr === 'total' ? 'total' : 'average',
+    comparison: match[3] === '<=' ? '<=' : match[3] === '>' ? '>' : match[3] === '<' ? '<' : '>=',
+    target: Number(match[4]),
+    period: periodStr === 'day' ? 'day' : periodStr === 'month' ? 'month' : 'week',
+  }
+}
+
+/**
+ * Get the start of the day, week or month that a date is in. Weeks start on the user's first day of the week (from NP setting).
+ * @param {string} dateStr YYYY-MM-DD
+ * @param {string} period 'day', 'week' or 'month'
+ * @returns {string} YYYY-MM-DD
+ */
+export function calcPeriodStartDateStr(dateStr: string, period: string): string {
+  const mom = moment(dateStr, 'YYYY-MM-DD')
+  switch (period) {
+    case 'day': {
+      return dateStr
+    }
+    case 'month': {
+      return mom.startOf('month').format('YYYY-MM-DD')
+    }
+    default: {
+      const daysSinceStartOfWeek = (mom.day() - getUsersFirstDayOfWeekUTC() + 7) % 7
+      return mom.subtract(daysSinceStartOfWeek, 'days').format('YYYY-MM-DD')
+    }
+  }
+}
+
+/**
+ * Work out whether a goal was met in each of its periods (days, weeks or months) that overlap the given dates.
+ * Periods that haven't finished yet are 'inProgress', unless the result can no longer change (counts and totals only go up).
+ * @param {ProgressGoal} goal
+ * @param {TMOccurrences} occ holding the daily values for the goal's term, which need to cover all of any period that overlaps the dates
+ * @param {string} fromDateStr YYYY-MM-DD
+ * @param {string} toDateStr YYYY-MM-DD
+ * @returns {Array<GoalPeriodResult>}
+ */
+export function calcGoalResults(goal: ProgressGoal, occ: TMOccurrences, fromDateStr: string, toDateStr: string): Array<GoalPeriodResult> {
+  const todayStr = moment().format('YYYY-MM-DD')
+  const isLimit = goal.comparison === '<=' || goal.comparison === '<'
+  const results: Array<GoalPeriodResult> = []
+  let periodStartStr = calcPeriodStartDateStr(fromDateStr, goal.period)
+  while (periodStartStr <= toDateStr) {
+    const periodEndStr = moment(periodStartStr, 'YYYY-MM-DD').add(1, goal.period).subtract(1, 'day').format('YYYY-MM-DD')
+    let daysFound = 0
+    let total = 0
+    occ.valuesMap.forEach((v, k) => {
+      // 'yesno' items use 0 for days without the term
+      if (k >= periodStartStr && k <= periodEndStr && !isNaN(v) && !(occ.type === 'yesno' && v === 0)) {
+        daysFound++
+        total += v
+      }
+    })
+    const value = goal.measure === 'count' ? daysFound : goal.measure === 'total' ? total : daysFound > 0 ? total / daysFound : 0
+    const met = goal.comparison === '>=' ? value >= goal.target : goal.comparison === '>' ? value > goal.target : goal.comparison === '<=' ? value <= goal.target : value < goal.target
+    let status: 'pass' | 'fail' | 'inProgress' = met ? 'pass' : 'fail'
+    if (periodEndStr >= todayStr && (goal.measure === 'average' || met === isLimit)) {
+      status = 'inProgress'
+    }
+    results.push({ fromDateStr: periodStartStr, toDateStr: periodEndStr, value, status })
+    periodStartStr = moment(periodEndStr, 'YYYY-MM-DD').add(1, 'day').format('YYYY-MM-DD')
+  }
+  return results
+}
+
+/**
+ * Find the current and longest streaks of periods that met their goal. A period that's still in progress doesn't break the current streak.
+ * @param {Array<GoalPeriodResult>} results in date order
+ * @returns {{ current: number, longest: number }}
+ */
+export function calcGoalStreaks(results: Array<GoalPeriodResult>): { current: number, longest: number } {
+  let current = 0
+  let longest = 0
+  for (const result of results) {
+    if (result.status === 'pass') {
+      current++
+      longest = Math.max(longest, current)
+    } else if (result.status === 'fail') {
+      current = 0
+    }
+  }
+  return { current, longest }
+}
+
+/**
+ * Get the first date that daily values are needed from to show progress against a goal: the start of the goal's first period in the dates, or if showing streaks, the start of the period about a year before.
+ * @param {ProgressGoal} goal
+ * @param {string} fromDateStr YYYY-MM-DD
+ * @param {string} toDateStr YYYY-MM-DD
+ * @param {boolean} showStreaks
+ * @returns {string} YYYY-MM-DD
+ */
+export function calcGoalHistoryFromDateStr(goal: ProgressGoal, fromDateStr: string, toDateStr: string, showStreaks: boolean): string {
+  const streakFromDateStr = moment(toDateStr, 'YYYY-MM-DD').subtract(GOAL_STREAK_HISTORY_PERIODS[goal.period] - 1, goal.period).format('YYYY-MM-DD')
+  return calcPeriodStartDateStr(showStreaks && streakFromDateStr < fromDateStr ? streakFromDateStr : fromDateStr, goal.period)
+}
+
+/**
+ * Make text to show progress against a goal: target, actual value with pass/fail marker for each period, and optionally streaks.
+ * e.g. 'target ≥3/week: ✅4 ❌2 ⏳1, streak 0 weeks (longest 5)'
+ * @param {ProgressGoal} goal
+ * @param {TMOccurrences} historyOcc holding the daily values for the goal's term, going back to calcGoalHistoryFromDateStr()
+ * @param {string} fromDateStr YYYY-MM-DD
+ * @param {string} toDateStr YYYY-MM-DD
+ * @param {boolean} showStreaks
+ * @returns {string}
+ */
+export function makeGoalProgressText(goal: ProgressGoal, historyOcc: TMOccurrences, fromDateStr: string, toDateStr: string, showStreaks: boolean): string {
+  const markers = { pass: '✅', fail: '❌', inProgress: '⏳' }
+  const comparisonStr = goal.comparison === '>=' ? '≥' : goal.comparison === '<=' ? '≤' : goal.comparison
+  const measureStr = goal.measure === 'count' ? '' : goal.measure === 'total' ? 'total ' : 'avg '
+  const resultsStr = calcGoalResults(goal, historyOcc, fromDateStr, toDateStr)
+    .map((r) => markers[r.status] + r.value.toLocaleString([], { maximumSignificantDigits: 3 }))
+    .join(' ')
+  const targetStr = `target ${measureStr}${comparisonStr}${goal.target}/${goal.period}: ${resultsStr}`
+  if (!showStreaks) {
+    return targetStr
+  }
+  const streaks = calcGoalStreaks(calcGoalResults(goal, historyOcc, calcGoalHistoryFromDateStr(goal, fromDateStr, toDateStr, true), toDateStr))
+  return `${targetStr}, streak ${streaks.current} ${goal.period}${streaks.current === 1 ? '' : 's'} (longest ${streaks.longest})`
+}
+
+/**
+ * Gather the daily values for each progress item that has a goal, going back far enough to cover all the periods needed to show progress (and streaks if wanted).
+ * If the progress items already cover them (e.g. a progress update for this week, of weekly goals, without streaks) they are used as they are.
+ * @param {Array<ProgressGoal>} goals
+ * @param {Array<TMOccurrences>} occObjs the progress items
+ * @param {string} fromDateStr YYYY-MM-DD
+ * @param {string} toDateStr YYYY-MM-DD
+ * @param {boolean} showStreaks
+ * @returns {Array<TMOccurrences>}
+ */
+function gatherGoalHistories(goals: Array<ProgressGoal>, occObjs: Array<TMOccurrences>, fromDateStr: string, toDateStr: string, showStreaks: boolean): Array<TMOccurrences> {
+  const historyFromDateStrs = goals
+    .filter((g) => occObjs.some((o) => caseInsensitiveMatch(g.term, o.term)))
+    .map((g) => calcGoalHistoryFromDateStr(g, fromDateStr, toDateStr, showStreaks))
+  if (historyFromDateStrs.length === 0) {
+    return []
+  }
+  const historyFromDateStr = historyFromDateStrs.reduce((earliest, dateStr) => (dateStr < earliest ? dateStr : earliest))
+  if (historyFromDateStr >= fromDateStr) {
+    return occObjs
+  }
+
+  const occToLookFor: OccurrencesToLookFor = {
+    GOYesNo: [],
+    GOHashtagsCount: [],
+    GOHashtagsAverage: [],
+    GOHashtagsTotal: [],
+    GOHashtagsExclude: [],
+    GOMentionsCount: [],
+    GOMentionsAverage: [],
+    GOMentionsTotal: [],
+    GOMentionsExclude: [],
+    GOChecklistRefNote: '',
+  }
+  for (const occObj of occObjs) {
+    if (!goals.some((g) => caseInsensitiveMatch(g.term, occObj.term))) {
+      continue
+    }
+    const isHashtag = occObj.term.startsWith('#')
+    switch (occObj.type) {
+      case 'yesno': {
+        occToLookFor.GOYesNo.push(occObj.term)
+        break
+      }
+      case 'average': {
+        (isHashtag ? occToLookFor.GOHashtagsAverage : occToLookFor.GOMentionsAverage).push(occObj.term)
+        break
+      }
+      case 'total': {
+        (isHashtag ? occToLookFor.GOHashtagsTotal : occToLookFor.GOMentionsTotal).push(occObj.term)
+        break
+      }
+      default: {
+        (isHashtag ? occToLookFor.GOHashtagsCount : occToLookFor.GOMentionsCount).push(occObj.term)
+        break
+      }
+    }
+  }
+  return gatherOccurrences('goal history', historyFromDateStr, toDateStr, occToLookFor)
+}
+
 /**
  * Generate output lines for each term, according to the specified style (currently only supports style 'markdown').
+ * Where a term has a goal (from setting 'progressGoals'), progress against it is added, and streaks if setting 'progressGoalStreaks' is on.
  * @param {Array<TMOccurrences>} occObjs
  * @param {string} periodString
  * @param {string} fromDateStr
@@ -758,6 +1005,14 @@ export async function generateProgressUpdate(
     const showSparklines = (requestToShowSparklines && daysBetween <= 31)
     // Get length of longest progress term (to use with sparklines)
     const maxTermLen = Math.max(...occObjs.map((m) => m.term.length))
+    // Get any goals for these terms, and enough history to show progress against them
+    const goals: Array<ProgressGoal> = []
+    for (const goalStr of stringListOrArrayToArray(config?.progressGoals ?? [], ',')) {
+      const goal = parseProgressGoal(goalStr)
+      if (goal) goals.push(goal)
+    }
+    const showStreaks = config?.progressGoalStreaks ?? false
+    const goalHistories = (goals.length > 0) ? gatherGoalHistories(goals, occObjs, fromDateStr, toDateStr, showStreaks) : []
 
     const outputArray: Array<string> = []
     for (const occObj of occObjs) {
@@ -771,6 +1026,11 @@ export async function generateProgressUpdate(
             thisOutput = "**" + occObj.getTerm() + "**: "
           }
           thisOutput += " " + occObj.getSummaryForPeriod('text')
+          const goal = goals.find((g) => caseInsensitiveMatch(g.term, occObj.term))
+          const historyOcc = goalHistories.find((h) => h.term === occObj.term && h.type === occObj.type)
+          if (goal && historyOcc) {
+            thisOutput += " · " + makeGoalProgressText(goal, historyOcc, fromDateStr, toDateStr, showStreaks)
+          }
           break
         }
         default: {
@@ -0,0 +1,469 @@
+// @flow
+//-----------------------------------------------------------------------------
+// Task completion analytics: lead times, reschedules, completion rates,
+// and day-of-week/hour-of-day patterns, as an HTML report or CSV file.
+// Last updated 2026-10-19 for v0.23.0
+//-----------------------------------------------------------------------------
+
+import moment from 'moment/min/moment-with-locales'
+import pluginJson from '../plugin.json'
+import { getFirstDateForWeeklyStats } from './forCharts'
+import { getSummariesSettings } from './summaryHelpers'
+import {
+  RE_DATE,
+  RE_DONE_DATE_OR_DATE_TIME_DATE_CAPTURE,
+  RE_TIME,
+  todaysDateISOString, // const
+  toISODateString,
+  withinDateRange,
+} from '@helpers/dateTime'
+import { clo, logDebug, logError, logInfo, logWarn, timer } from '@helpers/dev'
+import { getFolderFromFilename } from '@helpers/folders'
+import { createRunPluginCallbackUrl, displayTitle } from '@helpers/general'
+import { showHTMLV2 } from '@helpers/HTMLView'
+import { getUsersFirstDayOfWeekUTC } from '@helpers/NPdateTime'
+import { projectNotesFromFilteredFolders } from '@helpers/note'
+import { getTaskPriority } from '@helpers/paragraph'
+
+//-----------------------------------------------------------------------------
+// Data types + constants
+
+type TaskAnalyticsDefinition = {
+  fromDateStr: string, // YYYY-MM-DD
+  toDateStr: string, // YYYY-MM-DD
+}
+
+export type CompletedTaskInfo = {
+  content: string, // without the @done(...)
+  filename: string,
+  noteTitle: string,
+  folder: string, // or '(calendar notes)'
+  doneDateStr: string, // YYYY-MM-DD
+  doneHour: ?number, // 0-23, or null if no time given
+  firstDateStr: string, // YYYY-MM-DD of the earliest date known for the task (its daily note, the first date it was scheduled to, or where it was moved from), or '' if not known
+  leadTimeDays: ?number, // days from firstDateStr to doneDateStr, or null if not known
+  numReschedules: number,
+  priority: number, // 0-4, as getTaskPriority()
+  tags: Array<string>,
+}
+
+type GroupStats = {
+  name: string,
+  done: number,
+  open: number,
+  rate: number, // done / (done + open), as a %
+  avgLeadTimeDays: ?number,
+  avgReschedules: number,
+}
+
+export type TaskAnalytics = {
+  fromDateStr: string,
+  toDateStr: string,
+  tasks: Array<CompletedTaskInfo>,
+  byFolder: Array<GroupStats>,
+  byTag: Array<GroupStats>,
+  byPriority: Array<GroupStats>,
+  byDayOfWeek: Array<{ name: string, done: number }>, // starting on the user's first day of the week
+  byHour: Array<number>, // 24 counts, for tasks with a time in their @done(...)
+}
+
+const pluginID = 'jgclark.Summaries'
+const windowCustomId = `${pluginID}.task-analytics`
+const CSV_FILENAME = 'task_completion_analytics.csv'
+// How far before the start of the period to look for tasks (done in the period) in calendar notes, and where they were rescheduled from
+const LOOKBACK_MONTHS = 6
+const CALENDAR_FOLDER_NAME = '(calendar notes)'
+const NO_TAG_NAME = '(no tag)'
+const PRIORITY_NAMES = ['none', '!', '!!', '!!!', '>> (working-on)']
+
+// Dates in calendar note links before (<date) or after (>date) a task's text
+const RE_DATE_LINKS = /\s*[<>](\d{4}-[01]\d-[0123]\d|\d{4}-W[0-5]\d|\d{4}-[01]\d|\d{4}-Q[1-4]|\d{4}|today)(?=\s|$)/g
+const RE_SCHEDULED_DATES = new RegExp(`>(${RE_DATE})`, 'g')
+const RE_MOVED_FROM_DATES = new RegExp(`<(${RE_DATE})`, 'g')
+const RE_DONE_PART = /\s*@done\([^)]*\)/
+const RE_HASHTAGS = /(?:^|\s)(#[\w\-/]+)/g
+
+//-----------------------------------------------------------------------------
+
+/**
+ * Show an HTML report of completed tasks between two dates: lead times, reschedules, completion rates by folder/tag/priority, and when in the week and day tasks get done.
+ * Can pass a {TaskAnalyticsDefinition} object, or a stringified version of one (e.g. from an x-callback). If none given, the weekly stats dates are used.
+ * @param {TaskAnalyticsDefinition | string} defArg (optional)
+ */
+export async function showTaskCompletionAnalytics(defArg: TaskAnalyticsDefinition | string = ''): Promise<void> {
+  try {
+    const config = await getSummariesSettings()
+    const taskDef = getTaskAnalyticsDefinition(defArg, config)
+    const analytics = await generateTaskAnalytics(config.foldersToExclude, taskDef.fromDateStr, taskDef.toDateStr)
+    const body = makeTaskAnalyticsHTML(analytics)
+
+    const specificCSS = `
+  .analytics { padding: 0 0.5rem; }
+  .analytics table { border-collapse: collapse; margin-bottom: 1rem; }
+  .analytics th, .analytics td { padding: 0.1rem 0.6rem; text-align: right; }
+  .analytics th:first-child, .analytics td:first-child { text-align: left; }
+  .bar { display: inline-block; height: 0.7rem; background-color: var(--tint-color); }
+  .summary { font-size: 1.05rem; }
+`
+    const winOpts = {
+      windowTitle: 'Task Completion Analytics',
+      width: 800,
+      height: 800,
+      generalCSSIn: '', // i.e. generate from theme
+      specificCSS: specificCSS,
+      preBodyScript: '',
+      postBodyScript: '',
+      customId: windowCustomId,
+      savedFilename: 'task-completion-analytics.html',
+      makeModal: false,
+      reuseUsersWindowRect: true,
+      shouldFocus: true,
+    }
+    await showHTMLV2(body, winOpts)
+    logInfo('showTaskCompletionAnalytics', `Shown window for ${analytics.tasks.length} tasks done ${taskDef.fromDateStr} to ${taskDef.toDateStr}`)
+  } catch (error) {
+    logError(pluginJson, `showTaskCompletionAnalytics: ${error.message}`)
+  }
+}
+
+/**
+ * Write details of each task completed between two dates to 'task_completion_analytics.csv' in the plugin data folder, for use in other tools.
+ * Takes the same (optional) parameter as showTaskCompletionAnalytics().
+ * @param {TaskAnalyticsDefinition | string} defArg (optional)
+ */
+export async function taskCompletionAnalyticsCSV(defArg: TaskAnalyticsDefinition | string = ''): Promise<void> {
+  try {
+    const config = await getSummariesSettings()
+    const taskDef = getTaskAnalyticsDefinition(defArg, config)
+    const analytics = await generateTaskAnalytics(config.foldersToExclude, taskDef.fromDateStr, taskDef.toDateStr)
+    DataStore.saveData(makeTaskAnalyticsCSV(analytics.tasks).join('\n'), CSV_FILENAME, true)
+    logInfo(pluginJson, `  written ${analytics.tasks.length} tasks to data file '${CSV_FILENAME}'`)
+  } catch (error) {
+    logError(pluginJson, `taskCompletionAnalyticsCSV: ${error.message}`)
+  }
+}
+
+/**
+ * Get the dates to use from the parameter (as object, or JSON string from an x-callback), filling in any missing with the weekly stats dates.
+ * @param {TaskAnalyticsDefinition | string} defArg
+ * @param {any} config
+ * @returns {TaskAnalyticsDefinition}
+ */
+function getTaskAnalyticsDefinition(defArg: TaskAnalyticsDefinition | string, config: any): TaskAnalyticsDefinition {
+  const [fromDateStrDefault, _numWeeksDefault] = getFirstDateForWeeklyStats(config.weeklyStatsDuration, config.weeklyStatsIncludeCurrentWeek)
+  const given: any = (typeof defArg === 'string' && defArg !== '')
+    ? JSON.parse(decodeURIComponent(defArg))
+    : (typeof defArg === 'object')
+      ? defArg
+      : {}
+  const isISODate = (str: any) => typeof str === 'string' && new RegExp(`^${RE_DATE}$`).test(str)
+  const taskDef = {
+    fromDateStr: isISODate(given.fromDateStr) ? given.fromDateStr : fromDateStrDefault,
+    toDateStr: isISODate(given.toDateStr) ? given.toDateStr : todaysDateISOString,
+  }
+  clo(taskDef, 'getTaskAnalyticsDefinition: taskDef')
+  return taskDef
+}
+
+/**
+ * Remove the done date and any calendar note links from a task's content, so that the copies of a task left behind when it is rescheduled can be matched up.
+ * @param {string} content
+ * @returns {string}
+ * @tests in jest file
+ */
+export function taskKey(content: string): string {
+  return content.replace(RE_DONE_PART, '').replace(RE_DATE_LINKS, '').replace(/\s+/g, ' ').trim()
+}
+
+/**
+ * Work out when a completed task was first known about, and how many times it was rescheduled (see generateTaskAnalytics() for how).
+ * @param {string} content of the done task
+ * @param {string} noteDateStr YYYY-MM-DD of the calendar note it's in, or '' if it's in a project note
+ * @param {string} doneDateStr YYYY-MM-DD
+ * @param {Array<string>} rescheduledFromDates YYYY-MM-DD of calendar notes with copies of the task left behind when it was rescheduled
+ * @returns {{ firstDateStr: string, leadTimeDays: ?number, numReschedules: number }}
+ * @tests in jest file
+ */
+export function calcTaskHistory(
+  content: string,
+  noteDateStr: string,
+  doneDateStr: string,
+  rescheduledFromDates: Array<string>,
+): { firstDateStr: string, leadTimeDays: ?number, numReschedules: number } {
+  const rescheduledBeforeDone = rescheduledFromDates.filter((d) => d <= doneDateStr)
+  const scheduledDates = datesInContent(content, RE_SCHEDULED_DATES)
+  const candidateDates = [
+    ...(noteDateStr !== '' ? [noteDateStr] : []),
+    ...scheduledDates,
+    ...datesInContent(content, RE_MOVED_FROM_DATES),
+    ...rescheduledBeforeDone,
+  ].filter((d) => d <= doneDateStr).sort()
+  const firstDateStr = candidateDates[0] ?? ''
+  return {
+    firstDateStr: firstDateStr,
+    leadTimeDays: firstDateStr !== '' ? moment(doneDateStr, 'YYYY-MM-DD').diff(moment(firstDateStr, 'YYYY-MM-DD'), 'days') : null,
+    numReschedules: rescheduledBeforeDone.length + Math.max(0, scheduledDates.length - 1),
+  }
+}
+
+/**
+ * Get the ISO dates matching the first capture group of a global regex in a string
+ * @param {string} content
+ * @param {RegExp} re with 'g' flag
+ * @returns {Array<string>}
+ */
+function datesInContent(content: string, re: RegExp): Array<string> {
+  return Array.from(content.matchAll(re), (m) => m[1])
+}
+
+/**
+ * Generate analytics for tasks (not checklist items) completed between two dates, from project notes and calendar notes.
+ * As NotePlan doesn't record when a task was written, its 'first date' is the earliest of: the date of the calendar note it was written in, the first date it was scheduled to (>date), where it was moved from (<date), and the calendar notes where copies were left when it was rescheduled. Its number of reschedules counts those copies, plus any '>date's it has after the first.
+ * Completion rates are the % of tasks in each group that are done (in the period) out of those done plus those still open (in project notes, and calendar notes in the period).
+ * @param {Array<string>} foldersToExclude which may be just []
+ * @param {string} fromDateStr - ISO date to start
+ * @param {string} toDateStr - ISO date to end
+ * @returns {TaskAnalytics}
+ */
+export async function generateTaskAnalytics(foldersToExclude: Array<string>, fromDateStr: string, toDateStr: string): Promise<TaskAnalytics> {
+  // start a timer and spinner
+  CommandBar.showLoading(true, `Generating Task Completion analytics ...`)
+  await CommandBar.onAsyncThread()
+  const startTime = new Date()
+
+  const earlierFromDateStr = moment(fromDateStr, 'YYYY-MM-DD').subtract(LOOKBACK_MONTHS, 'months').format('YYYY-MM-DD')
+  const projNotes = projectNotesFromFilteredFolders(foldersToExclude, true)
+  // $FlowIgnore[incompatible-call]
+  const calNotes = DataStore.calendarNotes.filter((n) => withinDateRange(toISODateString(n.date), earlierFromDateStr, toDateStr))
+  logDebug('generateTaskAnalytics', `Looking in ${projNotes.length} project notes and ${calNotes.length} calendar notes`)
+
+  // First find the copies of tasks left behind in calendar notes when they were rescheduled
+  const rescheduledFromMap: Map<string, Array<string>> = new Map()
+  for (const n of calNotes) {
+    const noteDateStr = moment(n.date).format('YYYY-MM-DD')
+    for (const p of n.paragraphs.filter((p) => p.type === 'scheduled')) {
+      const key = taskKey(p.content)
+      rescheduledFromMap.set(key, (rescheduledFromMap.get(key) ?? []).concat(noteDateStr))
+    }
+  }
+
+  const tasks: Array<CompletedTaskInfo> = []
+  const openTasks: Array<{ folder: string, tags: Array<string>, priority: number }> = []
+  const addNoteTasks = (n: TNote, noteDateStr: string) => {
+    const isCalendarNote = noteDateStr !== ''
+    const folder = isCalendarNote ? CALENDAR_FOLDER_NAME : getFolderFromFilename(n.filename)
+    for (const p of n.paragraphs) {
+      if (p.type === 'open' && (!isCalendarNote || noteDateStr >= fromDateStr)) {
+        openTasks.push({ folder: folder, tags: hashtagsInContent(p.content), priority: getTaskPriority(p.content) })
+      }
+      if (p.type !== 'done') continue
+
+      // get completed date (and any time) from @done(date [time]). Tasks in calendar notes in the period without one count as done on the note's date.
+      const doneMatch = p.content.match(RE_DONE_DATE_OR_DATE_TIME_DATE_CAPTURE)
+      const doneDateStr = doneMatch ? doneMatch[1] : (isCalendarNote && noteDateStr >= fromDateStr) ? noteDateStr : ''
+      if (doneDateStr === '' || !withinDateRange(doneDateStr, fromDateStr, toDateStr)) continue
+      const timeMatch = doneMatch ? (doneMatch[2] ?? '').trim().match(new RegExp(`^${RE_TIME}$`)) : null
+      const doneHour = timeMatch ? moment(timeMatch[0], ['HH:mm', 'h:mm A', 'h:mmA']).hour() : null
+
+      const rescheduledFromDates = rescheduledFromMap.get(taskKey(p.content)) ?? []
+      const { firstDateStr, leadTimeDays, numReschedules } = calcTaskHistory(p.content, noteDateStr, doneDateStr, rescheduledFromDates)
+
+      tasks.push({
+        content: p.content.replace(RE_DONE_PART, '').trim(),
+        filename: n.filename,
+        noteTitle: displayTitle(n),
+        folder: folder,
+        doneDateStr: doneDateStr,
+        doneHour: doneHour,
+        firstDateStr: firstDateStr,
+        leadTimeDays: leadTimeDays,
+        numReschedules: numReschedules,
+        priority: getTaskPriority(p.content),
+        tags: hashtagsInContent(p.content),
+      })
+    }
+  }
+  for (const n of projNotes) {
+    addNoteTasks(n, '')
+  }
+  for (const n of calNotes) {
+    addNoteTasks(n, moment(n.date).format('YYYY-MM-DD'))
+  }
+  if (tasks.length === 0) {
+    logWarn(pluginJson, `No completed tasks found between ${fromDateStr} and ${toDateStr}`)
+  }
+
+  // Group the tasks (and open tasks, for completion rates)
+  const byFolder = calcGroupStats(tasks, openTasks, (t) => [t.folder])
+  const byTag = calcGroupStats(tasks, openTasks, (t) => (t.tags.length > 0 ? t.tags : [NO_TAG_NAME]))
+  const byPriority = calcGroupStats(tasks, openTasks, (t) => [PRIORITY_NAMES[t.priority] ?? PRIORITY_NAMES[0]])
+    .sort((a, b) => PRIORITY_NAMES.indexOf(a.name) - PRIORITY_NAMES.indexOf(b.name))
+
+  // Patterns by day of week (starting on the user's first day of the week) and hour of day
+  const firstDayOfWeek = getUsersFirstDayOfWeekUTC() // 0(Sun)-6(Sat)
+  const byDayOfWeek = []
+  for (let i = 0; i < 7; i++) {
+    const dayNum = (firstDayOfWeek + i) % 7
+    byDayOfWeek.push({
+      name: moment().day(dayNum).format('dddd'),
+      done: tasks.filter((t) => moment(t.doneDateStr, 'YYYY-MM-DD').day() === dayNum).length,
+    })
+  }
+  const byHour: Array<number> = new Array<number>(24).fill(0)
+  for (const t of tasks) {
+    if (t.doneHour != null) byHour[t.doneHour]++
+  }
+
+  // end timer & spinner
+  await CommandBar.onMainThread()
+  CommandBar.showLoading(false)
+  logDebug('generateTaskAnalytics', `-> ${tasks.length} done tasks and ${openTasks.length} open tasks in ${timer(startTime)}`)
+
+  return { fromDateStr, toDateStr, tasks, byFolder, byTag, byPriority, byDayOfWeek, byHour }
+}
+
+/**
+ * Get the #hashtags in a task's content
+ * @param {string} content
+ * @returns {Array<string>}
+ */
+function hashtagsInContent(content: string): Array<string> {
+  return Array.from(new Set(Array.from(content.matchAll(RE_HASHTAGS), (m) => m[1])))
+}
+
+/**
+ * Get the lead times of those tasks that have one
+ * @param {Array<CompletedTaskInfo>} tasks
+ * @returns {Array<number>}
+ */
+function knownLeadTimes(tasks: Array<CompletedTaskInfo>): Array<number> {
+  const leadTimes: Array<number> = []
+  for (const t of tasks) {
+    if (t.leadTimeDays != null) leadTimes.push(t.leadTimeDays)
+  }
+  return leadTimes
+}
+
+/**
+ * Calculate stats for each group of tasks, sorted by number done (most first).
+ * @param {Array<CompletedTaskInfo>} tasks
+ * @param {Array<{folder, tags, priority}>} openTasks
+ * @param {function} groupsOf - function returning the group name(s) a task is in
+ * @returns {Array<GroupStats>}
+ * @tests in jest file
+ */
+export function calcGroupStats(
+  tasks: Array<CompletedTaskInfo>,
+  openTasks: Array<{ folder: string, tags: Array<string>, priority: number }>,
+  groupsOf: (any) => Array<string>,
+): Array<GroupStats> {
+  const groupMap: Map<string, { done: Array<CompletedTaskInfo>, open: number }> = new Map()
+  const groupFor = (name: string) => {
+    const group = groupMap.get(name) ?? { done: [], open: 0 }
+    groupMap.set(name, group)
+    return group
+  }
+  for (const t of tasks) {
+    for (const name of groupsOf(t)) groupFor(name).done.push(t)
+  }
+  for (const t of openTasks) {
+    for (const name of groupsOf(t)) groupFor(name).open++
+  }
+
+  const output: Array<GroupStats> = []
+  for (const [name, group] of groupMap) {
+    const leadTimes = knownLeadTimes(group.done)
+    const numDone = group.done.length
+    output.push({
+      name: name,
+      done: numDone,
+      open: group.open,
+      rate: (numDone + group.open > 0) ? Math.round((100 * numDone) / (numDone + group.open)) : 0,
+      avgLeadTimeDays: leadTimes.length > 0 ? leadTimes.reduce((a, b) => a + b, 0) / leadTimes.length : null,
+      avgReschedules: numDone > 0 ? group.done.reduce((a, t) => a + t.numReschedules, 0) / numDone : 0,
+    })
+  }
+  return output.sort((a, b) => b.done - a.done || a.name.localeCompare(b.name))
+}
+
+/**
+ * Make CSV lines, with a header line, for each completed task
+ * @param {Array<CompletedTaskInfo>} tasks
+ * @returns {Array<string>}
+ * @tests in jest file
+ */
+export function makeTaskAnalyticsCSV(tasks: Array<CompletedTaskInfo>): Array<string> {
+  const csvValue = (value: mixed): string => {
+    const str = value == null ? '' : String(value)
+    return /[",\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str
+  }
+  const outputArray = ['doneDate,doneDayOfWeek,doneHour,firstDate,leadTimeDays,numReschedules,priority,folder,tags,noteTitle,task']
+  for (const t of tasks.slice().sort((a, b) => a.doneDateStr.localeCompare(b.doneDateStr))) {
+    outputArray.push(
+      [
+        t.doneDateStr,
+        moment(t.doneDateStr, 'YYYY-MM-DD').format('ddd'),
+        t.doneHour,
+        t.firstDateStr,
+        t.leadTimeDays,
+        t.numReschedules,
+        t.priority,
+        t.folder,
+        t.tags.join(' '),
+        t.noteTitle,
+        t.content,
+      ]
+        .map(csvValue)
+        .join(','),
+    )
+  }
+  return outputArray
+}
+
+/**
+ * Make the body of the HTML report
+ * @param {TaskAnalytics} analytics
+ * @returns {string}
+ */
+function makeTaskAnalyticsHTML(analytics: TaskAnalytics): string {
+  const { tasks } = analytics
+  const esc = (str: string) => str.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+  const formatDays = (days: ?number) => (days != null ? `${days.toFixed(1)}d` : '–')
+  const bar = (value: number, max: number) => `<span class="bar" style="width: ${max > 0 ? Math.round((120 * value) / max) : 0}px"></span>`
+
+  const leadTimes = knownLeadTimes(tasks).sort((a, b) => a - b)
+  const avgLeadTime = leadTimes.length > 0 ? leadTimes.reduce((a, b) => a + b, 0) / leadTimes.length : null
+  const medianLeadTime = leadTimes.length > 0 ? leadTimes[Math.floor(leadTimes.length / 2)] : null
+  const numRescheduled = tasks.filter((t) => t.numReschedules > 0).length
+
+  const groupTable = (title: string, groups: Array<GroupStats>) => {
+    const maxDone = Math.max(0, ...groups.map((g) => g.done))
+    const rows = groups.map(
+      (g) =>
+        `<tr><td>${esc(g.name)}</td><td>${g.done}</td><td>${bar(g.done, maxDone)}</td><td>${g.open}</td><td>${g.rate}%</td><td>${formatDays(g.avgLeadTimeDays)}</td><td>${g.avgReschedules.toFixed(1)}</td></tr>`,
+    )
+    return `<h3>${title}</h3>
+<table><tr><th></th><th>Done</th><th></th><th>Open</th><th>Rate</th><th>Avg lead time</th><th>Avg reschedules</th></tr>
+${rows.join('\n')}
+</table>`
+  }
+
+  const maxDayDone = Math.max(0, ...analytics.byDayOfWeek.map((d) => d.done))
+  const dayRows = analytics.byDayOfWeek.map((d) => `<tr><td>${d.name}</td><td>${d.done}</td><td>${bar(d.done, maxDayDone)}</td></tr>`)
+  const maxHourDone = Math.max(0, ...analytics.byHour)
+  const hourRows = analytics.byHour.map((count, hour) => (count > 0 ? `<tr><td>${String(hour).padStart(2, '0')}:00</td><td>${count}</td><td>${bar(count, maxHourDone)}</td></tr>` : '')).filter(Boolean)
+  const csvURL = createRunPluginCallbackUrl(pluginID, 'Task Completion Analytics as CSV', JSON.stringify({ fromDateStr: analytics.fromDateStr, toDateStr: analytics.toDateStr }))
+
+  return `<div class="analytics">
+<h2>Task Completion Analytics (${analytics.fromDateStr} to ${analytics.toDateStr})</h2>
+<p class="summary">${tasks.length.toLocaleString()} tasks done. Lead time: average ${formatDays(avgLeadTime)}, median ${formatDays(medianLeadTime)} (for the ${leadTimes.length.toLocaleString()} tasks with a known first date). ${numRescheduled.toLocaleString()} tasks were rescheduled before being done.</p>
+${groupTable('By folder', analytics.byFolder)}
+${groupTable('By tag', analytics.byTag)}
+${groupTable('By priority', analytics.byPriority)}
+<h3>By day of week</h3>
+<table>${dayRows.join('\n')}</table>
+<h3>By hour of day</h3>
+${hourRows.length > 0 ? `<table>${hourRows.join('\n')}</table>` : '<p>No completed tasks have a time in their @done(...).</p>'}
+<p><a href="${csvURL}">Export as CSV</a> (to '${CSV_FILENAME}' in the plugin's data folder)</p>
+</div>`
+}
@@ -0,0 +1,137 @@
+/* global describe, expect, test, beforeEach */
+// @flow
+
+import { groupRows, matchesRow, parseQuery, runQuery, sortRows, type TRow } from '../src/query'
+
+const row = (fields: Partial<TRow> = {}): TRow => ({
+  content: 'Call Jo #work @jo',
+  type: 'open',
+  title: 'Work Log',
+  filename: 'Work/Work Log.md',
+  folder: 'Work',
+  noteType: 'Notes',
+  date: '2024-03-05',
+  tags: ['#work'],
+  mentions: ['@jo'],
+  frontmatter: { status: 'active' },
+  ...fields,
+})
+
+describe('nmn.DataQuery', () => {
+  describe('parseQuery()', () => {
+    test('defaults to paragraphs', () => {
+      expect(parseQuery(`{ type: 'open' }`)).toEqual({ from: 'paragraphs', type: 'open' })
+    })
+    test('not an object', () => {
+      expect(() => parseQuery('[1, 2]')).toThrow('A query must be an object')
+    })
+    test('unknown from', () => {
+      expect(() => parseQuery(`{ from: 'tasks' }`)).toThrow(`'from' must be "paragraphs" or "notes"`)
+    })
+    test('bad limit', () => {
+      expect(() => parseQuery(`{ limit: 0 }`)).toThrow(`'limit' must be a positive number`)
+    })
+    test('valid dates', () => {
+      expect(parseQuery(`{ date: { after: '2024-03-01', before: '2024-03-31' } }`).date).toEqual({ after: '2024-03-01', before: '2024-03-31' })
+    })
+    test('dates must be just YYYY-MM-DD', () => {
+      expect(() => parseQuery(`{ date: { after: 'from 2024-03-01 on' } }`)).toThrow(`'date.after' must be a YYYY-MM-DD date`)
+      expect(() => parseQuery(`{ date: { before: '2024-03-012' } }`)).toThrow(`'date.before' must be a YYYY-MM-DD date`)
+    })
+  })
+
+  describe('matchesRow()', () => {
+    test('type', () => {
+      expect(matchesRow(row(), parseQuery(`{ type: ['open', 'done'] }`))).toEqual(true)
+      expect(matchesRow(row(), parseQuery(`{ type: 'done' }`))).toEqual(false)
+    })
+    test('folder includes sub-folders', () => {
+      expect(matchesRow(row({ folder: 'Work/Clients' }), parseQuery(`{ folder: 'Work' }`))).toEqual(true)
+      expect(matchesRow(row({ folder: 'Workshop' }), parseQuery(`{ folder: 'Work' }`))).toEqual(false)
+      expect(matchesRow(row({ folder: '/' }), parseQuery(`{ folder: '/' }`))).toEqual(true)
+    })
+    test('tags and mentions must all be present, and mentions match with params', () => {
+      expect(matchesRow(row({ mentions: ['@jo(2024-03-05)'] }), parseQuery(`{ tag: '#WORK', mention: '@jo' }`))).toEqual(true)
+      expect(matchesRow(row(), parseQuery(`{ tag: ['#work', '#home'] }`))).toEqual(false)
+    })
+    test('text ignores case', () => {
+      expect(matchesRow(row(), parseQuery(`{ text: 'call jo' }`))).toEqual(true)
+    })
+    test('dates are inclusive, and rows without a date never match', () => {
+      expect(matchesRow(row(), parseQuery(`{ date: { after: '2024-03-05', before: '2024-03-05' } }`))).toEqual(true)
+      expect(matchesRow(row(), parseQuery(`{ date: { after: '2024-03-06' } }`))).toEqual(false)
+      expect(matchesRow(row({ date: '' }), parseQuery(`{ date: { before: '2024-03-06' } }`))).toEqual(false)
+    })
+    test('frontmatter', () => {
+      expect(matchesRow(row(), parseQuery(`{ frontmatter: { status: ['Active', 'paused'] } }`))).toEqual(true)
+      expect(matchesRow(row(), parseQuery(`{ frontmatter: { status: true, due: false } }`))).toEqual(true)
+      expect(matchesRow(row(), parseQuery(`{ frontmatter: { due: true } }`))).toEqual(false)
+    })
+  })
+
+  describe('sortRows()', () => {
+    const rows = [row({ content: 'b', date: '2024-03-10' }), row({ content: 'a', date: '2024-03-02' }), row({ content: 'c', date: '' })]
+    test('ascending', () => {
+      expect(sortRows(rows, 'date').map((r) => r.content)).toEqual(['c', 'a', 'b'])
+    })
+    test('descending', () => {
+      expect(sortRows(rows, '-content').map((r) => r.content)).toEqual(['c', 'b', 'a'])
+    })
+    test('numbers in text', () => {
+      expect(sortRows([row({ content: 'item 10' }), row({ content: 'item 9' })], 'content').map((r) => r.content)).toEqual(['item 9', 'item 10'])
+    })
+    test('unsorted', () => {
+      expect(sortRows(rows, null)).toEqual(rows)
+    })
+  })
+
+  describe('groupRows()', () => {
+    test('no grouping', () => {
+      expect(groupRows([row()], '')).toEqual([{ key: '', rows: [row()] }])
+    })
+    test('keeps groups in the order first found', () => {
+      const rows = [row({ title: 'B' }), row({ title: 'A' }), row({ title: 'B', content: 'second' })]
+      expect(groupRows(rows, 'title').map((g) => [g.key, g.rows.length])).toEqual([
+        ['B', 2],
+        ['A', 1],
+      ])
+    })
+    test('rows appear in a group for each of their tags', () => {
+      const rows = [row({ tags: ['#work', '#urgent'] }), row({ tags: [] })]
+      expect(groupRows(rows, 'tags').map((g) => [g.key, g.rows.length])).toEqual([
+        ['#work', 1],
+        ['#urgent', 1],
+        ['', 1],
+      ])
+    })
+  })
+
+  describe('runQuery()', () => {
+    beforeEach(() => {
+      const lines = [
+        ['title', 'Work Log'],
+        ['open', 'Call Jo #work'],
+        ['code', '```query'],
+        ['code', "{ from: 'paragraphs', tag: '#work' }"],
+        ['code', '```'],
+        ['empty', ''],
+        ['text', '*Query results, updated 2024-03-05 09:00*'],
+        ['text', '| content |'],
+        ['text', '| --- |'],
+        ['text', '| Call Jo #work |'],
+        ['empty', ''],
+        ['open', 'Email Sam #work'],
+      ]
+      const paragraphs = lines.map(([type, content], lineIndex) => ({ type, content, lineIndex }))
+      global.DataStore = {
+        projectNotes: [{ title: 'Work Log', filename: 'Work/Work Log.md', type: 'Notes', paragraphs, hashtags: ['#work'], mentions: [], changedDate: new Date(2024, 2, 5) }],
+        calendarNotes: [],
+      }
+    })
+
+    test('leaves out results written into notes before', () => {
+      const result = runQuery(parseQuery(`{ type: ['open', 'text'], tag: '#work' }`))
+      expect(result[0].rows.map((r) => r.content)).toEqual(['Call Jo #work', 'Email Sam #work'])
+    })
+  })
+})
@@ -1,63 +1,103 @@
 // @flow
 
-import json5 from 'json5'
+import pluginJson from '../plugin.json'
+import { getColumns, parseQuery, RESULTS_MARKER, runQuery, type TQuery } from './query'
+import { RESULTS_CSS, resultsToHTML, resultsToMarkdown } from './render'
+import { getCodeBlocksOfType, type CodeBlock } from '@helpers/codeBlocks'
+import { hyphenatedDateString } from '@helpers/dateTime'
+import { logDebug } from '@helpers/dev'
+import { showHTMLV2 } from '@helpers/HTMLView'
+import { showMessage } from '@helpers/userInput'
 
-export async function openTestHTML() {
-  //   await CommandBar.onAsyncThread()
+/**
+ * Find the ```query block to run: the one the cursor is in, or otherwise the first in the note
+ */
+function getQueryBlock(note: CoreNoteFields): ?$ReadOnly<CodeBlock> {
+  const blocks = getCodeBlocksOfType(note, 'query').filter((block) => block.paragraphs.length > 0)
+  const cursorLine = Editor.selectedParagraphs?.[0]?.lineIndex
+  if (cursorLine != null) {
+    const blockAtCursor = blocks.find((block) => cursorLine >= block.paragraphs[0].lineIndex - 1 && cursorLine <= block.paragraphs[block.paragraphs.length - 1].lineIndex + 1)
+    if (blockAtCursor != null) {
+      return blockAtCursor
+    }
+  }
+  return blocks[0]
+}
 
+async function getQuery(): Promise<?{ query: TQuery, block: $ReadOnly<CodeBlock>, note: CoreNoteFields }> {
   const note = Editor.note
-  const paragraphs = note?.paragraphs ?? []
+  const block = note != null ? getQueryBlock(note) : null
+  if (note == null || block == null) {
+    await showMessage('No ```query block found in this note', 'OK', 'Data Query')
+    return null
+  }
+  try {
+    return { query: parseQuery(block.code), block, note }
+  } catch (error) {
+    await showMessage(`Could not read the query: ${error.message}`, 'OK', 'Data Query')
+    return null
+  }
+}
 
-  let inCodeBlock = false
-  let queryString = ''
-  for (const paragraph of paragraphs) {
-    console.log(paragraph.type)
-    if (paragraph.type === 'code') {
-      console.log('in code block')
-      if (inCodeBlock) {
-        queryString += `${paragraph.content  }\n`
-      } else if (paragraph.content.startsWith('```javascript')) {
-        console.log('found start of codeblock')
-        inCodeBlock = true
-      } else {
-        console.log(`Huh!${  paragraph.content}`)
-      }
-    } else {
-      if (inCodeBlock) {
-        console.log('found end of codeblock')
-      }
-      inCodeBlock = false
-    }
+export async function showQueryResults(): Promise<void> {
+  const found = await getQuery()
+  if (found == null) {
+    return
   }
+  const { query, note } = found
+  const title = query.title ?? `Query results from ${note.title ?? note.filename}`
+  const groups = runQuery(query)
+  logDebug(pluginJson, `showQueryResults: query found ${groups.reduce((sum, group) => sum + group.rows.length, 0)} results in ${groups.length} groups`)
 
-  console.log(queryString)
+  await showHTMLV2(resultsToHTML(groups, getColumns(query), title), {
+    windowTitle: title,
+    width: 900,
+    height: 600,
+    generalCSSIn: '',
+    specificCSS: RESULTS_CSS,
+    preBodyScript: '',
+    postBodyScript: '',
+    customId: `${pluginJson['plugin.id']}.results`,
+    savedFilename: 'query-results.html',
+    makeModal: false,
+    reuseUsersWindowRect: true,
+    shouldFocus: true,
+  })
+}
 
-  //   await CommandBar.onMainThread()
-  if (!queryString) {
-    await CommandBar.textPrompt('Errror', 'No code queryString found', 'OK')
+/**
+ * Write the results as a markdown table under the ```query block, replacing any results written there before
+ */
+export async function writeQueryResults(): Promise<void> {
+  const found = await getQuery()
+  if (found == null) {
     return
   }
+  const { query, block, note } = found
+  const groups = runQuery(query)
+  const now = new Date()
+  // Both parts are in local time
+  const updated = `${hyphenatedDateString(now)} ${now.toTimeString().slice(0, 5)}`
 
-  queryString = queryString.slice(0, -4)
-  const query: $FlowFixMe = json5.parse(queryString)
-
-  let html = ''
-  if (query.$title) {
-    html += `<h1>${query.$title}</h1>`
-  }
-  if (query.$showAs === 'List') {
-    html += `<ul>`
-    if (query.$select === 'Files') {
-      const files = (await DataStore.projectNotes) ?? []
-      for (const file of files) {
-        html += `<li><a href="noteplan://x-callback-url/openNote?filename=${encodeURIComponent(file.filename)}">${file.title ?? file.filename}</a></li>`
+  // The results go straight after the closing ``` line, and run until the next empty line
+  const insertIndex = block.paragraphs[block.paragraphs.length - 1].lineIndex + 2
+  const oldResults = []
+  if (note.paragraphs[insertIndex]?.content.startsWith(RESULTS_MARKER)) {
+    for (const paragraph of note.paragraphs.slice(insertIndex)) {
+      if (paragraph.content.trim() === '') {
+        break
       }
+      oldResults.push(paragraph)
     }
-    html += `</ul>`
-  } else {
-    await CommandBar.textPrompt('Error', 'Can only render lists of files for now', 'OK')
-    return
   }
-
-  NotePlan.openURL(`shortcuts://x-callback-url/run-shortcut?name=ShowHTML&input=${  encodeURIComponent(`<html><body><pre>${html}</pre></body></html>`)}`)
+  // Keep an empty line after the results, so they can be found again next time
+  const nextParagraph = note.paragraphs[insertIndex + oldResults.length]
+  const lines = resultsToMarkdown(groups, getColumns(query), updated)
+  if (nextParagraph != null && nextParagraph.content.trim() !== '') {
+    lines.push('')
+  }
+  if (oldResults.length > 0) {
+    note.removeParagraphs(oldResults)
+  }
+  note.insertParagraph(lines.join('\n'), insertIndex, 'text')
 }
@@ -0,0 +1,278 @@
+// @flow
+
+import json5 from 'json5'
+import { getFrontMatterAttributes } from '@helpers/NPFrontMatter'
+
+export type TQuery = $ReadOnly<{
+  from: 'paragraphs' | 'notes',
+  title?: string,
+  type?: string | $ReadOnlyArray<string>, // paragraph types, e.g. 'open' or ['open', 'done']
+  folder?: string | $ReadOnlyArray<string>, // includes sub-folders; '/' for the root folder
+  noteType?: 'Notes' | 'Calendar',
+  tag?: string | $ReadOnlyArray<string>, // all must be present
+  mention?: string | $ReadOnlyArray<string>, // all must be present, e.g. '@alice' also matches '@alice(...)'
+  text?: string,
+  date?: $ReadOnly<{ after?: string, before?: string }>, // YYYY-MM-DD, inclusive
+  frontmatter?: $ReadOnly<{ [string]: string | boolean | $ReadOnlyArray<string> }>, // true just needs the field to exist; an array matches any of its values
+  columns?: $ReadOnlyArray<string>,
+  groupBy?: string,
+  sortBy?: string, // prefix with '-' for descending
+  limit?: number,
+}>
+
+export type TRow = $ReadOnly<{
+  content: string, // paragraph content, or note title
+  type: string, // paragraph type, or 'note'
+  title: string, // of the note
+  filename: string,
+  folder: string,
+  noteType: string,
+  date: string, // YYYY-MM-DD or ''
+  tags: $ReadOnlyArray<string>,
+  mentions: $ReadOnlyArray<string>,
+  frontmatter: { [string]: string },
+}>
+
+export type TGroup = $ReadOnly<{
+  key: string,
+  rows: $ReadOnlyArray<TRow>,
+}>
+
+const DEFAULT_COLUMNS = {
+  paragraphs: ['content', 'type', 'title', 'date'],
+  notes: ['title', 'folder', 'date'],
+}
+
+// The first line of results written into a note by '/write query results' (which runs until the next empty line)
+export const RESULTS_MARKER = '*Query results'
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/
+const DONE_DATE_RE = /@done\((\d{4}-\d{2}-\d{2})/
+const SCHEDULED_DATE_RE = />(\d{4}-\d{2}-\d{2})/
+
+function toArray(value: void | string | $ReadOnlyArray<string>): $ReadOnlyArray<string> {
+  if (value == null) {
+    return []
+  }
+  return typeof value === 'string' ? [value] : value
+}
+
+function isoDate(date: Date): string {
+  const pad = (n: number) => String(n).padStart(2, '0')
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`
+}
+
+/**
+ * Parse the (JSON5) text of a ```query block. Throws with a helpful message if it isn't valid.
+ */
+export function parseQuery(text: string): TQuery {
+  const query: $FlowFixMe = json5.parse(text)
+  if (query == null || typeof query !== 'object' || Array.isArray(query)) {
+    throw new Error('A query must be an object, e.g. { from: "paragraphs", type: "open" }')
+  }
+  const from = query.from ?? 'paragraphs'
+  if (from !== 'paragraphs' && from !== 'notes') {
+    throw new Error(`'from' must be "paragraphs" or "notes", not "${String(from)}"`)
+  }
+  if (query.limit != null && (typeof query.limit !== 'number' || query.limit < 1)) {
+    throw new Error(`'limit' must be a positive number`)
+  }
+  if (query.date != null) {
+    for (const key of ['after', 'before']) {
+      if (query.date[key] != null && !DATE_RE.test(query.date[key])) {
+        throw new Error(`'date.${key}' must be a YYYY-MM-DD date`)
+      }
+    }
+  }
+  return { ...query, from }
+}
+
+export function getColumns(query: TQuery): $ReadOnlyArray<string> {
+  return query.columns ?? DEFAULT_COLUMNS[query.from]
+}
+
+/**
+ * Get the value of a field of a row, as used by columns, groupBy and sortBy.
+ * 'frontmatter.<field>' gets a frontmatter field; 'tags' and 'mentions' are joined into one string.
+ */
+export function getField(row: TRow, field: string): string {
+  if (field.startsWith('frontmatter.')) {
+    return row.frontmatter[field.slice('frontmatter.'.length)] ?? ''
+  }
+  switch (field) {
+    case 'content':
+    case 'type':
+    case 'title':
+    case 'filename':
+    case 'folder':
+    case 'noteType':
+    case 'date':
+      return row[field]
+    case 'tags':
+    case 'mentions':
+      return row[field].join(' ')
+    default:
+      return ''
+  }
+}
+
+function getFolder(filename: string): string {
+  const index = filename.lastIndexOf('/')
+  return index === -1 ? '/' : filename.slice(0, index)
+}
+
+function getNoteRow(note: TNote): TRow {
+  const frontmatter = getFrontMatterAttributes(note) || {}
+  const title = note.title ?? note.filename
+  return {
+    content: title,
+    type: 'note',
+    title,
+    filename: note.filename,
+    folder: note.type === 'Calendar' ? '' : getFolder(note.filename),
+    noteType: note.type,
+    date: isoDate(note.type === 'Calendar' ? note.date ?? note.changedDate : note.changedDate),
+    tags: note.hashtags,
+    mentions: note.mentions,
+    frontmatter,
+  }
+}
+
+function getParagraphDate(paragraph: TParagraph, noteRow: TRow): string {
+  const match = paragraph.content.match(DONE_DATE_RE) ?? paragraph.content.match(SCHEDULED_DATE_RE)
+  if (match) {
+    return match[1]
+  }
+  return noteRow.noteType === 'Calendar' ? noteRow.date : ''
+}
+
+/**
+ * Leave out query results written into the note before, so that they aren't found again by later queries
+ */
+function withoutWrittenResults(paragraphs: $ReadOnlyArray<TParagraph>): Array<TParagraph> {
+  const kept = []
+  let inResults = false
+  for (const p of paragraphs) {
+    if (p.content.startsWith(RESULTS_MARKER)) {
+      inResults = true
+    } else if (p.content.trim() === '') {
+      inResults = false
+    }
+    if (!inResults) {
+      kept.push(p)
+    }
+  }
+  return kept
+}
+
+function getParagraphRows(note: TNote, noteRow: TRow): Array<TRow> {
+  return withoutWrittenResults(note.paragraphs)
+    .filter((p) => p.content.trim() !== '' && p.type !== 'title' && p.type !== 'separator')
+    .map((p) => ({
+      ...noteRow,
+      content: p.content,
+      type: p.type,
+      date: getParagraphDate(p, noteRow),
+      tags: p.content.match(/#[\w/-]+/g) ?? [],
+      mentions: p.content.match(/@[\w/-]+(\([^)]*\))?/g) ?? [],
+    }))
+}
+
+function matchesFolder(folder: string, wanted: $ReadOnlyArray<string>): boolean {
+  return wanted.length === 0 || wanted.some((w) => (w === '/' ? folder === '/' : folder === w || folder.startsWith(`${w}/`)))
+}
+
+function hasAll(items: $ReadOnlyArray<string>, wanted: $ReadOnlyArray<string>): boolean {
+  const lowerItems = items.map((item) => item.toLowerCase())
+  return wanted.every((w) => lowerItems.some((item) => item === w.toLowerCase() || item.startsWith(`${w.toLowerCase()}(`)))
+}
+
+function matchesFrontmatter(row: TRow, wanted: $ReadOnly<{ [string]: string | boolean | $ReadOnlyArray<string> }>): boolean {
+  return Object.keys(wanted).every((key) => {
+    const value = row.frontmatter[key]
+    const wantedValue = wanted[key]
+    if (wantedValue === true) {
+      return value != null && value !== ''
+    }
+    if (wantedValue === false) {
+      return value == null || value === ''
+    }
+    return toArray(wantedValue).some((w) => String(value ?? '').toLowerCase() === String(w).toLowerCase())
+  })
+}
+
+export function matchesRow(row: TRow, query: TQuery): boolean {
+  const types = toArray(query.type)
+  if (query.from === 'paragraphs' && types.length > 0 && !types.includes(row.type)) {
+    return false
+  }
+  if (query.noteType != null && row.noteType !== query.noteType) {
+    return false
+  }
+  if (!matchesFolder(row.folder, toArray(query.folder))) {
+    return false
+  }
+  if (!hasAll(row.tags, toArray(query.tag)) || !hasAll(row.mentions, toArray(query.mention))) {
+    return false
+  }
+  const text = query.text
+  if (text != null && !row.content.toLowerCase().includes(text.toLowerCase())) {
+    return false
+  }
+  if (query.date != null) {
+    const { after, before } = query.date
+    if (row.date === '' || (after != null && row.date < after) || (before != null && row.date > before)) {
+      return false
+    }
+  }
+  if (query.frontmatter != null && !matchesFrontmatter(row, query.frontmatter)) {
+    return false
+  }
+  return true
+}
+
+export function sortRows(rows: $ReadOnlyArray<TRow>, sortBy: ?string): Array<TRow> {
+  if (sortBy == null || sortBy === '') {
+    return [...rows]
+  }
+  const descending = sortBy.startsWith('-')
+  const field = descending ? sortBy.slice(1) : sortBy
+  return [...rows].sort((a, b) => getField(a, field).localeCompare(getField(b, field), undefined, { numeric: true }) * (descending ? -1 : 1))
+}
+
+/**
+ * Group rows, keeping groups in the order they're first found (so sorting is kept). Rows with several tags appear in each tag's group.
+ */
+export function groupRows(rows: $ReadOnlyArray<TRow>, groupBy: ?string): Array<TGroup> {
+  if (groupBy == null || groupBy === '') {
+    return [{ key: '', rows }]
+  }
+  const groups: Map<string, Array<TRow>> = new Map()
+  for (const row of rows) {
+    const keys = groupBy === 'tags' || groupBy === 'mentions' ? row[groupBy] : [getField(row, groupBy)]
+    for (const key of keys.length > 0 ? keys : ['']) {
+      groups.set(key, [...(groups.get(key) ?? []), row])
+    }
+  }
+  return [...groups.entries()].map(([key, groupedRows]) => ({ key, rows: groupedRows }))
+}
+
+/**
+ * Run the query over all notes in the DataStore, returning the grouped results
+ */
+export function runQuery(query: TQuery): Array<TGroup> {
+  const notes = [...DataStore.projectNotes, ...DataStore.calendarNotes].filter((n) => !n.filename.startsWith('@'))
+  const rows: Array<TRow> = []
+  for (const note of notes) {
+    const noteRow = getNoteRow(note)
+    const candidates = query.from === 'notes' ? [noteRow] : getParagraphRows(note, noteRow)
+    for (const row of candidates) {
+      if (matchesRow(row, query)) {
+        rows.push(row)
+      }
+    }
+  }
+  const sorted = sortRows(rows, query.sortBy)
+  const limited = query.limit != null ? sorted.slice(0, query.limit) : sorted
+  return groupRows(limited, query.groupBy)
+}
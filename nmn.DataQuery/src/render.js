@@ -0,0 +1,88 @@
+// @flow
+
+import { getField, RESULTS_MARKER, type TGroup, type TRow } from './query'
+
+function escapeHTML(text: string): string {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;')
+}
+
+function cellHTML(row: TRow, column: string): string {
+  const value = escapeHTML(getField(row, column))
+  if (column === 'title' || (column === 'content' && row.type === 'note')) {
+    return `<a href="noteplan://x-callback-url/openNote?filename=${encodeURIComponent(row.filename)}">${value}</a>`
+  }
+  return value
+}
+
+function tableHTML(group: TGroup, columns: $ReadOnlyArray<string>): string {
+  const header = columns.map((column, i) => `<th data-col="${i}">${escapeHTML(column)}</th>`).join('')
+  const body = group.rows.map((row) => `<tr>${columns.map((column) => `<td>${cellHTML(row, column)}</td>`).join('')}</tr>`).join('\n')
+  const heading = group.key !== '' ? `<h2>${escapeHTML(group.key)} <span class="count">(${group.rows.length})</span></h2>` : ''
+  return `${heading}<table><thead><tr>${header}</tr></thead><tbody>\n${body}\n</tbody></table>`
+}
+
+// Runs in the HTML window: filter rows by the text typed, and sort a table by clicking its column headers
+const CLIENT_SCRIPT = `<script>
+  document.getElementById('filter').addEventListener('input', function (e) {
+    var text = e.target.value.toLowerCase();
+    document.querySelectorAll('tbody tr').forEach(function (tr) {
+      tr.style.display = tr.textContent.toLowerCase().includes(text) ? '' : 'none';
+    });
+  });
+  document.querySelectorAll('th').forEach(function (th) {
+    th.addEventListener('click', function () {
+      var tbody = th.closest('table').querySelector('tbody');
+      var col = Number(th.dataset.col);
+      var descending = th.dataset.sorted === 'asc';
+      th.closest('tr').querySelectorAll('th').forEach(function (other) { delete other.dataset.sorted; });
+      th.dataset.sorted = descending ? 'desc' : 'asc';
+      Array.from(tbody.rows)
+        .sort(function (a, b) {
+          var result = a.cells[col].textContent.localeCompare(b.cells[col].textContent, undefined, { numeric: true });
+          return descending ? -result : result;
+        })
+        .forEach(function (tr) { tbody.appendChild(tr); });
+    });
+  });
+</script>`
+
+export const RESULTS_CSS = `
+  table { border-collapse: collapse; margin-bottom: 1rem; width: 100%; }
+  th, td { border-bottom: 1px solid var(--divider-color, #CCC); padding: 0.2rem 0.5rem; text-align: left; }
+  th { cursor: pointer; user-select: none; }
+  th[data-sorted="asc"]::after { content: ' ▲'; }
+  th[data-sorted="desc"]::after { content: ' ▼'; }
+  h2 .count { font-weight: normal; opacity: 0.7; }
+  #filter { margin: 0.5rem 0; width: 50%; }
+`
+
+export function resultsToHTML(groups: $ReadOnlyArray<TGroup>, columns: $ReadOnlyArray<string>, title: string): string {
+  const total = groups.reduce((sum, group) => sum + group.rows.length, 0)
+  return [
+    `<h1>${escapeHTML(title)}</h1>`,
+    `<p>${total} result${total === 1 ? '' : 's'}</p>`,
+    `<input id="filter" type="search" placeholder="Filter rows…">`,
+    ...groups.map((group) => tableHTML(group, columns)),
+    CLIENT_SCRIPT,
+  ].join('\n')
+}
+
+function cellMarkdown(row: TRow, column: string): string {
+  const value = getField(row, column).replace(/\|/g, '\\|')
+  if (column === 'title' || (column === 'content' && row.type === 'note')) {
+    return `[[${value}]]`
+  }
+  return value
+}
+
+export function resultsToMarkdown(groups: $ReadOnlyArray<TGroup>, columns: $ReadOnlyArray<string>, updated: string): Array<string> {
+  const lines = [`${RESULTS_MARKER}, updated ${updated}*`]
+  for (const group of groups) {
+    if (group.key !== '') {
+      lines.push(`**${group.key}** (${group.rows.length})`)
+    }
+    lines.push(`| ${columns.join(' | ')} |`, `| ${columns.map(() => '---').join(' | ')} |`)
+    lines.push(...group.rows.map((row) => `| ${columns.map((column) => cellMarkdown(row, column)).join(' | ')} |`))
+  }
+  return lines
+}
@@ -0,0 +1,56 @@
+/* global describe, expect, test */
+// @flow
+
+import { calcReport } from '../src/report'
+
+const HOUR = 60 * 60 * 1000
+
+const at = (dateTime: string): Date => new Date(`2024-03-${dateTime}:00`)
+const event = (type: 'START' | 'STOP', dateTime: string) => ({ type, time: at(dateTime).toISOString() })
+
+const data = {
+  '^abc123': {
+    filename: 'Projects/Work.md',
+    content: 'Write report #work @spent(2h)',
+    completed: false,
+    events: [event('START', '04T23:00'), event('STOP', '05T01:00'), event('START', '05T09:00'), event('STOP', '05T10:00')],
+  },
+  '^def456': {
+    filename: '20240305.md',
+    content: 'Gym #health',
+    completed: false,
+    events: [event('START', '05T18:00')],
+  },
+}
+
+describe('nmn.TimeTracking', () => {
+  describe('calcReport()', () => {
+    test('totals by task, note, tag and day', () => {
+      const result = calcReport(data, at('01T00:00'), at('05T18:30'))
+      expect(result.total).toEqual(3.5 * HOUR)
+      expect(result.byTask.get('Write report #work')).toEqual(3 * HOUR)
+      expect(result.byNote.get('20240305.md')).toEqual(0.5 * HOUR)
+      expect(result.byTag.get('#work')).toEqual(3 * HOUR)
+      expect(result.byTag.get('#health')).toEqual(0.5 * HOUR)
+      expect(result.byDay.get('2024-03-04')).toEqual(2 * HOUR)
+      expect(result.byDay.get('2024-03-05')).toEqual(1.5 * HOUR)
+    })
+
+    test('only counts the part of an interval overlapping the start of the period', () => {
+      const result = calcReport(data, at('05T00:00'), at('05T12:00'))
+      expect(result.total).toEqual(2 * HOUR)
+      expect(result.byDay.get('2024-03-04')).toBeUndefined()
+      expect(result.byDay.get('2024-03-05')).toEqual(2 * HOUR)
+    })
+
+    test('only counts the part of an interval overlapping the end of the period', () => {
+      const result = calcReport(data, at('04T00:00'), at('05T00:30'))
+      expect(result.total).toEqual(1.5 * HOUR)
+      expect(result.byTask.get('Gym #health')).toBeUndefined()
+    })
+
+    test('nothing tracked in the period', () => {
+      expect(calcReport(data, at('01T00:00'), at('02T00:00')).total).toEqual(0)
+    })
+  })
+})
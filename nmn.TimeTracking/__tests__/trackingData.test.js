@@ -0,0 +1,44 @@
+/* global describe, expect, test */
+// @flow
+
+import { clipInterval, getIntervals, type TEvent } from '../src/trackingData'
+
+const at = (time: string): Date => new Date(`2024-03-05T${time}:00`)
+const event = (type: 'START' | 'STOP', time: string) => ({ type, time: at(time).toISOString() })
+const item = (events: Array<TEvent>) => ({ filename: 'Projects/Work.md', content: 'Write report #work', completed: false, events })
+
+describe('nmn.TimeTracking', () => {
+  describe('getIntervals()', () => {
+    test('pairs START and STOP events', () => {
+      const result = getIntervals(item([event('START', '09:00'), event('STOP', '10:00'), event('START', '11:00'), event('STOP', '11:30')]))
+      expect(result).toEqual([
+        { start: at('09:00'), end: at('10:00') },
+        { start: at('11:00'), end: at('11:30') },
+      ])
+    })
+    test('a running interval ends now', () => {
+      const result = getIntervals(item([event('START', '09:00')]), at('09:45'))
+      expect(result).toEqual([{ start: at('09:00'), end: at('09:45') }])
+    })
+    test('ignores repeated STARTs and STOPs', () => {
+      const result = getIntervals(item([event('STOP', '08:00'), event('START', '09:00'), event('START', '09:30'), event('STOP', '10:00'), event('STOP', '10:30')]))
+      expect(result).toEqual([{ start: at('09:00'), end: at('10:00') }])
+    })
+    test('no events', () => {
+      expect(getIntervals(item([]))).toEqual([])
+    })
+  })
+
+  describe('clipInterval()', () => {
+    const interval = { start: at('09:00'), end: at('11:00') }
+    test('inside the period', () => {
+      expect(clipInterval(interval, at('08:00'), at('12:00'))).toEqual(interval)
+    })
+    test('overlapping both ends', () => {
+      expect(clipInterval(interval, at('10:00'), at('10:30'))).toEqual({ start: at('10:00'), end: at('10:30') })
+    })
+    test('outside the period', () => {
+      expect(clipInterval(interval, at('11:00'), at('12:00'))).toBeNull()
+    })
+  })
+})
@@ -0,0 +1,123 @@
+// @flow
+
+import moment from 'moment/min/moment-with-locales'
+import { clipInterval, formatDuration, getConfig, getIntervals, objectKey, removeSpent, type TData } from './trackingData'
+import { textWithoutSyncedCopyTag } from '@helpers/syncedCopies'
+import { chooseOption, showMessage } from '@helpers/userInput'
+
+type TPeriod = $ReadOnly<{
+  num: number,
+  unit: 'day' | 'month' | 'year',
+}>
+
+type TTotals = Map<string, number> // label -> milliseconds
+
+export type TReport = $ReadOnly<{
+  byTask: TTotals,
+  byNote: TTotals,
+  byTag: TTotals,
+  byDay: TTotals,
+  total: number,
+}>
+
+const OPTIONS = [
+  { label: 'Today', value: { num: 0, unit: 'day' } },
+  { label: '7 days', value: { num: 6, unit: 'day' } },
+  { label: '14 days', value: { num: 13, unit: 'day' } },
+  { label: '1 month', value: { num: 1, unit: 'month' } },
+  { label: '3 months', value: { num: 3, unit: 'month' } },
+  { label: '1 year', value: { num: 1, unit: 'year' } },
+  { label: 'All Time', value: { num: 99, unit: 'year' } },
+  { label: '❌ Cancel', value: { num: -1, unit: 'day' } },
+]
+
+const REPORT_TITLE = 'Time Report'
+const REPORT_FOLDER = '_time_tracking'
+
+function addTo(totals: TTotals, key: string, ms: number): void {
+  totals.set(key, (totals.get(key) ?? 0) + ms)
+}
+
+function getNoteTitle(filename: string): string {
+  const note = DataStore.projectNoteByFilename(filename) ?? DataStore.calendarNoteByDateString(filename.split('.')[0])
+  return note?.title ?? filename
+}
+
+/**
+ * Total the time tracked between `fromDate` and `toDate`. Intervals that cross either end only count the part inside the period.
+ * Each interval counts towards the day it started on (or `fromDate`'s day, if it started before then).
+ */
+export function calcReport(data: TData, fromDate: Date, toDate: Date = new Date()): TReport {
+  const byTask = new Map<string, number>()
+  const byNote = new Map<string, number>()
+  const byTag = new Map<string, number>()
+  const byDay = new Map<string, number>()
+  let total = 0
+  for (const blockId of objectKey(data)) {
+    const item = data[blockId]
+    const taskLabel = textWithoutSyncedCopyTag(removeSpent(item.content))
+    const tags = taskLabel.match(/#[\w/-]+/g) ?? []
+    for (const fullInterval of getIntervals(item, toDate)) {
+      const interval = clipInterval(fullInterval, fromDate, toDate)
+      if (interval == null) {
+        continue
+      }
+      const ms = interval.end.getTime() - interval.start.getTime()
+      total += ms
+      addTo(byTask, taskLabel, ms)
+      addTo(byNote, item.filename, ms)
+      addTo(byDay, moment(interval.start).format('YYYY-MM-DD'), ms)
+      for (const tag of tags) {
+        addTo(byTag, tag, ms)
+      }
+    }
+  }
+  return { byTask, byNote, byTag, byDay, total }
+}
+
+function tableLines(heading: string, column: string, totals: TTotals, labelFn: (string) => string = (label) => label, sortByLabel: boolean = false): Array<string> {
+  const rows = [...totals.entries()].sort((a, b) => (sortByLabel ? a[0].localeCompare(b[0]) : b[1] - a[1]))
+  return [`## ${heading}`, `| ${column} | Time |`, '| --- | --- |', ...rows.map(([label, ms]) => `| ${labelFn(label).replace(/\|/g, '\\|')} | ${formatDuration(ms)} |`), '']
+}
+
+export function reportToMarkdown(report: TReport, periodLabel: string): Array<string> {
+  return [
+    `# ${REPORT_TITLE}`,
+    `Time tracked (${periodLabel}): **${formatDuration(report.total)}**. Generated ${moment().format('YYYY-MM-DD HH:mm')}.`,
+    '',
+    ...tableLines('By task', 'Task', report.byTask),
+    ...tableLines('By note', 'Note', report.byNote, (filename) => `[[${getNoteTitle(filename)}]]`),
+    ...tableLines('By tag', 'Tag', report.byTag),
+    ...tableLines('By day', 'Day', report.byDay, (day) => day, true),
+  ]
+}
+
+export async function timeReport(): Promise<void> {
+  const data = getConfig()
+  if (data == null) {
+    await showMessage('Could not read the time tracking data in _time_tracking/data', 'OK', 'Time Tracking')
+    return
+  }
+  const period: TPeriod = await chooseOption('📊 Report on time tracked over what period?', OPTIONS, { num: -1, unit: 'day' })
+  if (period.num < 0) {
+    return
+  }
+  const periodLabel = OPTIONS.find((o) => o.value.num === period.num && o.value.unit === period.unit)?.label ?? ''
+  const fromDate = moment().subtract(period.num, period.unit).startOf('day').toDate()
+
+  const report = calcReport(data, fromDate)
+  if (report.total === 0) {
+    await showMessage(`No time tracked in this period (${periodLabel})`, 'OK', 'Time Tracking')
+    return
+  }
+
+  const content = reportToMarkdown(report, periodLabel).join('\n')
+  const reportNote = DataStore.projectNotes.find((n) => n.title === REPORT_TITLE && n.filename.startsWith(`${REPORT_FOLDER}/`))
+  if (reportNote == null) {
+    const filename = DataStore.newNoteWithContent(content, REPORT_FOLDER)
+    await Editor.openNoteByFilename(filename)
+  } else {
+    reportNote.content = content
+    await Editor.openNoteByFilename(reportNote.filename)
+  }
+}
@@ -0,0 +1,110 @@
+// @flow
+
+import { formatDuration, getConfig, getTotalMs, isRunning, objectKey, setConfig, setSpent, type TData, type TTrackedItem } from './trackingData'
+import { getSelectedParagraph } from '@helpers/NPParagraph'
+import { showMessage } from '@helpers/userInput'
+
+type TTarget = $ReadOnly<{
+  blockId: string,
+  paragraph: TParagraph,
+  note: CoreNoteFields,
+}>
+
+/**
+ * Find the paragraph to act on: the one the cursor is in, if it's being tracked.
+ * Otherwise, if exactly one paragraph is being tracked, use that (wherever it is).
+ */
+async function getTrackedTarget(data: TData): Promise<?TTarget> {
+  const selected = Editor.selectedParagraphs?.[0] ?? (await getSelectedParagraph())
+  if (selected?.blockId != null && data[selected.blockId] != null && Editor.note != null) {
+    return { blockId: selected.blockId, paragraph: selected, note: Editor.note }
+  }
+  const running = objectKey(data).filter((blockId) => isRunning(data[blockId]))
+  if (running.length !== 1) {
+    return null
+  }
+  const blockId = running[0]
+  const note = DataStore.projectNoteByFilename(data[blockId].filename) ?? DataStore.calendarNoteByDateString(data[blockId].filename.split('.')[0])
+  const paragraph = note?.paragraphs.find((p) => p.blockId === blockId)
+  return paragraph != null && note != null ? { blockId, paragraph, note } : null
+}
+
+/**
+ * Write the time spent so far to the paragraph as '@spent(1h25m)', and return the updated item
+ */
+function writeSpent(target: TTarget, item: TTrackedItem): TTrackedItem {
+  const { paragraph, note } = target
+  paragraph.content = setSpent(paragraph.content, formatDuration(getTotalMs(item)))
+  note.updateParagraph(paragraph)
+  return { ...item, content: paragraph.content }
+}
+
+export async function startTracking(): Promise<void> {
+  const data = getConfig()
+  if (data == null) {
+    await showMessage('Could not read the time tracking data in _time_tracking/data', 'OK', 'Time Tracking')
+    return
+  }
+  const paragraph = Editor.selectedParagraphs?.[0] ?? (await getSelectedParagraph())
+  const note = Editor.note
+  if (paragraph == null || note == null || paragraph.content.trim() === '') {
+    await showMessage('Put the cursor in the task (or other paragraph) you want to track time for', 'OK', 'Time Tracking')
+    return
+  }
+
+  if (paragraph.blockId == null) {
+    note.addBlockID(paragraph)
+    note.updateParagraph(paragraph)
+  }
+  // Re-read the paragraph to get its new block ID
+  const newBlockId = paragraph.blockId ?? note.paragraphs[paragraph.lineIndex]?.blockId
+  if (newBlockId == null) {
+    await showMessage('Could not add a block ID to this paragraph, so can not track it', 'OK', 'Time Tracking')
+    return
+  }
+  const blockId: string = newBlockId
+
+  const existing = data[blockId]
+  if (existing != null && isRunning(existing)) {
+    await showMessage('Already tracking time for this paragraph', 'OK', 'Time Tracking')
+    return
+  }
+  const item: TTrackedItem = {
+    filename: note.filename,
+    content: paragraph.content,
+    completed: false,
+    events: [...(existing?.events ?? []), { type: 'START', time: new Date().toISOString() }],
+  }
+  setConfig({ ...data, [blockId]: item })
+  console.log(`Started tracking ${blockId} in ${note.filename}`)
+}
+
+export async function pauseTracking(): Promise<void> {
+  await stopOrPause(false)
+}
+
+export async function stopTracking(): Promise<void> {
+  await stopOrPause(true)
+}
+
+async function stopOrPause(complete: boolean): Promise<void> {
+  const data = getConfig()
+  if (data == null) {
+    await showMessage('Could not read the time tracking data in _time_tracking/data', 'OK', 'Time Tracking')
+    return
+  }
+  const target = await getTrackedTarget(data)
+  if (target == null) {
+    await showMessage('Put the cursor in the paragraph you are tracking time for', 'OK', 'Time Tracking')
+    return
+  }
+  const existing = data[target.blockId]
+  if (!complete && !isRunning(existing)) {
+    await showMessage('Time tracking for this paragraph is already paused', 'OK', 'Time Tracking')
+    return
+  }
+  const events = isRunning(existing) ? [...existing.events, { type: 'STOP', time: new Date().toISOString() }] : existing.events
+  const item = writeSpent(target, { ...existing, completed: complete, events })
+  setConfig({ ...data, [target.blockId]: item })
+  console.log(`${complete ? 'Completed' : 'Paused'} tracking ${target.blockId}: ${formatDuration(getTotalMs(item))}`)
+}
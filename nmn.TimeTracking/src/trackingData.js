@@ -0,0 +1,139 @@
+// @flow
+
+import keys from 'lodash/keys'
+import { getCodeBlocks } from '../../helpers/codeBlocks'
+
+export type TEvent = $ReadOnly<{
+  type: 'START' | 'STOP',
+  time: string, // ISO date-time
+}>
+
+export type TTrackedItem = $ReadOnly<{
+  filename: string,
+  content: string, // the paragraph's content when last started/paused/stopped
+  completed: boolean,
+  events: $ReadOnlyArray<TEvent>,
+}>
+
+// Keyed by the paragraph's block ID (e.g. '^abc123')
+export type TData = $ReadOnly<{
+  [blockId: string]: TTrackedItem,
+}>
+
+export type TInterval = $ReadOnly<{
+  start: Date,
+  end: Date,
+}>
+
+const DATA_FOLDER = '_time_tracking'
+
+export function objectKey<Obj: { ... }>(object: Obj): Array<$Keys<Obj>> {
+  return keys(object)
+}
+
+function getOrMadeDataFile() {
+  let dataFile = DataStore.projectNotes.find((n) => n.filename === `${DATA_FOLDER}/data.md` || n.filename === `${DATA_FOLDER}/data.txt`)
+  if (dataFile == null) {
+    DataStore.newNote('data', DATA_FOLDER)
+    dataFile = DataStore.projectNotes.find((n) => n.filename === `${DATA_FOLDER}/data.md` || n.filename === `${DATA_FOLDER}/data.txt`)
+  }
+  return dataFile
+}
+
+export function getConfig(): ?TData {
+  const configFile = getOrMadeDataFile()
+  if (configFile == null) {
+    return null
+  }
+  const codeBlocks = getCodeBlocks(configFile)
+  if (codeBlocks.length === 0) {
+    // A new data file
+    return {}
+  }
+  try {
+    const data = JSON.parse(codeBlocks[0].code)
+    return data
+  } catch {
+    return null
+  }
+}
+
+export function setConfig(data: TData): null | void {
+  const configFile = getOrMadeDataFile()
+  if (configFile == null) {
+    return null
+  }
+  configFile.content = `# ${configFile.paragraphs[0].content}\n\n\`\`\`json\n${JSON.stringify(data, null, 2)}\n\`\`\`\n`
+}
+
+export function isRunning(item: TTrackedItem): boolean {
+  return item.events.length > 0 && item.events[item.events.length - 1].type === 'START'
+}
+
+/**
+ * Pair up the START and STOP events into intervals. A START without a STOP (i.e. still running) ends at `now`.
+ */
+export function getIntervals(item: TTrackedItem, now: Date = new Date()): Array<TInterval> {
+  const intervals: Array<TInterval> = []
+  let start: ?Date = null
+  for (const event of item.events) {
+    if (event.type === 'START' && start == null) {
+      start = new Date(event.time)
+    } else if (event.type === 'STOP' && start != null) {
+      intervals.push({ start, end: new Date(event.time) })
+      start = null
+    }
+  }
+  if (start != null) {
+    intervals.push({ start, end: now })
+  }
+  return intervals
+}
+
+/**
+ * Clip an interval to the period `from`-`to`, or null if it's entirely outside it
+ */
+export function clipInterval(interval: TInterval, from: Date, to: Date): ?TInterval {
+  const start = interval.start < from ? from : interval.start
+  const end = interval.end > to ? to : interval.end
+  return start < end ? { start, end } : null
+}
+
+export function getTotalMs(item: TTrackedItem, now: Date = new Date()): number {
+  return getIntervals(item, now).reduce((total, interval) => total + (interval.end.getTime() - interval.start.getTime()), 0)
+}
+
+/**
+ * Format a duration as e.g. '1h25m', '2h' or '40m'. Rounds to the nearest minute, but never shows less than '1m'.
+ */
+export function formatDuration(ms: number): string {
+  const totalMinutes = Math.max(Math.round(ms / 60000), 1)
+  const hours = Math.floor(totalMinutes / 60)
+  const minutes = totalMinutes % 60
+  if (hours === 0) {
+    return `${minutes}m`
+  }
+  return minutes === 0 ? `${hours}h` : `${hours}h${minutes}m`
+}
+
+const SPENT_RE = /\s*@spent\([^)]*\)/g
+
+/**
+ * Remove any existing '@spent(...)' mention from the content
+ */
+export function removeSpent(content: string): string {
+  return content.replace(SPENT_RE, '')
+}
+
+/**
+ * Set (or replace) the '@spent(...)' mention in the content. It goes before any block ID, which needs to stay at the end of the line.
+ */
+export function setSpent(content: string, duration: string): string {
+  const withoutSpent = removeSpent(content)
+  const blockIdMatch = withoutSpent.match(/\s+\^[A-Za-z0-9]{6}$/)
+  if (blockIdMatch) {
+    const beforeBlockId = withoutSpent.slice(0, blockIdMatch.index)
+    return `${beforeBlockId} @spent(${duration})${blockIdMatch[0]}`
+  }
+  return `${withoutSpent} @spent(${duration})`
+}
@@ -0,0 +1,152 @@
+/* eslint-disable */
+
+jest.mock('NPTemplating', () => jest.requireActual('../lib/NPTemplating'), { virtual: true })
+
+import colors from 'chalk'
+import NPTemplating from '../lib/NPTemplating'
+import { onOpenAutoTemplate } from '../src/Templating'
+import { autoTemplateDate, findAutoTemplateRule, getAutoTemplateRecords, isEmptyNote, noteTimeframe, parseAutoTemplateRules, recordAutoTemplate, splitFrontmatter } from '../lib/support/autoTemplates'
+
+const PLUGIN_NAME = `📙 ${colors.yellow('np.Templating')}`
+const section = colors.blue
+const method = colors.magenta.bold
+
+const RULES = `[
+  { when: 'Monday', template: 'Weekly Planning Day' },
+  { when: 'weekend', template: 'Weekend' },
+  { when: 'daily', template: 'Daily Note Template' },
+  { when: 'weekly', template: 'Weekly Review' },
+  { folder: '/Meetings/', template: 'Meeting Note' },
+]`
+
+const TRIGGER_FRONTMATTER = '---\ntriggers: onOpen => np.Templating.onOpenAutoTemplate\n---'
+
+const calendarNote = (filename, content = '', date = null) => ({ filename, type: 'Calendar', content, date })
+const projectNote = (filename, content = '') => ({ filename, type: 'Notes', content })
+
+describe(`${PLUGIN_NAME}`, () => {
+  describe(section('Auto Templates'), () => {
+    it(`should read rules from JSON5 text using ${method('parseAutoTemplateRules')}`, () => {
+      const result = parseAutoTemplateRules(RULES)
+
+      expect(result[0]).toEqual({ when: 'monday', template: 'Weekly Planning Day' })
+      expect(result[4]).toEqual({ folder: 'Meetings', template: 'Meeting Note' })
+    })
+
+    it(`should have no rules for an empty setting using ${method('parseAutoTemplateRules')}`, () => {
+      expect(parseAutoTemplateRules('')).toEqual([])
+    })
+
+    it(`should throw for invalid rules using ${method('parseAutoTemplateRules')}`, () => {
+      expect(() => parseAutoTemplateRules([{ when: 'fortnightly', template: 'X' }])).toThrow(`unknown 'when': 'fortnightly'`)
+      expect(() => parseAutoTemplateRules([{ when: 'daily' }])).toThrow(`needs a 'template'`)
+      expect(() => parseAutoTemplateRules({ when: 'daily', template: 'X' })).toThrow('should be a list of rules')
+    })
+
+    it(`should get the timeframe of a note using ${method('noteTimeframe')}`, () => {
+      expect(noteTimeframe(calendarNote('20240902.md'))).toEqual('daily')
+      expect(noteTimeframe(calendarNote('2024-W36.md'))).toEqual('weekly')
+      expect(noteTimeframe(calendarNote('2024-09.md'))).toEqual('monthly')
+      expect(noteTimeframe(calendarNote('2024-Q3.md'))).toEqual('quarterly')
+      expect(noteTimeframe(calendarNote('2024.md'))).toEqual('yearly')
+      expect(noteTimeframe(projectNote('Meetings/Standup.md'))).toEqual('project')
+    })
+
+    it(`should use the first matching rule using ${method('findAutoTemplateRule')}`, () => {
+      const rules = parseAutoTemplateRules(RULES)
+
+      expect(findAutoTemplateRule(rules, calendarNote('20240902.md'))?.template).toEqual('Weekly Planning Day') // a Monday
+      expect(findAutoTemplateRule(rules, calendarNote('20240903.md'))?.template).toEqual('Daily Note Template')
+      expect(findAutoTemplateRule(rules, calendarNote('20240907.md'))?.template).toEqual('Weekend')
+      expect(findAutoTemplateRule(rules, calendarNote('2024-W36.md'))?.template).toEqual('Weekly Review')
+      expect(findAutoTemplateRule(rules, projectNote('Meetings/2024/Standup.md'))?.template).toEqual('Meeting Note')
+      expect(findAutoTemplateRule(rules, calendarNote('2024-09.md'))).toEqual(null)
+      expect(findAutoTemplateRule(rules, projectNote('Projects/Website.md'))).toEqual(null)
+    })
+
+    it(`should treat notes with only a title as empty using ${method('isEmptyNote')}`, () => {
+      expect(isEmptyNote(calendarNote('20240902.md', '\n  \n'))).toEqual(true)
+      expect(isEmptyNote(calendarNote('20240902.md', '# Monday'))).toEqual(false)
+      expect(isEmptyNote(projectNote('Meetings/Standup.md', '# Standup\n'))).toEqual(true)
+      expect(isEmptyNote(projectNote('Meetings/Standup.md', '# Standup\n- notes'))).toEqual(false)
+    })
+
+    it(`should ignore the trigger frontmatter using ${method('isEmptyNote')}`, () => {
+      expect(isEmptyNote(calendarNote('20240902.md', `${TRIGGER_FRONTMATTER}\n`))).toEqual(true)
+      expect(isEmptyNote(projectNote('Meetings/Standup.md', `${TRIGGER_FRONTMATTER}\n# Standup\n`))).toEqual(true)
+      expect(isEmptyNote(calendarNote('20240902.md', `${TRIGGER_FRONTMATTER}\n- notes`))).toEqual(false)
+    })
+
+    it(`should split frontmatter from the rest of a note using ${method('splitFrontmatter')}`, () => {
+      expect(splitFrontmatter(`${TRIGGER_FRONTMATTER}\n# Standup`)).toEqual({ frontmatter: TRIGGER_FRONTMATTER, body: '# Standup' })
+      expect(splitFrontmatter('# Standup\n---\n')).toEqual({ frontmatter: '', body: '# Standup\n---\n' })
+    })
+
+    it(`should render at a calendar note's date using ${method('autoTemplateDate')}`, () => {
+      const result = autoTemplateDate(calendarNote('20240902.md', '', new Date(2024, 8, 2)), new Date(2026, 9, 19, 8, 30))
+
+      expect([result?.getFullYear(), result?.getMonth(), result?.getDate(), result?.getHours(), result?.getMinutes()]).toEqual([2024, 8, 2, 8, 30])
+      expect(autoTemplateDate(projectNote('Meetings/Standup.md'))).toEqual(null)
+    })
+
+    it(`should record which notes have had a template applied using ${method('recordAutoTemplate')}`, () => {
+      const files = {}
+      global.DataStore = {
+        loadJSON: jest.fn((filename) => files[filename] ?? null),
+        saveJSON: jest.fn((object, filename) => {
+          files[filename] = object
+          return true
+        }),
+      }
+
+      recordAutoTemplate('20240902.md', 'Weekly Planning Day')
+
+      expect(getAutoTemplateRecords()['20240902.md'].template).toEqual('Weekly Planning Day')
+      expect(getAutoTemplateRecords()['20240903.md']).toBeUndefined()
+    })
+
+    describe(method('onOpenAutoTemplate'), () => {
+      let files
+
+      beforeEach(() => {
+        files = {
+          '../np.Templating/settings.json': { templateFolderName: '@Templates', autoTemplateRules: `[{ when: 'daily', template: 'Daily Note Template' }]` },
+        }
+        global.NotePlan = { environment: { templateFolder: '@Templates', languageCode: 'en' } }
+        global.DataStore = {
+          settings: {},
+          projectNotes: [],
+          loadJSON: jest.fn((filename) => files[filename] ?? null),
+          saveJSON: jest.fn((object, filename) => {
+            files[filename] = object
+            return true
+          }),
+        }
+        jest.spyOn(NPTemplating, 'getTemplate').mockResolvedValue("---\ntitle: Daily Note Template\ntype: empty-note\n---\n## <%- date.now('YYYY-MM-DD') %>\n* plan the day")
+      })
+
+      afterEach(() => {
+        jest.restoreAllMocks()
+      })
+
+      it('should apply the template to an empty note with the trigger, keeping the trigger, at the note date', async () => {
+        const note = calendarNote('20240902.md', `${TRIGGER_FRONTMATTER}\n`, new Date(2024, 8, 2))
+
+        await onOpenAutoTemplate(note)
+
+        expect(note.content).toEqual(`${TRIGGER_FRONTMATTER}\n## 2024-09-02\n* plan the day`)
+        expect(getAutoTemplateRecords()['20240902.md'].template).toEqual('Daily Note Template')
+      })
+
+      it('should not apply the template a second time', async () => {
+        const note = calendarNote('20240902.md', `${TRIGGER_FRONTMATTER}\n`, new Date(2024, 8, 2))
+        await onOpenAutoTemplate(note)
+        note.content = `${TRIGGER_FRONTMATTER}\n`
+
+        await onOpenAutoTemplate(note)
+
+        expect(note.content).toEqual(`${TRIGGER_FRONTMATTER}\n`)
+      })
+    })
+  })
+})
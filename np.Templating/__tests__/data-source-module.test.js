@@ -0,0 +1,116 @@
+/* eslint-disable */
+
+import colors from 'chalk'
+import DataSourceModule, { parseCSVRows, parseTableRow } from '../lib/support/modules/DataSourceModule'
+
+const PLUGIN_NAME = `📙 ${colors.yellow('np.Templating')}`
+const section = colors.blue
+const method = colors.magenta.bold
+
+// paragraphs as NotePlan makes them: lines in code blocks (including the fences) are 'code', and each has the heading it's under
+const makeNote = (title, lines) => {
+  let heading = ''
+  let inCode = false
+  const paragraphs = lines.map((content, lineIndex) => {
+    const isFence = content.startsWith('```')
+    const type = inCode || isFence ? 'code' : content.startsWith('#') ? 'title' : 'text'
+    if (isFence) inCode = !inCode
+    const para = { type, content: type === 'title' ? content.replace(/^#+\s*/, '') : content, heading, lineIndex }
+    if (type === 'title') heading = para.content
+    return para
+  })
+  return { title, filename: `Data/${title}.md`, type: 'Notes', content: lines.join('\n'), paragraphs }
+}
+
+const NOTES = [
+  makeNote('Team Roster', [
+    '# Team Roster',
+    'Who is in the team',
+    '## People',
+    '| Name | Role | Notes |',
+    '| --- | :---: | --- |',
+    '| Sam | Lead | Runs \\| plans |',
+    '| Alex | Design |',
+    '## Projects',
+    '```csv',
+    'Project,Owner,Due',
+    'Website,Sam,2024-10-01',
+    '"Garden, phase 2",Alex,"2024-11-15"',
+    '```',
+  ]),
+  makeNote('Weekly Data', ['# Weekly Data', '```json', '[{ week: 36, done: 12 }, { week: 37, done: 9 }]', '```', '```json', '{ "broken": ', '```']),
+  makeNote('Empty', ['# Empty', 'Nothing here']),
+]
+
+beforeEach(() => {
+  global.DataStore = {
+    projectNoteByFilename: jest.fn((filename) => NOTES.find((note) => note.filename === filename)),
+    projectNoteByTitle: jest.fn((title) => NOTES.filter((note) => note.title === title)),
+  }
+})
+
+describe(`${PLUGIN_NAME}`, () => {
+  describe(section('DataSourceModule'), () => {
+    it(`should read quoted CSV values using ${method('parseCSVRows')}`, () => {
+      const result = parseCSVRows('Name,Quote\nSam,"Say ""hi"", then\nwave"\n\n')
+
+      expect(result).toEqual([
+        ['Name', 'Quote'],
+        ['Sam', 'Say "hi", then\nwave'],
+      ])
+    })
+
+    it(`should read tab-separated values using ${method('parseCSVRows')}`, () => {
+      expect(parseCSVRows('Name\tRole\nSam\tLead')).toEqual([
+        ['Name', 'Role'],
+        ['Sam', 'Lead'],
+      ])
+    })
+
+    it(`should split table rows, with or without outer pipes, using ${method('parseTableRow')}`, () => {
+      expect(parseTableRow('| Sam | Runs \\| plans |')).toEqual(['Sam', 'Runs | plans'])
+      expect(parseTableRow('Sam | Lead')).toEqual(['Sam', 'Lead'])
+    })
+
+    it(`should get the first data in a note using ${method('.records')}`, () => {
+      const result = new DataSourceModule().records('Team Roster')
+
+      expect(result).toEqual([
+        { Name: 'Sam', Role: 'Lead', Notes: 'Runs | plans' },
+        { Name: 'Alex', Role: 'Design', Notes: '' },
+      ])
+    })
+
+    it(`should get CSV data under a heading using ${method('.records')}`, () => {
+      const result = new DataSourceModule().records('Data/Team Roster.md', { heading: 'projects' })
+
+      expect(result).toEqual([
+        { Project: 'Website', Owner: 'Sam', Due: '2024-10-01' },
+        { Project: 'Garden, phase 2', Owner: 'Alex', Due: '2024-11-15' },
+      ])
+      expect(new DataSourceModule().records('Team Roster', { type: 'csv' })).toEqual(result)
+    })
+
+    it(`should get JSON data using ${method('.records')}`, () => {
+      const result = new DataSourceModule().records('Weekly Data')
+
+      expect(result).toEqual([
+        { week: 36, done: 12 },
+        { week: 37, done: 9 },
+      ])
+    })
+
+    it(`should have no records for missing notes or data using ${method('.records')}`, () => {
+      expect(new DataSourceModule().records('Nowhere')).toEqual([])
+      expect(new DataSourceModule().records('Empty')).toEqual([])
+      expect(new DataSourceModule().records('Team Roster', { type: 'json' })).toEqual([])
+    })
+
+    it(`should throw for JSON that can't be read using ${method('.records')}`, () => {
+      const notes = [makeNote('Broken', ['# Broken', '```json', '{ "broken": ', '```'])]
+      global.DataStore.projectNoteByTitle = jest.fn(() => notes)
+
+      expect(() => new DataSourceModule().records('Broken')).toThrow('unable to read JSON data on line 3')
+    })
+  })
+})
@@ -0,0 +1,137 @@
+/* eslint-disable */
+
+import colors from 'chalk'
+import NPTemplating from '../lib/NPTemplating'
+import { compareVersions, compileHelperModule, getHelperModule, helperModuleExports, parseModuleVersions, selectHelperModule } from '../lib/support/helperModules'
+
+const PLUGIN_NAME = `📙 ${colors.yellow('np.Templating')}`
+const section = colors.blue
+const method = colors.magenta.bold
+
+const helperNote = (title, module, version, code, type = 'template-helper') => ({
+  title,
+  filename: `@Templates/${title}.md`,
+  type: 'Notes',
+  frontmatterTypes: [type],
+  content: `---\ntitle: ${title}\ntype: ${type}\n${module ? `module: ${module}\n` : ''}${version ? `version: ${version}\n` : ''}---\nShared helpers\n\`\`\`templatejs\n${code}\n\`\`\`\n`,
+})
+
+const TEAM_CODE = `function standupAgenda() {
+  return \`## Standup \${date.now()}\`
+}
+const greet = (name) => \`Hello \${name}\`
+const TEAM_SIZE = 5`
+
+describe(`${PLUGIN_NAME}`, () => {
+  describe(section('Helper Modules'), () => {
+    it(`should get a module from a template-helper note using ${method('getHelperModule')}`, () => {
+      const result = getHelperModule(helperNote('Team Helpers', 'team', '1.2.0', TEAM_CODE))
+
+      expect(result).toEqual({ name: 'team', version: '1.2.0', title: 'Team Helpers', filename: '@Templates/Team Helpers.md', code: `${TEAM_CODE}\n` })
+    })
+
+    it(`should ignore notes without a module name using ${method('getHelperModule')}`, () => {
+      expect(getHelperModule(helperNote('Old Helpers', '', '', TEAM_CODE))).toEqual(null)
+      expect(getHelperModule(helperNote('Daily', 'daily', '', TEAM_CODE, 'empty-note'))).toEqual(null)
+    })
+
+    it(`should throw for module names that can't be used in templates using ${method('getHelperModule')}`, () => {
+      expect(() => getHelperModule(helperNote('Team Helpers', 'my-team', '', TEAM_CODE))).toThrow(`module name ('my-team')`)
+    })
+
+    it(`should read module versions using ${method('parseModuleVersions')}`, () => {
+      expect(parseModuleVersions('team@1.0.0, meetings @ 2')).toEqual({ team: '1.0.0', meetings: '2' })
+      expect(parseModuleVersions('team')).toEqual({})
+      expect(parseModuleVersions(undefined)).toEqual({})
+    })
+
+    it(`should compare versions using ${method('compareVersions')}`, () => {
+      expect(compareVersions('1.10.0', '1.9')).toBeGreaterThan(0)
+      expect(compareVersions('1', '1.0.0')).toEqual(0)
+      expect(compareVersions('0.9.1', '1.0')).toBeLessThan(0)
+    })
+
+    it(`should use the highest version, unless one is asked for, using ${method('selectHelperModule')}`, () => {
+      const modules = [
+        { name: 'team', version: '1.9.0', title: 'Team v1', filename: 'a.md', code: '' },
+        { name: 'team', version: '1.10.0', title: 'Team v1.10', filename: 'b.md', code: '' },
+        { name: 'other', version: '3', title: 'Other', filename: 'c.md', code: '' },
+      ]
+
+      expect(selectHelperModule(modules, 'team')?.title).toEqual('Team v1.10')
+      expect(selectHelperModule(modules, 'team', '1.9')?.title).toEqual('Team v1')
+      expect(selectHelperModule(modules, 'team', '2')).toEqual(null)
+    })
+
+    it(`should find a module's exports using ${method('helperModuleExports')}`, () => {
+      expect(helperModuleExports(TEAM_CODE)).toEqual(['standupAgenda', 'greet', 'TEAM_SIZE'])
+    })
+
+    it(`should get a module's functions, which can use built-in modules, using ${method('compileHelperModule')}`, () => {
+      const helperModule = { name: 'team', version: '1', title: 'Team Helpers', filename: 'a.md', code: TEAM_CODE }
+
+      const result = compileHelperModule(helperModule, { date: { now: () => '2024-09-02' } })
+
+      expect(Object.keys(result)).toEqual(['standupAgenda', 'greet'])
+      expect(result.standupAgenda()).toEqual('## Standup 2024-09-02')
+      expect(result.greet('Sam')).toEqual('Hello Sam')
+    })
+
+    it(`should throw for code that can't be run using ${method('compileHelperModule')}`, () => {
+      const helperModule = { name: 'team', version: '1', title: 'Team Helpers', filename: 'a.md', code: 'function broken( {' }
+
+      expect(() => compileHelperModule(helperModule, {})).toThrow(`unable to load 'team' module from 'Team Helpers'`)
+    })
+
+    describe(section('NPTemplating'), () => {
+      beforeEach(() => {
+        global.NotePlan = { environment: { templateFolder: '@Templates', languageCode: 'en' } }
+        global.DataStore = {
+          loadJSON: jest.fn(() => ({})),
+          saveJSON: jest.fn(() => true),
+          projectNotes: [
+            helperNote('Team Helpers', 'team', '1.0.0', 'function version() { return "one" }'),
+            helperNote('Team Helpers 2', 'team', '2.0.0', 'function version() { return "two" }'),
+            helperNote('Clash', 'date', '', 'function now() { return "never" }'),
+            { title: 'Daily', filename: '@Templates/Daily.md', type: 'Notes', frontmatterTypes: ['empty-note'], content: '---\ntitle: Daily\n---\n' },
+          ],
+        }
+      })
+
+      it(`should load only the modules a template uses using ${method('.loadHelperModules')}`, async () => {
+        const result = await NPTemplating.loadHelperModules('<%- team.version() %> <%- myteam.version() %>')
+
+        expect(Object.keys(result)).toEqual(['team'])
+        expect(result.team.version()).toEqual('two')
+      })
+
+      it(`should load the version a template asks for using ${method('.loadHelperModules')}`, async () => {
+        const result = await NPTemplating.loadHelperModules('<%- team.version() %>', { team: '1.0.0' })
+
+        expect(result.team.version()).toEqual('one')
+      })
+
+      it(`should throw for a missing version using ${method('.loadHelperModules')}`, async () => {
+        await expect(NPTemplating.loadHelperModules('<%- team.version() %>', { team: '3' })).rejects.toThrow(`there is no 'team' helper module with version 3`)
+      })
+
+      it(`should leave out modules with the name of a built-in module using ${method('.loadHelperModules')}`, async () => {
+        const result = await NPTemplating.loadHelperModules('<%- date.now() %>')
+
+        expect(result).toEqual({})
+      })
+
+      it(`should render a template which uses a helper module using ${method('.render')}`, async () => {
+        const result = await NPTemplating.render('Version: <%- team.version() %>')
+
+        expect(result).toEqual('Version: two')
+      })
+
+      it(`should include helper module methods for lint using ${method('.getModuleMethods')}`, async () => {
+        const result = await NPTemplating.getModuleMethods()
+
+        expect(result.team).toEqual(['version'])
+      })
+    })
+  })
+})
@@ -0,0 +1,119 @@
+/* eslint-disable */
+
+import colors from 'chalk'
+import NoteModule from '../lib/support/modules/NoteModule'
+
+const PLUGIN_NAME = `📙 ${colors.yellow('np.Templating')}`
+const section = colors.blue
+const method = colors.magenta.bold
+
+const makeNote = (filename, title, changedDate, extra = {}) => ({
+  filename,
+  title,
+  type: 'Notes',
+  content: `# ${title}`,
+  createdDate: new Date('2024-01-01T10:00:00'),
+  changedDate: new Date(`${changedDate}T10:00:00`),
+  hashtags: [],
+  mentions: [],
+  paragraphs: [],
+  ...extra,
+})
+
+const NOTES = [
+  makeNote('Projects/Website.md', 'Website', '2024-09-01', {
+    content: '---\ntitle: Website\nstatus: active\n---\n- [ ] Write copy',
+    hashtags: ['#project'],
+    paragraphs: [
+      { type: 'title', content: 'Website', heading: '', lineIndex: 0 },
+      { type: 'open', content: 'Write copy', heading: 'Tasks', lineIndex: 1 },
+      { type: 'done', content: 'Buy domain', heading: 'Tasks', lineIndex: 2 },
+      { type: 'scheduled', content: 'Launch >2024-10-01', heading: 'Tasks', lineIndex: 3 },
+    ],
+  }),
+  makeNote('Projects/Archive/Old site.md', 'Old site', '2023-05-01', { content: '---\ntitle: Old site\nstatus: done\n---\n', hashtags: ['#project'] }),
+  makeNote('Projects/Garden.md', 'Garden', '2024-09-10', { mentions: ['@home'] }),
+  makeNote('Reading.md', 'Reading', '2024-08-20', { hashtags: ['#Project'] }),
+  makeNote('@Archive/Gone.md', 'Gone', '2024-09-12', { hashtags: ['#project'] }),
+]
+
+beforeEach(() => {
+  global.DataStore = {
+    projectNotes: NOTES,
+    projectNoteByFilename: jest.fn((filename) => NOTES.find((note) => note.filename === filename)),
+    projectNoteByTitle: jest.fn((title) => NOTES.filter((note) => note.title === title)),
+  }
+})
+
+describe(`${PLUGIN_NAME}`, () => {
+  describe(section('NoteModule'), () => {
+    it(`should get a note by title using ${method('.getNote')}`, () => {
+      const result = new NoteModule().getNote('Website')
+
+      expect(result).toEqual({
+        title: 'Website',
+        filename: 'Projects/Website.md',
+        folder: 'Projects',
+        type: 'Notes',
+        createdDate: '2024-01-01',
+        changedDate: '2024-09-01',
+        hashtags: ['#project'],
+        mentions: [],
+        frontmatter: { title: 'Website', status: 'active' },
+      })
+    })
+
+    it(`should return null for a missing note using ${method('.getNote')}`, () => {
+      expect(new NoteModule().getNote('Nowhere')).toEqual(null)
+    })
+
+    it(`should get notes in a folder and its subfolders, most recently changed first, using ${method('.notesInFolder')}`, () => {
+      const result = new NoteModule().notesInFolder('Projects')
+
+      expect(result.map((note) => note.title)).toEqual(['Garden', 'Website', 'Old site'])
+    })
+
+    it(`should limit the number of notes using ${method('.notesInFolder')}`, () => {
+      const result = new NoteModule().notesInFolder('/Projects/', 1)
+
+      expect(result.map((note) => note.title)).toEqual(['Garden'])
+    })
+
+    it(`should get notes with a tag, ignoring case and special folders, using ${method('.notesWithTag')}`, () => {
+      expect(new NoteModule().notesWithTag('project').map((note) => note.title)).toEqual(['Website', 'Reading', 'Old site'])
+      expect(new NoteModule().notesWithTag('@home').map((note) => note.title)).toEqual(['Garden'])
+    })
+
+    it(`should get notes with a frontmatter field using ${method('.notesWithFrontmatter')}`, () => {
+      expect(new NoteModule().notesWithFrontmatter('status').map((note) => note.title)).toEqual(['Website', 'Old site'])
+      expect(new NoteModule().notesWithFrontmatter('status', 'active').map((note) => note.title)).toEqual(['Website'])
+    })
+
+    it(`should get notes changed since a date using ${method('.notesChangedSince')}`, () => {
+      const result = new NoteModule().notesChangedSince('2024-09-01')
+
+      expect(result.map((note) => note.title)).toEqual(['Garden', 'Website'])
+    })
+
+    it(`should combine conditions using ${method('.findNotes')}`, () => {
+      const result = new NoteModule().findNotes({ folder: 'Projects', tag: '#project', changedSince: '2024-01-01' })
+
+      expect(result.map((note) => note.title)).toEqual(['Website'])
+    })
+
+    it(`should get open tasks from a named note using ${method('.tasks')}`, () => {
+      const result = new NoteModule().tasks('Website')
+
+      expect(result).toEqual([
+        { content: 'Write copy', type: 'open', heading: 'Tasks', lineIndex: 1, noteTitle: 'Website', filename: 'Projects/Website.md' },
+        { content: 'Launch >2024-10-01', type: 'scheduled', heading: 'Tasks', lineIndex: 3, noteTitle: 'Website', filename: 'Projects/Website.md' },
+      ])
+    })
+
+    it(`should get done tasks using ${method('.tasks')}`, () => {
+      const result = new NoteModule().tasks('Projects/Website.md', 'done')
+
+      expect(result.map((task) => task.content)).toEqual(['Buy domain'])
+    })
+  })
+})
@@ -0,0 +1,83 @@
+/* eslint-disable */
+
+import colors from 'chalk'
+import { NotePlan } from '@mocks/index'
+
+global.NotePlan = new NotePlan() // NPTemplating uses NotePlan when it is loaded
+
+import NPTemplating from '../lib/NPTemplating'
+import { promptFormHTML, validatePromptAnswers } from '../lib/support/promptForm'
+
+const PLUGIN_NAME = `📙 ${colors.yellow('np.Templating')}`
+const section = colors.blue
+const method = colors.magenta.bold
+
+const TEMPLATE = `---
+title: Project kickoff
+promptForm: true
+---
+# <%- prompt('projectName', 'Project name') %>
+Owner: <%- prompt('owner', 'Owner', 'me') %>
+Priority: <%- prompt('priority', 'Priority', ['high', 'medium', 'low']) %>
+Due: <%- promptDate('due', 'Due date') %>
+Review every: <%- promptDateInterval('reviewInterval', 'Review interval') %>
+Has budget: <%- promptCheckbox('hasBudget', 'Has a budget?') %>
+Again: <%- prompt('projectName', 'Project name') %>`
+
+describe(`${PLUGIN_NAME}`, () => {
+  describe(section('Prompt Form'), () => {
+    it(`should get a typed field for each prompt using ${method('.getPromptFields')}`, async () => {
+      const fields = await NPTemplating.getPromptFields(TEMPLATE)
+
+      expect(fields.map((field) => [field.varName, field.type])).toEqual([
+        ['projectName', 'text'],
+        ['owner', 'text'],
+        ['priority', 'choice'],
+        ['due', 'date'],
+        ['reviewInterval', 'interval'],
+        ['hasBudget', 'checkbox'],
+      ])
+    })
+
+    it(`should get messages, defaults and options using ${method('.getPromptFields')}`, async () => {
+      const fields = await NPTemplating.getPromptFields(TEMPLATE)
+
+      expect(fields[1]).toEqual({ varName: 'owner', type: 'text', message: 'Owner', options: [], defaultValue: 'me' })
+      expect(fields[2].options).toEqual(['high', 'medium', 'low'])
+    })
+
+    it(`should skip prompts that already have answers using ${method('.getPromptFields')}`, async () => {
+      const fields = await NPTemplating.getPromptFields(TEMPLATE, { owner: 'Jo', data: { due: '2024-09-01' } })
+
+      expect(fields.map((field) => field.varName)).toEqual(['projectName', 'priority', 'reviewInterval', 'hasBudget'])
+    })
+
+    it(`should accept valid answers using ${method('validatePromptAnswers')}`, async () => {
+      const fields = await NPTemplating.getPromptFields(TEMPLATE)
+      const answers = { projectName: '', owner: 'me', priority: 'low', due: '2024-09-01', reviewInterval: '2w', hasBudget: false }
+
+      expect(validatePromptAnswers(fields, answers)).toEqual([])
+    })
+
+    it(`should report invalid choices, dates and intervals using ${method('validatePromptAnswers')}`, async () => {
+      const fields = await NPTemplating.getPromptFields(TEMPLATE)
+      const answers = { projectName: 'X', owner: 'me', priority: 'urgent', due: 'next week', reviewInterval: 'fortnightly', hasBudget: true }
+
+      const errors = validatePromptAnswers(fields, answers)
+
+      expect(errors).toHaveLength(3)
+      expect(errors[0]).toContain('Priority')
+      expect(errors[1]).toContain('Due date')
+      expect(errors[2]).toContain('Review interval')
+    })
+
+    it(`should fill in defaults and escape text using ${method('promptFormHTML')}`, async () => {
+      const fields = [{ varName: 'name', type: 'text', message: 'Name <required>', options: [], defaultValue: 'A & B' }]
+
+      const html = promptFormHTML({ title: 'Test', fields, resume: { command: 'templateInsert', args: [] }, answers: {} })
+
+      expect(html).toContain('Name &lt;required&gt;')
+      expect(html).toContain('value="A &amp; B"')
+    })
+  })
+})
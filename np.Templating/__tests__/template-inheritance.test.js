@@ -0,0 +1,133 @@
+/* eslint-disable */
+
+import colors from 'chalk'
+import NPTemplating from '../lib/NPTemplating'
+import { resolveTemplateInheritance } from '../lib/support/templateInheritance'
+
+const PLUGIN_NAME = `📙 ${colors.yellow('np.Templating')}`
+const section = colors.blue
+const method = colors.magenta.bold
+
+const TEMPLATES = {
+  'Base Layout': { body: `# <%- title %>\n<% block('header') %>Default header\n<% endblock %>\n<% block('body') %>Default body\n<% endblock %>`, attributes: {} },
+  'Meeting Layout': {
+    body: `<% extends('Base Layout') %>\n<% block('header') %>Meeting\n<% endblock %>\n<% block('body') %>## Attendees\n- me\n<% endblock %>`,
+    attributes: {},
+  },
+  Signature: { body: `-- <%- name %> (<%- role %>)\n`, attributes: { role: 'member' } },
+  'Cycle A': { body: `<% extends('Cycle B') %>`, attributes: {} },
+  'Cycle B': { body: `<%- partial('Cycle A') %>`, attributes: {} },
+  Quote: { body: `> <%- text %>\n`, attributes: { 'my-key': 'skipped', text: 'none' } },
+}
+
+const loadTemplate = async (name) => TEMPLATES[name] ?? null
+
+describe(`${PLUGIN_NAME}`, () => {
+  describe(section('Template Inheritance'), () => {
+    it(`should leave templates without inheritance unchanged using ${method('resolveTemplateInheritance')}`, async () => {
+      const template = `---\ntitle: Plain\n---\n# <%- date.now() %>`
+
+      const result = await resolveTemplateInheritance(template, loadTemplate)
+
+      expect(result).toEqual(template)
+    })
+
+    it(`should override blocks and keep defaults using ${method('resolveTemplateInheritance')}`, async () => {
+      const template = `<% extends('Base Layout') %>\n<% block('body') %>My body\n<% endblock %>`
+
+      const result = await resolveTemplateInheritance(template, loadTemplate)
+
+      expect(result).toEqual(`# <%- title %>\nDefault header\n\nMy body\n`)
+    })
+
+    it(`should resolve several levels of extends using ${method('resolveTemplateInheritance')}`, async () => {
+      const template = `<% extends('Meeting Layout') %>\n<% block('header') %>Standup\n<% endblock %>`
+
+      const result = await resolveTemplateInheritance(template, loadTemplate)
+
+      expect(result).toEqual(`# <%- title %>\nStandup\n\n## Attendees\n- me\n`)
+    })
+
+    it(`should keep the frontmatter of the template being rendered using ${method('resolveTemplateInheritance')}`, async () => {
+      const template = `---\ntitle: Weekly\ntype: empty-note\n---\n<% extends('Base Layout') %>`
+
+      const result = await resolveTemplateInheritance(template, loadTemplate)
+
+      expect(result.startsWith(`---\ntitle: Weekly\ntype: empty-note\n---\n# <%- title %>`)).toEqual(true)
+    })
+
+    it(`should scope partial data, with the partial's attributes as defaults, using ${method('resolveTemplateInheritance')}`, async () => {
+      const template = `Notes\n<%- partial('Signature', { name: 'Jo' }) %>`
+
+      const result = await resolveTemplateInheritance(template, loadTemplate)
+
+      expect(result).toEqual(`Notes\n<% { const role = "member"; const name = "Jo"; -%>\n-- <%- name %> (<%- role %>)\n<% } -%>\n`)
+    })
+
+    it(`should leave include() of templates and notes for preProcess using ${method('resolveTemplateInheritance')}`, async () => {
+      const template = `<%- include('Signature') %>\n<%- include('Project Note') %>\n<%- include('Base Layout', { title: 'x' }) %>`
+
+      const result = await resolveTemplateInheritance(template, loadTemplate)
+
+      expect(result).toEqual(template)
+    })
+
+    it(`should skip attributes that can't be variable names, and keep '%>' inside strings, using ${method('resolveTemplateInheritance')}`, async () => {
+      const result = await resolveTemplateInheritance(`<%- partial('Quote', { text: '50%> done' }) %>`, loadTemplate)
+
+      expect(result).toEqual(`<% { const text = "50%\\u003e done"; -%>\n> <%- text %>\n<% } -%>\n`)
+    })
+
+    it(`should report data keys that can't be variable names using ${method('resolveTemplateInheritance')}`, async () => {
+      await expect(resolveTemplateInheritance(`<%- partial('Signature', { class: 'x' }) %>`, loadTemplate)).rejects.toThrow(`partial("Signature") data key "class" can't be used as a variable name`)
+    })
+
+    it(`should report a missing partial using ${method('resolveTemplateInheritance')}`, async () => {
+      await expect(resolveTemplateInheritance(`<%- partial('Missing') %>`, loadTemplate)).rejects.toThrow('Unable to find template "Missing" used in partial()')
+    })
+
+    it(`should report a cycle using ${method('resolveTemplateInheritance')}`, async () => {
+      await expect(resolveTemplateInheritance(`<% extends('Cycle A') %>`, loadTemplate)).rejects.toThrow('Template cycle found: Cycle A → Cycle B → Cycle A')
+    })
+
+    it(`should report a missing base template using ${method('resolveTemplateInheritance')}`, async () => {
+      await expect(resolveTemplateInheritance(`<% extends('Missing') %>`, loadTemplate)).rejects.toThrow('Unable to find template "Missing" used in extends()')
+    })
+
+    it(`should report invalid partial data using ${method('resolveTemplateInheritance')}`, async () => {
+      await expect(resolveTemplateInheritance(`<%- partial('Signature', [1, 2]) %>`, loadTemplate)).rejects.toThrow(`partial("Signature") data isn't a valid object`)
+    })
+
+    describe(method('include'), () => {
+      beforeEach(() => {
+        global.NotePlan = { environment: { templateFolder: '@Templates', languageCode: 'en' } }
+        global.DataStore = { settings: {}, projectNotes: [], loadJSON: jest.fn(() => ({ templateFolderName: '@Templates' })) }
+        jest.spyOn(NPTemplating, 'getTemplate').mockResolvedValue(`---\ntitle: Greeting\nnote-type: partial\n---\nHello <%- 1 + 1 %>`)
+      })
+
+      afterEach(() => {
+        jest.restoreAllMocks()
+      })
+
+      it('should still render a plain include() of a template as before', async () => {
+        const result = await NPTemplating.render(`Start\n<%- include('Greeting') %>\nEnd`)
+
+        expect(result).toEqual('Start\nHello 2\nEnd')
+        expect(NPTemplating.getTemplate).toHaveBeenCalledWith('Greeting', { silent: true })
+      })
+
+      it('should set data passed to include() in the included template', async () => {
+        NPTemplating.getTemplate.mockResolvedValue(`---\ntitle: Greeting\nnote-type: partial\n---\nHello <%- name %>`)
+        const result = await NPTemplating.render(`Start\n<%- include('Greeting', { name: 'Bob' }) %>\nEnd`)
+
+        expect(result).toEqual('Start\nHello Bob\nEnd')
+      })
+
+      it('should report invalid include() data', async () => {
+        const result = await NPTemplating.render(`<%- include('Greeting', [1, 2]) %>`)
+
+        expect(result).toContain(`include("Greeting") data isn't a valid object`)
+      })
+    })
+  })
+})
@@ -0,0 +1,132 @@
+/* eslint-disable */
+
+import colors from 'chalk'
+import TemplatingEngine from '../lib/TemplatingEngine'
+import { lintTemplate, templateLintReport } from '../lib/support/templateLint'
+
+const PLUGIN_NAME = `📙 ${colors.yellow('np.Templating')}`
+const section = colors.blue
+const method = colors.magenta.bold
+
+const MODULE_METHODS = {
+  date: ['now', 'tomorrow', 'format'],
+  web: ['weather', 'quote'],
+}
+
+describe(`${PLUGIN_NAME}`, () => {
+  describe(section('Template Lint'), () => {
+    it(`should find no problems in a good template using ${method('lintTemplate')}`, () => {
+      const template = `---
+title: Daily
+type: empty-note
+---
+# <%- date.now('dddd') %>
+<%# date.comment() is ignored %>
+Progress: 50<%% done %%>
+\`\`\`templatejs
+const total = 2 + 2
+\`\`\`
+<%- web.weather() %>`
+
+      expect(lintTemplate(template, MODULE_METHODS)).toEqual([])
+    })
+
+    it(`should report a frontmatter block that isn't closed using ${method('lintTemplate')}`, () => {
+      const result = lintTemplate('---\ntitle: Daily\n# <%- date.now() %>', MODULE_METHODS)
+
+      expect(result).toEqual([{ line: 1, message: `frontmatter block isn't closed with a '---' line` }])
+    })
+
+    it(`should report frontmatter that can't be read using ${method('lintTemplate')}`, () => {
+      const result = lintTemplate('---\ntitle: Daily\ntags: [one, two\n---\nBody', MODULE_METHODS)
+
+      expect(result.length).toEqual(1)
+      expect(result[0].message).toContain(`frontmatter can't be read`)
+    })
+
+    it(`should report unbalanced tags with their lines using ${method('lintTemplate')}`, () => {
+      const template = `# Title
+<%- date.now()
+Some text
+<%- date.tomorrow() %>
+done %>`
+
+      expect(lintTemplate(template, MODULE_METHODS)).toEqual([
+        { line: 2, message: `'<%' isn't closed before the next '<%' (on line 4)` },
+        { line: 5, message: `'%>' doesn't have a matching '<%'` },
+      ])
+    })
+
+    it(`should report a tag that is never closed using ${method('lintTemplate')}`, () => {
+      expect(lintTemplate('# Title\n\n<%- date.now() ', MODULE_METHODS)).toEqual([{ line: 3, message: `'<%' isn't closed with a '%>'` }])
+    })
+
+    it(`should report unknown module methods using ${method('lintTemplate')}`, () => {
+      const template = `# Title
+<%- date.tomorow() %>
+<% const list = [
+  web.quotes(),
+  web.quote(),
+] %>
+<%- utility.anything() %>`
+
+      expect(lintTemplate(template, MODULE_METHODS)).toEqual([
+        { line: 2, message: `'date' module doesn't have a 'tomorow' method` },
+        { line: 4, message: `'web' module doesn't have a 'quotes' method` },
+      ])
+    })
+
+    it(`should not report methods of the template's own variables using ${method('lintTemplate')}`, () => {
+      const template = `<% const date = new Date() -%>
+<%- date.getFullYear() %>
+<% ['a'].forEach((web) => web.toUpperCase()) -%>`
+
+      expect(lintTemplate(template, MODULE_METHODS)).toEqual([])
+    })
+
+    it(`should check code blocks, and report ones that aren't closed, using ${method('lintTemplate')}`, () => {
+      const template = `# Title
+\`\`\`templatejs
+const when = date.yesterday()
+\`\`\`
+Text
+\`\`\`templatejs
+const weather = web.weather()`
+
+      expect(lintTemplate(template, MODULE_METHODS)).toEqual([
+        { line: 3, message: `'date' module doesn't have a 'yesterday' method` },
+        { line: 6, message: `'\`\`\`templatejs' code block isn't closed with a '\`\`\`' line` },
+      ])
+    })
+
+    it(`should get the methods of built-in and registered modules using ${method('TemplatingEngine.getModuleMethods')}`, async () => {
+      const engine = new TemplatingEngine({})
+      await engine.register('custom', { hello: () => 'hello', value: 42 })
+
+      const result = engine.getModuleMethods()
+
+      expect(result.date).toContain('now')
+      expect(result.web).toContain('weather')
+      expect(result.note).toContain('findNotes')
+      expect(result.custom).toEqual(['hello'])
+      expect(result.user).toBeUndefined()
+      expect(result.frontmatter).toBeUndefined()
+    })
+
+    it(`should make a report of templates with problems using ${method('templateLintReport')}`, () => {
+      const result = templateLintReport(
+        [
+          { templateTitle: 'Daily', problems: [] },
+          { templateTitle: 'Weekly', problems: [{ line: 4, message: `'%>' doesn't have a matching '<%'` }] },
+        ],
+        '2024-09-02 09:30 AM',
+      )
+
+      expect(result).toEqual(`# Template Lint Results
+Run at 2024-09-02 09:30 AM: 2 templates checked, 1 with problems
+
+## ❌ Weekly
+- line 4: '%>' doesn't have a matching '<%'`)
+    })
+  })
+})
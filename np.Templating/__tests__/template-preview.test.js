@@ -0,0 +1,66 @@
+/* eslint-disable */
+
+import colors from 'chalk'
+import { contentWithTemplate, diffLines, templatePreviewHTML } from '../lib/support/templatePreview'
+
+const PLUGIN_NAME = `📙 ${colors.yellow('np.Templating')}`
+const section = colors.blue
+const method = colors.magenta.bold
+
+const NOTE = `# Daily
+- first
+- second`
+
+describe(`${PLUGIN_NAME}`, () => {
+  describe(section('Template Preview'), () => {
+    it(`should insert at a character index using ${method('contentWithTemplate')}`, () => {
+      const index = NOTE.indexOf('- second')
+
+      const result = contentWithTemplate(NOTE, '- new\n', 'cursor', index)
+
+      expect(result).toEqual(`# Daily\n- first\n- new\n- second`)
+    })
+
+    it(`should insert before a line using ${method('contentWithTemplate')}`, () => {
+      const result = contentWithTemplate(NOTE, '## Added', 'prepend', 1)
+
+      expect(result).toEqual(`# Daily\n## Added\n- first\n- second`)
+    })
+
+    it(`should show added lines using ${method('diffLines')}`, () => {
+      const result = diffLines(NOTE, `# Daily\n- first\n- new\n- second`)
+
+      expect(result).toEqual([
+        { type: 'same', text: '# Daily' },
+        { type: 'same', text: '- first' },
+        { type: 'added', text: '- new' },
+        { type: 'same', text: '- second' },
+      ])
+    })
+
+    it(`should show changed lines using ${method('diffLines')}`, () => {
+      const result = diffLines('a\nb\nc\nd', 'a\nx\nc\ny\nd')
+
+      expect(result.filter((line) => line.type !== 'same')).toEqual([
+        { type: 'added', text: 'x' },
+        { type: 'removed', text: 'b' },
+        { type: 'added', text: 'y' },
+      ])
+    })
+
+    it(`should show no changes for identical text using ${method('diffLines')}`, () => {
+      const result = diffLines(NOTE, NOTE)
+
+      expect(result.every((line) => line.type === 'same')).toEqual(true)
+    })
+
+    it(`should escape the rendered template using ${method('templatePreviewHTML')}`, () => {
+      const state = { templateTitle: 'T', filename: 'daily.md', placement: 'end', index: NOTE.length, renderedTemplate: '\n<b>bold</b>', originalContent: NOTE }
+
+      const html = templatePreviewHTML(state, 'Daily')
+
+      expect(html).toContain('&lt;b&gt;bold&lt;/b&gt;')
+      expect(html).toContain('<tr class="added"><td class="marker">+</td><td>&lt;b&gt;bold&lt;/b&gt;</td></tr>')
+    })
+  })
+})
@@ -0,0 +1,90 @@
+/* eslint-disable */
+
+import colors from 'chalk'
+import DateModule from '../lib/support/modules/DateModule'
+import TimeModule from '../lib/support/modules/TimeModule'
+import { freezeClock, unfreezeClock } from '../lib/support/modules/clock'
+import { checkTemplateOutput, getTemplateTests, parseTestDate, templateTestReport } from '../lib/support/templateTests'
+
+const PLUGIN_NAME = `📙 ${colors.yellow('np.Templating')}`
+const section = colors.blue
+const method = colors.magenta.bold
+
+describe(`${PLUGIN_NAME}`, () => {
+  describe(section('Template Tests'), () => {
+    afterEach(() => {
+      unfreezeClock()
+    })
+
+    it(`should read a date and time in local time using ${method('parseTestDate')}`, () => {
+      const result = parseTestDate('2024-09-02 09:30')
+
+      expect([result.getFullYear(), result.getMonth(), result.getDate(), result.getHours(), result.getMinutes()]).toEqual([2024, 8, 2, 9, 30])
+    })
+
+    it(`should keep the date of a YAML date using ${method('parseTestDate')}`, () => {
+      const result = parseTestDate(new Date(Date.UTC(2024, 8, 7)))
+
+      expect([result.getFullYear(), result.getMonth(), result.getDate(), result.getHours()]).toEqual([2024, 8, 7, 0])
+    })
+
+    it(`should return null for an invalid date using ${method('parseTestDate')}`, () => {
+      expect(parseTestDate('next Monday')).toEqual(null)
+    })
+
+    it(`should get tests from frontmatter attributes using ${method('getTemplateTests')}`, () => {
+      const attributes = {
+        title: 'Daily',
+        tests: [{ name: 'Monday', date: '2024-09-02 09:30', prompts: { mood: 'good' }, expect: ['# 2024-09-02', 'Mood: good'] }, { expect: 'Weekend' }],
+      }
+
+      const result = getTemplateTests(attributes)
+
+      expect(result).toHaveLength(2)
+      expect(result[0]).toMatchObject({ name: 'Monday', prompts: { mood: 'good' }, expect: ['# 2024-09-02', 'Mood: good'], notExpect: [] })
+      expect(result[1]).toEqual({ name: 'Test 2', date: null, prompts: {}, expect: ['Weekend'], notExpect: [] })
+    })
+
+    it(`should return no tests for a template without them using ${method('getTemplateTests')}`, () => {
+      expect(getTemplateTests({ title: 'Daily' })).toEqual([])
+    })
+
+    it(`should throw for a test with nothing to check using ${method('getTemplateTests')}`, () => {
+      expect(() => getTemplateTests({ tests: [{ name: 'Empty', date: '2024-09-02' }] })).toThrow(`'Empty' has nothing to check`)
+    })
+
+    it(`should throw for a test with an invalid date using ${method('getTemplateTests')}`, () => {
+      expect(() => getTemplateTests({ tests: { name: 'Bad date', date: 'tomorrow', expect: 'x' } })).toThrow(`'Bad date' has a date`)
+    })
+
+    it(`should report missing and unwanted snippets using ${method('checkTemplateOutput')}`, () => {
+      const test = { name: 'T', date: null, prompts: {}, expect: ['# Daily', 'Mood: good'], notExpect: ['Weekend'] }
+
+      const result = checkTemplateOutput('# Daily\nMood: bad\nWeekend plans', test)
+
+      expect(result).toEqual(['expected to find "Mood: good"', 'expected not to find "Weekend"'])
+    })
+
+    it(`should group results by template using ${method('templateTestReport')}`, () => {
+      const results = [
+        { templateTitle: 'Daily', testName: 'Monday', failures: [], output: '# Monday' },
+        { templateTitle: 'Meeting', testName: 'defaults', failures: ['expected to find "Attendees"'], output: '## Notes' },
+      ]
+
+      const result = templateTestReport(results, '2024-09-02 9:30 AM')
+
+      expect(result).toContain('Run at 2024-09-02 9:30 AM: 1 passed, 1 failed')
+      expect(result).toContain('## ✅ Daily (1/1)\n- ✅ Monday')
+      expect(result).toContain('## ❌ Meeting (0/1)\n- ❌ defaults\n\t- expected to find "Attendees"')
+      expect(result).toContain("Output of 'defaults':\n```\n## Notes\n```")
+    })
+
+    it(`should use a frozen clock in ${method('DateModule')} and ${method('TimeModule')}`, () => {
+      freezeClock(new Date(2024, 8, 2, 9, 30))
+
+      expect(new DateModule().now('YYYY-MM-DD')).toEqual('2024-09-02')
+      expect(new DateModule().tomorrow('YYYY-MM-DD')).toEqual('2024-09-03')
+      expect(new TimeModule().now('HH:mm')).toEqual('09:30')
+    })
+  })
+})
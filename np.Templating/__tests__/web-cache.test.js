@@ -0,0 +1,144 @@
+/* eslint-disable */
+
+import colors from 'chalk'
+import { fetchWebService, getWebServiceConfig, isFresh } from '../lib/support/modules/webCache'
+import { getAdvice } from '../lib/support/modules/advice'
+import { getWeather, isWeatherResponse } from '../lib/support/modules/weather'
+
+const PLUGIN_NAME = `📙 ${colors.yellow('np.Templating')}`
+const section = colors.blue
+const method = colors.magenta.bold
+
+const ADVICE_URL = 'https://api.adviceslip.com/advice'
+const ADVICE_RESPONSE = JSON.stringify({ slip: { advice: 'Drink water.' } })
+
+let files = {}
+
+beforeEach(() => {
+  files = {}
+  global.DataStore = {
+    loadJSON: jest.fn((filename) => files[filename] ?? null),
+    saveJSON: jest.fn((object, filename) => {
+      files[filename] = JSON.parse(JSON.stringify(object))
+      return true
+    }),
+    loadData: jest.fn((filename) => files[filename] ?? null),
+  }
+  global.fetch = jest.fn(async () => ADVICE_RESPONSE)
+})
+
+describe(`${PLUGIN_NAME}`, () => {
+  describe(section('Web Cache'), () => {
+    it(`should read a service's config from JSON5 text using ${method('getWebServiceConfig')}`, () => {
+      files['../np.Templating/settings.json'] = { webServices: "{ quote: { ttl: 1440 } }" }
+
+      expect(getWebServiceConfig('quote')).toEqual({ ttl: 1440 })
+      expect(getWebServiceConfig('advice')).toEqual({})
+    })
+
+    it(`should only treat entries younger than the TTL as fresh using ${method('isFresh')}`, () => {
+      const entry = { response: 'x', fetchedAt: 0 }
+
+      expect(isFresh(entry, 10, 9 * 60 * 1000)).toEqual(true)
+      expect(isFresh(entry, 10, 11 * 60 * 1000)).toEqual(false)
+      expect(isFresh(entry, 0, 1)).toEqual(false)
+    })
+
+    it(`should fetch and cache a response using ${method('fetchWebService')}`, async () => {
+      const result = await fetchWebService('advice', ADVICE_URL)
+
+      expect(result).toEqual(ADVICE_RESPONSE)
+      expect(files['../np.Templating/webCache.json'][`advice:${ADVICE_URL}`].response).toEqual(ADVICE_RESPONSE)
+    })
+
+    it(`should use a fresh cached response without fetching using ${method('fetchWebService')}`, async () => {
+      files['../np.Templating/settings.json'] = { webServices: { advice: { ttl: 60 } } }
+      files['../np.Templating/webCache.json'] = { [`advice:${ADVICE_URL}`]: { response: 'cached', fetchedAt: Date.now() - 1000 } }
+
+      const result = await fetchWebService('advice', ADVICE_URL)
+
+      expect(result).toEqual('cached')
+      expect(global.fetch).not.toHaveBeenCalled()
+    })
+
+    it(`should use a stale cached response when offline using ${method('fetchWebService')}`, async () => {
+      files['../np.Templating/webCache.json'] = { [`advice:${ADVICE_URL}`]: { response: 'from last week', fetchedAt: 0 } }
+      global.fetch = jest.fn(async () => {
+        throw new Error('The Internet connection appears to be offline.')
+      })
+
+      const result = await fetchWebService('advice', ADVICE_URL)
+
+      expect(result).toEqual('from last week')
+    })
+
+    it(`should not cache an invalid response using ${method('fetchWebService')}`, async () => {
+      global.fetch = jest.fn(async () => '<html>Service Unavailable</html>')
+
+      const result = await fetchWebService('advice', ADVICE_URL)
+
+      expect(result).toEqual(null)
+      expect(global.DataStore.saveJSON).not.toHaveBeenCalled()
+    })
+
+    it(`should only accept weather reports using ${method('isWeatherResponse')}`, () => {
+      expect(isWeatherResponse('London: ⛅️  +12°C\n')).toEqual(true)
+      expect(isWeatherResponse('  \n')).toEqual(false)
+      expect(isWeatherResponse('Unknown location; please try ~51.5,-0.1')).toEqual(false)
+      expect(isWeatherResponse('Sorry, we are running out of queries to the weather service at the moment.')).toEqual(false)
+      expect(isWeatherResponse('<html><body>502 Bad Gateway</body></html>')).toEqual(false)
+    })
+
+    it(`should not cache a weather error message using ${method('getWeather')}`, async () => {
+      files['../np.Templating/webCache.json'] = { 'weather:https://wttr.in?format=3': { response: 'London: ☀️ +20°C', fetchedAt: 0 } }
+      global.fetch = jest.fn(async () => 'Unknown location; please try ~51.5,-0.1')
+
+      const result = await getWeather()
+
+      expect(result).toEqual('London: ☀️ +20°C')
+      expect(global.DataStore.saveJSON).not.toHaveBeenCalled()
+    })
+
+    it(`should use a custom URL using ${method('fetchWebService')}`, async () => {
+      files['../np.Templating/settings.json'] = { webServices: { advice: { url: 'https://example.com/advice' } } }
+
+      await fetchWebService('advice', ADVICE_URL)
+
+      expect(global.fetch).toHaveBeenCalledWith('https://example.com/advice', {})
+    })
+
+    it(`should use a local file using ${method('getAdvice')}`, async () => {
+      files['../np.Templating/settings.json'] = { webServices: { advice: { file: 'advice.json' } } }
+      files['../np.Templating/advice.json'] = JSON.stringify({ slip: { advice: 'Pack a book.' } })
+
+      const result = await getAdvice()
+
+      expect(result).toEqual('Pack a book.')
+      expect(global.fetch).not.toHaveBeenCalled()
+    })
+
+    it(`should configure each web.services() call by its name using ${method('fetchWebService')}`, async () => {
+      files['../np.Templating/settings.json'] = { webServices: { services: { stocks: { ttl: 60 }, 'https://example.com/news': { file: 'news.json' } } } }
+      files['../np.Templating/webCache.json'] = {
+        'service:https://example.com/stocks': { response: 'cached stocks', fetchedAt: Date.now() - 1000 },
+        'service:https://example.com/other': { response: 'cached other', fetchedAt: Date.now() - 1000 },
+      }
+      files['../np.Templating/news.json'] = 'local news'
+
+      expect(await fetchWebService('service', 'https://example.com/stocks', {}, () => true, 'stocks')).toEqual('cached stocks')
+      expect(await fetchWebService('service', 'https://example.com/news', {}, () => true, 'https://example.com/news')).toEqual('local news')
+      expect(await fetchWebService('service', 'https://example.com/other', {}, () => true, 'other')).toEqual(ADVICE_RESPONSE)
+      expect(global.fetch).toHaveBeenCalledTimes(1)
+    })
+
+    it(`should show an error when offline with nothing cached using ${method('getAdvice')}`, async () => {
+      global.fetch = jest.fn(async () => {
+        throw new Error('offline')
+      })
+
+      const result = await getAdvice()
+
+      expect(result).toEqual('**An error occurred accessing quoting service**')
+    })
+  })
+})
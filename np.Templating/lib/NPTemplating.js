@@ -15,6 +15,9 @@ import globals from './globals'
 import { chooseOption } from '@helpers/userInput'
 import { clo, log, logError, logDebug } from '@helpers/dev'
 import { datePicker, askDateInterval, chooseFolder } from '@helpers/userInput'
+import { showPromptForm, type PromptField, type PromptFormResume } from './support/promptForm'
+import { getIncludeDataText, parseTemplateData, resolveTemplateInheritance, scopeTemplateData } from './support/templateInheritance'
+import { compileHelperModule, getHelperModule, helperModuleExports, parseModuleVersions, selectHelperModule, type HelperModule } from './support/helperModules'
 
 /*eslint-disable */
 import TemplatingEngine from './TemplatingEngine'
@@ -106,6 +109,7 @@ export const DEFAULT_TEMPLATE_CONFIG = {
   templateFolderName: typeof NotePlan !== 'undefined' ? NotePlan.environment.templateFolder : '@Templates',
   templateLocale: 'en-US',
   templateGroupTemplatesByFolder: false,
+  promptFormThreshold: 0,
   dateFormat: 'YYYY-MM-DD',
   timeFormat: 'h:mm A',
   nowFormat: 'YYYY-MM-DD h:mm:ss A',
@@ -817,9 +821,11 @@ export default class NPTemplating {
             const templateContent = await this.getTemplate(templateName, { silent: true })
             const isTemplate = new FrontmatterModule().isFrontmatterTemplate(templateContent)
             if (isTemplate) {
+              // any data passed (e.g. include('Name', { key: 'value' })) is only set within the included template
+              const includeData = parseTemplateData('include', templateName, getIncludeDataText(tag))
               const { frontmatterAttributes, frontmatterBody } = await this.preRender(templateContent, newSettingData)
               newSettingData = { ...frontmatterAttributes }
-              const renderedTemplate = await this.render(frontmatterBody, newSettingData)
+              const renderedTemplate = await this.render(scopeTemplateData('include', templateName, frontmatterBody, {}, includeData), newSettingData)
 
               // if variable assignment, extract var name
               if (tag.includes('const') || tag.includes('let')) {
@@ -970,9 +976,17 @@ export default class NPTemplating {
         // templateData = frontmatterBody //.replace(/---/gi, '*****')
         sessionData.data = { ...sessionData.data, ...frontmatterAttributes }
       }
+      const moduleVersions = parseModuleVersions(sessionData.data?.modules ?? sessionData.modules)
 
       // import codeblocks
       templateData = await this.importCodeBlocks(templateData)
+
+      // resolve extends(), block() and partial() of other templates
+      try {
+        templateData = await this.resolveInheritance(templateData)
+      } catch (error) {
+        return this.templateErrorMessage('NPTemplating.resolveInheritance', error.message)
+      }
       // return templateData
 
       // process all template attribute prompts
@@ -1019,7 +1033,16 @@ export default class NPTemplating {
       }
 
       // template ready for final rendering, this is where most of the magic happens
-      const renderedData = await new TemplatingEngine(this.constructor.templateConfig).render(templateData, sessionData, userOptions)
+      const templatingEngine = new TemplatingEngine(this.constructor.templateConfig)
+      try {
+        const helperModules = await this.loadHelperModules(templateData, moduleVersions)
+        for (const name of Object.keys(helperModules)) {
+          await templatingEngine.register(name, helperModules[name])
+        }
+      } catch (error) {
+        return this.templateErrorMessage('NPTemplating.loadHelperModules', error.message)
+      }
+      const renderedData = await templatingEngine.render(templateData, sessionData, userOptions)
 
       let final = this._filterTemplateResult(renderedData)
 
@@ -1118,7 +1141,7 @@ export default class NPTemplating {
 
   static async getPromptParameters(promptTag: string = ''): mixed {
     let tagValue = ''
-    tagValue = promptTag.replace(/\bask\b|promptDateInterval|promptDate|prompt|[()]|<%-|<%=|<%|-%>|%>/gi, '').trim()
+    tagValue = promptTag.replace(/\bask\b|promptDateInterval|promptDate|promptCheckbox|prompt|[()]|<%-|<%=|<%|-%>|%>/gi, '').trim()
     // tagValue = promptTag.replace(/ask|[()]|<%=|<%|-%>|%>/gi, '').trim()
     let varName = ''
     let promptMessage = ''
@@ -1206,6 +1229,81 @@ export default class NPTemplating {
     return await askDateInterval(message)
   }
 
+  static async promptCheckbox(message: string): Promise<boolean> {
+    const result = await CommandBar.prompt('', message.replace('_', ' '), ['Yes', 'No'])
+    return result === 0
+  }
+
+  /**
+   * Get the prompts in a template that still need answering, in the order they appear, for showing in a prompt form.
+   * Uses the same tag parsing as processPrompts, so a field's varName is what processPrompts looks for in sessionData.
+   * @param {string} templateData - the whole template, including frontmatter
+   * @param {any} userData - data already known, whose prompts won't be asked again
+   * @returns {Promise<Array<PromptField>>}
+   */
+  static async getPromptFields(templateData: string = '', userData: any = {}): Promise<Array<PromptField>> {
+    let normalisedData = templateData.replace(/<%@/gi, '<%- prompt')
+    normalisedData = normalisedData.replace(/system.promptDateInterval/gi, 'promptDateInterval').replace(/system.promptDate/gi, 'promptDate')
+
+    const fields: Array<PromptField> = []
+    for (const tag of await this.getTags(normalisedData)) {
+      if (!/prompt(Date|Interval|Checkbox)*\(/.test(tag)) {
+        continue
+      }
+      // $FlowIgnore
+      const { varName, promptMessage, options } = await this.getPromptParameters(tag)
+      if (userData.hasOwnProperty(varName) || userData.data?.hasOwnProperty(varName) || fields.some((field) => field.varName === varName)) {
+        continue
+      }
+      const message = promptMessage.replace('await', '').replace(/  /g, ' ').replace(/_/g, ' ')
+      const type = tag.includes('promptDateInterval(')
+        ? 'interval'
+        : tag.includes('promptDate(')
+        ? 'date'
+        : tag.includes('promptCheckbox(')
+        ? 'checkbox'
+        : Array.isArray(options)
+        ? 'choice'
+        : 'text'
+      fields.push({
+        varName,
+        type,
+        message,
+        options: Array.isArray(options) ? options.map((option) => option.trim()) : [],
+        defaultValue: typeof options === 'string' ? options : '',
+      })
+    }
+    return fields
+  }
+
+  /**
+   * If the template asks for this, show all its prompts in a single form window, rather than asking them one at a time.
+   * Turn on with 'promptForm: true' in the template's frontmatter, or for all templates with at least as many prompts as the 'promptFormThreshold' setting.
+   * When submitted, the form re-runs `resume.command` with the answers added as a final (JSON) argument.
+   * @param {string} templateData - the whole template, including frontmatter
+   * @param {PromptFormResume} resume - the command (and its arguments) to run again once the form is submitted
+   * @param {any} userData - data already known
+   * @returns {Promise<boolean>} true if the form was shown, so the caller should stop and wait to be re-run
+   */
+  static async promptForm(templateData: string = '', resume: PromptFormResume, userData: any = {}): Promise<boolean> {
+    await this.setup()
+    const attributes = new FrontmatterModule().isFrontmatterTemplate(templateData) ? new FrontmatterModule().attributes(templateData) : {}
+    let fields: Array<PromptField> = []
+    try {
+      fields = await this.getPromptFields(await this.resolveInheritance(templateData), userData)
+    } catch (error) {
+      return false // render() will show the error
+    }
+    const threshold = Number(this.constructor.templateConfig?.promptFormThreshold ?? 0)
+    const useForm = attributes?.promptForm != null ? String(attributes.promptForm) === 'true' : threshold > 0 && fields.length >= threshold
+    if (!useForm || fields.length === 0) {
+      return false
+    }
+    logDebug(pluginJson, `promptForm: showing ${fields.length} prompts in a form, to then re-run ${resume.command}`)
+    await showPromptForm({ title: attributes?.title ?? 'Template', fields, resume, answers: {} })
+    return true
+  }
+
   static async processPrompts(templateData: string, userData: any, startTag: string = '<%', endTag: string = '%>'): Promise<any> {
     const sessionData = { ...userData }
     const methods = userData.hasOwnProperty('methods') ? Object.keys(userData?.methods) : []
@@ -1238,7 +1336,7 @@ export default class NPTemplating {
         // if (!check) {
         //   check = tag.includes('prompt')
         // }
-        let check = /prompt(Date|Interval)*\(/.test(tag)
+        let check = /prompt(Date|Interval|Checkbox)*\(/.test(tag)
         return check
       }
 
@@ -1264,16 +1362,20 @@ export default class NPTemplating {
           // NOTE: if executing a global method, the result will not be captured as variable placeholder
           //       thus, it will be executed as many times as it is in template
 
-          let response = ''
+          let response: any = ''
           if (tag.includes('promptDate(')) {
             response = await datePicker(JSON.stringify({ question: promptMessage }), {})
           } else if (tag.includes('promptDateInterval(')) {
             response = await askDateInterval(JSON.stringify({ question: promptMessage }))
+          } else if (tag.includes('promptCheckbox(')) {
+            response = await this.promptCheckbox(promptMessage)
           } else {
             response = await await this.prompt(promptMessage, options) // double await is correct here
           }
 
-          if (response) {
+          if (typeof response === 'boolean') {
+            sessionData[varName] = response
+          } else if (response) {
             if (typeof response === 'string') {
               response = response.trim()
             }
@@ -1486,6 +1588,88 @@ export default class NPTemplating {
     return new FrontmatterModule().convertProjectNoteToFrontmatter(projectNote)
   }
 
+  /**
+   * Resolve extends(), block() and partial() of other templates (see lib/support/templateInheritance.js)
+   * Throws an Error if a template can't be found, or there's a cycle.
+   * @param {string} templateData
+   * @returns {Promise<string>}
+   */
+  static async resolveInheritance(templateData: string = ''): Promise<string> {
+    return await resolveTemplateInheritance(templateData, async (name) => {
+      const content = await this.getTemplate(name, { showChoices: false, silent: true })
+      if (!content || !new FrontmatterModule().isFrontmatterTemplate(content)) {
+        return null
+      }
+      return { body: new FrontmatterModule().body(content), attributes: new FrontmatterModule().attributes(content) }
+    })
+  }
+
+  /**
+   * The methods available in each module namespace, e.g. { date: ['now', ...], ... } (used by template lint)
+   * @returns {Promise<{ [string]: Array<string> }>}
+   */
+  static async getModuleMethods(): Promise<{ [string]: Array<string> }> {
+    await this.setup()
+    const moduleMethods = new TemplatingEngine(this.constructor.templateConfig).getModuleMethods()
+    for (const helperModule of await this.getHelperModules()) {
+      moduleMethods[helperModule.name] = [...new Set([...(moduleMethods[helperModule.name] ?? []), ...helperModuleExports(helperModule.code)])]
+    }
+    return moduleMethods
+  }
+
+  /**
+   * The modules of all 'template-helper' notes with a 'module' name (see lib/support/helperModules.js)
+   * Notes with unusable module names are logged and left out.
+   * @returns {Promise<Array<HelperModule>>}
+   */
+  static async getHelperModules(): Promise<Array<HelperModule>> {
+    const templateFolder = await getTemplateFolder()
+    const helperModules = []
+    for (const note of DataStore.projectNotes) {
+      if (note.filename?.startsWith(templateFolder) && (note.frontmatterTypes ?? []).includes('template-helper')) {
+        try {
+          const helperModule = getHelperModule(note)
+          if (helperModule) {
+            helperModules.push(helperModule)
+          }
+        } catch (error) {
+          logError(pluginJson, error.message)
+        }
+      }
+    }
+    return helperModules
+  }
+
+  /**
+   * Load the helper modules which a template uses (helper modules with the same name as a built-in module are logged and left out)
+   * Throws an Error if one can't be loaded.
+   * @param {string} templateData
+   * @param {{ [string]: string }} moduleVersions - versions the template asks for (otherwise the highest version is used)
+   * @returns {Promise<{ [string]: { [string]: Function } }>} functions of each module
+   */
+  static async loadHelperModules(templateData: string, moduleVersions: { [string]: string } = {}): Promise<{ [string]: { [string]: Function } }> {
+    const helperModules = await this.getHelperModules()
+    const names = [...new Set(helperModules.map((helperModule) => helperModule.name))].filter((name) => new RegExp(`(^|[^\\w$.])${name.replace(/\$/g, '\\$')}\\.`).test(templateData))
+    if (names.length === 0) {
+      return {}
+    }
+
+    const builtInModules = new TemplatingEngine(this.constructor.templateConfig).getHelpers()
+    const loaded: { [string]: { [string]: Function } } = {}
+    for (const name of names) {
+      if (builtInModules[name]) {
+        logError(pluginJson, `NPTemplating.loadHelperModules: the '${name}' helper module has the same name as a built-in module, so isn't used`)
+        continue
+      }
+      const helperModule = selectHelperModule(helperModules, name, moduleVersions[name])
+      if (helperModule == null) {
+        throw new Error(`there is no '${name}' helper module with version ${moduleVersions[name]}`)
+      }
+      loaded[name] = compileHelperModule(helperModule, builtInModules)
+    }
+    return loaded
+  }
+
   static async importCodeBlocks(templateData: string = ''): Promise<string> {
     let newTemplateData = templateData
     const tags = (await this.getTags(templateData)) || []
@@ -13,6 +13,7 @@ import NoteModule from '@templatingModules/NoteModule'
 import UtilityModule from '@templatingModules/UtilityModule'
 import SystemModule from '@templatingModules/SystemModule'
 import FrontmatterModule from '@templatingModules/FrontmatterModule'
+import DataSourceModule from '@templatingModules/DataSourceModule'
 
 import pluginJson from '../plugin.json'
 import { clo, log } from '@helpers/dev'
@@ -98,44 +99,7 @@ export default class TemplatingEngine {
       this.templateConfig.clipboard = Clipboard.string
     }
 
-    const helpers = {
-      date: new DateModule(this.templateConfig),
-      time: new TimeModule(this.templateConfig),
-      utility: new UtilityModule(this.templateConfig),
-      system: new SystemModule(this.templateConfig),
-      note: new NoteModule(this.templateConfig),
-      frontmatter: {},
-      user: {
-        first: this.templateConfig?.userFirstName || '',
-        last: this.templateConfig?.userLastName || '',
-        email: this.templateConfig?.userEmail || '',
-        phone: this.templateConfig?.userPhone || '',
-      },
-      // expose web module as synchronous methods (each method converted )
-      web: {
-        advice: async () => {
-          return await new WebModule().advice()
-        },
-        affirmation: async () => {
-          return await new WebModule().affirmation()
-        },
-        quote: async () => {
-          return await new WebModule().quote()
-        },
-        verse: async () => {
-          return await new WebModule().verse()
-        },
-        weather: async (params = '') => {
-          return await new WebModule().weather(this.templateConfig, params)
-        },
-        wotd: async (params = '') => {
-          return await new WebModule().wotd(this.templateConfig, params)
-        },
-        services: async (url = '', key = '') => {
-          return await new WebModule().service(this.templateConfig, url, key)
-        },
-      },
-    }
+    const helpers = this.getHelpers()
 
     let renderData = { ...helpers, ...userData }
 
@@ -230,6 +194,70 @@ export default class TemplatingEngine {
     }
   }
 
+  // the built-in modules available to templates (render() adds the user's data and registered modules to these)
+  getHelpers(): any {
+    return {
+      date: new DateModule(this.templateConfig),
+      time: new TimeModule(this.templateConfig),
+      utility: new UtilityModule(this.templateConfig),
+      system: new SystemModule(this.templateConfig),
+      note: new NoteModule(this.templateConfig),
+      dataSource: new DataSourceModule(this.templateConfig),
+      frontmatter: {},
+      user: {
+        first: this.templateConfig?.userFirstName || '',
+        last: this.templateConfig?.userLastName || '',
+        email: this.templateConfig?.userEmail || '',
+        phone: this.templateConfig?.userPhone || '',
+      },
+      // expose web module as synchronous methods (each method converted )
+      web: {
+        advice: async () => {
+          return await new WebModule().advice()
+        },
+        affirmation: async () => {
+          return await new WebModule().affirmation()
+        },
+        quote: async () => {
+          return await new WebModule().quote()
+        },
+        verse: async () => {
+          return await new WebModule().verse()
+        },
+        weather: async (params = '') => {
+          return await new WebModule().weather(this.templateConfig, params)
+        },
+        wotd: async (params = '') => {
+          return await new WebModule().wotd(this.templateConfig, params)
+        },
+        services: async (url = '', key = '') => {
+          return await new WebModule().service(this.templateConfig, url, key)
+        },
+      },
+    }
+  }
+
+  /**
+   * The methods available in each module namespace (e.g. date.now), including modules added using register()
+   * @returns {{ [string]: Array<string> }}
+   */
+  getModuleMethods(): { [string]: Array<string> } {
+    const moduleMethods: { [string]: Array<string> } = {}
+    const helpers = this.getHelpers()
+    Object.keys(helpers).forEach((namespace) => {
+      const helper = helpers[namespace]
+      const names = [...Object.keys(helper), ...(helper.constructor === Object ? [] : Object.getOwnPropertyNames(Object.getPrototypeOf(helper)))]
+      const methods = names.filter((name) => name !== 'constructor' && typeof helper[name] === 'function')
+      if (methods.length > 0) {
+        moduleMethods[namespace] = methods
+      }
+    })
+    this.templateModules.forEach((moduleItem) => {
+      moduleMethods[moduleItem.moduleNamespace] = Object.keys(moduleItem.module).filter((key) => typeof moduleItem.module[key] === 'function')
+    })
+    return moduleMethods
+  }
+
   async getDefaultFormat(formatType: string = 'date'): Promise<string> {
     //FIXME
     log(pluginJson, 'FIXME: TemplatingEngine.getDefaultFormat')
@@ -13,6 +13,7 @@ import { getFormattedTime } from '@helpers/dateTime'
 import DateModule from './support/modules/DateModule'
 import { now, timestamp } from './support/modules/DateModule'
 import { time } from './support/modules/TimeModule'
+import { clockDate } from './support/modules/clock'
 import { getAffirmation } from './support/modules/affirmation'
 import { getAdvice } from './support/modules/advice'
 import { getDailyQuote } from './support/modules/quote'
@@ -44,7 +45,7 @@ export async function processDate(dateParams: string, config: { [string]: ?mixed
     ...otherParams,
   }
 
-  return new Intl.DateTimeFormat(localeParam, secondParam).format(new Date())
+  return new Intl.DateTimeFormat(localeParam, secondParam).format(clockDate())
 }
 
 async function isCommandAvailable(pluginId: string, pluginCommand: string): Promise<boolean> {
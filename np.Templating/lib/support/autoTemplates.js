@@ -0,0 +1,167 @@
+// @flow
+/*-------------------------------------------------------------------------------------------
+ * Auto Templates
+ * Rules (in the 'autoTemplateRules' setting) for which template to apply automatically to
+ * an empty note when it's first opened, e.g.
+ *   [
+ *     { when: 'monday', template: 'Weekly Planning Day' },
+ *     { when: 'daily', template: 'Daily Note Template' },
+ *     { when: 'weekly', template: 'Weekly Review' },
+ *     { folder: 'Meetings', template: 'Meeting Note' },
+ *   ]
+ * The first matching rule is used. Notes that have had a template applied are recorded in
+ * the plugin's data folder, so a template is never applied to the same note twice (even if
+ * the note is emptied again).
+ * -----------------------------------------------------------------------------------------*/
+
+import json5 from 'json5'
+import moment from 'moment/min/moment-with-locales'
+import { isDailyNote, isMonthlyNote, isQuarterlyNote, isWeeklyNote, isYearlyNote } from '@helpers/dateTime'
+
+export type AutoTemplateRule = {
+  when?: string, // 'daily', 'weekly', 'monthly', 'quarterly', 'yearly', a weekday (e.g. 'monday') for daily notes, 'weekday' or 'weekend'
+  folder?: string, // for project notes in this folder (or its subfolders)
+  template: string, // title or filename
+}
+
+export type AutoTemplateRecord = {
+  template: string,
+  appliedAt: string,
+}
+
+export const AUTO_TEMPLATES_FILE = '../np.Templating/autoTemplates.json'
+
+const NOTE_TIMEFRAMES = ['daily', 'weekly', 'monthly', 'quarterly', 'yearly']
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday']
+const DAY_GROUPS = ['weekday', 'weekend']
+
+/**
+ * Read the rules from the setting (which may be an array, or JSON5 text)
+ * Throws an Error if a rule isn't valid.
+ * @param {mixed} setting
+ * @returns {Array<AutoTemplateRule>}
+ */
+export function parseAutoTemplateRules(setting: mixed): Array<AutoTemplateRule> {
+  if (setting == null || (typeof setting === 'string' && setting.trim() === '')) {
+    return []
+  }
+  const rules: any = typeof setting === 'string' ? json5.parse(setting) : setting
+  if (!Array.isArray(rules)) {
+    throw new Error(`'autoTemplateRules' should be a list of rules, e.g. [{ when: 'daily', template: 'Daily Note Template' }]`)
+  }
+  return rules.map((rule, index) => {
+    if (rule == null || typeof rule !== 'object' || typeof rule.template !== 'string' || rule.template === '') {
+      throw new Error(`auto template rule ${index + 1} needs a 'template'`)
+    }
+    const when = typeof rule.when === 'string' ? rule.when.toLowerCase() : ''
+    const folder = typeof rule.folder === 'string' ? rule.folder.replace(/^\/+|\/+$/g, '') : ''
+    if (when === '' && folder === '') {
+      throw new Error(`auto template rule ${index + 1} needs a 'when' or 'folder'`)
+    }
+    if (when !== '' && ![...NOTE_TIMEFRAMES, ...WEEKDAYS, ...DAY_GROUPS].includes(when)) {
+      throw new Error(`auto template rule ${index + 1} has unknown 'when': '${rule.when}'`)
+    }
+    const result: AutoTemplateRule = { template: rule.template }
+    if (when) result.when = when
+    if (folder) result.folder = folder
+    return result
+  })
+}
+
+/**
+ * Which timeframe a note is for (or 'project' for project notes)
+ * @param {CoreNoteFields} note
+ * @returns {string}
+ */
+export function noteTimeframe(note: CoreNoteFields): string {
+  if (note.type !== 'Calendar') {
+    return 'project'
+  }
+  return (isDailyNote(note) && 'daily') || (isWeeklyNote(note) && 'weekly') || (isMonthlyNote(note) && 'monthly') || (isQuarterlyNote(note) && 'quarterly') || (isYearlyNote(note) && 'yearly') || 'project'
+}
+
+function ruleMatches(rule: AutoTemplateRule, note: CoreNoteFields): boolean {
+  const timeframe = noteTimeframe(note)
+  if (rule.folder) {
+    return timeframe === 'project' && note.filename.startsWith(`${rule.folder}/`)
+  }
+  const when = rule.when ?? ''
+  if (NOTE_TIMEFRAMES.includes(when)) {
+    return when === timeframe
+  }
+  if (timeframe !== 'daily') {
+    return false
+  }
+  const weekday = moment((note.filename.split('/').pop() ?? '').slice(0, 8), 'YYYYMMDD').day()
+  if (when === 'weekday' || when === 'weekend') {
+    return (when === 'weekend') === (weekday === 0 || weekday === 6)
+  }
+  return WEEKDAYS[weekday] === when
+}
+
+/**
+ * Find the first rule that applies to a note
+ * @param {Array<AutoTemplateRule>} rules
+ * @param {CoreNoteFields} note
+ * @returns {?AutoTemplateRule}
+ */
+export function findAutoTemplateRule(rules: Array<AutoTemplateRule>, note: CoreNoteFields): ?AutoTemplateRule {
+  return rules.find((rule) => ruleMatches(rule, note)) ?? null
+}
+
+/**
+ * Split a note's frontmatter (e.g. the 'triggers: onOpen => ...' that runs onOpenAutoTemplate) from the rest of its content
+ * @param {string} content
+ * @returns {{ frontmatter: string, body: string }} frontmatter is '' if there isn't any
+ */
+export function splitFrontmatter(content: string): { frontmatter: string, body: string } {
+  const lines = content.split('\n')
+  const end = lines[0].trim() === '---' ? lines.findIndex((line, index) => index > 0 && line.trim() === '---') : -1
+  if (end === -1) {
+    return { frontmatter: '', body: content }
+  }
+  return { frontmatter: lines.slice(0, end + 1).join('\n'), body: lines.slice(end + 1).join('\n') }
+}
+
+/**
+ * Is the note empty, apart from any frontmatter, and a title (for project notes)?
+ * @param {CoreNoteFields} note
+ * @returns {boolean}
+ */
+export function isEmptyNote(note: CoreNoteFields): boolean {
+  const lines = splitFrontmatter(note.content ?? '').body.split('\n')
+  if (note.type !== 'Calendar' && /^#\s/.test(lines[0])) {
+    lines.shift()
+  }
+  return lines.every((line) => line.trim() === '')
+}
+
+/**
+ * The date to render a note's template at: the start of a calendar note's day/week/etc. (at the current time), so that e.g. <%- date.now() %> gives the note's date rather than today's
+ * @param {CoreNoteFields} note
+ * @param {Date} now
+ * @returns {?Date} null for project notes
+ */
+export function autoTemplateDate(note: CoreNoteFields, now: Date = new Date()): ?Date {
+  if (note.type !== 'Calendar' || note.date == null) {
+    return null
+  }
+  const noteDate = note.date
+  return new Date(noteDate.getFullYear(), noteDate.getMonth(), noteDate.getDate(), now.getHours(), now.getMinutes(), now.getSeconds())
+}
+
+export function getAutoTemplateRecords(): { [string]: AutoTemplateRecord } {
+  const records = DataStore.loadJSON(AUTO_TEMPLATES_FILE)
+  return records != null && typeof records === 'object' ? records : {}
+}
+
+/**
+ * Record that a template has been applied to a note, so it isn't applied again
+ * @param {string} filename
+ * @param {string} template
+ */
+export function recordAutoTemplate(filename: string, template: string): void {
+  const records = getAutoTemplateRecords()
+  records[filename] = { template, appliedAt: moment().format('YYYY-MM-DD HH:mm') }
+  DataStore.saveJSON(records, AUTO_TEMPLATES_FILE)
+}
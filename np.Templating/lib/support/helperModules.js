@@ -0,0 +1,149 @@
+// @flow
+/*-------------------------------------------------------------------------------------------
+ * Helper Modules
+ * A 'template-helper' note in the templates folder can be used by templates as a module,
+ * by giving it a 'module' name in its frontmatter:
+ *
+ *   ---
+ *   title: Team Helpers
+ *   type: template-helper
+ *   module: team
+ *   version: 1.2.0
+ *   ---
+ *   ```templatejs
+ *   function standupAgenda() {
+ *     return `## Standup ${date.now('dddd')}\n- Yesterday\n- Today\n- Blockers`
+ *   }
+ *   ```
+ *
+ * Its top-level functions (and constants holding functions) are then available to any
+ * template as e.g. `<%- team.standupAgenda() %>`. The code can use the built-in modules
+ * (date, time, note, dataSource, utility, system, web).
+ * If several notes have the same module name, the one with the highest version is used,
+ * unless a template asks for a particular version, e.g. with 'modules: team@1.0.0' in its
+ * frontmatter.
+ * -----------------------------------------------------------------------------------------*/
+
+import { getAttributes } from '@helpers/NPFrontMatter'
+
+export type HelperModule = {
+  name: string,
+  version: string,
+  title: string,
+  filename: string,
+  code: string,
+}
+
+const CODE_BLOCK_RE = /```templatejs\n([\s\S]*?)```/g
+const EXPORT_RE = /^(?:async\s+)?function\s*\*?\s*([A-Za-z_$][\w$]*)|^(?:const|let|var)\s+([A-Za-z_$][\w$]*)\s*=/gm
+const MODULE_NAME_RE = /^[A-Za-z_$][\w$]*$/
+
+/**
+ * Get the module from a 'template-helper' note, if it has a 'module' name
+ * Throws an Error if the module name isn't usable in a template.
+ * @param {CoreNoteFields} note
+ * @returns {?HelperModule}
+ */
+export function getHelperModule(note: CoreNoteFields): ?HelperModule {
+  const content = note.content ?? ''
+  const attributes = getAttributes(content, true)
+  const types = String(attributes.type ?? '')
+    .split(',')
+    .map((type) => type.trim())
+  if (!types.includes('template-helper') || !attributes.module) {
+    return null
+  }
+  const name = String(attributes.module).trim()
+  if (!MODULE_NAME_RE.test(name)) {
+    throw new Error(`'${note.title ?? note.filename}' has a module name ('${name}') which can't be used in templates`)
+  }
+  const code = [...content.matchAll(CODE_BLOCK_RE)].map((match) => match[1]).join('\n')
+  return { name, version: String(attributes.version ?? '0'), title: note.title ?? note.filename, filename: note.filename, code }
+}
+
+/**
+ * Read the module versions a template asks for, e.g. 'team@1.0.0, meetings@2' (from its 'modules' frontmatter)
+ * @param {mixed} value
+ * @returns {{ [string]: string }} version for each module name
+ */
+export function parseModuleVersions(value: mixed): { [string]: string } {
+  const versions: { [string]: string } = {}
+  if (typeof value !== 'string') {
+    return versions
+  }
+  for (const item of value.split(',')) {
+    const [name, version] = item.split('@').map((part) => part.trim())
+    if (name && version) {
+      versions[name] = version
+    }
+  }
+  return versions
+}
+
+/**
+ * Compare dotted version numbers (e.g. '1.10.0' > '1.9')
+ * @param {string} a
+ * @param {string} b
+ * @returns {number} negative if a is lower, positive if a is higher, 0 if they're the same
+ */
+export function compareVersions(a: string, b: string): number {
+  const aParts = a.split('.').map((part) => parseInt(part, 10) || 0)
+  const bParts = b.split('.').map((part) => parseInt(part, 10) || 0)
+  for (let i = 0; i < Math.max(aParts.length, bParts.length); i++) {
+    const difference = (aParts[i] ?? 0) - (bParts[i] ?? 0)
+    if (difference !== 0) {
+      return difference
+    }
+  }
+  return 0
+}
+
+/**
+ * Choose which note to use for a module: the version asked for, or else the highest version
+ * @param {Array<HelperModule>} helperModules - from all 'template-helper' notes
+ * @param {string} name
+ * @param {?string} version
+ * @returns {?HelperModule}
+ */
+export function selectHelperModule(helperModules: Array<HelperModule>, name: string, version: ?string): ?HelperModule {
+  const candidates = helperModules.filter((helperModule) => helperModule.name === name)
+  if (version) {
+    return candidates.find((helperModule) => compareVersions(helperModule.version, version) === 0) ?? null
+  }
+  return candidates.sort((a, b) => compareVersions(b.version, a.version))[0] ?? null
+}
+
+/**
+ * The names a module's code exports (its top-level functions and constants)
+ * @param {string} code
+ * @returns {Array<string>}
+ */
+export function helperModuleExports(code: string): Array<string> {
+  return [...code.matchAll(EXPORT_RE)].map((match) => match[1] ?? match[2])
+}
+
+/**
+ * Run a module's code, giving it the built-in modules, to get its functions
+ * Throws an Error if the code can't be run.
+ * @param {HelperModule} helperModule
+ * @param {{ [string]: mixed }} builtInModules - e.g. { date: DateModule, ... }
+ * @returns {{ [string]: Function }}
+ */
+export function compileHelperModule(helperModule: HelperModule, builtInModules: { [string]: mixed }): { [string]: Function } {
+  const names = Object.keys(builtInModules)
+  const exportNames = helperModuleExports(helperModule.code)
+  try {
+    // $FlowFixMe[prop-missing] - Function as a constructor (as in NPTemplating.execute)
+    const fn = Function.apply(null, [...names, `${helperModule.code}\nreturn { ${exportNames.join(', ')} }`])
+    const exported = fn(...names.map((name) => builtInModules[name]))
+    const functions: { [string]: Function } = {}
+    for (const exportName of exportNames) {
+      if (typeof exported[exportName] === 'function') {
+        functions[exportName] = exported[exportName]
+      }
+    }
+    return functions
+  } catch (error) {
+    throw new Error(`unable to load '${helperModule.name}' module from '${helperModule.title}': ${error.message}`)
+  }
+}
@@ -0,0 +1,197 @@
+// @flow
+/*-------------------------------------------------------------------------------------------
+ * Data Source Module
+ * Reads tabular data from a note, for templates to loop over, from (in the order they are
+ * in the note) the first:
+ * - ```csv code block: the first row gives the field names
+ * - ```json code block: an array of objects (or a single object)
+ * - markdown table: the header row gives the field names
+ * e.g.
+ *   <% for (const person of dataSource.records('Team Roster')) { -%>
+ *   ## <%- person.Name %> (<%- person.Role %>)
+ *   <% } -%>
+ * -----------------------------------------------------------------------------------------*/
+
+import json5 from 'json5'
+import { findProjectNote } from './NoteModule'
+import { getCodeBlocksOfType } from '@helpers/codeBlocks'
+
+export type DataRecord = { [string]: any }
+
+export type DataSourceOptions = {
+  type?: 'csv' | 'json' | 'table', // only use this kind of data
+  heading?: string, // only use data under this heading
+}
+
+type DataSource = {
+  type: 'csv' | 'json' | 'table',
+  heading: string,
+  lineIndex: number,
+  text: string,
+}
+
+/**
+ * Split CSV text into rows of values. Values can be "quoted" (with "" for a quote), so can include commas and new lines.
+ * Tab-separated text (with no commas in its first line) is also read.
+ * @param {string} text
+ * @returns {Array<Array<string>>}
+ */
+export function parseCSVRows(text: string): Array<Array<string>> {
+  const firstLine = text.split('\n', 1)[0]
+  const delimiter = firstLine.includes('\t') && !firstLine.includes(',') ? '\t' : ','
+  const rows = []
+  let row = []
+  let value = ''
+  let inQuotes = false
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i]
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        value += '"'
+        i++
+      } else if (char === '"') {
+        inQuotes = false
+      } else {
+        value += char
+      }
+    } else if (char === '"') {
+      inQuotes = true
+    } else if (char === delimiter) {
+      row.push(value.trim())
+      value = ''
+    } else if (char === '\n') {
+      row.push(value.trim())
+      rows.push(row)
+      row = []
+      value = ''
+    } else if (char !== '\r') {
+      value += char
+    }
+  }
+  row.push(value.trim())
+  rows.push(row)
+  return rows.filter((cells) => cells.some((cell) => cell !== ''))
+}
+
+/**
+ * Split a markdown table row into its cells ('\|' is a '|' in a cell)
+ * @param {string} line
+ * @returns {Array<string>}
+ */
+export function parseTableRow(line: string): Array<string> {
+  const text = line.trim().replace(/^\|/, '')
+  const cells = []
+  let cell = ''
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === '\\' && text[i + 1] === '|') {
+      cell += '|'
+      i++
+    } else if (text[i] === '|') {
+      cells.push(cell.trim())
+      cell = ''
+    } else {
+      cell += text[i]
+    }
+  }
+  // the closing '|' is optional
+  if (cell.trim() !== '') {
+    cells.push(cell.trim())
+  }
+  return cells
+}
+
+const isTableSeparator = (line: string): boolean => /^\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?$/.test(line.trim())
+
+const recordsFromRows = (rows: Array<Array<string>>): Array<DataRecord> => {
+  const [fields = [], ...values] = rows
+  return values.map((cells) => {
+    const record: DataRecord = {}
+    fields.forEach((field, index) => {
+      record[field] = cells[index] ?? ''
+    })
+    return record
+  })
+}
+
+/**
+ * Get records from a data source
+ * Throws an Error if JSON data can't be read.
+ * @param {DataSource} source
+ * @returns {Array<DataRecord>}
+ */
+function recordsFromSource(source: DataSource): Array<DataRecord> {
+  switch (source.type) {
+    case 'csv':
+      return recordsFromRows(parseCSVRows(source.text))
+    case 'json': {
+      let data
+      try {
+        data = json5.parse(source.text)
+      } catch (error) {
+        throw new Error(`unable to read JSON data on line ${source.lineIndex + 1}: ${error.message}`)
+      }
+      const items = Array.isArray(data) ? data : [data]
+      return items.filter((item) => item != null && typeof item === 'object' && !Array.isArray(item)).map((item) => ({ ...item }))
+    }
+    default: {
+      const lines = source.text.split('\n')
+      const rows = [parseTableRow(lines[0]), ...lines.slice(2).map(parseTableRow)]
+      return recordsFromRows(rows)
+    }
+  }
+}
+
+/**
+ * Find the CSV and JSON code blocks, and markdown tables, in a note, in the order they are in the note
+ * @param {CoreNoteFields} note
+ * @returns {Array<DataSource>}
+ */
+function findDataSources(note: CoreNoteFields): Array<DataSource> {
+  const sources: Array<DataSource> = []
+  for (const codeBlock of getCodeBlocksOfType(note, ['csv', 'json'])) {
+    const para = codeBlock.paragraphs[0]
+    sources.push({ type: codeBlock.type.trim().startsWith('csv') ? 'csv' : 'json', heading: para?.heading ?? '', lineIndex: para?.lineIndex ?? 0, text: codeBlock.code })
+  }
+
+  const paragraphs = note.paragraphs ?? []
+  for (let i = 0; i < paragraphs.length; i++) {
+    const para = paragraphs[i]
+    const next = paragraphs[i + 1]
+    if (para.type !== 'code' && para.content.trim().startsWith('|') && next != null && isTableSeparator(next.content)) {
+      const tableLines = [para.content]
+      let j = i + 1
+      while (j < paragraphs.length && paragraphs[j].type !== 'code' && paragraphs[j].content.trim().startsWith('|')) {
+        tableLines.push(paragraphs[j].content)
+        j++
+      }
+      sources.push({ type: 'table', heading: para.heading ?? '', lineIndex: para.lineIndex, text: tableLines.join('\n') })
+      i = j - 1
+    }
+  }
+  return sources.sort((a, b) => a.lineIndex - b.lineIndex)
+}
+
+export default class DataSourceModule {
+  config: any
+  constructor(config: any = {}) {
+    this.config = config
+  }
+
+  /**
+   * Get the records of the first CSV or JSON code block, or markdown table, in a note
+   * @param {string} titleOrFilename - of a project note
+   * @param {DataSourceOptions} options - which kind of data to use, and/or the heading it is under
+   * @returns {Array<DataRecord>} empty if the note (or data) can't be found
+   */
+  records(titleOrFilename: string = '', options: DataSourceOptions = {}): Array<DataRecord> {
+    const note = findProjectNote(titleOrFilename)
+    if (note == null) {
+      return []
+    }
+    const { type, heading } = options
+    const source = findDataSources(note).find(
+      (dataSource) => (!type || dataSource.type === type) && (!heading || dataSource.heading.toLowerCase() === heading.toLowerCase()),
+    )
+    return source ? recordsFromSource(source) : []
+  }
+}
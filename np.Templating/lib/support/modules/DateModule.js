@@ -7,6 +7,7 @@
 
 import moment from 'moment/min/moment-with-locales'
 import { default as momentBusiness } from 'moment-business-days'
+import { clockDate } from './clock'
 
 export const DAY_NUMBER_SUNDAY = 0
 export const DAY_NUMBER_MONDAY = 1
@@ -17,7 +18,7 @@ export const DAY_NUMBER_FRIDAY = 5
 export const DAY_NUMBER_SATURDAY = 6
 
 export function createDateTime(userDateString = '') {
-  return userDateString.length === 10 ? new moment(userDateString).toDate() : new moment().toDate()
+  return userDateString.length === 10 ? new moment(userDateString).toDate() : moment(clockDate()).toDate()
 }
 
 export function format(format: string = 'YYYY-MM-DD', dateString: string = '') {
@@ -26,11 +27,11 @@ export function format(format: string = 'YYYY-MM-DD', dateString: string = '') {
 }
 
 export function now(format: string = 'YYYY-MM-DD') {
-  return moment(new Date()).format(format && format.length > 0 ? format : 'YYYY-MM-DD')
+  return moment(clockDate()).format(format && format.length > 0 ? format : 'YYYY-MM-DD')
 }
 
 export function currentDate(format: string = 'YYYY-MM-DD') {
-  return moment(new Date()).format(format && format.length > 0 ? format : 'YYYY-MM-DD')
+  return moment(clockDate()).format(format && format.length > 0 ? format : 'YYYY-MM-DD')
 }
 
 export function date8601() {
@@ -73,7 +74,7 @@ export default class DateModule {
   // convert supplied date value into something that NotePlan can actually handle
   // requiring YYYY-MM-DDThh:mm:ss format
   createDateTime(userDateString = '') {
-    return userDateString.length === 10 ? new Date(`${userDateString}T00:01:00`) : new Date()
+    return userDateString.length === 10 ? new Date(`${userDateString}T00:01:00`) : clockDate()
   }
 
   timestamp(format = '') {
@@ -88,7 +89,7 @@ export default class DateModule {
     format = format ?? '' // coerce if null passed
     this.setLocale()
 
-    let dateValue = date.length > 0 ? new Date(date) : new Date()
+    let dateValue = date.length > 0 ? new Date(date) : clockDate()
     if (date.length === 10) {
       dateValue = moment(date).format('YYYY-MM-DD')
     }
@@ -115,7 +116,7 @@ export default class DateModule {
 
     const configFormat = this.config?.dateFormat || 'YYYY-MM-DD'
     format = format.length > 0 ? format : configFormat
-    const dateValue = new Date()
+    const dateValue = clockDate()
 
     this.setLocale()
     let formattedDate = moment(dateValue).format(format)
@@ -137,7 +138,7 @@ export default class DateModule {
     }
 
     if (format === 'short' || format === 'medium' || format === 'long' || format === 'full') {
-      formattedDate = new Intl.DateTimeFormat(locale, { dateStyle: format }).format(new Date())
+      formattedDate = new Intl.DateTimeFormat(locale, { dateStyle: format }).format(clockDate())
     }
 
     return this.isValid(formattedDate)
@@ -150,7 +151,7 @@ export default class DateModule {
   today(format = '') {
     this.setLocale()
 
-    return this.format(format, new Date())
+    return this.format(format, clockDate())
   }
 
   tomorrow(format = '') {
@@ -159,7 +160,7 @@ export default class DateModule {
     const configFormat = this.config?.dateFormat || 'YYYY-MM-DD'
     format = format.length > 0 ? format : configFormat
 
-    const dateValue = moment(new Date()).add(1, 'days')
+    const dateValue = moment(clockDate()).add(1, 'days')
 
     return this.format(format, dateValue)
   }
@@ -168,7 +169,7 @@ export default class DateModule {
     const configFormat = this.config?.dateFormat || 'YYYY-MM-DD'
     format = format.length > 0 ? format : configFormat
 
-    const dateValue = moment(new Date()).subtract(1, 'days')
+    const dateValue = moment(clockDate()).subtract(1, 'days')
 
     return this.format(format, dateValue)
   }
@@ -178,7 +179,7 @@ export default class DateModule {
     format = format.length > 0 ? format : configFormat
     const offsetValue = typeof offset === 'number' ? offset : parseInt(offset)
 
-    const dateValue = pivotDate.length === 0 ? new Date() : new Date(this.createDateTime(pivotDate))
+    const dateValue = pivotDate.length === 0 ? clockDate() : new Date(this.createDateTime(pivotDate))
 
     return moment(dateValue).weekday(offsetValue).format(format)
   }
@@ -186,7 +187,7 @@ export default class DateModule {
   weekNumber(pivotDate = '') {
     this.setLocale()
 
-    const dateValue = pivotDate.length === 10 ? pivotDate : new Date()
+    const dateValue = pivotDate.length === 10 ? pivotDate : clockDate()
     const dateStr = moment(dateValue).format('YYYY-MM-DD')
     let weekNumber = parseInt(this.format('W', dateStr))
 
@@ -200,20 +201,20 @@ export default class DateModule {
   dayNumber(pivotDate = '') {
     this.setLocale()
 
-    let localeDate = new moment().toLocaleString()
+    let localeDate = moment(clockDate()).toLocaleString()
     if (pivotDate.length > 0 && pivotDate.length === 10) {
       localeDate = this.createDateTime(pivotDate)
     }
 
     let dayNumber = new moment(localeDate).day()
     if (isNaN(dayNumber)) {
-      dayNumber = new moment().day()
+      dayNumber = moment(clockDate()).day()
     }
     return dayNumber
   }
 
   isWeekend(pivotDate = '') {
-    let localeDate = new moment().toLocaleString()
+    let localeDate = moment(clockDate()).toLocaleString()
     if (pivotDate.length > 0 && pivotDate.length === 10) {
       // coerce date format to YYYY-MM-DD (might come in as MM/DD/YYYY)
       const formattedDate = moment(pivotDate).format('YYYY-MM-DD')
@@ -240,7 +241,7 @@ export default class DateModule {
     } else {
       startDayNumber = startDay ? startDay : 0
       endDayNumber = endDay ? endDay : 6
-      pivotDate = userPivotDate.length > 0 ? userPivotDate : moment(new Date()).format('YYYY-MM-DD')
+      pivotDate = userPivotDate.length > 0 ? userPivotDate : moment(clockDate()).format('YYYY-MM-DD')
     }
 
     const startDate = this.weekday('YYYY-MM-DD', startDayNumber, pivotDate)
@@ -251,7 +252,7 @@ export default class DateModule {
   }
 
   startOfWeek(format = '', userPivotDate = '', firstDayOfWeek = 0) {
-    let pivotDate = userPivotDate && userPivotDate.length > 0 ? userPivotDate : moment(new Date()).format('YYYY-MM-DD')
+    let pivotDate = userPivotDate && userPivotDate.length > 0 ? userPivotDate : moment(clockDate()).format('YYYY-MM-DD')
     pivotDate = this.createDateTime(pivotDate)
 
     let result = moment(pivotDate).startOf('week')
@@ -264,7 +265,7 @@ export default class DateModule {
 
   endOfWeek(format = '', userPivotDate = '', firstDayOfWeek = 0) {
     format = format ? format : '' // coerce if user passed null
-    let pivotDate = userPivotDate && userPivotDate.length > 0 ? userPivotDate : moment(new Date()).format('YYYY-MM-DD')
+    let pivotDate = userPivotDate && userPivotDate.length > 0 ? userPivotDate : moment(clockDate()).format('YYYY-MM-DD')
 
     let endOfWeek = moment(pivotDate).endOf('week')
     if (firstDayOfWeek > 0) {
@@ -275,7 +276,7 @@ export default class DateModule {
   }
 
   startOfMonth(format = '', userPivotDate = '') {
-    let pivotDate = userPivotDate && userPivotDate.length > 0 ? userPivotDate : moment(new Date()).format('YYYY-MM-DD')
+    let pivotDate = userPivotDate && userPivotDate.length > 0 ? userPivotDate : moment(clockDate()).format('YYYY-MM-DD')
 
     const configFormat = this.config?.dateFormat || 'YYYY-MM-DD'
     format = format && format.length > 0 ? format : configFormat
@@ -286,7 +287,7 @@ export default class DateModule {
   }
 
   endOfMonth(format = '', userPivotDate = '') {
-    let pivotDate = userPivotDate && userPivotDate.length > 0 ? userPivotDate : moment(new Date()).format('YYYY-MM-DD')
+    let pivotDate = userPivotDate && userPivotDate.length > 0 ? userPivotDate : moment(clockDate()).format('YYYY-MM-DD')
 
     const configFormat = this.config?.dateFormat || 'YYYY-MM-DD'
     format = format && format.length > 0 ? format : configFormat
@@ -297,7 +298,7 @@ export default class DateModule {
   }
 
   daysInMonth(userPivotDate = '') {
-    let pivotDate = userPivotDate && userPivotDate.length > 0 ? userPivotDate : moment(new Date()).format('YYYY-MM-DD')
+    let pivotDate = userPivotDate && userPivotDate.length > 0 ? userPivotDate : moment(clockDate()).format('YYYY-MM-DD')
 
     return moment(pivotDate).daysInMonth()
   }
@@ -316,7 +317,7 @@ export default class DateModule {
 
   add(userPivotDate = '', value = '', shorthand = 'days', format = '') {
     const locale = this.config?.templateLocale || 'en-US'
-    const pivotDate = userPivotDate && userPivotDate.length > 0 ? userPivotDate : moment(new Date()).format('YYYY-MM-DD')
+    const pivotDate = userPivotDate && userPivotDate.length > 0 ? userPivotDate : moment(clockDate()).format('YYYY-MM-DD')
     const configFormat = this.config?.dateFormat || 'YYYY-MM-DD'
     format = format.length > 0 ? format : configFormat
 
@@ -338,7 +339,7 @@ export default class DateModule {
   }
 
   subtract(userPivotDate = '', value = '', shorthand = 'days', format = '') {
-    const pivotDate = userPivotDate && userPivotDate.length > 0 ? userPivotDate : moment(new Date()).format('YYYY-MM-DD')
+    const pivotDate = userPivotDate && userPivotDate.length > 0 ? userPivotDate : moment(clockDate()).format('YYYY-MM-DD')
     const configFormat = this.config?.dateFormat || 'YYYY-MM-DD'
     format = format.length > 0 ? format : configFormat
 
@@ -366,7 +367,7 @@ export default class DateModule {
     const configFormat = this.config?.dateFormat || 'YYYY-MM-DD'
     const dtFormat = format.length > 0 ? format : configFormat
 
-    const dt = pivotDate.length === 10 ? new Date(`${pivotDate}T00:01:00`) : new Date()
+    const dt = pivotDate.length === 10 ? new Date(`${pivotDate}T00:01:00`) : clockDate()
     let result = momentBusiness(dt).businessAdd(numDays)
 
     let formattedDate = result.format(dtFormat)
@@ -382,7 +383,7 @@ export default class DateModule {
     const configFormat = this.config?.dateFormat || 'YYYY-MM-DD'
     const dtFormat = format.length > 0 ? format : configFormat
 
-    const dt = pivotDate.length === 10 ? new Date(`${pivotDate}T00:01:00`) : new Date()
+    const dt = pivotDate.length === 10 ? new Date(`${pivotDate}T00:01:00`) : clockDate()
     let result = momentBusiness(dt).businessSubtract(numDays)
 
     let formattedDate = result.format(dtFormat)
@@ -11,6 +11,69 @@ import { getAllPropertyNames } from '@helpers/dev'
 import moment from 'moment/min/moment-with-locales'
 import FrontmatterModule from './FrontmatterModule'
 
+export type NoteInfo = {
+  title: string,
+  filename: string,
+  folder: string,
+  type: NoteType,
+  createdDate: string, // YYYY-MM-DD
+  changedDate: string, // YYYY-MM-DD
+  hashtags: Array<string>,
+  mentions: Array<string>,
+  frontmatter: { [string]: any },
+}
+
+export type TaskInfo = {
+  content: string,
+  type: string,
+  heading: string,
+  lineIndex: number,
+  noteTitle: string,
+  filename: string,
+}
+
+export type NoteQuery = {
+  folder?: string, // includes subfolders
+  tag?: string, // a #hashtag or @mention ('#' is assumed if neither is given)
+  frontmatterKey?: string,
+  frontmatterValue?: string, // if not given, any value of frontmatterKey matches
+  changedSince?: string | Date, // YYYY-MM-DD
+  limit?: number, // 0 = no limit
+}
+
+const TASK_TYPES = { open: ['open', 'scheduled'], done: ['done'], cancelled: ['cancelled'], all: ['open', 'scheduled', 'done', 'cancelled'] }
+
+/**
+ * Read-only copy of the parts of a note that templates need, so that the note itself can't be changed by accident
+ */
+function noteInfo(note: CoreNoteFields): NoteInfo {
+  const content = note.content ?? ''
+  const frontmatter = content.startsWith('---') ? new FrontmatterModule().attributes(content) : {}
+  return {
+    title: note.title ?? '',
+    filename: note.filename,
+    folder: note.filename.includes('/') ? note.filename.slice(0, note.filename.lastIndexOf('/')) : '/',
+    type: note.type,
+    createdDate: moment(note.createdDate).format('YYYY-MM-DD'),
+    changedDate: moment(note.changedDate).format('YYYY-MM-DD'),
+    hashtags: [...note.hashtags],
+    mentions: [...note.mentions],
+    frontmatter: { ...frontmatter },
+  }
+}
+
+export function findProjectNote(titleOrFilename: string): ?TNote {
+  if (titleOrFilename === '') {
+    return null
+  }
+  const byFilename = DataStore.projectNoteByFilename(titleOrFilename)
+  if (byFilename) {
+    return byFilename
+  }
+  const byTitle = DataStore.projectNoteByTitle(titleOrFilename, true, false) ?? []
+  return byTitle.length > 0 ? byTitle[0] : null
+}
+
 export default class NoteModule {
   constructor(config: any) {
     // $FlowFixMe
@@ -183,4 +246,80 @@ export default class NoteModule {
 
     return result
   }
+
+  /**
+   * Find a project note by title (or filename)
+   * @param {string} titleOrFilename
+   * @returns {?NoteInfo}
+   */
+  getNote(titleOrFilename: string = ''): ?NoteInfo {
+    const note = findProjectNote(titleOrFilename)
+    return note ? noteInfo(note) : null
+  }
+
+  /**
+   * Find project notes, most recently changed first. Notes in special folders (e.g. @Archive, @Templates) are only included if asked for by folder.
+   * e.g. <% for (const item of note.findNotes({ folder: 'Projects', tag: '#active', limit: 5 })) { %>
+   * @param {NoteQuery} query
+   * @returns {Array<NoteInfo>}
+   */
+  findNotes(query: NoteQuery = {}): Array<NoteInfo> {
+    const folder = (query.folder ?? '').replace(/^\/+|\/+$/g, '')
+    const queryTag = query.tag ?? ''
+    const tag = queryTag !== '' && !/^[#@]/.test(queryTag) ? `#${queryTag}` : queryTag
+    const changedSince = query.changedSince ? moment(query.changedSince).startOf('day') : null
+
+    let notes = DataStore.projectNotes.filter((note) => (folder === '' ? !note.filename.startsWith('@') : note.filename.startsWith(`${folder}/`)))
+    if (tag !== '') {
+      const tagLower = tag.toLowerCase()
+      notes = notes.filter((note) => [...note.hashtags, ...note.mentions].some((item) => item.toLowerCase() === tagLower))
+    }
+    if (changedSince) {
+      notes = notes.filter((note) => moment(note.changedDate).isSameOrAfter(changedSince))
+    }
+
+    const sortedNotes = [...notes].sort((a, b) => b.changedDate.getTime() - a.changedDate.getTime())
+    const limit = query.limit && query.limit > 0 ? query.limit : sortedNotes.length
+    const key = query.frontmatterKey ?? ''
+    if (key === '') {
+      return sortedNotes.slice(0, limit).map(noteInfo)
+    }
+    return sortedNotes
+      .map(noteInfo)
+      .filter((info) => info.frontmatter.hasOwnProperty(key) && (query.frontmatterValue == null || String(info.frontmatter[key]) === String(query.frontmatterValue)))
+      .slice(0, limit)
+  }
+
+  notesInFolder(folder: string, limit: number = 0): Array<NoteInfo> {
+    return this.findNotes({ folder, limit })
+  }
+
+  notesWithTag(tag: string, limit: number = 0): Array<NoteInfo> {
+    return this.findNotes({ tag, limit })
+  }
+
+  notesWithFrontmatter(key: string, value?: string, limit: number = 0): Array<NoteInfo> {
+    return this.findNotes({ frontmatterKey: key, frontmatterValue: value, limit })
+  }
+
+  notesChangedSince(date: string | Date, limit: number = 0): Array<NoteInfo> {
+    return this.findNotes({ changedSince: date, limit })
+  }
+
+  /**
+   * Get the tasks in a note, e.g. <% for (const task of note.tasks('Project X')) { %>- [ ] <%- task.content %>\n<% } %>
+   * @param {string} titleOrFilename - of a project note (default: the current note)
+   * @param {string} status - 'open' (including scheduled), 'done', 'cancelled' or 'all'
+   * @returns {Array<TaskInfo>}
+   */
+  tasks(titleOrFilename: string = '', status: string = 'open'): Array<TaskInfo> {
+    const note = titleOrFilename === '' ? this.getCurrentNote() : findProjectNote(titleOrFilename)
+    if (note == null) {
+      return []
+    }
+    const types = TASK_TYPES[status] ?? TASK_TYPES.open
+    return note.paragraphs
+      .filter((para) => types.includes(para.type))
+      .map((para) => ({ content: para.content, type: para.type, heading: para.heading, lineIndex: para.lineIndex, noteTitle: note.title ?? '', filename: note.filename }))
+  }
 }
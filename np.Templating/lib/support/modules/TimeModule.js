@@ -4,13 +4,14 @@
  * -----------------------------------------------------------------------------------------*/
 
 import moment from 'moment/min/moment-with-locales'
+import { clockDate } from './clock'
 
 export function time(format = 'h:mm A') {
-  return moment(new Date()).format(format && format.length > 0 ? format : 'h:mm A')
+  return moment(clockDate()).format(format && format.length > 0 ? format : 'h:mm A')
 }
 
 export function currentTime(format = 'h:mm A') {
-  return moment(new Date()).format(format && format.length > 0 ? format : 'h:mm A')
+  return moment(clockDate()).format(format && format.length > 0 ? format : 'h:mm A')
 }
 
 export default class TimeModule {
@@ -48,7 +49,7 @@ export default class TimeModule {
   }
 
   format(format = '', date = '') {
-    let dateValue = date.length > 0 ? date : new Date()
+    let dateValue = date.length > 0 ? date : clockDate()
     const configFormat = this.config?.timeFormat || 'HH:mm A'
     format = format.length > 0 ? format : configFormat
 
@@ -65,10 +66,10 @@ export default class TimeModule {
     const configFormat = this.config?.timeFormat || 'short'
 
     format = format.length > 0 ? format : configFormat
-    let formattedTime = moment(new Date()).format(format)
+    let formattedTime = moment(clockDate()).format(format)
 
     if (format === 'short' || format === 'medium' || format === 'long' || format === 'full') {
-      formattedTime = new Intl.DateTimeFormat(locale, { timeStyle: format }).format(new Date())
+      formattedTime = new Intl.DateTimeFormat(locale, { timeStyle: format }).format(clockDate())
     }
 
     return this.isValid(formattedTime)
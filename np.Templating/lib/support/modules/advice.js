@@ -1,8 +1,13 @@
 // @flow
 
+import { fetchWebService } from './webCache'
+
 export async function getAdvice(): Promise<string> {
   try {
-    const response: any = await fetch(`https://api.adviceslip.com/advice`, { timeout: 3000 })
+    const response = await fetchWebService('advice', `https://api.adviceslip.com/advice`, { timeout: 3000 })
+    if (response == null) {
+      return `**An error occurred accessing quoting service**`
+    }
     const data = JSON.parse(response)
     return data && data?.slip?.advice?.length > 0 ? data.slip.advice : '**Advice returned empty response**'
   } catch (err) {
@@ -0,0 +1,28 @@
+// @flow
+/*-------------------------------------------------------------------------------------------
+ * Clock
+ * The current date and time, as used by DateModule and TimeModule. This can be frozen at a
+ * given moment (e.g. by the template tests), so templates render the same way every time.
+ * -----------------------------------------------------------------------------------------*/
+
+let frozenDate: ?Date = null
+
+/**
+ * Freeze the clock at the given date and time, until unfreezeClock() is called
+ * @param {Date} date
+ */
+export function freezeClock(date: Date): void {
+  frozenDate = new Date(date.getTime())
+}
+
+export function unfreezeClock(): void {
+  frozenDate = null
+}
+
+/**
+ * The current date and time (or the frozen one, if the clock is frozen)
+ * @returns {Date}
+ */
+export function clockDate(): Date {
+  return frozenDate ? new Date(frozenDate.getTime()) : new Date()
+}
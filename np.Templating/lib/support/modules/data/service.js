@@ -5,6 +5,8 @@
 
 // @flow
 
+import { fetchWebService } from '../webCache'
+
 // Temporary Implementation until `dot-prop` is ready
 // https://github.com/sindresorhus/dot-prop/issues/87
 // $FlowFixMe
@@ -61,7 +63,11 @@ export async function getService(templateConfig: any, section: string = '', key:
         URL = URL.url
       }
 
-      const response: any = await fetch(URL)
+      const response: any = await fetchWebService('service', URL, {}, (text) => isJson(text) || text.indexOf('error') < 0, section)
+      if (response == null) {
+        const endpoint = isURL(section) ? ' API' : ' service'
+        throw new Error(`Accessing ${section}${endpoint}`)
+      }
       if (!isJson(response)) {
         if (response.indexOf('error') >= 0) {
           const endpoint = isURL(section) ? ' API' : ' service'
@@ -5,9 +5,11 @@
 
 // @flow
 
+import { fetchWebService } from './webCache'
+
 // $FlowFixMe
 export async function getDailyQuote(): Promise<string> {
-  const response = await fetch(`https://zenquotes.io/api/random`, { timeout: 3000 })
+  const response = await fetchWebService('quote', `https://zenquotes.io/api/random`, { timeout: 3000 })
   if (response) {
     //$FlowIgnore[incompatible-call]
     const quoteLines = JSON.parse(response)
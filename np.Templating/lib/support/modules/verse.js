@@ -5,13 +5,15 @@
 
 // @flow
 
+import { fetchWebService } from './webCache'
+
 // <%- await web.services('https://labs.bible.org/api/?passage=random&type=json',['> 🙏🏻 ', '[0].bookname', ' ', '[0].chapter', ':', '[0].verse', '\n> 🗣 "', '[0].text','"']) %>
 
 export async function getVerse(): Promise<string> {
   try {
     const URL = `https://labs.bible.org/api/?passage=random&type=json`
-    const response: any = await await fetch(URL, { timeout: 3000 })
-    const data = JSON.parse(response)[0]
+    const response: any = await fetchWebService('verse', URL, { timeout: 3000 })
+    const data = response != null ? JSON.parse(response)[0] : null
 
     return data ? `> 🙏🏻  ${data?.bookname} ${data?.chapter}:${data?.verse} \n> 🗣  ${data?.text}` : '**An error occurred accessing quoting service**'
   } catch (err) {
@@ -23,7 +25,10 @@ export async function getVersePlain(): Promise<string> {
   const URL = `https://labs.bible.org/api/?passage=random&type=json`
 
   try {
-    const response: any = await fetch(URL)
+    const response: any = await fetchWebService('verse', URL)
+    if (response == null) {
+      return '**An error occurred accessing verse service**'
+    }
 
     const data = JSON.parse(response)[0]
 
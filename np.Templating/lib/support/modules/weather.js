@@ -5,10 +5,23 @@
 
 // @flow
 
+import { fetchWebService } from './webCache'
+
+// wttr.in answers errors with plain text (or an HTML page), rather than an error status
+const RE_WEATHER_ERROR = /^\s*<|unknown location|sorry|error|unable to|not found/i
+
+/**
+ * Is this a weather report, rather than empty, or one of the service's error messages (e.g. 'Unknown location; please try ...')?
+ * @param {string} text
+ * @returns {boolean}
+ */
+export function isWeatherResponse(text: string): boolean {
+  return text.trim() !== '' && !RE_WEATHER_ERROR.test(text)
+}
+
 export async function getWeather(): Promise<string> {
   try {
-    // $FlowFixMe
-    const response: any = await await fetch(`https://wttr.in?format=3`, { timeout: 3000 })
+    const response = await fetchWebService('weather', `https://wttr.in?format=3`, { timeout: 3000 }, isWeatherResponse)
     return response ? response : '**An error occurred accessing weather service**'
   } catch (error) {
     return '**An error occurred accessing weather service**'
@@ -4,6 +4,7 @@
 import pluginJson from '../../../plugin.json'
 import { logError } from '../../../../helpers/dev'
 import { stringReplace } from '../../../../helpers/general'
+import { fetchWebService } from './webCache'
 
 /**
  * Using WTTR.IN for lookups. It appears to have IP geolocation, as well as manual methods.
@@ -75,7 +76,7 @@ export async function getWeatherSummary(format: string): Promise<string> {
   const getWeatherURL = 'https://wttr.in/?format=j1'
   let jsonIn, allWeatherData
   try {
-    jsonIn = await fetch(getWeatherURL)
+    jsonIn = await fetchWebService('weatherSummary', getWeatherURL)
     if (jsonIn != null) {
       try {
         // $FlowIgnore[incompatible-call]
@@ -0,0 +1,137 @@
+// @flow
+/*-------------------------------------------------------------------------------------------
+ * Web Cache
+ * Fetches for the web modules (advice, quote, verse, weather, wotd and services) go through
+ * here, so that responses are kept in the plugin's data folder:
+ * - a response younger than the service's TTL (in minutes) is used without fetching again
+ * - if a fetch fails (e.g. when offline), the last response is used, however old it is
+ * Each service can also be pointed at a custom URL, or at a local JSON file in the plugin's
+ * data folder, using the 'webServices' setting, e.g.
+ *   { quote: { ttl: 1440 }, weather: { url: 'https://wttr.in/Paris?format=3' }, advice: { file: 'advice.json' } }
+ * web.services() calls are configured under 'services', by the name (or URL) they're called with, e.g.
+ *   { services: { stocks: { ttl: 30 } } }
+ * -----------------------------------------------------------------------------------------*/
+
+import json5 from 'json5'
+import pluginJson from '../../../plugin.json'
+import { logDebug, logError } from '@helpers/dev'
+
+export type WebServiceName = 'advice' | 'quote' | 'verse' | 'weather' | 'weatherSummary' | 'wotd' | 'service'
+
+export type WebServiceConfig = {
+  ttl?: number, // minutes
+  url?: string,
+  file?: string, // relative to the plugin's data folder
+}
+
+export type WebCacheEntry = {
+  response: string,
+  fetchedAt: number, // ms since epoch
+}
+
+// Services which aren't listed here are fetched every time (but the last response is still used when offline)
+export const DEFAULT_WEB_SERVICE_TTLS: { [WebServiceName]: number } = {
+  weather: 60,
+  weatherSummary: 60,
+}
+
+// Paths are relative to the calling plugin's data folder, so are given from np.Templating's (as with settings.json) in case another plugin is rendering
+const DATA_FOLDER = '../np.Templating/'
+const SETTINGS_FILE = `${DATA_FOLDER}settings.json`
+const WEB_CACHE_FILE = `${DATA_FOLDER}webCache.json`
+
+/**
+ * Get a service's configuration from the 'webServices' setting (which may be an object, or JSON5 text)
+ * @param {WebServiceName} service
+ * @param {string} serviceName - for 'service' (i.e. web.services()), the name or URL it was called with
+ * @returns {WebServiceConfig}
+ */
+export function getWebServiceConfig(service: WebServiceName, serviceName: string = ''): WebServiceConfig {
+  try {
+    const settings = DataStore.loadJSON(SETTINGS_FILE)
+    const webServices: any = typeof settings?.webServices === 'string' && settings.webServices.trim() !== '' ? json5.parse(settings.webServices) : settings?.webServices
+    const config = service === 'service' ? webServices?.services?.[serviceName] : webServices?.[service]
+    return config != null && typeof config === 'object' ? config : {}
+  } catch (error) {
+    logError(pluginJson, `webCache: unable to read 'webServices' setting: ${error.message}`)
+    return {}
+  }
+}
+
+function loadCache(): { [string]: WebCacheEntry } {
+  const cache = DataStore.loadJSON(WEB_CACHE_FILE)
+  return cache != null && typeof cache === 'object' ? cache : {}
+}
+
+const isJSONResponse = (response: string): boolean => {
+  try {
+    JSON.parse(response)
+    return true
+  } catch (error) {
+    return false
+  }
+}
+
+/**
+ * Is a cached response still fresh enough to use without fetching again?
+ * @param {?WebCacheEntry} entry
+ * @param {number} ttl - minutes
+ * @param {number} now - ms since epoch
+ * @returns {boolean}
+ */
+export function isFresh(entry: ?WebCacheEntry, ttl: number, now: number): boolean {
+  return entry != null && ttl > 0 && now - entry.fetchedAt < ttl * 60 * 1000
+}
+
+/**
+ * Get a web service's response, using its local file, cache or custom URL as configured (see above).
+ * Returns null if there's no response to be had (e.g. offline, with nothing cached), so the caller can show its usual error.
+ * @param {WebServiceName} service
+ * @param {string} defaultURL - used unless the service is configured with another URL
+ * @param {any} options - for fetch()
+ * @param {(string) => boolean} isValid - whether a response is usable (default: it is JSON)
+ * @param {string} serviceName - for 'service' (i.e. web.services()), the name or URL it was called with
+ * @returns {Promise<?string>}
+ */
+export async function fetchWebService(
+  service: WebServiceName,
+  defaultURL: string,
+  options: any = {},
+  isValid: (string) => boolean = isJSONResponse,
+  serviceName: string = '',
+): Promise<?string> {
+  const config = getWebServiceConfig(service, serviceName)
+  const file = config.file
+  if (file) {
+    const contents = DataStore.loadData(`${DATA_FOLDER}${file}`, false)
+    if (contents == null) {
+      logError(pluginJson, `webCache: unable to read '${file}' for ${service}`)
+    }
+    return contents
+  }
+
+  const url = config.url || defaultURL
+  const key = `${service}:${url}`
+  const cache = loadCache()
+  const ttl = typeof config.ttl === 'number' ? config.ttl : DEFAULT_WEB_SERVICE_TTLS[service] ?? 0
+  if (isFresh(cache[key], ttl, Date.now())) {
+    return cache[key].response
+  }
+
+  try {
+    const response: any = await fetch(url, options)
+    if (response != null && response !== '' && isValid(String(response))) {
+      cache[key] = { response: String(response), fetchedAt: Date.now() }
+      DataStore.saveJSON(cache, WEB_CACHE_FILE)
+      return String(response)
+    }
+  } catch (error) {
+    logDebug(pluginJson, `webCache: fetching ${url} failed: ${error.message}`)
+  }
+
+  if (cache[key]) {
+    logDebug(pluginJson, `webCache: using response for ${service} from ${new Date(cache[key].fetchedAt).toLocaleString()}`)
+    return cache[key].response
+  }
+  return null
+}
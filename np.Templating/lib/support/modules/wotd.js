@@ -5,6 +5,7 @@
 
 // @flow
 
+import { fetchWebService } from './webCache'
 import { clo } from '@helpers/dev'
 
 export async function getWOTD(params: any): Promise<string> {
@@ -19,9 +20,11 @@ export async function getWOTD(params: any): Promise<string> {
       },
     }
 
-    const result = await fetch(url, options)
+    const result = await fetchWebService('wotd', url, options)
+    if (result == null) {
+      return `**An error occurred accessing wotd service**`
+    }
 
-    // $FlowIgnore
     const data = JSON.parse(result)
 
     let word = data?.word
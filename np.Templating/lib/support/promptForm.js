@@ -0,0 +1,164 @@
+// @flow
+/*-------------------------------------------------------------------------------------------
+ * Prompt Form
+ * Gathers all the prompts in a template into a single HTML form window, rather than asking
+ * them one at a time in the CommandBar.
+ *
+ * As a plugin can't wait for an HTML window to reply, the form's 'Insert' button calls the
+ * hidden 'templateFormSubmit' command, which re-runs the original command with the answers.
+ * The answers are then already in sessionData, so processPrompts doesn't ask for them again.
+ * -----------------------------------------------------------------------------------------*/
+
+import pluginJson from '../../plugin.json'
+import { RE_DATE, RE_DATE_INTERVAL } from '@helpers/dateTime'
+import { showHTMLV2 } from '@helpers/HTMLView'
+
+export type PromptFieldType = 'text' | 'choice' | 'date' | 'interval' | 'checkbox'
+
+export type PromptField = {
+  varName: string,
+  type: PromptFieldType,
+  message: string,
+  options: Array<string>, // for 'choice' fields
+  defaultValue: string,
+}
+
+export type PromptFormResume = {
+  command: string, // the np.Templating command to run again once the form is submitted
+  args: Array<string>,
+}
+
+export type PromptFormState = {
+  title: string,
+  fields: Array<PromptField>,
+  resume: PromptFormResume,
+  answers: { [string]: string | boolean },
+}
+
+export const PROMPT_FORM_WINDOW_ID = `${pluginJson['plugin.id']}.promptForm`
+
+const escapeHTML = (str: string = ''): string => {
+  return str.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;')
+}
+
+/**
+ * Check the answers given in the form, returning a list of problems (which is empty if all is well).
+ * Text and checkbox fields may be left empty, as with the CommandBar prompts; others need a valid value.
+ * @param {Array<PromptField>} fields
+ * @param {{[string]: string | boolean}} answers
+ * @returns {Array<string>}
+ */
+export function validatePromptAnswers(fields: Array<PromptField>, answers: { [string]: string | boolean }): Array<string> {
+  const errors = []
+  for (const field of fields) {
+    const answer = answers[field.varName]
+    const value = typeof answer === 'string' ? answer.trim() : ''
+    switch (field.type) {
+      case 'choice':
+        if (!field.options.includes(value)) {
+          errors.push(`${field.message}: please choose one of the options`)
+        }
+        break
+      case 'date':
+        if (!new RegExp(`^${RE_DATE}$`).test(value)) {
+          errors.push(`${field.message}: please enter a date (YYYY-MM-DD)`)
+        }
+        break
+      case 'interval':
+        if (!new RegExp(`^${RE_DATE_INTERVAL}$`).test(value)) {
+          errors.push(`${field.message}: please enter a date interval of form nn[bdwmqy], e.g. 3d or 2w`)
+        }
+        break
+    }
+  }
+  return errors
+}
+
+function fieldHTML(field: PromptField, value: string | boolean): string {
+  const id = `field-${field.varName}`
+  const label = `<label for="${id}">${escapeHTML(field.message)}</label>`
+  const stringValue = escapeHTML(typeof value === 'string' ? value : '')
+  switch (field.type) {
+    case 'checkbox':
+      return `<div class="field checkbox"><input type="checkbox" id="${id}" name="${field.varName}" ${value === true ? 'checked' : ''} />${label}</div>`
+    case 'choice': {
+      const options = field.options.map((option) => `<option value="${escapeHTML(option)}" ${option === value ? 'selected' : ''}>${escapeHTML(option)}</option>`)
+      return `<div class="field">${label}<select id="${id}" name="${field.varName}" required>${options.join('')}</select></div>`
+    }
+    case 'date':
+      return `<div class="field">${label}<input type="date" id="${id}" name="${field.varName}" value="${stringValue}" required /></div>`
+    case 'interval':
+      return `<div class="field">${label}<input type="text" id="${id}" name="${field.varName}" value="${stringValue}" placeholder="e.g. 3d, 2w, 1m" pattern="${RE_DATE_INTERVAL}" required /></div>`
+    default:
+      return `<div class="field">${label}<input type="text" id="${id}" name="${field.varName}" value="${stringValue}" /></div>`
+  }
+}
+
+/**
+ * Make the HTML body of the form, with current values (defaults, or what was entered before) and any errors to show
+ * @param {PromptFormState} state
+ * @param {Array<string>} errors
+ * @returns {string}
+ */
+export function promptFormHTML(state: PromptFormState, errors: Array<string> = []): string {
+  const fieldsHTML = state.fields.map((field) => fieldHTML(field, state.answers[field.varName] ?? (field.type === 'checkbox' ? field.defaultValue === 'true' : field.defaultValue)))
+  const errorsHTML = errors.length > 0 ? `<ul class="errors">${errors.map((error) => `<li>${escapeHTML(error)}</li>`).join('')}</ul>` : ''
+  return `
+<form id="promptForm">
+  ${errorsHTML}
+  ${fieldsHTML.join('\n  ')}
+  <div class="buttons"><input type="submit" value="Insert" class="mainButton" /></div>
+</form>`
+}
+
+function promptFormScript(state: PromptFormState): string {
+  // The answers are filled in on submit; the rest of the state goes along so the plugin can pick up where it left off
+  return `
+<script type="text/javascript">
+  const state = ${JSON.stringify({ ...state, answers: {} }).replace(/</g, '\\u003c')}
+  document.getElementById('promptForm').addEventListener('submit', (event) => {
+    event.preventDefault()
+    for (const field of state.fields) {
+      const input = event.target.elements[field.varName]
+      state.answers[field.varName] = field.type === 'checkbox' ? input.checked : input.value
+    }
+    const code = '(async function() { await DataStore.invokePluginCommandByName("templateFormSubmit", "np.Templating", [' + JSON.stringify(JSON.stringify(state)) + ']) })()'
+    window.webkit.messageHandlers.jsBridge.postMessage({ code: code, onHandle: 'neededDummyFunc', id: '1' })
+  })
+
+  // placeholder function; needed by the jsBridge
+  function neededDummyFunc(re, id) {}
+</script>`
+}
+
+const PROMPT_FORM_CSS = `
+  form { margin: 1rem; }
+  .field { display: flex; flex-direction: column; margin-bottom: 0.8rem; }
+  .field label { font-weight: 600; margin-bottom: 0.2rem; }
+  .field.checkbox { flex-direction: row; align-items: center; gap: 0.4rem; }
+  .field input:invalid { border-color: var(--tint-color, #D87001); }
+  .errors { color: var(--tint-color, #D87001); }
+  .buttons { text-align: right; }
+`
+
+/**
+ * Show the form in an HTML window
+ * @param {PromptFormState} state
+ * @param {Array<string>} errors to show at the top of the form (e.g. after a failed submit)
+ */
+export async function showPromptForm(state: PromptFormState, errors: Array<string> = []): Promise<void> {
+  await showHTMLV2(promptFormHTML(state, errors), {
+    windowTitle: state.title,
+    customId: PROMPT_FORM_WINDOW_ID,
+    generalCSSIn: '', // i.e. generate from theme
+    specificCSS: PROMPT_FORM_CSS,
+    makeModal: false,
+    preBodyScript: '',
+    postBodyScript: promptFormScript(state),
+    savedFilename: 'promptForm.html',
+    width: 460,
+    height: Math.min(140 + state.fields.length * 70, 800),
+    reuseUsersWindowRect: false,
+    shouldFocus: true,
+  })
+}
@@ -0,0 +1,162 @@
+// @flow
+/*-------------------------------------------------------------------------------------------
+ * Template Inheritance
+ * Lets a template extend a base template (layout), overriding its named blocks, and use
+ * other templates as partials with their own data. This is done on the template text, before
+ * it is rendered, so everything ends up in a single template that renders as normal.
+ *
+ *   <% extends('Base Layout') %>            use 'Base Layout', with this template's blocks
+ *   <% block('name') %> ... <% endblock %>  a named block: the default in a base template, or an override in one that extends it
+ *   <%- partial('Partial', { key: 'value' }) %>  the partial's body, with `key` (and any of its frontmatter attributes) set
+ *
+ * Templates are found by title or path, as with getTemplate(). Blocks can't be nested.
+ * include() is still handled by NPTemplating.preProcess(), which uses parseTemplateData() and scopeTemplateData() for its data.
+ * -----------------------------------------------------------------------------------------*/
+
+import json5 from 'json5'
+
+export type LoadedTemplate = {
+  body: string,
+  attributes: { [string]: mixed },
+}
+
+// Returns null if there's no template with this title or path
+export type TemplateLoader = (name: string) => Promise<?LoadedTemplate>
+
+export const MAX_TEMPLATE_DEPTH = 10
+
+const TAG_START = '<%[-=_]?\\s*'
+const TAG_END = '\\s*[-_]?%>'
+const NAME = `(['"\`])(.+?)\\1`
+
+const EXTENDS_RE = new RegExp(`${TAG_START}extends\\(\\s*${NAME}\\s*\\)${TAG_END}\\n?`)
+const BLOCK_RE = new RegExp(`${TAG_START}block\\(\\s*${NAME}\\s*\\)${TAG_END}([\\s\\S]*?)${TAG_START}endblock${TAG_END}`, 'g')
+const PARTIAL_RE = new RegExp(`${TAG_START}partial\\(\\s*${NAME}\\s*(?:,([\\s\\S]*?))?\\)${TAG_END}`, 'g')
+const INCLUDE_DATA_RE = new RegExp(`(?:include|template)\\(\\s*${NAME}\\s*,([\\s\\S]*)\\)${TAG_END}$`)
+const FRONTMATTER_RE = /^---\n[\s\S]*?\n---\n/
+const IDENTIFIER_RE = /^[A-Za-z_$][\w$]*$/
+// Names that can't be declared as variables in the (strict mode) compiled template
+const RESERVED_WORDS = new Set(
+  (
+    'arguments await break case catch class const continue debugger default delete do else enum eval export extends false finally for function if implements import ' +
+    'in instanceof interface let new null package private protected public return static super switch this throw true try typeof var void while with yield'
+  ).split(' '),
+)
+
+async function loadOrThrow(name: string, chain: Array<string>, loadTemplate: TemplateLoader, usedBy: string): Promise<LoadedTemplate> {
+  if (chain.includes(name)) {
+    throw new Error(`Template cycle found: ${[...chain, name].join(' → ')}`)
+  }
+  if (chain.length >= MAX_TEMPLATE_DEPTH) {
+    throw new Error(`Templates are nested more than ${MAX_TEMPLATE_DEPTH} deep: ${[...chain, name].join(' → ')}`)
+  }
+  const loaded = await loadTemplate(name)
+  if (loaded == null) {
+    throw new Error(`Unable to find template "${name}" used in ${usedBy}`)
+  }
+  return loaded
+}
+
+function isVariableName(key: string): boolean {
+  return IDENTIFIER_RE.test(key) && !RESERVED_WORDS.has(key)
+}
+
+/**
+ * Wrap a partial's (or included template's) body in a JS block that sets its data as local constants, so they don't leak into the rest of the template.
+ * Frontmatter attributes that can't be variable names (e.g. 'my-key') are skipped; data passed to partial() or include() must all be usable.
+ */
+export function scopeTemplateData(tagName: string, name: string, body: string, attributes: { [string]: mixed }, data: { [string]: mixed }): string {
+  const badKey = Object.keys(data).find((key) => !isVariableName(key))
+  if (badKey != null) {
+    throw new Error(`${tagName}("${name}") data key "${badKey}" can't be used as a variable name`)
+  }
+  const values = { ...attributes, ...data }
+  const keys = Object.keys(values).filter(isVariableName)
+  if (keys.length === 0) {
+    return body
+  }
+  // '%>' inside a string value would otherwise end the EJS tag early
+  const declarations = keys.map((key) => `const ${key} = ${(JSON.stringify(values[key]) ?? 'undefined').replace(/%>/g, '%\\u003e')};`)
+  return `<% { ${declarations.join(' ')} -%>\n${body}<% } -%>\n`
+}
+
+/**
+ * Get the text of the data argument of an include() tag (e.g. "{ key: 'value' }"), if it has one
+ * @param {string} tag
+ * @returns {?string}
+ */
+export function getIncludeDataText(tag: string): ?string {
+  return tag.match(INCLUDE_DATA_RE)?.[3]
+}
+
+/**
+ * Parse the data argument of partial() or include() (e.g. "{ key: 'value' }"), which is optional
+ */
+export function parseTemplateData(tagName: string, name: string, dataText: ?string): { [string]: mixed } {
+  if (dataText == null || dataText.trim() === '') {
+    return {}
+  }
+  try {
+    const data: $FlowFixMe = json5.parse(dataText)
+    if (data == null || typeof data !== 'object' || Array.isArray(data)) {
+      throw new Error('it must be an object')
+    }
+    return data
+  } catch (error) {
+    throw new Error(`${tagName}("${name}") data isn't a valid object (${error.message})`)
+  }
+}
+
+async function resolvePartials(templateData: string, loadTemplate: TemplateLoader, chain: Array<string>): Promise<string> {
+  let result = templateData
+  for (const match of [...templateData.matchAll(PARTIAL_RE)]) {
+    const [tag, , name, dataText] = match
+    const partial = await loadOrThrow(name, chain, loadTemplate, 'partial()')
+    const data = parseTemplateData('partial', name, dataText)
+    const body = await resolveKeepingBlocks(partial.body, loadTemplate, [...chain, name])
+    const scoped = scopeTemplateData('partial', name, body, partial.attributes, data)
+    result = result.replace(tag, () => scoped)
+  }
+  return result
+}
+
+async function resolveKeepingBlocks(templateData: string, loadTemplate: TemplateLoader, chain: Array<string>): Promise<string> {
+  const withPartials = await resolvePartials(templateData, loadTemplate, chain)
+  const extendsMatch = withPartials.match(EXTENDS_RE)
+  if (!extendsMatch) {
+    return withPartials
+  }
+
+  const baseName = extendsMatch[2]
+  const base = await loadOrThrow(baseName, chain, loadTemplate, 'extends()')
+  const resolvedBase = await resolveKeepingBlocks(base.body, loadTemplate, [...chain, baseName])
+
+  // Only the child's blocks are used; anything else in it (apart from frontmatter) is ignored
+  const childBlocks: Map<string, string> = new Map()
+  for (const [, , blockName, content] of withPartials.matchAll(BLOCK_RE)) {
+    childBlocks.set(blockName, content)
+  }
+  // Keep the block markers, so that a template extending this one can override them again
+  return resolvedBase.replace(BLOCK_RE, (_tag, _quote, blockName, content) => {
+    const newContent = childBlocks.get(blockName) ?? content
+    return `<% block('${blockName}') %>${newContent}<% endblock %>`
+  })
+}
+
+/**
+ * Resolve extends(), block() and partial() in a template, giving a single template to render.
+ * Any frontmatter at the start is kept as it is.
+ * Throws an Error if a template can't be found, there's a cycle (e.g. A extends B extends A), or templates are nested too deeply.
+ * @param {string} templateData
+ * @param {TemplateLoader} loadTemplate - gets another template's body and frontmatter attributes by title or path
+ * @returns {Promise<string>}
+ */
+export async function resolveTemplateInheritance(templateData: string, loadTemplate: TemplateLoader): Promise<string> {
+  const frontmatter = templateData.match(FRONTMATTER_RE)?.[0] ?? ''
+  const body = templateData.slice(frontmatter.length)
+  if (!/\b(extends|block|partial)\(/.test(body)) {
+    return templateData
+  }
+  const resolved = await resolveKeepingBlocks(body, loadTemplate, [])
+  return frontmatter + resolved.replace(BLOCK_RE, (_tag, _quote, _name, content) => content)
+}
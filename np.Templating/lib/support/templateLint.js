@@ -0,0 +1,198 @@
+// @flow
+/*-------------------------------------------------------------------------------------------
+ * Template Lint
+ * Finds problems in a template without rendering it, so they can be reported with the line
+ * they are on (rather than as an error when the template is next used):
+ * - a frontmatter block which isn't closed, or can't be read
+ * - '<%' tags without a matching '%>' (and the other way round)
+ * - calls to methods which a module doesn't have, e.g. date.tomorow()
+ * - ```templatejs code blocks which aren't closed
+ * Line numbers are of the whole template note, starting at 1.
+ * -----------------------------------------------------------------------------------------*/
+
+import fm from 'front-matter'
+import { _sanitizeFrontmatterText } from '@helpers/NPFrontMatter'
+
+export type TemplateLintProblem = {
+  line: number,
+  message: string,
+}
+
+export type TemplateLintResult = {
+  templateTitle: string,
+  problems: Array<TemplateLintProblem>,
+}
+
+export const TEMPLATE_LINT_RESULTS_TITLE = 'Template Lint Results'
+
+const CODE_BLOCK_START = '```templatejs'
+
+// Some JavaScript, and the line of the template it starts on
+type CodeSection = {
+  code: string,
+  line: number,
+}
+
+type CodeBlock = {
+  ...CodeSection,
+  start: number, // character positions of the whole block, including its fences
+  end: number,
+}
+
+const lineAt = (text: string, index: number): number => text.slice(0, index).split('\n').length
+
+function lintFrontmatter(templateData: string): Array<TemplateLintProblem> {
+  const lines = templateData.split('\n')
+  if (lines[0] !== '---') {
+    return []
+  }
+  if (lines.indexOf('---', 1) === -1) {
+    return [{ line: 1, message: `frontmatter block isn't closed with a '---' line` }]
+  }
+  try {
+    fm(_sanitizeFrontmatterText(templateData), { allowUnsafe: true })
+    return []
+  } catch (error) {
+    // the mark's line is of the frontmatter, which starts after the opening '---'
+    const line = typeof error.mark?.line === 'number' ? error.mark.line + 2 : 1
+    const message =
+      error.reason === 'missed comma between flow collection entries'
+        ? `frontmatter can't be read: when using template tags in frontmatter attributes, the entire value must be wrapped in quotes`
+        : `frontmatter can't be read: ${error.reason ?? error.message}`
+    return [{ line, message }]
+  }
+}
+
+/**
+ * Find the ```templatejs code blocks, which are run as if they were in a '<% %>' tag
+ * @param {string} templateData
+ * @returns {{ codeBlocks: Array<CodeBlock>, problems: Array<TemplateLintProblem> }}
+ */
+function findCodeBlocks(templateData: string): { codeBlocks: Array<CodeBlock>, problems: Array<TemplateLintProblem> } {
+  const codeBlocks = []
+  const problems = []
+  let start = templateData.indexOf(CODE_BLOCK_START)
+  while (start >= 0) {
+    const codeStart = templateData.indexOf('\n', start) + 1
+    const close = codeStart > 0 ? templateData.indexOf('```', codeStart) : -1
+    if (close === -1) {
+      problems.push({ line: lineAt(templateData, start), message: `'${CODE_BLOCK_START}' code block isn't closed with a '\`\`\`' line` })
+      break
+    }
+    const code = templateData.slice(codeStart, close)
+    // blocks which already have tags in them are left as they are when rendering
+    if (!code.includes('<%')) {
+      codeBlocks.push({ code, line: lineAt(templateData, codeStart), start, end: close + 3 })
+    }
+    start = templateData.indexOf(CODE_BLOCK_START, close + 3)
+  }
+  return { codeBlocks, problems }
+}
+
+/**
+ * Check that '<%' and '%>' tags are balanced ('<%%' and '%%>' are literal text, so are skipped)
+ * @param {string} text - the template, with code blocks blanked out
+ * @returns {{ tags: Array<CodeSection>, problems: Array<TemplateLintProblem> }} the contents of each complete (non-comment) tag
+ */
+function findTags(text: string): { tags: Array<CodeSection>, problems: Array<TemplateLintProblem> } {
+  const tags = []
+  const problems = []
+  const tagRE = /<%%|%%>|<%|%>/g
+  let openIndex = -1
+  for (const match of text.matchAll(tagRE)) {
+    const index = match.index
+    if (match[0] === '<%') {
+      if (openIndex >= 0) {
+        problems.push({ line: lineAt(text, openIndex), message: `'<%' isn't closed before the next '<%' (on line ${lineAt(text, index)})` })
+      }
+      openIndex = index
+    } else if (match[0] === '%>') {
+      if (openIndex === -1) {
+        problems.push({ line: lineAt(text, index), message: `'%>' doesn't have a matching '<%'` })
+      } else {
+        const code = text.slice(openIndex + 2, index)
+        if (!code.startsWith('#')) {
+          tags.push({ code, line: lineAt(text, openIndex) })
+        }
+        openIndex = -1
+      }
+    }
+  }
+  if (openIndex >= 0) {
+    problems.push({ line: lineAt(text, openIndex), message: `'<%' isn't closed with a '%>'` })
+  }
+  return { tags, problems }
+}
+
+// Names the template uses for its own variables (e.g. `const note = Editor.note`), which hide the modules of the same name
+function declaredNames(sections: Array<CodeSection>): Array<string> {
+  const declarationRE = /\b(?:const|let|var)\s+([A-Za-z_$][\w$]*)|([A-Za-z_$][\w$]*)\s*\)?\s*=>/g
+  const names = []
+  for (const section of sections) {
+    for (const match of section.code.matchAll(declarationRE)) {
+      names.push(match[1] ?? match[2])
+    }
+  }
+  return names
+}
+
+function lintMethodCalls(section: CodeSection, moduleMethods: { [string]: Array<string> }, declared: Array<string>): Array<TemplateLintProblem> {
+  const problems = []
+  const callRE = /(^|[^\w$.])([A-Za-z_$][\w$]*)\.([A-Za-z_$][\w$]*)\s*\(/g
+  for (const match of section.code.matchAll(callRE)) {
+    const [, prefix, namespace, method] = match
+    const methods = moduleMethods[namespace]
+    if (methods && !methods.includes(method) && !declared.includes(namespace)) {
+      problems.push({
+        line: section.line + lineAt(section.code, match.index + prefix.length) - 1,
+        message: `'${namespace}' module doesn't have a '${method}' method`,
+      })
+    }
+  }
+  return problems
+}
+
+/**
+ * Find problems in a template
+ * @param {string} templateData - the whole template note
+ * @param {{ [string]: Array<string> }} moduleMethods - the methods of each module namespace (see TemplatingEngine.getModuleMethods)
+ * @returns {Array<TemplateLintProblem>} sorted by line
+ */
+export function lintTemplate(templateData: string, moduleMethods: { [string]: Array<string> }): Array<TemplateLintProblem> {
+  const { codeBlocks, problems: codeBlockProblems } = findCodeBlocks(templateData)
+
+  // blank out the code blocks (keeping their lines), as they don't have tags of their own
+  let text = templateData
+  for (const block of codeBlocks) {
+    text = text.slice(0, block.start) + text.slice(block.start, block.end).replace(/[^\n]/g, ' ') + text.slice(block.end)
+  }
+  const { tags, problems: tagProblems } = findTags(text)
+
+  const sections: Array<CodeSection> = [...tags, ...codeBlocks.map((block) => ({ code: block.code, line: block.line }))]
+  const declared = declaredNames(sections)
+  const methodProblems: Array<TemplateLintProblem> = []
+  for (const section of sections) {
+    methodProblems.push(...lintMethodCalls(section, moduleMethods, declared))
+  }
+
+  return [...lintFrontmatter(templateData), ...codeBlockProblems, ...tagProblems, ...methodProblems].sort((a, b) => a.line - b.line)
+}
+
+/**
+ * Make the 'Template Lint Results' note
+ * @param {Array<TemplateLintResult>} results - one for each template checked
+ * @param {string} runAt - when the templates were checked
+ * @returns {string}
+ */
+export function templateLintReport(results: Array<TemplateLintResult>, runAt: string): string {
+  const failed = results.filter((result) => result.problems.length > 0)
+  const lines = [`# ${TEMPLATE_LINT_RESULTS_TITLE}`, `Run at ${runAt}: ${results.length} templates checked, ${failed.length} with problems`]
+  for (const result of failed) {
+    lines.push('', `## ❌ ${result.templateTitle}`)
+    lines.push(...result.problems.map((problem) => `- line ${problem.line}: ${problem.message}`))
+  }
+  if (failed.length === 0) {
+    lines.push('', '✅ No problems found')
+  }
+  return lines.join('\n')
+}
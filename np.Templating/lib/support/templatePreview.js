@@ -0,0 +1,196 @@
+// @flow
+/*-------------------------------------------------------------------------------------------
+ * Template Preview
+ * Shows what a template will render to, and how the note it's going into will change,
+ * before anything is written. The 'Apply' button calls the hidden 'templatePreviewApply'
+ * command, which writes exactly what was previewed (rather than rendering it again).
+ * -----------------------------------------------------------------------------------------*/
+
+import pluginJson from '../../plugin.json'
+import { showHTMLV2 } from '@helpers/HTMLView'
+
+// Where the rendered template goes: at a character position (as with 'cursor' and end of note), or before a line (as with smart append/prepend)
+export type TemplatePlacement = 'cursor' | 'end' | 'append' | 'prepend'
+
+export type TemplatePreviewState = {
+  templateTitle: string,
+  filename: string,
+  placement: TemplatePlacement,
+  index: number, // a character index for 'cursor' and 'end', or a line index for 'append' and 'prepend'
+  renderedTemplate: string,
+  originalContent: string,
+}
+
+export type DiffLine = {
+  type: 'same' | 'added' | 'removed',
+  text: string,
+}
+
+export const TEMPLATE_PREVIEW_WINDOW_ID = `${pluginJson['plugin.id']}.templatePreview`
+
+const CONTEXT_LINES = 3
+
+const escapeHTML = (str: string = ''): string => {
+  return str.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;')
+}
+
+/**
+ * Work out what the note's content will be once the rendered template has been placed in it
+ * @param {string} content - current note content
+ * @param {string} renderedTemplate
+ * @param {TemplatePlacement} placement
+ * @param {number} index - a character index for 'cursor' and 'end', or a line index for 'append' and 'prepend'
+ * @returns {string}
+ */
+export function contentWithTemplate(content: string, renderedTemplate: string, placement: TemplatePlacement, index: number): string {
+  if (placement === 'cursor' || placement === 'end') {
+    return content.slice(0, index) + renderedTemplate + content.slice(index)
+  }
+  const lines = content.split('\n')
+  lines.splice(index, 0, renderedTemplate)
+  return lines.join('\n')
+}
+
+/**
+ * Line-by-line diff of two texts. Common leading and trailing lines are matched first, and then the (usually small) changed part is diffed using the longest common subsequence.
+ * @param {string} oldText
+ * @param {string} newText
+ * @returns {Array<DiffLine>}
+ */
+export function diffLines(oldText: string, newText: string): Array<DiffLine> {
+  const oldLines = oldText.split('\n')
+  const newLines = newText.split('\n')
+
+  let start = 0
+  while (start < oldLines.length && start < newLines.length && oldLines[start] === newLines[start]) {
+    start++
+  }
+  let oldEnd = oldLines.length
+  let newEnd = newLines.length
+  while (oldEnd > start && newEnd > start && oldLines[oldEnd - 1] === newLines[newEnd - 1]) {
+    oldEnd--
+    newEnd--
+  }
+
+  const oldMiddle = oldLines.slice(start, oldEnd)
+  const newMiddle = newLines.slice(start, newEnd)
+  // lcs[i][j] = length of longest common subsequence of oldMiddle[i..] and newMiddle[j..]
+  const lcs: Array<Array<number>> = Array.from({ length: oldMiddle.length + 1 }, () => new Array<number>(newMiddle.length + 1).fill(0))
+  for (let i = oldMiddle.length - 1; i >= 0; i--) {
+    for (let j = newMiddle.length - 1; j >= 0; j--) {
+      lcs[i][j] = oldMiddle[i] === newMiddle[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1])
+    }
+  }
+
+  const middle: Array<DiffLine> = []
+  let i = 0
+  let j = 0
+  while (i < oldMiddle.length || j < newMiddle.length) {
+    if (i < oldMiddle.length && j < newMiddle.length && oldMiddle[i] === newMiddle[j]) {
+      middle.push({ type: 'same', text: oldMiddle[i] })
+      i++
+      j++
+    } else if (j < newMiddle.length && (i === oldMiddle.length || lcs[i][j + 1] >= lcs[i + 1][j])) {
+      middle.push({ type: 'added', text: newMiddle[j] })
+      j++
+    } else {
+      middle.push({ type: 'removed', text: oldMiddle[i] })
+      i++
+    }
+  }
+
+  return [
+    ...oldLines.slice(0, start).map((text) => ({ type: 'same', text })),
+    ...middle,
+    ...oldLines.slice(oldEnd).map((text) => ({ type: 'same', text })),
+  ]
+}
+
+function diffHTML(diff: Array<DiffLine>): string {
+  // Only show unchanged lines near to a change
+  const isNearChange = (index: number): boolean => diff.slice(Math.max(index - CONTEXT_LINES, 0), index + CONTEXT_LINES + 1).some((line) => line.type !== 'same')
+  const rows = []
+  let skipping = false
+  diff.forEach((line, index) => {
+    if (line.type === 'same' && !isNearChange(index)) {
+      if (!skipping) {
+        rows.push(`<tr class="skipped"><td></td><td>…</td></tr>`)
+      }
+      skipping = true
+      return
+    }
+    skipping = false
+    const marker = line.type === 'added' ? '+' : line.type === 'removed' ? '-' : ''
+    rows.push(`<tr class="${line.type}"><td class="marker">${marker}</td><td>${escapeHTML(line.text)}</td></tr>`)
+  })
+  return `<table class="diff">${rows.join('\n')}</table>`
+}
+
+/**
+ * Make the HTML body for the preview window
+ * @param {TemplatePreviewState} state
+ * @param {string} noteTitle - of the note the template is going into
+ * @returns {string}
+ */
+export function templatePreviewHTML(state: TemplatePreviewState, noteTitle: string): string {
+  const newContent = contentWithTemplate(state.originalContent, state.renderedTemplate, state.placement, state.index)
+  return `
+<h2>Rendered template</h2>
+<pre class="rendered">${escapeHTML(state.renderedTemplate)}</pre>
+<h2>Changes to '${escapeHTML(noteTitle)}'</h2>
+${diffHTML(diffLines(state.originalContent, newContent))}
+<div class="buttons">
+  <button id="cancel">Cancel</button>
+  <button id="apply" class="mainButton">Apply</button>
+</div>`
+}
+
+function templatePreviewScript(state: TemplatePreviewState): string {
+  return `
+<script type="text/javascript">
+  const state = ${JSON.stringify(state).replace(/</g, '\\u003c')}
+  function sendToPlugin(action) {
+    const code = '(async function() { await DataStore.invokePluginCommandByName("templatePreviewApply", "np.Templating", [' + JSON.stringify(JSON.stringify(state)) + ', "' + action + '"]) })()'
+    window.webkit.messageHandlers.jsBridge.postMessage({ code: code, onHandle: 'neededDummyFunc', id: '1' })
+  }
+  document.getElementById('apply').addEventListener('click', () => sendToPlugin('apply'))
+  document.getElementById('cancel').addEventListener('click', () => sendToPlugin('cancel'))
+
+  // placeholder function; needed by the jsBridge
+  function neededDummyFunc(re, id) {}
+</script>`
+}
+
+const TEMPLATE_PREVIEW_CSS = `
+  body { margin: 1rem; }
+  pre.rendered { white-space: pre-wrap; padding: 0.5rem; border: 1px solid var(--divider-color, #CCC); }
+  table.diff { border-collapse: collapse; width: 100%; font-family: var(--fixed-font, monospace); font-size: 0.9rem; }
+  table.diff td { padding: 0 0.4rem; white-space: pre-wrap; vertical-align: top; }
+  table.diff td.marker { width: 1rem; text-align: center; }
+  tr.added { background-color: rgba(16, 176, 16, 0.2); }
+  tr.removed { background-color: rgba(224, 80, 80, 0.2); text-decoration: line-through; }
+  tr.skipped { opacity: 0.6; }
+  .buttons { margin-top: 1rem; text-align: right; }
+`
+
+/**
+ * Show the preview in an HTML window
+ * @param {TemplatePreviewState} state
+ * @param {string} noteTitle - of the note the template is going into
+ */
+export async function showTemplatePreview(state: TemplatePreviewState, noteTitle: string): Promise<void> {
+  await showHTMLV2(templatePreviewHTML(state, noteTitle), {
+    windowTitle: `Preview of '${state.templateTitle}'`,
+    customId: TEMPLATE_PREVIEW_WINDOW_ID,
+    generalCSSIn: '', // i.e. generate from theme
+    specificCSS: TEMPLATE_PREVIEW_CSS,
+    makeModal: false,
+    preBodyScript: '',
+    postBodyScript: templatePreviewScript(state),
+    savedFilename: 'templatePreview.html',
+    width: 700,
+    height: 700,
+    reuseUsersWindowRect: true,
+    shouldFocus: true,
+  })
+}
@@ -0,0 +1,138 @@
+// @flow
+/*-------------------------------------------------------------------------------------------
+ * Template Tests
+ * Lets template authors check what a template renders to, using a 'tests' section in its
+ * frontmatter. Each test gives a fixed date (and optionally time), fixed answers to the
+ * template's prompts, and snippets that the output must (or must not) contain:
+ *
+ *   tests:
+ *     - name: Monday morning
+ *       date: 2024-09-02 09:30
+ *       prompts:
+ *         mood: good
+ *       expect:
+ *         - "# Monday, 2024-09-02"
+ *       notExpect:
+ *         - Weekend
+ *
+ * The 'Run template tests' command renders each test and writes a report note.
+ * -----------------------------------------------------------------------------------------*/
+
+import moment from 'moment/min/moment-with-locales'
+
+export type TemplateTestCase = {
+  name: string,
+  date: ?Date, // if not given, the real date and time are used
+  prompts: { [string]: mixed },
+  expect: Array<string>,
+  notExpect: Array<string>,
+}
+
+export type TemplateTestResult = {
+  templateTitle: string,
+  testName: string,
+  failures: Array<string>, // empty if the test passed
+  output: string,
+}
+
+export const TEMPLATE_TEST_RESULTS_TITLE = 'Template Test Results'
+
+const TEST_DATE_FORMATS = ['YYYY-MM-DD HH:mm', 'YYYY-MM-DD HH:mm:ss', 'YYYY-MM-DDTHH:mm', 'YYYY-MM-DDTHH:mm:ss', 'YYYY-MM-DD']
+
+/**
+ * Get a test's date in local time. YAML turns some dates (e.g. 2024-09-02) into Dates at midnight UTC, so these are converted back to the same local date and time.
+ * @param {mixed} value - from the frontmatter
+ * @returns {?Date} null if not a valid date
+ */
+export function parseTestDate(value: mixed): ?Date {
+  if (value instanceof Date) {
+    return new Date(value.getUTCFullYear(), value.getUTCMonth(), value.getUTCDate(), value.getUTCHours(), value.getUTCMinutes(), value.getUTCSeconds())
+  }
+  const parsed = moment(String(value), TEST_DATE_FORMATS, true)
+  return parsed.isValid() ? parsed.toDate() : null
+}
+
+const toStringList = (value: mixed): Array<string> => {
+  if (value == null || value === '') {
+    return []
+  }
+  return Array.isArray(value) ? value.map((item) => String(item)) : [String(value)]
+}
+
+/**
+ * Get the tests from a template's frontmatter attributes
+ * Throws an Error if a test isn't valid (e.g. it has a date that can't be read, or nothing to check)
+ * @param {{[string]: mixed}} attributes
+ * @returns {Array<TemplateTestCase>} empty if the template has no tests
+ */
+export function getTemplateTests(attributes: { [string]: mixed }): Array<TemplateTestCase> {
+  const tests = attributes?.tests
+  if (tests == null || tests === '') {
+    return []
+  }
+  const testList: $ReadOnlyArray<any> = Array.isArray(tests) ? tests : [tests]
+  return testList.map((test, index) => {
+    if (test == null || typeof test !== 'object') {
+      throw new Error(`test ${index + 1} should have 'date', 'prompts' and 'expect' settings`)
+    }
+    const name = test.name ? String(test.name) : `Test ${index + 1}`
+    const date = test.date != null && test.date !== '' ? parseTestDate(test.date) : null
+    if (test.date != null && test.date !== '' && date == null) {
+      throw new Error(`'${name}' has a date that isn't of form YYYY-MM-DD or YYYY-MM-DD HH:mm: ${String(test.date)}`)
+    }
+    const prompts = test.prompts != null && typeof test.prompts === 'object' ? { ...test.prompts } : {}
+    const expect = toStringList(test.expect)
+    const notExpect = toStringList(test.notExpect)
+    if (expect.length === 0 && notExpect.length === 0) {
+      throw new Error(`'${name}' has nothing to check: add 'expect' (and/or 'notExpect') snippets`)
+    }
+    return { name, date, prompts, expect, notExpect }
+  })
+}
+
+/**
+ * Check rendered output against a test's expected snippets
+ * @param {string} output
+ * @param {TemplateTestCase} test
+ * @returns {Array<string>} the failures (empty if the test passed)
+ */
+export function checkTemplateOutput(output: string, test: TemplateTestCase): Array<string> {
+  const failures = []
+  for (const snippet of test.expect) {
+    if (!output.includes(snippet)) {
+      failures.push(`expected to find "${snippet}"`)
+    }
+  }
+  for (const snippet of test.notExpect) {
+    if (output.includes(snippet)) {
+      failures.push(`expected not to find "${snippet}"`)
+    }
+  }
+  return failures
+}
+
+/**
+ * Make the report note's content, grouping the results by template
+ * @param {Array<TemplateTestResult>} results
+ * @param {string} runAt - when the tests were run
+ * @returns {string}
+ */
+export function templateTestReport(results: Array<TemplateTestResult>, runAt: string): string {
+  const failedCount = results.filter((result) => result.failures.length > 0).length
+  const lines = [`# ${TEMPLATE_TEST_RESULTS_TITLE}`, `Run at ${runAt}: ${results.length - failedCount} passed, ${failedCount} failed`]
+
+  const templateTitles = [...new Set(results.map((result) => result.templateTitle))]
+  for (const templateTitle of templateTitles) {
+    const templateResults = results.filter((result) => result.templateTitle === templateTitle)
+    const passedCount = templateResults.filter((result) => result.failures.length === 0).length
+    lines.push('', `## ${passedCount === templateResults.length ? '✅' : '❌'} ${templateTitle} (${passedCount}/${templateResults.length})`)
+    for (const result of templateResults) {
+      lines.push(`- ${result.failures.length === 0 ? '✅' : '❌'} ${result.testName}`)
+      lines.push(...result.failures.map((failure) => `\t- ${failure}`))
+    }
+    for (const result of templateResults.filter((result) => result.failures.length > 0 && result.output !== '')) {
+      lines.push('', `Output of '${result.testName}':`, '```', result.output.replace(/```/g, '` ` `'), '```')
+    }
+  }
+  return lines.join('\n')
+}
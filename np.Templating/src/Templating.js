@@ -14,7 +14,7 @@ import { timestamp } from '@templatingModules/DateModule'
 import { getTemplateFolder } from 'NPTemplating'
 import { helpInfo } from '../lib/helpers'
 import { getSetting } from '@helpers/NPConfiguration'
-import { smartPrependPara, smartAppendPara } from '@helpers/paragraph'
+import { smartPrependPara, smartAppendPara, findStartOfActivePartOfNote, findEndOfActivePartOfNote } from '@helpers/paragraph'
 
 // helpers
 import { getWeatherSummary } from '../lib/support/modules/weatherSummary'
@@ -33,7 +33,14 @@ import DateModule from '../lib/support/modules/DateModule'
 
 // Editor
 import { templateFileByTitleEx } from './NPEditor'
-import { getNoteByFilename } from '../../helpers/note'
+import { getNoteByFilename, getOrMakeNote } from '../../helpers/note'
+import { closeWindowFromCustomId } from '@helpers/NPWindows'
+import { PROMPT_FORM_WINDOW_ID, showPromptForm, validatePromptAnswers } from '../lib/support/promptForm'
+import { showTemplatePreview, TEMPLATE_PREVIEW_WINDOW_ID } from '../lib/support/templatePreview'
+import { checkTemplateOutput, getTemplateTests, TEMPLATE_TEST_RESULTS_TITLE, templateTestReport, type TemplateTestCase, type TemplateTestResult } from '../lib/support/templateTests'
+import { freezeClock, unfreezeClock } from '../lib/support/modules/clock'
+import { lintTemplate, TEMPLATE_LINT_RESULTS_TITLE, templateLintReport, type TemplateLintResult } from '../lib/support/templateLint'
+import { autoTemplateDate, findAutoTemplateRule, getAutoTemplateRecords, isEmptyNote, parseAutoTemplateRules, recordAutoTemplate, splitFrontmatter } from '../lib/support/autoTemplates'
 
 export async function init(): Promise<void> {
   try {
@@ -102,12 +109,16 @@ export async function templateInit(): Promise<void> {
   }
 }
 
-export async function templateInsert(templateName: string = ''): Promise<void> {
+export async function templateInsert(templateName: string = '', formAnswers: string = ''): Promise<void> {
   try {
     if (Editor.type === 'Notes' || Editor.type === 'Calendar') {
       const selectedTemplate = templateName.length > 0 ? templateName : await NPTemplating.chooseTemplate()
       const templateData = await NPTemplating.getTemplate(selectedTemplate)
-      const { frontmatterBody, frontmatterAttributes } = await NPTemplating.preRender(templateData)
+      if (!formAnswers && (await NPTemplating.promptForm(templateData, { command: 'templateInsert', args: [selectedTemplate] }))) {
+        return // will be run again when the prompt form is submitted
+      }
+      const answers = formAnswers ? JSON.parse(formAnswers) : {}
+      const { frontmatterBody, frontmatterAttributes } = await NPTemplating.preRender(templateData, answers)
 
       // $FlowIgnore
       const renderedTemplate = await NPTemplating.render(frontmatterBody, frontmatterAttributes)
@@ -121,7 +132,7 @@ export async function templateInsert(templateName: string = ''): Promise<void> {
   }
 }
 
-export async function templateAppend(templateName: string = ''): Promise<void> {
+export async function templateAppend(templateName: string = '', formAnswers: string = ''): Promise<void> {
   try {
     if (Editor.type === 'Notes' || Editor.type === 'Calendar') {
       const content: string = Editor.content || ''
@@ -129,7 +140,11 @@ export async function templateAppend(templateName: string = ''): Promise<void> {
       // $FlowIgnore
       const selectedTemplate = templateName.length > 0 ? templateName : await NPTemplating.chooseTemplate()
       const templateData = await NPTemplating.getTemplate(selectedTemplate)
-      let { frontmatterBody, frontmatterAttributes } = await NPTemplating.preRender(templateData)
+      if (!formAnswers && (await NPTemplating.promptForm(templateData, { command: 'templateAppend', args: [selectedTemplate] }))) {
+        return // will be run again when the prompt form is submitted
+      }
+      const answers = formAnswers ? JSON.parse(formAnswers) : {}
+      let { frontmatterBody, frontmatterAttributes } = await NPTemplating.preRender(templateData, answers)
       let data = { ...frontmatterAttributes, frontmatter: { ...frontmatterAttributes } }
 
       let renderedTemplate = await NPTemplating.render(frontmatterBody, data)
@@ -148,7 +163,7 @@ export async function templateAppend(templateName: string = ''): Promise<void> {
   }
 }
 
-export async function templateInvoke(templateName?: string): Promise<void> {
+export async function templateInvoke(templateName?: string, formAnswers: string = ''): Promise<void> {
   try {
     if (Editor.type === 'Notes' || Editor.type === 'Calendar') {
       const content: string = Editor.content || ''
@@ -158,6 +173,9 @@ export async function templateInvoke(templateName?: string): Promise<void> {
         const notes = await DataStore.projectNoteByTitle(templateName, true)
         if (notes?.length) {
           selectedTemplateFilename = notes[0].filename
+        } else if (DataStore.projectNoteByFilename(templateName)) {
+          // a filename is passed when re-run from a prompt form
+          selectedTemplateFilename = templateName
         } else {
           logError(pluginJson, `Unable to locate template: ${templateName} which was passed to templateExecute`)
         }
@@ -165,7 +183,11 @@ export async function templateInvoke(templateName?: string): Promise<void> {
       // $FlowIgnore
       const selectedTemplate = selectedTemplateFilename ?? (await NPTemplating.chooseTemplate())
       const templateData = await NPTemplating.getTemplate(selectedTemplate)
-      let { frontmatterBody, frontmatterAttributes } = await NPTemplating.preRender(templateData)
+      if (!formAnswers && (await NPTemplating.promptForm(templateData, { command: 'templateInvoke', args: [selectedTemplate] }))) {
+        return // will be run again when the prompt form is submitted
+      }
+      const answers = formAnswers ? JSON.parse(formAnswers) : {}
+      let { frontmatterBody, frontmatterAttributes } = await NPTemplating.preRender(templateData, answers)
       let data = { ...frontmatterAttributes, frontmatter: { ...frontmatterAttributes } }
 
       const location = frontmatterAttributes?.location || 'append'
@@ -199,12 +221,13 @@ export async function templateInvoke(templateName?: string): Promise<void> {
   }
 }
 
-export async function templateNew(templateTitle: string = '', _folder?: string): Promise<void> {
+export async function templateNew(templateTitle: string = '', _folder?: string, formAnswers: string = ''): Promise<void> {
   try {
     let selectedTemplate // will be a filename
     if (templateTitle?.trim().length) {
       const options = await NPTemplating.getTemplateList()
-      const chosenOpt = options.find((option) => option.label === templateTitle)
+      // (a filename is passed when re-run from a prompt form)
+      const chosenOpt = options.find((option) => option.label === templateTitle || option.value === templateTitle)
       if (chosenOpt) {
         // variable passed is a note title, but we need the filename
         selectedTemplate = chosenOpt.value
@@ -215,11 +238,15 @@ export async function templateNew(templateTitle: string = '', _folder?: string):
     }
     const templateData = await NPTemplating.getTemplate(selectedTemplate)
     const templateAttributes = await NPTemplating.getTemplateAttributes(templateData)
+    if (!formAnswers && (await NPTemplating.promptForm(templateData, { command: 'templateNew', args: [selectedTemplate ?? '', _folder ?? ''] }))) {
+      return // will be run again when the prompt form is submitted
+    }
+    const answers = formAnswers ? JSON.parse(formAnswers) : {}
 
     let folder = _folder ?? ''
     let noteTitle = ''
 
-    const { frontmatterBody, frontmatterAttributes } = await NPTemplating.preRender(templateData)
+    const { frontmatterBody, frontmatterAttributes } = await NPTemplating.preRender(templateData, answers)
 
     if (!folder && frontmatterAttributes?.folder && frontmatterAttributes.folder.length > 0) {
       folder = await NPTemplating.getFolder(frontmatterAttributes.folder, 'Select Destination Folder')
@@ -535,6 +562,356 @@ export async function templateRunner(...args: Array<string>) {
   }
 }
 
+const PREVIEW_MODES = ['insert', 'append', 'invoke']
+
+/**
+ * Preview what a template will render to, and how it will change the current note, without writing anything.
+ * Renders with the same data as the matching command (templateInsert, templateAppend or templateInvoke), and puts the result in the same place.
+ * The preview window's 'Apply' button then writes it to the note (see templatePreviewApply).
+ * @param {string} templateName - template title or filename (will ask if not given)
+ * @param {string} mode - 'insert', 'append' or 'invoke' (will ask if not given)
+ * @param {string} formAnswers - JSON answers from a prompt form (used internally)
+ */
+export async function templatePreview(templateName: string = '', mode: string = '', formAnswers: string = ''): Promise<void> {
+  try {
+    const note = Editor.note
+    if (!note || (Editor.type !== 'Notes' && Editor.type !== 'Calendar')) {
+      await CommandBar.prompt('Template', 'You must have a Project Note or Calendar Note opened where you wish to preview a template.')
+      return
+    }
+
+    let previewMode = mode
+    if (!PREVIEW_MODES.includes(previewMode)) {
+      const { index } = await CommandBar.showOptions(['Insert at cursor', 'Append to end of note', "Invoke (using template's location)"], 'Preview template as if using ...')
+      previewMode = PREVIEW_MODES[index]
+    }
+
+    let selectedTemplate = templateName
+    if (selectedTemplate.length > 0 && !DataStore.projectNoteByFilename(selectedTemplate)) {
+      const notes = await DataStore.projectNoteByTitle(selectedTemplate, true)
+      selectedTemplate = notes?.length ? notes[0].filename : ''
+    }
+    if (selectedTemplate.length === 0) {
+      selectedTemplate = await NPTemplating.chooseTemplate()
+    }
+    const templateData = await NPTemplating.getTemplate(selectedTemplate)
+    if (!formAnswers && (await NPTemplating.promptForm(templateData, { command: 'templatePreview', args: [selectedTemplate, previewMode] }))) {
+      return // will be run again when the prompt form is submitted
+    }
+    const answers = formAnswers ? JSON.parse(formAnswers) : {}
+
+    // Render with the same data as the matching command
+    const { frontmatterBody, frontmatterAttributes } = await NPTemplating.preRender(templateData, answers)
+    const data = previewMode === 'insert' ? frontmatterAttributes : { ...frontmatterAttributes, frontmatter: { ...frontmatterAttributes } }
+    const renderedTemplate = await NPTemplating.render(frontmatterBody, data)
+
+    // Work out where it will go, in the same way as the matching command
+    const content: string = Editor.content || ''
+    const location = frontmatterAttributes?.location || 'append'
+    const placement =
+      previewMode === 'insert'
+        ? 'cursor'
+        : previewMode === 'append'
+        ? location === 'cursor'
+          ? 'cursor'
+          : 'end'
+        : location === 'append' || location === 'prepend'
+        ? location
+        : 'cursor'
+    const index =
+      placement === 'cursor'
+        ? Editor.selection?.start ?? content.length
+        : placement === 'end'
+        ? content.length
+        : placement === 'append'
+        ? findEndOfActivePartOfNote(note) + 1
+        : findStartOfActivePartOfNote(note)
+
+    const state = {
+      templateTitle: frontmatterAttributes?.title ?? selectedTemplate,
+      filename: note.filename,
+      placement,
+      index,
+      renderedTemplate,
+      originalContent: content,
+    }
+    await showTemplatePreview(state, note.title ?? note.filename)
+  } catch (error) {
+    logError(pluginJson, error)
+  }
+}
+
+/**
+ * Called by the template preview window. Writes exactly what was previewed to the note, unless the note has changed since the preview was made.
+ * @param {string} stateJSON - the preview's state
+ * @param {string} action - 'apply' or 'cancel'
+ */
+export async function templatePreviewApply(stateJSON: string = '', action: string = 'apply'): Promise<any> {
+  try {
+    closeWindowFromCustomId(TEMPLATE_PREVIEW_WINDOW_ID)
+    if (action !== 'apply') {
+      return {}
+    }
+    const state = JSON.parse(stateJSON)
+    if (Editor.filename !== state.filename) {
+      await Editor.openNoteByFilename(state.filename)
+    }
+    if ((Editor.content || '') !== state.originalContent) {
+      await CommandBar.prompt('Template Preview', `The note has changed since the preview of '${state.templateTitle}' was made, so it hasn't been applied. Please preview it again.`)
+      return {}
+    }
+
+    switch (state.placement) {
+      case 'append':
+        smartAppendPara(Editor, state.renderedTemplate, 'text')
+        break
+      case 'prepend':
+        smartPrependPara(Editor, state.renderedTemplate, 'text')
+        break
+      default:
+        // 'cursor' and 'end'
+        Editor.insertTextAtCharacterIndex(state.renderedTemplate, state.index)
+        break
+    }
+    return {} // apparently required to avoid error in log
+  } catch (error) {
+    logError(pluginJson, error)
+    return {}
+  }
+}
+
+/**
+ * Called by the prompt form window when it is submitted (see lib/support/promptForm.js).
+ * If the answers are valid, closes the form and re-runs the command that showed it, now with the answers; otherwise shows the form again with the problems.
+ * @param {string} stateJSON - the form's state, including the answers given
+ */
+export async function templateFormSubmit(stateJSON: string = ''): Promise<any> {
+  try {
+    const state = JSON.parse(stateJSON)
+    const errors = validatePromptAnswers(state.fields, state.answers)
+    if (errors.length > 0) {
+      await showPromptForm(state, errors)
+      return {}
+    }
+    closeWindowFromCustomId(PROMPT_FORM_WINDOW_ID)
+
+    const answers = JSON.stringify(state.answers)
+    const [templateName, otherArg] = state.resume.args
+    switch (state.resume.command) {
+      case 'templateInsert':
+        await templateInsert(templateName, answers)
+        break
+      case 'templateAppend':
+        await templateAppend(templateName, answers)
+        break
+      case 'templateInvoke':
+        await templateInvoke(templateName, answers)
+        break
+      case 'templateNew':
+        await templateNew(templateName, otherArg, answers)
+        break
+      case 'templatePreview':
+        await templatePreview(templateName, otherArg, answers)
+        break
+      default:
+        logError(pluginJson, `templateFormSubmit: don't know how to resume '${state.resume.command}'`)
+    }
+    return {} // apparently required to avoid error in log
+  } catch (error) {
+    logError(pluginJson, error)
+    return {}
+  }
+}
+
+/**
+ * Run one template test: render the template with the test's date and prompt answers, and check the output
+ * @param {string} templateData
+ * @param {TemplateTestCase} test
+ * @returns {Promise<{ failures: Array<string>, output: string }>}
+ */
+async function runTemplateTest(templateData: string, test: TemplateTestCase): Promise<{ failures: Array<string>, output: string }> {
+  // Prompts without an answer would stop and ask, so they fail the test instead
+  const unanswered = await NPTemplating.getPromptFields(await NPTemplating.resolveInheritance(templateData), test.prompts)
+  if (unanswered.length > 0) {
+    return { failures: [`no answer given in 'prompts' for: ${unanswered.map((field) => field.varName).join(', ')}`], output: '' }
+  }
+
+  if (test.date) {
+    freezeClock(test.date)
+  }
+  try {
+    const { frontmatterBody, frontmatterAttributes } = await NPTemplating.preRender(templateData, test.prompts)
+    const output = await NPTemplating.render(frontmatterBody, frontmatterAttributes)
+    return { failures: checkTemplateOutput(output, test), output }
+  } finally {
+    unfreezeClock()
+  }
+}
+
+/**
+ * Run the tests in the frontmatter of all templates (or just the given one), and write the results to the 'Template Test Results' note (see lib/support/templateTests.js)
+ * @param {string} templateName - title or filename of a template to test (optional)
+ */
+export async function templateRunTests(templateName: string = ''): Promise<void> {
+  try {
+    const templateFolder = await getTemplateFolder()
+    const templateNotes = DataStore.projectNotes
+      .filter((note) => note.filename.startsWith(templateFolder))
+      .filter((note) => templateName === '' || note.title === templateName || note.filename === templateName)
+      .sort((a, b) => a.filename.localeCompare(b.filename))
+
+    const results: Array<TemplateTestResult> = []
+    for (const note of templateNotes) {
+      const templateData = note.content || ''
+      const templateTitle = note.title || note.filename
+      let tests: Array<TemplateTestCase> = []
+      try {
+        tests = getTemplateTests(new FrontmatterModule().attributes(templateData))
+      } catch (error) {
+        results.push({ templateTitle, testName: 'tests', failures: [`invalid 'tests' section: ${error.message}`], output: '' })
+        continue
+      }
+      for (const test of tests) {
+        try {
+          results.push({ templateTitle, testName: test.name, ...(await runTemplateTest(templateData, test)) })
+        } catch (error) {
+          results.push({ templateTitle, testName: test.name, failures: [error.message], output: '' })
+        }
+      }
+    }
+
+    if (results.length === 0) {
+      const message = templateName ? `Template '${templateName}' has no 'tests' section in its frontmatter` : `No templates have a 'tests' section in their frontmatter`
+      await CommandBar.prompt('Template Tests', message)
+      return
+    }
+
+    const reportNote = await getOrMakeNote(TEMPLATE_TEST_RESULTS_TITLE, '/')
+    if (reportNote == null) {
+      logError(pluginJson, `templateRunTests: unable to make '${TEMPLATE_TEST_RESULTS_TITLE}' note`)
+      return
+    }
+    reportNote.content = templateTestReport(results, timestamp())
+    await Editor.openNoteByFilename(reportNote.filename)
+  } catch (error) {
+    logError(pluginJson, error)
+  }
+}
+
+/**
+ * Check templates for problems without rendering them (see lib/support/templateLint.js), and write a report note
+ * @param {string} templateName - title or filename of one template to check (default: all templates)
+ */
+export async function templateLint(templateName: string = ''): Promise<void> {
+  try {
+    const templateFolder = await getTemplateFolder()
+    const templateNotes = DataStore.projectNotes
+      .filter((note) => note.filename.startsWith(templateFolder))
+      .filter((note) => templateName === '' || note.title === templateName || note.filename === templateName)
+      .sort((a, b) => a.filename.localeCompare(b.filename))
+    if (templateNotes.length === 0) {
+      await CommandBar.prompt('Template Lint', templateName ? `Unable to locate template '${templateName}'` : `No templates found in '${templateFolder}'`)
+      return
+    }
+
+    const moduleMethods = await NPTemplating.getModuleMethods()
+    const results: Array<TemplateLintResult> = templateNotes.map((note) => ({
+      templateTitle: note.title || note.filename,
+      problems: lintTemplate(note.content || '', moduleMethods),
+    }))
+
+    const reportNote = await getOrMakeNote(TEMPLATE_LINT_RESULTS_TITLE, '/')
+    if (reportNote == null) {
+      logError(pluginJson, `templateLint: unable to make '${TEMPLATE_LINT_RESULTS_TITLE}' note`)
+      return
+    }
+    reportNote.content = templateLintReport(results, timestamp())
+    await Editor.openNoteByFilename(reportNote.filename)
+  } catch (error) {
+    logError(pluginJson, error)
+  }
+}
+
+/**
+ * Apply the first matching 'autoTemplateRules' rule's template to a note, if it's empty and hasn't had one applied before (see lib/support/autoTemplates.js)
+ * @param {TNote} note
+ * @returns {Promise<?string>} the template applied, if any
+ */
+async function applyAutoTemplate(note: TNote): Promise<?string> {
+  const settings = await NPTemplating.getSettings()
+  const rule = findAutoTemplateRule(parseAutoTemplateRules(settings?.autoTemplateRules), note)
+  if (rule == null || !isEmptyNote(note) || getAutoTemplateRecords()[note.filename]) {
+    return null
+  }
+
+  const templateData = await NPTemplating.getTemplate(rule.template, { showChoices: false, silent: true })
+  if (!templateData) {
+    logError(pluginJson, `applyAutoTemplate: unable to find template '${rule.template}' for '${note.filename}'`)
+    return null
+  }
+  // Render as at the calendar note's date, rather than today's
+  const noteDate = autoTemplateDate(note)
+  if (noteDate) {
+    freezeClock(noteDate)
+  }
+  let renderedTemplate = ''
+  try {
+    const { frontmatterBody, frontmatterAttributes } = await NPTemplating.preRender(templateData)
+    renderedTemplate = await NPTemplating.render(frontmatterBody, { ...frontmatterAttributes, frontmatter: { ...frontmatterAttributes } })
+  } finally {
+    unfreezeClock()
+  }
+  if (renderedTemplate.startsWith('**Error')) {
+    logError(pluginJson, `applyAutoTemplate: '${rule.template}' didn't render for '${note.filename}':\n${renderedTemplate}`)
+    return null
+  }
+
+  // Record first, so that even if writing the note triggers another onOpen, the template isn't applied twice
+  recordAutoTemplate(note.filename, rule.template)
+  // Keep the note's frontmatter (which has the onOpen trigger), and project notes keep their title
+  const { frontmatter, body } = splitFrontmatter(note.content ?? '')
+  const title = note.type === 'Calendar' ? '' : body.trim()
+  note.content = [frontmatter, title, renderedTemplate].filter((part) => part !== '').join('\n')
+  return rule.template
+}
+
+/**
+ * onOpen trigger: apply the 'autoTemplateRules' to the note being opened, if it's empty.
+ * Note: this only runs in notes that already have the trigger in their frontmatter, as NotePlan has no trigger for new notes.
+ * @param {TNote} note
+ */
+export async function onOpenAutoTemplate(note: TNote): Promise<void> {
+  try {
+    const template = await applyAutoTemplate(note)
+    if (template) {
+      logDebug(pluginJson, `onOpenAutoTemplate: applied '${template}' to '${note.filename}'`)
+    }
+  } catch (error) {
+    logError(pluginJson, `onOpenAutoTemplate: ${error.message}`)
+  }
+}
+
+/**
+ * Apply the 'autoTemplateRules' to the note open in the Editor, as the onOpen trigger would
+ */
+export async function templateAutoApply(): Promise<void> {
+  try {
+    const note = Editor.note
+    if (note == null) {
+      await CommandBar.prompt('Template', 'Please open the note you would like to apply the template rules to.')
+      return
+    }
+    const template = await applyAutoTemplate(note)
+    if (template == null) {
+      const record = getAutoTemplateRecords()[note.filename]
+      const reason = record ? `'${record.template}' was applied to this note on ${record.appliedAt}` : `This note isn't empty, or no 'Auto template rules' apply to it`
+      await CommandBar.prompt('Template', reason)
+    }
+  } catch (error) {
+    logError(pluginJson, error)
+  }
+}
+
 export async function templateAbout(params: any = []): Promise<string> {
   try {
     const version = pluginJson['plugin.version']
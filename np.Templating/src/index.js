@@ -22,6 +22,13 @@ export { templateSamples } from './Templating'
 export { templateExecute } from './Templating'
 export { templateRunner } from './Templating'
 export { templateWOTD } from './Templating'
+export { templatePreview } from './Templating'
+export { templateFormSubmit } from './Templating'
+export { templatePreviewApply } from './Templating'
+export { templateRunTests } from './Templating'
+export { templateLint } from './Templating'
+export { templateAutoApply } from './Templating'
+export { onOpenAutoTemplate } from './Templating'
 
 // np.Templating Utility Commands
 export { templateAbout } from './Templating'
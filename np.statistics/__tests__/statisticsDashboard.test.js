@@ -0,0 +1,95 @@
+/* global describe, expect, test, beforeAll */
+// @flow
+import { calcVaultStatistics } from '../src/statisticsDashboard'
+import { hyphenatedDateString } from '@helpers/dateTime'
+import { DataStore } from '@mocks/index'
+
+const today = new Date()
+const monthsAgo = (months: number): Date => new Date(today.getFullYear(), today.getMonth() - months, 15)
+const monthStr = (months: number): string => hyphenatedDateString(monthsAgo(months)).slice(0, 7)
+
+const para = (type: string, content: string): Object => ({ type, content })
+const makeNote = (filename: string, title: string, paragraphs: Array<Object>, createdDate: Date, fields: Object = {}): Object => ({
+  type: 'Notes',
+  filename,
+  title,
+  paragraphs,
+  hashtags: [],
+  mentions: [],
+  createdDate,
+  changedDate: createdDate,
+  ...fields,
+})
+
+beforeAll(() => {
+  global.DataStore = DataStore
+  DataStore.settings['_logLevel'] = 'none' //change this to DEBUG to get more logging
+  DataStore.projectNotes = [
+    makeNote('Projects/Alpha.md', 'Alpha', [para('title', 'Alpha'), para('open', 'write intro for [[Beta]]'), para('done', 'plan it'), para('checklist', 'buy pens')], monthsAgo(0), {
+      hashtags: ['#project', '#project'],
+      mentions: ['@review(1w)'],
+    }),
+    makeNote('Projects/Beta.md', 'Beta', [para('title', 'Beta'), para('cancelled', 'old idea'), para('text', 'see [[Alpha#Tasks]] and https://example.com')], monthsAgo(0), {
+      hashtags: ['#project'],
+    }),
+    makeNote('Gamma.md', 'Gamma', [para('title', 'Gamma'), para('scheduled', 'moved >2024-01-01'), para('text', 'also [[Beta]]')], monthsAgo(3)),
+    makeNote('Old.md', 'Old', [para('title', 'Old')], monthsAgo(60)),
+    makeNote('@Templates/Daily.md', 'Daily', [para('open', 'not counted')], monthsAgo(0)),
+    makeNote('@Archive/Done.md', 'Done', [para('open', 'not counted')], monthsAgo(0)),
+  ]
+  DataStore.calendarNotes = [
+    makeNote('20241018.md', '', [para('open', 'call [[Alpha]]'), para('checklistDone', 'packed')], monthsAgo(0), { type: 'Calendar' }),
+    makeNote('2024-W42.md', '', [para('done', 'weekly review')], monthsAgo(0), { type: 'Calendar' }),
+  ]
+})
+
+describe('statisticsDashboard', () => {
+  describe('calcVaultStatistics()', () => {
+    test('counts notes, ignoring @Templates and @Archive, and only daily calendar notes', () => {
+      const { snapshot } = calcVaultStatistics()
+      expect(snapshot.projectNotes).toEqual(4)
+      expect(snapshot.calendarNotes).toEqual(1)
+    })
+
+    test('counts tasks and checklists', () => {
+      const { snapshot } = calcVaultStatistics()
+      expect(snapshot.openTasks).toEqual(2)
+      expect(snapshot.doneTasks).toEqual(2)
+      expect(snapshot.cancelledTasks).toEqual(1)
+      expect(snapshot.scheduledTasks).toEqual(1)
+      expect(snapshot.openChecklists).toEqual(1)
+      expect(snapshot.doneChecklists).toEqual(1)
+    })
+
+    test('counts tags and mentions once per note', () => {
+      const stats = calcVaultStatistics()
+      expect(stats.snapshot.tags).toEqual(1)
+      expect(stats.snapshot.mentions).toEqual(1)
+      expect(stats.topTags).toEqual([['#project', 2]])
+      expect(stats.topMentions).toEqual([['@review', 1]])
+    })
+
+    test('counts links, ignoring headings in note links', () => {
+      const stats = calcVaultStatistics()
+      expect(stats.snapshot.noteLinks).toEqual(4)
+      expect(stats.snapshot.webLinks).toEqual(1)
+      expect(stats.mostLinkedTo).toEqual([['Alpha', 2], ['Beta', 2]])
+      expect(stats.unlinkedNotes).toEqual(2)
+    })
+
+    test('counts per folder, with calendar notes together', () => {
+      const { folders } = calcVaultStatistics()
+      expect(folders.map((f) => [f.folder, f.notes])).toEqual([['(calendar notes)', 2], ['/', 2], ['Projects', 2]])
+      const projectsFolder = folders.find((f) => f.folder === 'Projects')
+      expect(projectsFolder).toEqual(expect.objectContaining({ open: 1, done: 1, cancelled: 1, scheduled: 0 }))
+    })
+
+    test('growth of project notes by month created, with a running total', () => {
+      const { growth } = calcVaultStatistics()
+      expect(growth.length).toEqual(24)
+      expect(growth[0]).toEqual({ month: monthStr(23), created: 0, total: 1 })
+      expect(growth[20]).toEqual({ month: monthStr(3), created: 1, total: 2 })
+      expect(growth[23]).toEqual({ month: monthStr(0), created: 2, total: 4 })
+    })
+  })
+})
@@ -12,6 +12,7 @@ import { updateSettingData } from '@helpers/NPConfiguration'
 import { showMessage } from '@helpers/userInput'
 
 export { showNoteCount } from './showNoteCount'
+export { showStatisticsDashboard } from './statisticsDashboard'
 export { showWordCount } from './showWordCount'
 export { showTaskCountForAll, showTaskCountForNote } from './taskNoteStats'
 
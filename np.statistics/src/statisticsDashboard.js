@@ -0,0 +1,319 @@
+// @flow
+// Last updated 19.10.2026 for v0.7.0
+
+import pluginJson from '../plugin.json'
+import { hyphenatedDateString, isDailyNote } from '@helpers/dateTime'
+import { log, logError } from '@helpers/dev'
+import { getFolderFromFilename } from '@helpers/folders'
+import { createOpenOrDeleteNoteCallbackUrl, displayTitle, percent } from '@helpers/general'
+import { showHTMLV2 } from '@helpers/HTMLView'
+import { RE_NOTELINK_CAPTURE_TITLE_G } from '@helpers/regex'
+
+//-----------------------------------------------------------------------------
+
+type FolderStats = {
+  folder: string,
+  notes: number,
+  words: number,
+  open: number,
+  done: number,
+  cancelled: number,
+  scheduled: number,
+}
+
+type NoteSummary = {
+  title: string,
+  filename: string,
+  words: number,
+  changedDateStr: string, // YYYY-MM-DD
+}
+
+// The numbers saved each day, so that trends can be compared
+export type StatisticsSnapshot = {
+  date: string, // YYYY-MM-DD
+  projectNotes: number,
+  calendarNotes: number,
+  words: number,
+  openTasks: number,
+  doneTasks: number,
+  cancelledTasks: number,
+  scheduledTasks: number,
+  openChecklists: number,
+  doneChecklists: number,
+  tags: number, // distinct #hashtags
+  mentions: number, // distinct @mentions
+  noteLinks: number,
+  webLinks: number,
+}
+
+export type VaultStatistics = {
+  snapshot: StatisticsSnapshot,
+  folders: Array<FolderStats>,
+  growth: Array<{ month: string, created: number, total: number }>, // project notes, by month created
+  topTags: Array<[string, number]>, // [tag, number of notes using it]
+  topMentions: Array<[string, number]>,
+  largestNotes: Array<NoteSummary>,
+  stalestNotes: Array<NoteSummary>,
+  mostLinkedTo: Array<[string, number]>, // [title, number of links to it]
+  unlinkedNotes: number, // project notes no other note links to
+}
+
+const windowCustomId = `${pluginJson['plugin.id']}.statistics-dashboard`
+const SNAPSHOTS_FILENAME = 'statistics_snapshots.json'
+const CALENDAR_FOLDER_NAME = '(calendar notes)'
+const GROWTH_MONTHS = 24
+const TOP_N = 10
+const SNAPSHOTS_TO_SHOW = 12
+
+const RE_WEB_LINKS = /https?:\/\/[^\s)\]>]+/g
+
+//-----------------------------------------------------------------------------
+
+// Show a window of statistics for all notes, ignoring @special folders, and save today's snapshot of the main numbers
+export async function showStatisticsDashboard(): Promise<void> {
+  try {
+    CommandBar.showLoading(true, 'Calculating statistics for all notes ...')
+    await CommandBar.onAsyncThread()
+    const stats = calcVaultStatistics()
+    await CommandBar.onMainThread()
+    CommandBar.showLoading(false)
+
+    const snapshots = saveSnapshot(stats.snapshot)
+    const body = makeDashboardHTML(stats, snapshots)
+    const specificCSS = `
+  .dashboard { padding: 0 0.5rem; }
+  .dashboard table { border-collapse: collapse; margin-bottom: 1rem; }
+  .dashboard th, .dashboard td { padding: 0.1rem 0.6rem; text-align: right; }
+  .dashboard th:first-child, .dashboard td:first-child { text-align: left; }
+  .bar { display: inline-block; height: 0.7rem; background-color: var(--tint-color); }
+  .columns { display: flex; flex-wrap: wrap; gap: 0 2rem; }
+  .up { color: green; }
+  .down { color: red; }
+`
+    const winOpts = {
+      windowTitle: 'Statistics Dashboard',
+      width: 900,
+      height: 800,
+      generalCSSIn: '', // i.e. generate from theme
+      specificCSS: specificCSS,
+      preBodyScript: '',
+      postBodyScript: '',
+      customId: windowCustomId,
+      savedFilename: 'statistics-dashboard.html',
+      makeModal: false,
+      reuseUsersWindowRect: true,
+      shouldFocus: true,
+    }
+    await showHTMLV2(body, winOpts)
+  } catch (error) {
+    await CommandBar.onMainThread()
+    CommandBar.showLoading(false)
+    logError(pluginJson, `showStatisticsDashboard: ${error.message}`)
+  }
+}
+
+/**
+ * Calculate statistics for all project notes (except those in @Templates, @Trash and @Archive) and calendar notes
+ * @returns {VaultStatistics}
+ */
+export function calcVaultStatistics(): VaultStatistics {
+  const projectNotes = DataStore.projectNotes.filter(
+    (n) => !n.filename.startsWith('@Templates') && !n.filename.startsWith('@Trash') && !n.filename.startsWith('@Archive'),
+  )
+  const calendarNotes = DataStore.calendarNotes.slice()
+  const snapshot: StatisticsSnapshot = {
+    date: hyphenatedDateString(new Date()),
+    projectNotes: projectNotes.length,
+    calendarNotes: calendarNotes.filter((n) => isDailyNote(n)).length, // just count days, as in /note stats
+    words: 0,
+    openTasks: 0,
+    doneTasks: 0,
+    cancelledTasks: 0,
+    scheduledTasks: 0,
+    openChecklists: 0,
+    doneChecklists: 0,
+    tags: 0,
+    mentions: 0,
+    noteLinks: 0,
+    webLinks: 0,
+  }
+  const folderMap: Map<string, FolderStats> = new Map()
+  const tagMap: Map<string, number> = new Map()
+  const mentionMap: Map<string, number> = new Map()
+  const linkedToMap: Map<string, number> = new Map()
+  const noteSummaries: Array<NoteSummary> = []
+  const projectSummaries: Array<NoteSummary> = []
+  const increment = (map: Map<string, number>, key: string) => map.set(key, (map.get(key) ?? 0) + 1)
+
+  for (const n of projectNotes.concat(calendarNotes)) {
+    const isCalendarNote = n.type === 'Calendar'
+    const folder = isCalendarNote ? CALENDAR_FOLDER_NAME : getFolderFromFilename(n.filename)
+    const folderStats = folderMap.get(folder) ?? { folder: folder, notes: 0, words: 0, open: 0, done: 0, cancelled: 0, scheduled: 0 }
+    folderStats.notes++
+
+    let words = 0
+    for (const p of n.paragraphs) {
+      words += p.content.match(/\w+/g)?.length ?? 0
+      switch (p.type) {
+        case 'open':
+          folderStats.open++
+          snapshot.openTasks++
+          break
+        case 'done':
+          folderStats.done++
+          snapshot.doneTasks++
+          break
+        case 'cancelled':
+          folderStats.cancelled++
+          snapshot.cancelledTasks++
+          break
+        case 'scheduled':
+          folderStats.scheduled++
+          snapshot.scheduledTasks++
+          break
+        case 'checklist':
+          snapshot.openChecklists++
+          break
+        case 'checklistDone':
+          snapshot.doneChecklists++
+          break
+      }
+      for (const match of p.content.matchAll(RE_NOTELINK_CAPTURE_TITLE_G)) {
+        // ignore any heading or block link part
+        increment(linkedToMap, match[1].split('#')[0].split('^')[0].trim())
+        snapshot.noteLinks++
+      }
+      snapshot.webLinks += p.content.match(RE_WEB_LINKS)?.length ?? 0
+    }
+    folderStats.words += words
+    snapshot.words += words
+    folderMap.set(folder, folderStats)
+
+    // count each tag and mention (without any value) once per note
+    for (const tag of new Set(n.hashtags)) increment(tagMap, tag)
+    for (const mention of new Set(n.mentions.map((m) => m.replace(/\(.*\)$/, '')))) increment(mentionMap, mention)
+
+    const noteSummary = { title: displayTitle(n), filename: n.filename, words: words, changedDateStr: hyphenatedDateString(n.changedDate) }
+    noteSummaries.push(noteSummary)
+    if (!isCalendarNote) projectSummaries.push(noteSummary)
+  }
+  snapshot.tags = tagMap.size
+  snapshot.mentions = mentionMap.size
+
+  // Growth of project notes over the last GROWTH_MONTHS months, by created date
+  const createdMonthMap: Map<string, number> = new Map()
+  for (const n of projectNotes) {
+    increment(createdMonthMap, hyphenatedDateString(n.createdDate).slice(0, 7))
+  }
+  const growth = []
+  const today = new Date()
+  const firstGrowthMonth = hyphenatedDateString(new Date(today.getFullYear(), today.getMonth() - GROWTH_MONTHS + 1, 1)).slice(0, 7)
+  let total = [...createdMonthMap].filter(([month]) => month < firstGrowthMonth).reduce((sum, [_month, count]) => sum + count, 0)
+  for (let i = GROWTH_MONTHS - 1; i >= 0; i--) {
+    const month = hyphenatedDateString(new Date(today.getFullYear(), today.getMonth() - i, 1)).slice(0, 7)
+    const created = createdMonthMap.get(month) ?? 0
+    total += created
+    growth.push({ month, created, total })
+  }
+
+  const projectTitles = new Set(projectNotes.map((n) => n.title ?? ''))
+  const topOf = (map: Map<string, number>) => [...map].sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0])).slice(0, TOP_N)
+
+  return {
+    snapshot: snapshot,
+    folders: [...folderMap.values()].sort((a, b) => b.notes - a.notes || a.folder.localeCompare(b.folder)),
+    growth: growth,
+    topTags: topOf(tagMap),
+    topMentions: topOf(mentionMap),
+    largestNotes: noteSummaries.slice().sort((a, b) => b.words - a.words).slice(0, TOP_N),
+    stalestNotes: projectSummaries.sort((a, b) => a.changedDateStr.localeCompare(b.changedDateStr)).slice(0, TOP_N),
+    mostLinkedTo: topOf(new Map([...linkedToMap].filter(([title]) => projectTitles.has(title)))),
+    unlinkedNotes: projectNotes.filter((n) => !linkedToMap.has(n.title ?? '')).length,
+  }
+}
+
+/**
+ * Add (or replace) today's snapshot to those saved in the plugin's data folder
+ * @param {StatisticsSnapshot} snapshot
+ * @returns {Array<StatisticsSnapshot>} all saved snapshots, oldest first
+ */
+function saveSnapshot(snapshot: StatisticsSnapshot): Array<StatisticsSnapshot> {
+  let snapshots: Array<StatisticsSnapshot> = []
+  try {
+    const saved = DataStore.loadData(SNAPSHOTS_FILENAME, true)
+    if (saved) snapshots = JSON.parse(saved)
+  } catch (error) {
+    logError(pluginJson, `saveSnapshot: can't read '${SNAPSHOTS_FILENAME}', so will start again: ${error.message}`)
+  }
+  snapshots = snapshots.filter((s) => s.date !== snapshot.date).concat(snapshot).sort((a, b) => a.date.localeCompare(b.date))
+  DataStore.saveData(JSON.stringify(snapshots, null, 1), SNAPSHOTS_FILENAME, true)
+  log(pluginJson, `saved snapshot for ${snapshot.date} (${snapshots.length} snapshots)`)
+  return snapshots
+}
+
+// Make the body of the dashboard window
+function makeDashboardHTML(stats: VaultStatistics, snapshots: Array<StatisticsSnapshot>): string {
+  const s = stats.snapshot
+  const esc = (str: string) => str.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+  const num = (n: number) => n.toLocaleString()
+  const bar = (value: number, max: number) => `<span class="bar" style="width: ${max > 0 ? Math.round((120 * value) / max) : 0}px"></span>`
+  const noteLink = (ns: NoteSummary) => `<a href="${createOpenOrDeleteNoteCallbackUrl(ns.filename, 'filename')}">${esc(ns.title)}</a>`
+  const table = (headings: Array<string>, rows: $ReadOnlyArray<$ReadOnlyArray<string | number>>) =>
+    `<table><tr>${headings.map((h) => `<th>${h}</th>`).join('')}</tr>
+${rows.map((row) => `<tr>${row.map((cell) => `<td>${typeof cell === 'number' ? num(cell) : cell}</td>`).join('')}</tr>`).join('\n')}
+</table>`
+
+  const tasksTotal = s.openTasks + s.doneTasks + s.cancelledTasks
+  const maxFolderNotes = Math.max(0, ...stats.folders.map((f) => f.notes))
+  const maxCreated = Math.max(0, ...stats.growth.map((g) => g.created))
+
+  // Compare with previous snapshots, most recent first
+  const trendKeys = ['projectNotes', 'calendarNotes', 'words', 'openTasks', 'doneTasks', 'tags', 'mentions', 'noteLinks']
+  const trendHeadings = ['Date', 'Project notes', 'Daily notes', 'Words', 'Open tasks', 'Done tasks', 'Tags', 'Mentions', 'Note links']
+  const shownSnapshots = snapshots.slice(-SNAPSHOTS_TO_SHOW).reverse()
+  const trendRows = shownSnapshots.map((snap, i) => {
+    const previous = shownSnapshots[i + 1]
+    return [snap.date].concat(
+      trendKeys.map((key) => {
+        const value = Number(snap[key] ?? 0)
+        const change = previous ? value - Number(previous[key] ?? 0) : 0
+        return change === 0 ? num(value) : `${num(value)} <span class="${change > 0 ? 'up' : 'down'}">(${change > 0 ? '+' : ''}${num(change)})</span>`
+      }),
+    )
+  })
+
+  return `<div class="dashboard">
+<h2>Statistics for all notes (${s.date})</h2>
+<p>📝 ${num(s.projectNotes)} project notes and 📅 ${num(s.calendarNotes)} daily notes, with ${num(s.words)} words.
+Tasks: ⚪️ ${num(s.openTasks)} open, ✅ ${percent(s.doneTasks, tasksTotal)} done, 🚫 ${percent(s.cancelledTasks, tasksTotal)} cancelled, 📆 ${num(s.scheduledTasks)} scheduled. Checklists: ${num(s.openChecklists)} open, ${num(s.doneChecklists)} done.
+${num(s.tags)} different #tags and ${num(s.mentions)} different @mentions. ${num(s.noteLinks)} links to notes and ${num(s.webLinks)} web links; ${percent(stats.unlinkedNotes, s.projectNotes)} project notes have no links to them.</p>
+
+<h3>Trends</h3>
+${trendRows.length > 1 ? table(trendHeadings, trendRows) : '<p>Each time this is run a snapshot of these numbers is saved. Run it again on another day to see how they change.</p>'}
+
+<h3>Folders</h3>
+${table(
+    ['Folder', 'Notes', '', 'Words', 'Open', 'Done', 'Cancelled', 'Scheduled'],
+    stats.folders.map((f) => [esc(f.folder), f.notes, bar(f.notes, maxFolderNotes), f.words, f.open, f.done, f.cancelled, f.scheduled]),
+  )}
+
+<h3>Project notes created in the last ${GROWTH_MONTHS} months</h3>
+${table(['Month', 'Created', '', 'Total'], stats.growth.map((g) => [g.month, g.created, bar(g.created, maxCreated), g.total]))}
+
+<div class="columns">
+<div><h3>Most-used tags</h3>
+${table(['Tag', 'Notes'], stats.topTags.map(([tag, count]) => [esc(tag), count]))}</div>
+<div><h3>Most-used mentions</h3>
+${table(['Mention', 'Notes'], stats.topMentions.map(([mention, count]) => [esc(mention), count]))}</div>
+<div><h3>Most linked-to notes</h3>
+${table(['Note', 'Links'], stats.mostLinkedTo.map(([title, count]) => [esc(title), count]))}</div>
+</div>
+
+<div class="columns">
+<div><h3>Largest notes</h3>
+${table(['Note', 'Words'], stats.largestNotes.map((ns) => [noteLink(ns), ns.words]))}</div>
+<div><h3>Stalest project notes</h3>
+${table(['Note', 'Last changed'], stats.stalestNotes.map((ns) => [noteLink(ns), ns.changedDateStr]))}</div>
+</div>
+</div>`
+}